@@ -0,0 +1,142 @@
+/**
+ * COUPONSERVICE.JS - SERVICIO DE APLICACIÓN PARA CANJEAR CUPONES
+ * ==============================================================
+ *
+ * Único punto por el que los casos de uso de pedidos validan, canjean y
+ * liberan cupones. El reparto del descuento entre las líneas lo hace
+ * `DiscountService`; aquí solo se decide si el cupón se puede usar y se
+ * lleva la cuenta de sus canjes.
+ *
+ * OPERACIONES:
+ * - findApplicable: Busca el cupón por código y verifica que esté activo
+ *                   y vigente
+ * - redeem:         Cuenta un canje si el cupón sigue vigente, respetando
+ *                   el límite por cliente y el límite global (también al
+ *                   reabrir un pedido cancelado)
+ * - release:        Descuenta un canje (pedido cancelado o eliminado)
+ *
+ * CONCURRENCIA:
+ * Todas las operaciones reciben la `session` de la transacción del
+ * pedido. El límite global se aplica con un único `$inc` condicionado,
+ * así que nunca se pasa aunque lleguen dos canjes a la vez. El límite por
+ * cliente cuenta los pedidos con el cupón canjeado; como todo canje
+ * escribe en el documento del cupón, dos transacciones que canjean el
+ * mismo cupón chocan (write conflict) y `withTransaction` reintenta la
+ * perdedora, que vuelve a contar ya con el pedido de la ganadora.
+ *
+ * Patrón de diseño: Clean Architecture / Application Service
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import ConflictError from "../../domain/errors/ConflictError.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+import ValidationError from "../../domain/errors/ValidationError.js";
+import { isCouponActive, normalizeCouponCode } from "../../domain/constants/coupons.js";
+
+/**
+ * Error de cupón inactivo o fuera de vigencia
+ * @param {Object} coupon - Cupón encontrado
+ * @returns {ConflictError}
+ */
+const couponNotActiveError = (coupon) => new ConflictError(`⚠️ El cupón ${coupon.code} no está vigente ⚠️`, {
+  code: "COUPON_NOT_ACTIVE",
+  details: { couponCode: coupon.code, active: coupon.active, startsAt: coupon.startsAt, endsAt: coupon.endsAt }
+});
+
+export default class CouponService {
+  /**
+   * @param {Object} couponRepository - Repositorio de cupones
+   * @param {Object} orderRepository - Repositorio de pedidos (canjes por cliente)
+   */
+  constructor(couponRepository, orderRepository) {
+    this.couponRepository = couponRepository;
+    this.orderRepository = orderRepository;
+  }
+
+  /**
+   * BUSCA UN CUPÓN UTILIZABLE
+   * No cuenta el canje: eso lo hace `redeem` al guardar el pedido.
+   * @param {string} code - Código tal como lo escribió el usuario
+   * @param {Object} [options]
+   * @param {string|null} [options.customerId] - Cliente del pedido
+   * @param {Date} [options.at] - Fecha con la que se verifica la vigencia
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<Object>} Cupón encontrado
+   * @throws {NotFoundError} Si no existe (COUPON_NOT_FOUND)
+   * @throws {ConflictError} Si está inactivo o fuera de vigencia (COUPON_NOT_ACTIVE)
+   * @throws {ValidationError} Si tiene límite por cliente y el pedido no tiene cliente (COUPON_REQUIRES_CUSTOMER)
+   */
+  async findApplicable(code, { customerId = null, at = new Date() } = {}, session = null) {
+    const couponCode = normalizeCouponCode(code);
+    const coupon = await this.couponRepository.findByCode(couponCode, session);
+    if(!coupon) {
+      throw new NotFoundError(`❌ El cupón ${couponCode} no existe ❌`, {
+        code: "COUPON_NOT_FOUND",
+        details: { couponCode }
+      });
+    }
+
+    if(!isCouponActive(coupon, at)) throw couponNotActiveError(coupon);
+
+    if(coupon.maxRedemptionsPerCustomer && !customerId) {
+      const message = `El cupón ${couponCode} solo se puede usar en pedidos con cliente`;
+      throw new ValidationError(`❌ ${message} ❌`, {
+        code: "COUPON_REQUIRES_CUSTOMER",
+        details: { errors: [{ field: "customerId", message }] }
+      });
+    }
+
+    return coupon;
+  }
+
+  /**
+   * CUENTA UN CANJE
+   * Debe llamarse antes de guardar el pedido (o el cambio de estado) que
+   * marca el cupón como canjeado, para que el conteo por cliente no lo incluya.
+   * La vigencia se vuelve a comprobar: al reabrir un pedido cancelado, el
+   * cupón pudo desactivarse o vencer desde que se creó el pedido.
+   * @param {string} couponId - ID del cupón
+   * @param {string|null} customerId - Cliente del pedido
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @param {Date} [at] - Fecha con la que se verifica la vigencia
+   * @returns {Promise<boolean>} false si el cupón ya no existe (no hay nada que contar)
+   * @throws {ConflictError} Si ya no está vigente (COUPON_NOT_ACTIVE), el cliente ya lo usó
+   *                         el máximo de veces (COUPON_CUSTOMER_LIMIT) o se agotaron los canjes (COUPON_EXHAUSTED)
+   */
+  async redeem(couponId, customerId, session = null, at = new Date()) {
+    const coupon = await this.couponRepository.findById(couponId, session);
+    if(!coupon) return false;
+
+    if(!isCouponActive(coupon, at)) throw couponNotActiveError(coupon);
+
+    if(coupon.maxRedemptionsPerCustomer && customerId) {
+      const used = await this.orderRepository.countCouponRedemptions(couponId, customerId, session);
+      if(used >= coupon.maxRedemptionsPerCustomer) {
+        throw new ConflictError(`⚠️ El cliente ya usó el cupón ${coupon.code} el máximo de veces ⚠️`, {
+          code: "COUPON_CUSTOMER_LIMIT",
+          details: { couponCode: coupon.code, customerId, maxRedemptionsPerCustomer: coupon.maxRedemptionsPerCustomer }
+        });
+      }
+    }
+
+    const updated = await this.couponRepository.incrementRedemptions(couponId, session);
+    if(!updated) {
+      throw new ConflictError(`⚠️ El cupón ${coupon.code} ya no tiene canjes disponibles ⚠️`, {
+        code: "COUPON_EXHAUSTED",
+        details: { couponCode: coupon.code, maxRedemptions: coupon.maxRedemptions }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * LIBERA UN CANJE
+   * @param {string} couponId - ID del cupón
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<void>}
+   */
+  async release(couponId, session = null) {
+    await this.couponRepository.decrementRedemptions(couponId, session);
+  }
+}
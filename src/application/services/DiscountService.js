@@ -0,0 +1,211 @@
+/**
+ * DISCOUNTSERVICE.JS - SERVICIO DE APLICACIÓN PARA DESCUENTOS Y PROMOCIONES
+ * =========================================================================
+ *
+ * Calcula el descuento de cada línea de un pedido antes del IVA:
+ *
+ * 1. Promoción: la vigente que más descuento dé a la línea (ver
+ *    `domain/constants/promotions.js`); no se acumulan entre sí
+ * 2. Descuento manual de la línea, sobre lo que queda tras la promoción
+ * 3. Cupón (si se indica), sobre la suma de los netos de las líneas
+ *    elegibles, repartido entre ellas en proporción a su neto
+ * 4. Descuento manual del pedido, sobre la suma de los netos, repartido
+ *    entre las líneas en proporción a su neto (sin perder centavos)
+ *
+ * Cada línea guarda su valor bruto, el total descontado y el detalle de
+ * cada descuento con su origen; así los reportes pueden mostrar bruto,
+ * descuento y neto, y la factura qué promoción se aplicó.
+ *
+ * APROBACIÓN:
+ * Si los descuentos manuales superan `approvalThreshold` % del valor
+ * bruto, solo un Administrador puede registrarlos; su ID queda como
+ * aprobación. Las promociones y los cupones no cuentan para el umbral.
+ *
+ * Patrón de diseño: Clean Architecture / Application Service
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import ConflictError from "../../domain/errors/ConflictError.js";
+import ForbiddenError from "../../domain/errors/ForbiddenError.js";
+import ValidationError from "../../domain/errors/ValidationError.js";
+import { DISCOUNT_SOURCE, DISCOUNT_TYPE, MANUAL_DISCOUNT_SOURCES, discountAmount } from "../../domain/constants/discounts.js";
+import { bestPromotion } from "../../domain/constants/promotions.js";
+import { couponAppliesToProduct } from "../../domain/constants/coupons.js";
+import { allocateMoney, multiplyMoney, sumMoney } from "../../domain/constants/money.js";
+import { isAdmin } from "../../domain/constants/roles.js";
+
+// Etiquetas con las que se imprimen los descuentos manuales
+const LINE_DISCOUNT_LABEL = "Descuento";
+const ORDER_DISCOUNT_LABEL = "Descuento del pedido";
+const couponLabel = (code) => `Cupón ${code}`;
+
+/**
+ * Neto de una línea con los descuentos aplicados hasta ahora
+ * @param {Object} line - { grossAmount, discounts }
+ * @returns {number}
+ */
+const netOf = ({ grossAmount, discounts }) => grossAmount - sumMoney(discounts.map((entry) => entry.amount));
+
+export default class DiscountService {
+  /**
+   * CONSTRUCTOR
+   * @param {Object} promotionRepository - Repositorio de promociones (findActive)
+   * @param {number} [approvalThreshold] - % de descuento manual a partir del cual se exige Administrador
+   */
+  constructor(promotionRepository, approvalThreshold = 10) {
+    this.promotionRepository = promotionRepository;
+    this.approvalThreshold = approvalThreshold;
+  }
+
+  /**
+   * VALIDA EL VALOR DE UN DESCUENTO MANUAL
+   * Lo que las reglas de campo no expresan: un porcentaje no pasa de 100
+   * y un monto fijo viene en centavos enteros.
+   * @param {Object|null} discount - { type, value }, ya validado con `DISCOUNT_FIELDS`
+   * @param {string} field - Ruta del campo para el mensaje (ej. "details[0].discount")
+   * @throws {ValidationError}
+   */
+  assertValidDiscount(discount, field) {
+    if(!discount) return;
+
+    const problem = discount.type === DISCOUNT_TYPE.PERCENTAGE
+      ? discount.value > 100 && "debe ser un porcentaje entre 0 y 100"
+      : !Number.isInteger(discount.value) && "debe ser un monto entero en centavos";
+
+    if(problem) {
+      const message = `"${field}.value" ${problem}`;
+      throw new ValidationError(`❌ ${message} ❌`, {
+        details: { errors: [{ field: `${field}.value`, message }] }
+      });
+    }
+  }
+
+  /**
+   * DESCUENTOS DE LAS LÍNEAS DE UN PEDIDO
+   * @param {Array<Object>} lines - Líneas { product, amount, discount? } con el producto ya leído
+   * @param {Object} [options]
+   * @param {Object} [options.orderDiscount] - Descuento manual del pedido { type, value }
+   * @param {Object} [options.coupon] - Cupón ya validado por `CouponService.findApplicable`
+   * @param {Date} [options.at] - Fecha con la que se eligen las promociones vigentes
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<Array<Object>>} Por línea y en el mismo orden: { grossAmount, discountAmount, discounts }
+   * @throws {ConflictError} Si el pedido no llega al mínimo del cupón (COUPON_MIN_ORDER_AMOUNT)
+   *                         o ninguna línea es elegible (COUPON_NOT_APPLICABLE)
+   *
+   * @example
+   * const [line] = await discountService.discountLines([{ product, amount: 3 }], {}, session);
+   * // Con "2x1 en café" vigente y el café a 1190000:
+   * // { grossAmount: 3570000, discountAmount: 1190000,
+   * //   discounts: [{ source: "promotion", promotionId, label: "2x1 en café", amount: 1190000 }] }
+   */
+  async discountLines(lines, { orderDiscount = null, coupon = null, at = new Date() } = {}, session = null) {
+    const promotions = await this.promotionRepository.findActive(at, session);
+
+    const discounted = lines.map(({ product, amount, discount = null }) => {
+      const grossAmount = multiplyMoney(product.price, amount);
+      const discounts = [];
+
+      const promotion = bestPromotion(promotions, product, amount);
+      if(promotion) {
+        discounts.push({
+          source: DISCOUNT_SOURCE.PROMOTION,
+          promotionId: promotion.promotion._id,
+          label: promotion.promotion.name,
+          amount: promotion.amount
+        });
+      }
+
+      const lineDiscount = discountAmount(discount, netOf({ grossAmount, discounts }));
+      if(lineDiscount > 0) {
+        discounts.push({ source: DISCOUNT_SOURCE.LINE, label: LINE_DISCOUNT_LABEL, ...discount, amount: lineDiscount });
+      }
+
+      return { grossAmount, discounts, product };
+    });
+
+    if(coupon) this.applyCoupon(discounted, coupon);
+
+    // Descuento del pedido: se reparte en proporción al neto de cada línea
+    const nets = discounted.map(netOf);
+    const shares = allocateMoney(discountAmount(orderDiscount, sumMoney(nets)), nets);
+    shares.forEach((share, index) => {
+      if(share > 0) {
+        discounted[index].discounts.push({ source: DISCOUNT_SOURCE.ORDER, label: ORDER_DISCOUNT_LABEL, ...orderDiscount, amount: share });
+      }
+    });
+
+    return discounted.map(({ grossAmount, discounts }) => ({
+      grossAmount,
+      discountAmount: sumMoney(discounts.map((entry) => entry.amount)),
+      discounts
+    }));
+  }
+
+  /**
+   * REPARTE UN CUPÓN ENTRE LAS LÍNEAS ELEGIBLES
+   * Agrega a cada línea elegible su parte del cupón, en proporción a su neto.
+   * @param {Array<Object>} lines - Líneas en cálculo ({ grossAmount, discounts, product }); se modifican
+   * @param {Object} coupon - { code, type, value, minOrderAmount, categories, productIds }
+   * @throws {ConflictError} Si el pedido no llega al mínimo o ninguna línea es elegible
+   */
+  applyCoupon(lines, coupon) {
+    const nets = lines.map(netOf);
+    const orderAmount = sumMoney(nets);
+    if(orderAmount < (coupon.minOrderAmount ?? 0)) {
+      throw new ConflictError(`⚠️ El cupón ${coupon.code} exige un pedido mínimo ⚠️`, {
+        code: "COUPON_MIN_ORDER_AMOUNT",
+        details: { couponCode: coupon.code, minOrderAmount: coupon.minOrderAmount, orderAmount }
+      });
+    }
+
+    const eligibleNets = lines.map((line, index) => (couponAppliesToProduct(coupon, line.product) ? nets[index] : 0));
+    const base = sumMoney(eligibleNets);
+    if(base === 0) {
+      throw new ConflictError(`⚠️ El cupón ${coupon.code} no aplica a ningún producto del pedido ⚠️`, {
+        code: "COUPON_NOT_APPLICABLE",
+        details: { couponCode: coupon.code }
+      });
+    }
+
+    const shares = allocateMoney(discountAmount(coupon, base), eligibleNets);
+    shares.forEach((share, index) => {
+      if(share > 0) {
+        lines[index].discounts.push({
+          source: DISCOUNT_SOURCE.COUPON,
+          label: couponLabel(coupon.code),
+          type: coupon.type,
+          value: coupon.value,
+          amount: share
+        });
+      }
+    });
+  }
+
+  /**
+   * COMPRUEBA QUIÉN PUEDE REGISTRAR LOS DESCUENTOS MANUALES
+   * @param {Array<Object>} lines - Líneas de `discountLines` ({ grossAmount, discounts })
+   * @param {Object} requester - Usuario autenticado (`req.user`) con `id` y `rol`
+   * @returns {string|null} ID del Administrador que los aprueba, o null si no hacía falta aprobación
+   * @throws {ForbiddenError} Si superan el umbral y quien los pide no es Administrador
+   */
+  authorize(lines, requester) {
+    const gross = sumMoney(lines.map((line) => line.grossAmount));
+    const manual = sumMoney(lines.flatMap((line) => line.discounts)
+      .filter((entry) => MANUAL_DISCOUNT_SOURCES.includes(entry.source))
+      .map((entry) => entry.amount));
+
+    if(manual === 0 || manual * 100 <= gross * this.approvalThreshold) return null;
+
+    if(!isAdmin(requester)) {
+      throw new ForbiddenError(
+        `⚠️ Un descuento de más del ${this.approvalThreshold} % requiere aprobación de un Administrador ⚠️`,
+        {
+          code: "DISCOUNT_APPROVAL_REQUIRED",
+          details: { threshold: this.approvalThreshold, gross, discount: manual }
+        }
+      );
+    }
+
+    return requester.id;
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * ORDERNUMBERSERVICE.JS - SERVICIO DE APLICACIÓN PARA NÚMEROS DE PEDIDO
+ * =====================================================================
+ *
+ * Emite el número legible de cada pedido nuevo (ej. `PED-2026-000123`)
+ * a partir de un contador atómico por serie.
+ *
+ * SIN HUECOS:
+ * El número se pide dentro de la misma transacción que crea el pedido.
+ * Si la creación falla (stock insuficiente, producto inexistente...),
+ * el incremento del contador se revierte junto con todo lo demás.
+ *
+ * CONCURRENCIA:
+ * Dos transacciones que piden número de la misma serie escriben el mismo
+ * documento contador: MongoDB hace fallar a una con un error transitorio
+ * y `TransactionManagerMongo` la reintenta, ya con el contador actualizado.
+ *
+ * Patrón de diseño: Clean Architecture / Application Service
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import {
+  ORDER_NUMBER_DEFAULTS,
+  formatOrderNumber,
+  orderNumberSeries
+} from "../../domain/constants/orderNumber.js";
+
+export default class OrderNumberService {
+  /**
+   * CONSTRUCTOR
+   * @param {Object} counterRepository - Repositorio de contadores (next(key, session))
+   * @param {Object} [format] - { prefix, padding, yearlyReset, timeZone } (ver `config/orderNumber.js`)
+   */
+  constructor(counterRepository, format = ORDER_NUMBER_DEFAULTS) {
+    this.counterRepository = counterRepository;
+    this.format = { ...ORDER_NUMBER_DEFAULTS, ...format };
+  }
+
+  /**
+   * EMITE EL SIGUIENTE NÚMERO DE PEDIDO
+   * @param {Date} [date] - Fecha de creación del pedido (decide la serie anual)
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<string>} Número del pedido
+   *
+   * @example
+   * const orderNumberService = new OrderNumberService(counterRepository, ORDER_NUMBER_FORMAT);
+   * await orderNumberService.next(new Date(), session); // "PED-2026-000123"
+   */
+  async next(date = new Date(), session = null) {
+    const { key, year } = orderNumberSeries(this.format, date);
+    const sequence = await this.counterRepository.next(key, session);
+    return formatOrderNumber(this.format, year, sequence);
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * PRODUCTSEARCHINDEX.JS - ÍNDICE DE BÚSQUEDA DE PRODUCTOS EN MEMORIA
+ * ==================================================================
+ *
+ * Índice invertido en proceso sobre `name`, `description` y `category`
+ * de los productos. No requiere un servicio de búsqueda externo y está
+ * pensado para catálogos de hasta unas decenas de miles de productos
+ * (el typeahead del punto de venta).
+ *
+ * FUNCIONALIDADES:
+ * - Sin distinción de acentos ni mayúsculas: "cafe" encuentra "Café"
+ * - Coincidencia por prefijo: "cho" encuentra "Chocolate"
+ * - Tolerancia a errores de tipeo (distancia de edición 1, o 2 en
+ *   términos largos): "chocolte" encuentra "Chocolate"
+ * - Ranking por calidad de la coincidencia (exacta > prefijo > tipeo)
+ *   y por campo (nombre > categoría > descripción)
+ * - Resaltado de los términos encontrados con `<mark>` (texto escapado)
+ *
+ * Todos los términos de la consulta deben aparecer en el producto.
+ *
+ * ACTUALIZACIÓN:
+ * El índice se construye en la primera búsqueda y se reconstruye al
+ * llamar a `invalidate()` (creación, edición o eliminación de productos
+ * en este proceso) o cuando supera `ttlMs`, para recoger cambios hechos
+ * por otras instancias. Solo guarda textos; precio y stock se leen
+ * siempre de la base de datos al devolver resultados.
+ *
+ * Cada `invalidate()` avanza una generación. Una construcción que leyó
+ * los productos antes de un `invalidate()` descarta su resultado y la
+ * búsqueda que la esperaba lanza otra: el índice nunca queda instalado
+ * con datos anteriores al último cambio.
+ *
+ * Patrón de diseño: Clean Architecture / Application Service
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+// Peso de cada campo en el ranking
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 };
+
+// Calidad de cada tipo de coincidencia
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, fuzzy: 0.5 };
+
+const DEFAULT_TTL_MS = 60 * 1000;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Quita acentos y pasa a minúsculas ("Café" → "cafe").
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeText = (text) =>
+  String(text ?? "").normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+/**
+ * Divide un texto en términos normalizados.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const tokenize = (text) => normalizeText(text).match(WORD) || [];
+
+/**
+ * Errores de tipeo admitidos según la longitud del término.
+ */
+const maxTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+/**
+ * Distancia de edición (Levenshtein) con corte: devuelve `max + 1` en
+ * cuanto la distancia supera `max`.
+ */
+const editDistance = (a, b, max) => {
+  if(Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for(let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for(let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if(rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+/**
+ * Envuelve en `<mark>` las palabras del texto original cuyo término
+ * normalizado está en `tokens`. El resto del texto se escapa.
+ */
+const highlight = (text, tokens) => {
+  let result = "";
+  let last = 0;
+  for(const match of String(text).matchAll(WORD)) {
+    result += escapeHtml(text.slice(last, match.index));
+    const word = escapeHtml(match[0]);
+    result += tokens.has(normalizeText(match[0])) ? `<mark>${word}</mark>` : word;
+    last = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(last));
+};
+
+export default class ProductSearchIndex {
+  /**
+   * CONSTRUCTOR
+   * @param {Object} productRepository - Repositorio de productos
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Antigüedad máxima del índice en milisegundos
+   */
+  constructor(productRepository, { ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.productRepository = productRepository;
+    this.ttlMs = ttlMs;
+    this.documents = null;   // id → { name, description, category }
+    this.postings = null;    // término → Map(id → Set(campo))
+    this.builtAt = 0;
+    this.building = null;
+    this.generation = 0;     // avanza con cada invalidate()
+  }
+
+  /**
+   * Marca el índice como desactualizado; se reconstruye en la próxima búsqueda.
+   * Una construcción en curso queda obsoleta y no se instala.
+   */
+  invalidate() {
+    this.generation++;
+    this.documents = null;
+  }
+
+  /**
+   * Construye el índice si no existe o venció. Las búsquedas simultáneas
+   * comparten la misma construcción; si esta se descarta por un
+   * `invalidate()`, se construye de nuevo.
+   */
+  async ensureBuilt() {
+    while(!this.documents || Date.now() - this.builtAt >= this.ttlMs) {
+      if(!this.building) {
+        this.building = this.build().finally(() => { this.building = null; });
+      }
+      await this.building;
+    }
+  }
+
+  async build() {
+    const generation = this.generation;
+    const products = await this.productRepository.findSearchDocuments();
+
+    // Se invalidó mientras se leían los productos: el resultado ya es viejo
+    if(generation !== this.generation) return;
+
+    const documents = new Map();
+    const postings = new Map();
+
+    for(const product of products) {
+      const id = String(product._id);
+      documents.set(id, {
+        name: product.name,
+        description: product.description,
+        category: product.category
+      });
+
+      for(const field of Object.keys(FIELD_WEIGHTS)) {
+        for(const token of tokenize(product[field])) {
+          if(!postings.has(token)) postings.set(token, new Map());
+          const fields = postings.get(token);
+          if(!fields.has(id)) fields.set(id, new Set());
+          fields.get(id).add(field);
+        }
+      }
+    }
+
+    this.documents = documents;
+    this.postings = postings;
+    this.builtAt = Date.now();
+  }
+
+  /**
+   * Términos del índice que coinciden con un término de la consulta,
+   * con la calidad de cada coincidencia.
+   * @returns {Map<string, number>} término indexado → calidad
+   */
+  expandTerm(term) {
+    const matches = new Map();
+    const typos = maxTypos(term);
+
+    for(const token of this.postings.keys()) {
+      if(token === term) {
+        matches.set(token, MATCH_QUALITY.exact);
+      } else if(token.startsWith(term)) {
+        matches.set(token, MATCH_QUALITY.prefix);
+      } else if(typos > 0) {
+        // El último término puede estar a medio escribir: se compara también con el prefijo
+        const distance = Math.min(
+          editDistance(term, token, typos),
+          editDistance(term, token.slice(0, term.length), typos)
+        );
+        if(distance <= typos) matches.set(token, MATCH_QUALITY.fuzzy - 0.1 * (distance - 1));
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * BUSCA PRODUCTOS
+   *
+   * @param {string} query - Texto buscado
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Máximo de resultados
+   * @returns {Promise<Object>} { total, hits: [{ id, score, highlights }] }
+   *
+   * @example
+   * const { hits } = await productSearchIndex.search("cafe molido", { limit: 5 });
+   * // hits[0] → { id, score: 5.4, highlights: { name: "<mark>Café</mark> <mark>molido</mark> 500g" } }
+   */
+  async search(query, { limit = 10 } = {}) {
+    await this.ensureBuilt();
+
+    const terms = [...new Set(tokenize(query))];
+    if(terms.length === 0) return { total: 0, hits: [] };
+
+    let candidates = null;   // id → { score, tokens }
+
+    for(const term of terms) {
+      const termScores = new Map();   // id → { score, tokens } para este término
+
+      for(const [token, quality] of this.expandTerm(term)) {
+        for(const [id, fields] of this.postings.get(token)) {
+          const weight = Math.max(...[...fields].map((field) => FIELD_WEIGHTS[field]));
+          const entry = termScores.get(id) || { score: 0, tokens: new Set() };
+          entry.score = Math.max(entry.score, quality * weight);
+          entry.tokens.add(token);
+          termScores.set(id, entry);
+        }
+      }
+
+      // Intersección: el producto debe coincidir con todos los términos
+      const next = new Map();
+      for(const [id, entry] of termScores) {
+        if(candidates && !candidates.has(id)) continue;
+        const previous = candidates ? candidates.get(id) : { score: 0, tokens: new Set() };
+        next.set(id, {
+          score: previous.score + entry.score,
+          tokens: new Set([...previous.tokens, ...entry.tokens])
+        });
+      }
+      candidates = next;
+      if(candidates.size === 0) break;
+    }
+
+    const ranked = [...candidates]
+      .map(([id, { score, tokens }]) => ({ id, score, tokens }))
+      .sort((a, b) => b.score - a.score
+        || this.documents.get(a.id).name.localeCompare(this.documents.get(b.id).name, "es"));
+
+    const hits = ranked.slice(0, limit).map(({ id, score, tokens }) => {
+      const document = this.documents.get(id);
+      const highlights = {};
+      for(const field of Object.keys(FIELD_WEIGHTS)) {
+        if(!document[field]) continue;
+        if(tokenize(document[field]).some((token) => tokens.has(token))) {
+          highlights[field] = highlight(document[field], tokens);
+        }
+      }
+      return { id, score: Math.round(score * 100) / 100, highlights };
+    });
+
+    return { total: ranked.length, hits };
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * STOCKSERVICE.JS - SERVICIO DE APLICACIÓN PARA CAMBIOS DE STOCK
+ * ==============================================================
+ *
+ * Único punto por el que los casos de uso modifican el inventario.
+ * Cada operación ajusta el producto y, en la misma sesión, registra el
+ * movimiento correspondiente en el kardex (`StockMovement`) con el saldo
+ * resultante, el motivo, el documento de origen y el usuario.
+ *
+ * OPERACIONES:
+ * - reserve: Aparta unidades para un pedido (motivo por defecto: sale)
+ * - release: Libera una reserva (motivo por defecto: cancellation)
+ * - commit:  Confirma la salida de unidades reservadas. No cambia el
+ *            stock disponible, por lo que no genera movimiento
+ * - restock: Reingresa unidades despachadas (motivo por defecto: return)
+ * - adjust:  Suma o resta unidades directamente (motivo por defecto: adjustment)
+ * - receive: Ingresa mercancía de un proveedor (motivo por defecto: receipt).
+ *            Con `unitCost` recalcula además el costo promedio ponderado
+ *
+ * TRANSACCIONES:
+ * Todas las operaciones reciben la `session` de la transacción en curso;
+ * si el registro del movimiento falla, el cambio de stock se revierte.
+ *
+ * Patrón de diseño: Clean Architecture / Application Service
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import StockMovement from "../../domain/entities/StockMovement.js";
+import InsufficientStockError from "../../domain/errors/InsufficientStockError.js";
+import { STOCK_MOVEMENT_REASON } from "../../domain/constants/stockMovementReasons.js";
+
+/**
+ * Datos comunes de cada operación
+ * @typedef {Object} StockOperation
+ * @property {string} productId - ID del producto
+ * @property {number} amount - Unidades afectadas (positivo)
+ * @property {string} [reason] - Motivo del movimiento
+ * @property {string} [sourceId] - ID del documento de origen
+ * @property {string} [sourceType] - Tipo del documento de origen ("Order", "Product", "PurchaseOrder"...)
+ * @property {string} [userId] - ID del usuario que realiza la operación
+ * @property {string} [note] - Comentario opcional
+ */
+
+export default class StockService {
+  /**
+   * CONSTRUCTOR
+   * @param {Object} productRepository - Repositorio para productos y stock
+   * @param {Object} stockMovementRepository - Repositorio del kardex de inventario
+   */
+  constructor(productRepository, stockMovementRepository) {
+    this.productRepository = productRepository;
+    this.stockMovementRepository = stockMovementRepository;
+  }
+
+  /**
+   * RESERVA STOCK
+   * @param {StockOperation} operation
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<Object>} Producto actualizado
+   * @throws {InsufficientStockError} Si no hay unidades suficientes
+   */
+  async reserve(operation, session = null) {
+    const { productId, amount } = operation;
+    const product = await this.productRepository.reserveStock(productId, amount, session);
+
+    if(!product) {
+      const current = await this.productRepository.findById(productId, session);
+      throw new InsufficientStockError({
+        productId,
+        requested: amount,
+        available: current ? current.stock : 0
+      });
+    }
+
+    await this.record(product, -amount, operation, STOCK_MOVEMENT_REASON.SALE, session);
+    return product;
+  }
+
+  /**
+   * LIBERA STOCK RESERVADO
+   * @param {StockOperation} operation
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} Producto actualizado o null si no existe
+   */
+  async release(operation, session = null) {
+    const { productId, amount } = operation;
+    const product = await this.productRepository.releaseStock(productId, amount, session);
+    await this.record(product, amount, operation, STOCK_MOVEMENT_REASON.CANCELLATION, session);
+    return product;
+  }
+
+  /**
+   * CONFIRMA LA SALIDA DE STOCK RESERVADO
+   * @param {StockOperation} operation
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} Producto actualizado o null si no existe
+   */
+  async commit(operation, session = null) {
+    return await this.productRepository.commitStock(operation.productId, operation.amount, session);
+  }
+
+  /**
+   * REINGRESA STOCK DESPACHADO
+   * @param {StockOperation} operation
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} Producto actualizado o null si no existe
+   */
+  async restock(operation, session = null) {
+    const { productId, amount } = operation;
+    const product = await this.productRepository.updateStock(productId, amount, session);
+    await this.record(product, amount, operation, STOCK_MOVEMENT_REASON.RETURN, session);
+    return product;
+  }
+
+  /**
+   * INGRESA MERCANCÍA DE UN PROVEEDOR
+   * @param {StockOperation} operation
+   * @param {number} [operation.unitCost] - Costo unitario de lo recibido; si se indica,
+   *                                        actualiza el costo promedio del producto
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} Producto actualizado o null si no existe
+   */
+  async receive(operation, session = null) {
+    const { productId, amount, unitCost } = operation;
+    const product = unitCost === undefined
+      ? await this.productRepository.updateStock(productId, amount, session)
+      : await this.productRepository.receiveStock(productId, amount, unitCost, session);
+    await this.record(product, amount, operation, STOCK_MOVEMENT_REASON.RECEIPT, session);
+    return product;
+  }
+
+  /**
+   * AJUSTA STOCK DIRECTAMENTE
+   * A diferencia de las demás operaciones, `quantity` lleva signo.
+   *
+   * @param {Object} operation - Igual que StockOperation, con `quantity` en lugar de `amount`
+   * @param {number} operation.quantity - Variación a aplicar (positiva o negativa)
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} Producto actualizado o null si no existe
+   * @throws {InsufficientStockError} Si el ajuste dejaría el stock en negativo
+   */
+  async adjust(operation, session = null) {
+    const { productId, quantity } = operation;
+    const product = await this.productRepository.updateStock(productId, quantity, session);
+
+    // El cambio se revierte junto con la transacción al lanzar el error
+    if(product && product.stock < 0) {
+      throw new InsufficientStockError({
+        productId,
+        requested: -quantity,
+        available: product.stock - quantity
+      });
+    }
+
+    await this.record(product, quantity, operation, STOCK_MOVEMENT_REASON.ADJUSTMENT, session);
+    return product;
+  }
+
+  /**
+   * REGISTRA EL MOVIMIENTO EN EL KARDEX
+   * @param {Object|null} product - Producto después del cambio
+   * @param {number} quantity - Variación aplicada
+   * @param {Object} meta - Operación original (motivo, origen, usuario y nota)
+   * @param {string} defaultReason - Motivo si la operación no indica uno
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   */
+  async record(product, quantity, meta, defaultReason, session) {
+    if(!product || quantity === 0) return;
+
+    const movement = new StockMovement({
+      productId: product._id,
+      quantity,
+      balance: product.stock,
+      reason: meta.reason ?? defaultReason,
+      sourceId: meta.sourceId,
+      sourceType: meta.sourceType,
+      userId: meta.userId,
+      note: meta.note
+    });
+
+    await this.stockMovementRepository.create({ ...movement }, session);
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * TAXSERVICE.JS - SERVICIO DE APLICACIÓN PARA EL IVA DE LOS PEDIDOS
+ * =================================================================
+ *
+ * Decide la tarifa de IVA de cada producto y calcula base, IVA y total
+ * de las líneas de pedido.
+ *
+ * TARIFA DE UN PRODUCTO (la primera que exista):
+ * 1. `product.taxRate`
+ * 2. La tarifa de su categoría (colección CategoryTaxRate)
+ * 3. La tarifa por defecto (`DEFAULT_TAX_RATE`, ver `config/tax.js`)
+ *
+ * Tarifa y modalidad del precio (con o sin IVA) se copian en la línea:
+ * cambios posteriores en el producto o la categoría no alteran los
+ * pedidos ya creados.
+ *
+ * Patrón de diseño: Clean Architecture / Application Service
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import { TAX_RATE, computeLineTax } from "../../domain/constants/taxRates.js";
+
+export default class TaxService {
+  /**
+   * CONSTRUCTOR
+   * @param {Object} categoryTaxRateRepository - Repositorio de tarifas por categoría (findByCategory)
+   * @param {number} [defaultRate] - Tarifa para productos sin tarifa propia ni de categoría
+   */
+  constructor(categoryTaxRateRepository, defaultRate = TAX_RATE.GENERAL) {
+    this.categoryTaxRateRepository = categoryTaxRateRepository;
+    this.defaultRate = defaultRate;
+  }
+
+  /**
+   * TARIFA DE IVA DE UN PRODUCTO
+   * @param {Object} product - Producto ({ taxRate, category })
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<number>} Tarifa en porcentaje
+   */
+  async rateFor(product, session = null) {
+    if(product.taxRate != null) return product.taxRate;
+
+    const categoryRate = await this.categoryTaxRateRepository.findByCategory(product.category, session);
+    return categoryRate?.rate ?? this.defaultRate;
+  }
+
+  /**
+   * PRECIO E IVA DE UNA LÍNEA NUEVA
+   * @param {Object} product - Producto con su precio actual
+   * @param {number} amount - Unidades
+   * @param {number} [discount] - Descuento total de la línea en centavos (ver `DiscountService`)
+   * @param {ClientSession} [session] - Sesión de la transacción en curso
+   * @returns {Promise<Object>} { unitPrice, taxRate, priceIncludesTax, taxBase, taxAmount, subtotal }
+   *
+   * @example
+   * const taxService = new TaxService(categoryTaxRateRepository, DEFAULT_TAX_RATE);
+   * await taxService.priceLine({ price: 11900, category: "Bebidas" }, 2, 0, session);
+   * // { unitPrice: 11900, taxRate: 19, priceIncludesTax: true, taxBase: 20000, taxAmount: 3800, subtotal: 23800 }
+   */
+  async priceLine(product, amount, discount = 0, session = null) {
+    const taxRate = await this.rateFor(product, session);
+    const priceIncludesTax = product.priceIncludesTax ?? true;
+
+    return {
+      unitPrice: product.price,
+      taxRate,
+      priceIncludesTax,
+      ...computeLineTax({ unitPrice: product.price, amount, taxRate, priceIncludesTax, discount })
+    };
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * CREATECOUPON.JS - CASO DE USO PARA REGISTRAR CUPONES
+ * ====================================================
+ *
+ * Valida los datos con la entidad `Coupon` y guarda el cupón con su
+ * contador de canjes en cero. Los productos elegibles deben existir; un
+ * código repetido lo rechaza el índice único de CouponModel.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import Coupon from "../../../domain/entities/Coupon.js";
+import NotFoundError from "../../../domain/errors/NotFoundError.js";
+
+export default class CreateCoupon {
+  /**
+   * @param {Object} couponRepository - Repositorio de cupones
+   * @param {Object} productRepository - Repositorio de productos (cupones de ciertos productos)
+   */
+  constructor(couponRepository, productRepository) {
+    this.couponRepository = couponRepository;
+    this.productRepository = productRepository;
+  }
+
+  /**
+   * @param {Object} couponData - { code, type, value, startsAt?, endsAt?, minOrderAmount?, maxRedemptions?,
+   *                                maxRedemptionsPerCustomer?, categories?, productIds?, active? }
+   * @returns {Promise<Object>} Cupón creado
+   * @throws {ValidationError} Si los datos no cumplen las reglas de la entidad
+   * @throws {NotFoundError} Si alguno de los productos indicados no existe
+   *
+   * @example
+   * await new CreateCoupon(couponRepository, productRepository).execute({
+   *   code: "BIENVENIDA10", type: "percentage", value: 10, maxRedemptionsPerCustomer: 1
+   * });
+   */
+  async execute(couponData) {
+    const {
+      code, type, value, startsAt, endsAt, minOrderAmount,
+      maxRedemptions, maxRedemptionsPerCustomer, categories, productIds, active
+    } = new Coupon(couponData);
+    const coupon = {
+      code, type, value, startsAt, endsAt, minOrderAmount,
+      maxRedemptions, maxRedemptionsPerCustomer, categories, productIds, active
+    };
+
+    for(const productId of coupon.productIds) {
+      if(!(await this.productRepository.findById(productId))) {
+        throw new NotFoundError(`❌ El producto con ID ${productId} no existe ❌`, {
+          code: "PRODUCT_NOT_FOUND",
+          details: { productId }
+        });
+      }
+    }
+
+    return await this.couponRepository.create(coupon);
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * DELETECOUPON.JS - CASO DE USO PARA ELIMINAR CUPONES
+ * ===================================================
+ *
+ * Elimina un cupón solo si no tiene canjes vigentes: borrarlo dejaría
+ * pedidos con el cupón canjeado sin contador que liberar al cancelarlos.
+ * Para retirarlo de circulación basta con `active: false`.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import ConflictError from "../../../domain/errors/ConflictError.js";
+
+export default class DeleteCoupon {
+  /**
+   * @param {Object} couponRepository - Repositorio de cupones
+   */
+  constructor(couponRepository) {
+    this.couponRepository = couponRepository;
+  }
+
+  /**
+   * @param {string} id - ID del cupón
+   * @returns {Promise<Object|null>} Cupón eliminado o null si no existe
+   * @throws {ConflictError} Si el cupón tiene canjes vigentes (código COUPON_IN_USE)
+   */
+  async execute(id) {
+    const coupon = await this.couponRepository.findById(id);
+    if(!coupon) return null;
+
+    if(coupon.redemptionCount > 0) {
+      throw new ConflictError("⚠️ El cupón tiene canjes y no se puede eliminar; desactívelo ⚠️", {
+        code: "COUPON_IN_USE",
+        details: { couponId: id, redemptionCount: coupon.redemptionCount }
+      });
+    }
+
+    return await this.couponRepository.delete(id);
+  }
+}
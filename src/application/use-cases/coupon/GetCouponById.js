@@ -0,0 +1,24 @@
+/**
+ * GETCOUPONBYID.JS - CASO DE USO PARA OBTENER UN CUPÓN
+ * ====================================================
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class GetCouponById {
+  /**
+   * @param {Object} couponRepository - Repositorio de cupones
+   */
+  constructor(couponRepository) {
+    this.couponRepository = couponRepository;
+  }
+
+  /**
+   * @param {string} id - ID del cupón
+   * @returns {Promise<Object|null>} Cupón o null si no existe
+   */
+  async execute(id) {
+    return await this.couponRepository.findById(id);
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * UPDATECOUPON.JS - CASO DE USO PARA ACTUALIZAR CUPONES
+ * =====================================================
+ *
+ * Reemplaza los datos de un cupón. Los datos completos pasan por la
+ * entidad `Coupon`, igual que al crearlo. Los canjes ya contados se
+ * conservan: si el nuevo `maxRedemptions` es menor, el cupón simplemente
+ * queda agotado. Los pedidos ya creados no cambian su descuento.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import Coupon from "../../../domain/entities/Coupon.js";
+import NotFoundError from "../../../domain/errors/NotFoundError.js";
+
+export default class UpdateCoupon {
+  /**
+   * @param {Object} couponRepository - Repositorio de cupones
+   * @param {Object} productRepository - Repositorio de productos (cupones de ciertos productos)
+   */
+  constructor(couponRepository, productRepository) {
+    this.couponRepository = couponRepository;
+    this.productRepository = productRepository;
+  }
+
+  /**
+   * @param {string} id - ID del cupón
+   * @param {Object} couponData - Datos completos del cupón
+   * @returns {Promise<Object|null>} Cupón actualizado o null si no existe
+   * @throws {ValidationError} Si los datos no cumplen las reglas de la entidad
+   * @throws {NotFoundError} Si alguno de los productos indicados no existe
+   */
+  async execute(id, couponData) {
+    const {
+      code, type, value, startsAt, endsAt, minOrderAmount,
+      maxRedemptions, maxRedemptionsPerCustomer, categories, productIds, active
+    } = new Coupon(couponData);
+    const coupon = {
+      code, type, value, startsAt, endsAt, minOrderAmount,
+      maxRedemptions, maxRedemptionsPerCustomer, categories, productIds, active
+    };
+
+    for(const productId of coupon.productIds) {
+      if(!(await this.productRepository.findById(productId))) {
+        throw new NotFoundError(`❌ El producto con ID ${productId} no existe ❌`, {
+          code: "PRODUCT_NOT_FOUND",
+          details: { productId }
+        });
+      }
+    }
+
+    return await this.couponRepository.update(id, coupon);
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * CREATECUSTOMER.JS - CASO DE USO PARA REGISTRAR CLIENTES
+ * =======================================================
+ *
+ * Valida los datos con la entidad `Customer` y guarda el cliente con su
+ * número de documento normalizado. Un documento repetido lo rechaza el
+ * índice único del modelo (409).
+ *
+ * Cualquier vendedor puede registrar clientes en el punto de venta, pero
+ * solo un Administrador puede asignarles cupo de crédito.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import Customer from "../../../domain/entities/Customer.js";
+import ForbiddenError from "../../../domain/errors/ForbiddenError.js";
+import { isAdmin } from "../../../domain/constants/roles.js";
+
+export default class CreateCustomer {
+  /**
+   * @param {Object} customerRepository - Repositorio de clientes
+   */
+  constructor(customerRepository) {
+    this.customerRepository = customerRepository;
+  }
+
+  /**
+   * @param {Object} requester - Usuario autenticado (`req.user`) con `id` y `rol`
+   * @param {Object} customerData - { name, documentType, documentNumber, phone?, email?, addresses?, creditLimit? }
+   * @returns {Promise<Object>} Cliente creado
+   * @throws {ValidationError} Si los datos no cumplen las reglas de la entidad
+   * @throws {ForbiddenError} Si un Vendedor intenta asignar cupo de crédito
+   */
+  async execute(requester, customerData) {
+    const { name, documentType, documentNumber, phone, email, addresses, creditLimit } = new Customer(customerData);
+
+    if(creditLimit > 0 && !isAdmin(requester)) {
+      throw new ForbiddenError("⚠️ Solo un Administrador puede asignar cupo de crédito ⚠️", {
+        code: "CREDIT_LIMIT_FORBIDDEN"
+      });
+    }
+
+    return await this.customerRepository.create({ name, documentType, documentNumber, phone, email, addresses, creditLimit });
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * DELETECUSTOMER.JS - CASO DE USO PARA ELIMINAR CLIENTES
+ * ======================================================
+ *
+ * Elimina un cliente solo si no tiene pedidos: borrarlo dejaría esos
+ * pedidos apuntando a un cliente inexistente y sin historial de compras.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import ConflictError from "../../../domain/errors/ConflictError.js";
+
+export default class DeleteCustomer {
+  /**
+   * @param {Object} customerRepository - Repositorio de clientes
+   * @param {Object} orderRepository - Repositorio de pedidos (existsByCustomerId)
+   */
+  constructor(customerRepository, orderRepository) {
+    this.customerRepository = customerRepository;
+    this.orderRepository = orderRepository;
+  }
+
+  /**
+   * @param {string} id - ID del cliente
+   * @returns {Promise<Object|null>} Cliente eliminado o null si no existe
+   * @throws {ConflictError} Si el cliente tiene pedidos (código CUSTOMER_IN_USE)
+   */
+  async execute(id) {
+    if(await this.orderRepository.existsByCustomerId(id)) {
+      throw new ConflictError("⚠️ El cliente tiene pedidos y no se puede eliminar ⚠️", {
+        code: "CUSTOMER_IN_USE",
+        details: { customerId: id }
+      });
+    }
+
+    return await this.customerRepository.delete(id);
+  }
+}
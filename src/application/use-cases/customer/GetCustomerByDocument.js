@@ -0,0 +1,34 @@
+/**
+ * GETCUSTOMERBYDOCUMENT.JS - CASO DE USO PARA BUSCAR UN CLIENTE POR DOCUMENTO
+ * ===========================================================================
+ *
+ * Búsqueda del punto de venta: el vendedor escribe o escanea el documento
+ * del cliente tal como viene ("900.123.456-7", "1 020 304 050") y se
+ * normaliza igual que al registrarlo.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import { normalizeDocumentNumber } from "../../../domain/constants/documentTypes.js";
+
+export default class GetCustomerByDocument {
+  /**
+   * @param {Object} customerRepository - Repositorio de clientes (findByDocumentNumber)
+   */
+  constructor(customerRepository) {
+    this.customerRepository = customerRepository;
+  }
+
+  /**
+   * @param {string} documentNumber - Número de documento, con o sin puntos
+   * @returns {Promise<Object|null>} Cliente o null si no existe
+   *
+   * @example
+   * const customer = await new GetCustomerByDocument(customerRepository).execute("900.123.456-7");
+   * // busca "900123456-7"
+   */
+  async execute(documentNumber) {
+    return await this.customerRepository.findByDocumentNumber(normalizeDocumentNumber(documentNumber));
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * GETCUSTOMERBYID.JS - CASO DE USO PARA OBTENER UN CLIENTE
+ * ========================================================
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class GetCustomerById {
+  /**
+   * @param {Object} customerRepository - Repositorio de clientes
+   */
+  constructor(customerRepository) {
+    this.customerRepository = customerRepository;
+  }
+
+  /**
+   * @param {string} id - ID del cliente
+   * @returns {Promise<Object|null>} Cliente o null si no existe
+   */
+  async execute(id) {
+    return await this.customerRepository.findById(id);
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * GETCUSTOMERORDERS.JS - CASO DE USO PARA EL HISTORIAL DE COMPRAS DE UN CLIENTE
+ * =============================================================================
+ *
+ * Devuelve una página de los pedidos de un cliente, con los mismos
+ * filtros y orden que el listado de pedidos (`GET /api/order`).
+ *
+ * Igual que en `GetOrder`, un Vendedor solo ve los pedidos que él
+ * registró; el Administrador ve todos los del cliente.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import { isAdmin } from "../../../domain/constants/roles.js";
+
+// Primera página, 20 elementos, sin filtros
+const DEFAULT_CRITERIA = { page: 1, limit: 20, cursor: null, sort: [], filters: [] };
+
+export default class GetCustomerOrders {
+  /**
+   * @param {Object} customerRepository - Repositorio de clientes (findById)
+   * @param {Object} orderRepository - Repositorio de pedidos (findPaginated(criteria, scope))
+   */
+  constructor(customerRepository, orderRepository) {
+    this.customerRepository = customerRepository;
+    this.orderRepository = orderRepository;
+  }
+
+  /**
+   * @param {Object} requester - Usuario autenticado (`req.user`) con `id` y `rol`
+   * @param {string} customerId - ID del cliente
+   * @param {Object} [criteria] - { page, limit, cursor, sort, filters }
+   * @returns {Promise<Object|null>} { data, total, nextCursor } o null si el cliente no existe
+   */
+  async execute(requester, customerId, criteria = {}) {
+    const customer = await this.customerRepository.findById(customerId);
+    if(!customer) return null;
+
+    const scope = isAdmin(requester) ? { customerId: customer._id } : { customerId: customer._id, userId: requester.id };
+    return await this.orderRepository.findPaginated({ ...DEFAULT_CRITERIA, ...criteria }, scope);
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * UPDATECUSTOMER.JS - CASO DE USO PARA ACTUALIZAR CLIENTES
+ * ========================================================
+ *
+ * Reemplaza los datos de un cliente. Los datos completos pasan por
+ * la entidad `Customer`, igual que al crearlo.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import Customer from "../../../domain/entities/Customer.js";
+
+export default class UpdateCustomer {
+  /**
+   * @param {Object} customerRepository - Repositorio de clientes
+   */
+  constructor(customerRepository) {
+    this.customerRepository = customerRepository;
+  }
+
+  /**
+   * @param {string} id - ID del cliente
+   * @param {Object} customerData - Datos completos del cliente
+   * @returns {Promise<Object|null>} Cliente actualizado o null si no existe
+   * @throws {ValidationError} Si los datos no cumplen las reglas de la entidad
+   */
+  async execute(id, customerData) {
+    const { name, documentType, documentNumber, phone, email, addresses, creditLimit } = new Customer(customerData);
+    return await this.customerRepository.update(id, { name, documentType, documentNumber, phone, email, addresses, creditLimit });
+  }
+}
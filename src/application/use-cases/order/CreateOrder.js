@@ -7,17 +7,55 @@
  * de inventario en tiempo real.
  * 
  * Funcionalidades principales:
- * - Validación de existencia de productos
+ * - Validación de existencia de productos y del cliente (si se indica)
  * - Verificación de stock disponible
- * - Actualización automática de inventario (descuenta stock)
- * - Cálculo automático de subtotales y total del pedido
+ * - Reserva automática de inventario (aparta stock) salvo en borradores
+ * - Promociones vigentes y descuentos manuales de línea y de pedido (ver `DiscountService`)
+ * - Canje de un cupón opcional, con sus límites de uso (ver `CouponService`)
+ * - Cálculo automático de subtotales, IVA y total del pedido (ver `TaxService`)
+ * - Copia del precio y del costo actuales del producto en cada detalle
  * - Creación transaccional de pedido y detalles
+ * - Asignación del número legible del pedido (ej. PED-2026-000123)
+ * 
+ * ATOMICIDAD:
+ * Todo el flujo (verificar stock, descontarlo, crear el pedido y crear
+ * sus detalles) se ejecuta dentro de una única transacción de MongoDB.
+ * Si falla cualquier paso (producto inexistente, stock insuficiente,
+ * error al insertar detalles...), no queda ningún cambio aplicado.
+ * 
+ * ESTADO INICIAL:
+ * Un pedido nace como "pending" (reserva stock) o, si se indica, como
+ * "draft" (no toca inventario hasta pasar a "pending"). La creación
+ * queda registrada como primera entrada de `statusHistory`.
+ * 
+ * DESCUENTOS:
+ * Se calculan antes del IVA: la base y el impuesto de cada línea ya
+ * descuentan la promoción y los descuentos manuales. Si los manuales
+ * superan el umbral configurado, solo un Administrador puede crear el
+ * pedido y queda registrado como quien los aprobó.
+ * 
+ * CUPONES:
+ * El cupón se valida, se reparte entre las líneas elegibles y se canjea
+ * en la misma transacción que crea el pedido; si el pedido falla, el
+ * canje no cuenta. También los borradores lo canjean: así el límite de
+ * usos no se pasa entre que se arma el borrador y se confirma. Cancelar
+ * el pedido (ver `UpdateOrder`) libera el canje.
  * 
  * Patrón de diseño: Clean Architecture / Use Case Pattern
  * Principio SOLID: Dependency Injection
  */
 
 import Order from "../../../domain/entities/Order.js";
+import InvalidOrderStateError from "../../../domain/errors/InvalidOrderStateError.js";
+import NotFoundError from "../../../domain/errors/NotFoundError.js";
+import { ORDER_STATUS, STOCK_PHASE, stockPhaseOf } from "../../../domain/constants/orderStatus.js";
+import { ORDER_FIELDS, ORDER_LINES_RULE } from "../../../domain/constants/fieldRules.js";
+import { sumOrderTaxes } from "../../../domain/constants/taxRates.js";
+import { sumMoney } from "../../../domain/constants/money.js";
+import { assertValid } from "../../../domain/validation/validator.js";
+
+// Estados con los que se puede crear un pedido
+const INITIAL_STATUSES = [ORDER_STATUS.DRAFT, ORDER_STATUS.PENDING];
 
 /**
  * CLASE CREATEORDER - CASO DE USO
@@ -38,41 +76,123 @@ export default class CreateOrder {
    * @param {Object} orderRepository - Repositorio para operaciones CRUD de pedidos
    * @param {Object} orderDetailsRepository - Repositorio para detalles de pedidos
    * @param {Object} productRepository - Repositorio para gestión de productos y stock
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
+   * @param {Object} stockService - Servicio de cambios de stock con registro en kardex
+   * @param {Object} taxService - Servicio que calcula el IVA de cada línea
+   * @param {Object} discountService - Servicio que aplica promociones y descuentos
+   * @param {Object} [customerRepository] - Repositorio de clientes (pedidos con `customerId`)
+   * @param {Object} [orderNumberService] - Servicio que emite el número legible del pedido
+   * @param {Object} [couponService] - Servicio que valida y canjea cupones (pedidos con `couponCode`)
    */
-  constructor(orderRepository, orderDetailsRepository, productRepository) {
+  constructor(
+    orderRepository,
+    orderDetailsRepository,
+    productRepository,
+    transactionManager,
+    stockService,
+    taxService,
+    discountService,
+    customerRepository = null,
+    orderNumberService = null,
+    couponService = null
+  ) {
     this.orderRepository = orderRepository;
     this.orderDetailsRepository = orderDetailsRepository;
     this.productRepository = productRepository;
+    this.transactionManager = transactionManager;
+    this.stockService = stockService;
+    this.customerRepository = customerRepository;
+    this.orderNumberService = orderNumberService;
+    this.taxService = taxService;
+    this.discountService = discountService;
+    this.couponService = couponService;
   }
 
   /**
    * EXECUTE - MÉTODO PRINCIPAL DE EJECUCIÓN
    * =======================================
    * 
-   * Ejecuta todo el proceso de creación de un pedido siguiendo estos pasos:
+   * Ejecuta todo el proceso de creación de un pedido, dentro de una
+   * transacción, siguiendo estos pasos:
    * 
-   * 1. Separación de datos del pedido y sus detalles
-   * 2. Validación de productos y stock para cada detalle
-   * 3. Actualización automática del stock (descuento)
-   * 4. Cálculo de subtotales y total del pedido
-   * 5. Creación del pedido principal
+   * 1. Separación de datos del pedido y sus detalles (y validación de las líneas)
+   * 2. Validación de productos para cada detalle
+   * 3. Promociones, cupón, descuentos (con su aprobación) y cálculo de
+   *    base, IVA y total de cada línea y del pedido
+   * 4. Canje del cupón y creación del pedido principal con su número consecutivo
+   * 5. Reserva automática del stock (excepto borradores)
    * 6. Creación de todos los detalles del pedido
    * 
    * @param {Object} orderData - Datos completos del pedido
    * @param {Array} orderData.details - Array de detalles del pedido
    * @param {string} orderData.userId - ID del usuario que realiza el pedido
-   * @param {boolean} orderData.status - Estado inicial del pedido
+   * @param {string} [orderData.customerId] - ID del cliente que compra
+   * @param {string} [orderData.status] - Estado inicial: "pending" (por defecto) o "draft"
+   * @param {Object} [orderData.discount] - Descuento manual del pedido { type, value }
+   * @param {string} [orderData.couponCode] - Código de un cupón a canjear
+   * @param {Object} [requester] - Usuario autenticado (`req.user`): decide si puede aprobar descuentos
    * 
    * @returns {Object} Objeto con el pedido creado y sus detalles
-   * @throws {Error} Si un producto no existe o no hay stock suficiente
+   * @throws {ValidationError} Si `details` no es una lista no vacía de { productId, amount, discount? } con cantidades enteras positivas, o un descuento no es válido
+   * @throws {ForbiddenError} Si los descuentos manuales superan el umbral y quien crea el pedido no es Administrador
+   * @throws {InvalidOrderStateError} Si el estado inicial no es "draft" ni "pending"
+   * @throws {InsufficientStockError} Si algún producto no tiene stock suficiente
+   * @throws {NotFoundError} Si un producto, el cliente o el cupón no existen
+   * @throws {ConflictError} Si el cupón no está vigente, no aplica al pedido o se agotaron sus canjes
    */
-  async execute(orderData) {
+  async execute(orderData, requester = null) {
     // Separación de detalles del pedido y datos principales
-    const { details, ...orderHeaderData } = orderData;
+    const { details, couponCode = null, ...orderHeaderData } = orderData;
 
-    // Variables para el cálculo del total y validación de detalles
-    let orderTotal = 0;
+    // Al menos una línea, cada una con producto y cantidad entera positiva
+    assertValid({ details: ORDER_LINES_RULE }, { details });
+    details.forEach((detail, index) => this.discountService.assertValidDiscount(detail.discount, `details[${index}].discount`));
+    this.discountService.assertValidDiscount(orderHeaderData.discount, "discount");
+    assertValid({ couponCode: ORDER_FIELDS.couponCode }, { couponCode });
+
+    const initialStatus = orderHeaderData.status ?? ORDER_STATUS.PENDING;
+    if(!INITIAL_STATUSES.includes(initialStatus)) {
+      throw new InvalidOrderStateError({
+        from: null,
+        to: initialStatus,
+        allowed: INITIAL_STATUSES,
+        message: "⚠️ Un pedido solo puede crearse como borrador o pendiente ⚠️"
+      });
+    }
+    orderHeaderData.status = initialStatus;
+
+    // Todas las lecturas y escrituras usan la misma sesión transaccional
+    return await this.transactionManager.run(
+      (session) => this.createWithinTransaction(details, { ...orderHeaderData, couponCode }, session, requester)
+    );
+  }
+
+  /**
+   * CREACIÓN DENTRO DE LA TRANSACCIÓN
+   * =================================
+   * 
+   * Contiene los pasos 2 a 6 de `execute`. Cualquier excepción lanzada
+   * aquí aborta la transacción y revierte las reservas de stock ya hechas.
+   * 
+   * @param {Array} details - Detalles solicitados ({ productId, amount, discount? })
+   * @param {Object} orderHeaderData - Datos principales del pedido (con `couponCode`, si lo hay)
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @param {Object} [requester] - Usuario autenticado, para aprobar descuentos
+   * @returns {Object} Objeto con el pedido creado y sus detalles
+   */
+  async createWithinTransaction(details, { couponCode = null, ...orderHeaderData }, session, requester = null) {
+    // Detalles validados, con sus precios e IVA calculados
     const verifiedDetails = [];
+    const reservesStock = stockPhaseOf(orderHeaderData.status) === STOCK_PHASE.RESERVED;
+
+    // El cliente es opcional, pero si se indica debe existir
+    const { customerId } = orderHeaderData;
+    if(customerId && !(await this.customerRepository.findById(customerId, session))) {
+      throw new NotFoundError(`❌ El cliente con ID ${customerId} no existe ❌`, {
+        code: "CUSTOMER_NOT_FOUND",
+        details: { customerId }
+      });
+    }
 
     /**
      * VALIDACIÓN Y PROCESAMIENTO DE CADA DETALLE
@@ -80,53 +200,70 @@ export default class CreateOrder {
      * 
      * Para cada producto en el pedido se realiza:
      * - Verificación de existencia del producto
-     * - Validación de stock disponible
-     * - Actualización del inventario (descuento de stock)
-     * - Cálculo de precios y subtotales
+     * - Promoción y descuentos de la línea (todas a la vez: el descuento
+     *   del pedido se reparte entre ellas)
+     * - Cálculo de precio, IVA y subtotal de la línea
+     * 
+     * La reserva de stock se hace después de crear el pedido, para que
+     * cada movimiento del kardex quede enlazado a su pedido de origen.
      */
+    const products = [];
     for(const detail of details) {
       // Búsqueda del producto en la base de datos
-      const product = await this.productRepository.findById(detail.productId);
+      const product = await this.productRepository.findById(detail.productId, session);
 
       // Validación: El producto debe existir
       if(!product) {
-        throw new Error(`El producto con ID ${detail.productId} no encontrado`);
+        throw new NotFoundError(`❌ El producto con ID ${detail.productId} no existe ❌`, {
+          code: "PRODUCT_NOT_FOUND",
+          details: { productId: detail.productId }
+        });
       }
 
-      // Validación: Debe haber stock suficiente para la cantidad solicitada
-      if(product.stock < detail.amount) {
-        throw new Error(` ⚠️ Stock insuficiente. Stock actual: ${product.stock}, Stock solicitado: ${detail.amount} ⚠️`);
-      }
+      products.push(product);
+    }
 
-      /**
-       * ACTUALIZACIÓN AUTOMÁTICA DE STOCK
-       * =================================
-       * 
-       * Se descuenta el stock inmediatamente al crear el pedido.
-       * El valor negativo indica una reducción del inventario.
-       * Esto asegura que el stock se mantenga actualizado en tiempo real.
-       */
-      const stockChange = detail.amount * -1;
-      await this.productRepository.updateStock(detail.productId, stockChange);
+    // El cupón se valida aquí, pero su canje se cuenta justo antes de crear el pedido
+    const coupon = couponCode
+      ? await this.couponService.findApplicable(couponCode, { customerId }, session)
+      : null;
+
+    const discountedLines = await this.discountService.discountLines(
+      details.map((detail, index) => ({ product: products[index], amount: detail.amount, discount: detail.discount })),
+      { orderDiscount: orderHeaderData.discount, coupon },
+      session
+    );
+    const discountApprovedBy = this.discountService.authorize(discountedLines, requester);
+
+    for(const [index, detail] of details.entries()) {
+      const product = products[index];
+      const { grossAmount, discountAmount, discounts } = discountedLines[index];
 
       /**
        * CÁLCULOS FINANCIEROS
        * ===================
        * 
        * Se toma el precio actual del producto (no el enviado por el cliente)
-       * para evitar manipulaciones de precios desde el frontend.
+       * para evitar manipulaciones de precios desde el frontend. La tarifa
+       * de IVA es la del producto, la de su categoría o la por defecto,
+       * y se aplica sobre el valor ya descontado.
        */
-      const verifiedUnitPrice = product.price;
-      const verifiedSubtotal = verifiedUnitPrice * detail.amount;
-      orderTotal += verifiedSubtotal;
+      const pricedLine = await this.taxService.priceLine(product, detail.amount, discountAmount, session);
+
+      // Costo promedio del producto hoy: base del margen bruto de la línea
+      // (null si el costo es desconocido; el reporte de margen lo separa)
+      const unitCostSnapshot = product.cost ?? null;
 
       // Preparación del detalle verificado para guardar
       verifiedDetails.push({
         orderId: null, // Se asignará después de crear el pedido principal
         productId: detail.productId,
         amount: detail.amount,
-        unitPrice: verifiedUnitPrice,
-        subtotal: verifiedSubtotal
+        ...pricedLine,
+        unitCost: unitCostSnapshot,
+        grossAmount,
+        discountAmount,
+        discounts
       });
     }
 
@@ -134,20 +271,67 @@ export default class CreateOrder {
      * CREACIÓN DEL PEDIDO PRINCIPAL
      * ============================
      * 
-     * Se crea la entidad Order con el total calculado automáticamente
-     * basado en los precios actuales de los productos.
+     * Se crea la entidad Order con base, IVA y total calculados
+     * automáticamente a partir de sus líneas.
      */
-    const order = new Order({ ...orderHeaderData, total: orderTotal });
+    const { subtotal, taxTotal, total } = sumOrderTaxes(verifiedDetails);
+    const discountTotal = sumMoney(verifiedDetails.map((detail) => detail.discountAmount));
+    const orderCoupon = coupon ? { couponId: coupon._id, code: coupon.code, redeemed: true } : null;
+    const order = new Order({ ...orderHeaderData, subtotal, taxTotal, total, discountTotal, discountApprovedBy, coupon: orderCoupon });
+
+    // Canje atómico: respeta el límite por cliente y el global aunque
+    // otros pedidos usen el mismo cupón al mismo tiempo
+    if(coupon) {
+      await this.couponService.redeem(coupon._id, customerId, session);
+    }
+
+    // El número se pide dentro de la transacción: si algo falla después
+    // (ej. stock insuficiente), el contador vuelve atrás y la serie no deja huecos
+    const number = this.orderNumberService
+      ? await this.orderNumberService.next(new Date(), session)
+      : undefined;
+
     const orderToSave = {
+      number,
       userId: order.userId,
-      total: orderTotal,
-      status: order.status
+      customerId: order.customerId,
+      subtotal,
+      taxTotal,
+      total,
+      discount: order.discount,
+      discountTotal,
+      discountApprovedBy,
+      coupon: order.coupon,
+      status: order.status,
+      statusHistory: [{ from: null, to: order.status, by: order.userId }]
     };
 
     // Persistencia del pedido en la base de datos
-    const newOrder = await this.orderRepository.create(orderToSave);
+    const newOrder = await this.orderRepository.create(orderToSave, session);
     const orderId = newOrder._id;
 
+    /**
+     * VALIDACIÓN Y RESERVA ATÓMICA DE STOCK
+     * =====================================
+     * 
+     * Se reserva el stock de cada línea, pero solo si quedan unidades
+     * suficientes. La verificación y la reserva son una única operación
+     * atómica: dos vendedores pidiendo la última unidad al mismo tiempo
+     * no pueden pasar ambos la validación. Cada reserva queda registrada
+     * en el kardex como venta. Los borradores no reservan nada.
+     */
+    if(reservesStock) {
+      for(const detail of verifiedDetails) {
+        await this.stockService.reserve({
+          productId: detail.productId,
+          amount: detail.amount,
+          sourceId: orderId,
+          sourceType: "Order",
+          userId: order.userId
+        }, session);
+      }
+    }
+
     /**
      * CREACIÓN DE LOS DETALLES DEL PEDIDO
      * ==================================
@@ -161,7 +345,7 @@ export default class CreateOrder {
     }));
 
     // Creación en lote de todos los detalles del pedido
-    const newDetails = await this.orderDetailsRepository.createMany(detailsToSave);
+    const newDetails = await this.orderDetailsRepository.createMany(detailsToSave, session);
 
     /**
      * RETORNO DEL RESULTADO
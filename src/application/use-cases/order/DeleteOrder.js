@@ -1,80 +1,145 @@
 /**
  * DELETEORDER.JS - CASO DE USO PARA ELIMINACIÓN DE PEDIDOS
  * ========================================================
- * 
+ *
  * Este caso de uso maneja la lógica de eliminación de pedidos
  * del sistema. Implementa el patrón Clean Architecture para
  * mantener la separación de responsabilidades.
- * 
+ *
  * Funcionalidades:
- * - Eliminación de pedidos por ID
- * - Abstracción de la capa de persistencia
- * - Implementación del patrón Use Case
- * 
- * IMPORTANTE: Este caso de uso realiza eliminación directa.
- * Para un sistema de producción, considerar:
- * - Eliminación lógica (soft delete) en lugar de física
- * - Validación de permisos de usuario
- * - Verificación de estado del pedido antes de eliminar
- * - Restauración del stock si el pedido tenía status: true
- * 
+ * - Eliminación del pedido y de todos sus detalles (en cascada)
+ * - Liberación del stock reservado si el pedido seguía activo
+ * - Liberación del canje del cupón, si el pedido lo tenía contado
+ * - Bloqueo de pedidos cuya mercancía ya salió del almacén
+ *
+ * REGLAS DE STOCK (según la fase del estado actual):
+ * - none (draft, cancelled, returned): No se toca el inventario
+ * - reserved (pending, confirmed, preparing): Se LIBERA la reserva de
+ *   cada línea y el movimiento queda en el kardex
+ * - committed (shipped, delivered): No se puede eliminar; el pedido
+ *   debe pasar antes a "returned"
+ *
+ * ATOMICIDAD:
+ * La liberación de stock, el borrado de los detalles y el del pedido se
+ * ejecutan en una única transacción: si falla cualquier paso, no queda
+ * ningún cambio aplicado ni detalles huérfanos.
+ *
  * Patrón de diseño: Clean Architecture / Use Case Pattern
- * Principio SOLID: Single Responsibility Principle
+ * Principio SOLID: Single Responsibility + Dependency Injection
  */
 
+import InvalidOrderStateError from "../../../domain/errors/InvalidOrderStateError.js";
+import {
+  ORDER_STATUS,
+  STOCK_PHASE,
+  allowedTransitions,
+  isDeletableStatus,
+  stockPhaseOf
+} from "../../../domain/constants/orderStatus.js";
+
 /**
  * CLASE DELETEORDER - CASO DE USO
  * ===============================
- * 
- * Caso de uso simple que encapsula la lógica de eliminación
- * de pedidos. Sigue el principio de responsabilidad única
- * al enfocarse únicamente en la eliminación.
+ *
+ * Coordina pedidos, detalles y stock para que eliminar un pedido
+ * no deje inventario apartado ni detalles sin pedido.
  */
 export default class DeleteOrder {
   /**
    * CONSTRUCTOR
    * ===========
-   * 
-   * Inicializa el caso de uso con la dependencia del repositorio
-   * de pedidos mediante inyección de dependencias.
-   * 
+   *
    * @param {Object} orderRepository - Repositorio para operaciones CRUD de pedidos
-   *                                 Debe implementar el método delete(id)
+   * @param {Object} orderDetailsRepository - Repositorio para detalles de pedidos
+   * @param {Object} stockService - Servicio de cambios de stock con registro en kardex
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
+   * @param {Object} [couponService] - Servicio de canjes de cupones (pedidos con cupón)
    */
-  constructor(orderRepository) {
+  constructor(orderRepository, orderDetailsRepository, stockService, transactionManager, couponService = null) {
     this.orderRepository = orderRepository;
+    this.orderDetailsRepository = orderDetailsRepository;
+    this.stockService = stockService;
+    this.transactionManager = transactionManager;
+    this.couponService = couponService;
   }
 
   /**
    * EXECUTE - MÉTODO PRINCIPAL DE EJECUCIÓN
    * =======================================
-   * 
-   * Ejecuta la eliminación de un pedido específico por su ID.
-   * 
-   * Proceso:
-   * 1. Recibe el ID del pedido a eliminar
-   * 2. Delega la eliminación al repositorio correspondiente
-   * 3. Retorna el resultado de la operación
-   * 
-   * CONSIDERACIONES DE NEGOCIO:
-   * - Si el pedido tenía status: true, el stock YA fue descontado
-   * - Si el pedido tenía status: false, el stock YA fue restaurado
-   * - En un sistema real, podría ser necesario manejar la restauración
-   *   del stock si se elimina un pedido con status: true
-   * 
+   *
+   * Ejecuta la eliminación de un pedido, dentro de una transacción:
+   *
+   * 1. Verificación de existencia y de que el estado permite eliminarlo
+   * 2. Liberación del stock reservado (solo en fase reserved) y del cupón
+   * 3. Eliminación de los detalles del pedido
+   * 4. Eliminación del pedido
+   *
    * @param {string} id - ID único del pedido a eliminar
-   * 
-   * @returns {Promise<Object>} Resultado de la operación de eliminación
-   *                           El formato depende de la implementación del repositorio
-   * 
-   * @throws {Error} Si el pedido no existe o hay errores en la base de datos
-   * 
+   * @param {string} [actorId] - ID del usuario que elimina el pedido (kardex)
+   *
+   * @returns {Promise<Object|null>} { order, details } eliminados o null si no existe
+   *
+   * @throws {InvalidOrderStateError} Si el pedido está despachado o entregado
+   *
    * @example
-   * // Uso típico del caso de uso
-   * const deleteOrder = new DeleteOrder(orderRepository);
-   * const result = await deleteOrder.execute("64a1b2c3d4e5f6789abcdef0");
+   * const deleteOrder = new DeleteOrder(orderRepo, detailsRepo, stockService, transactionManager);
+   * const result = await deleteOrder.execute("64a1b2c3d4e5f6789abcdef0", req.user.id);
+   */
+  async execute(id, actorId = null) {
+    return await this.transactionManager.run(
+      (session) => this.deleteWithinTransaction(id, actorId, session)
+    );
+  }
+
+  /**
+   * ELIMINACIÓN DENTRO DE LA TRANSACCIÓN
+   * ====================================
+   *
+   * Contiene los pasos 1 a 4 de `execute`, usando la misma sesión en
+   * todas las lecturas y escrituras.
+   *
+   * @param {string} id - ID único del pedido a eliminar
+   * @param {string|null} actorId - ID del usuario que elimina el pedido
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} { order, details } eliminados o null si no existe
    */
-  async execute(id) {
-    return await this.orderRepository.delete(id);
+  async deleteWithinTransaction(id, actorId, session) {
+    const order = await this.orderRepository.findById(id, session);
+    if(!order) return null;
+
+    if(!isDeletableStatus(order.status)) {
+      throw new InvalidOrderStateError({
+        from: order.status,
+        to: ORDER_STATUS.RETURNED,
+        allowed: allowedTransitions(order.status),
+        message: `⚠️ No se puede eliminar un pedido en estado "${order.status}"; primero debe devolverse ⚠️`
+      });
+    }
+
+    const details = await this.orderDetailsRepository.findAllByOrderId(id, session);
+
+    // El pedido aún ocupa inventario: se devuelve al stock disponible
+    if(stockPhaseOf(order.status) === STOCK_PHASE.RESERVED) {
+      for(const detail of details) {
+        await this.stockService.release({
+          productId: detail.productId,
+          amount: detail.amount,
+          sourceId: order._id,
+          sourceType: "Order",
+          userId: actorId,
+          note: "Pedido eliminado"
+        }, session);
+      }
+    }
+
+    // Un pedido eliminado no cuenta para los límites de su cupón
+    if(order.coupon?.redeemed && this.couponService) {
+      await this.couponService.release(order.coupon.couponId, session);
+    }
+
+    await this.orderDetailsRepository.deleteAllByOrderId(id, session);
+    await this.orderRepository.delete(id, session);
+
+    return { order, details };
   }
-}
\ No newline at end of file
+}
@@ -7,7 +7,8 @@
  * mantener la separación entre lógica de negocio y persistencia.
  * 
  * Funcionalidades:
- * - Obtención de todos los pedidos del sistema
+ * - Obtención de todos los pedidos del sistema (Administrador)
+ * - Obtención de los pedidos propios (Vendedor)
  * - Abstracción de la capa de persistencia
  * - Implementación del patrón Use Case
  * 
@@ -27,6 +28,11 @@
  * Principio SOLID: Single Responsibility Principle
  */
 
+import { isAdmin } from "../../../domain/constants/roles.js";
+
+// Primera página, 20 elementos, sin filtros
+const DEFAULT_CRITERIA = { page: 1, limit: 20, cursor: null, sort: [], filters: [] };
+
 /**
  * CLASE GETORDER - CASO DE USO
  * ============================
@@ -44,7 +50,7 @@ export default class GetOrder {
    * de pedidos mediante inyección de dependencias.
    * 
    * @param {Object} orderRepository - Repositorio para operaciones CRUD de pedidos
-   *                                 Debe implementar el método findAll()
+   *                                 Debe implementar findPaginated(criteria, scope)
    */
   constructor(orderRepository) {
     this.orderRepository = orderRepository;
@@ -54,18 +60,20 @@ export default class GetOrder {
    * EXECUTE - MÉTODO PRINCIPAL DE EJECUCIÓN
    * =======================================
    * 
-   * Ejecuta la recuperación de todos los pedidos almacenados en el sistema.
+   * Ejecuta la recuperación de una página de pedidos.
    * 
    * Proceso:
-   * 1. Delega la consulta al repositorio de pedidos
-   * 2. Retorna todos los pedidos encontrados
+   * 1. Si quien consulta es Administrador, consulta todos los pedidos
+   * 2. Si es Vendedor, restringe la consulta a los pedidos que registró
+   *    (los filtros del cliente no pueden ampliar ese alcance)
+   * 3. Retorna la página y el total de pedidos que cumplen los filtros
    * 
    * ESTRUCTURA TÍPICA DE RESPUESTA:
    * Cada pedido incluye campos como:
    * - _id: ID único del pedido
    * - userId: ID del usuario que realizó el pedido
    * - total: Monto total del pedido
-   * - status: Estado del pedido (true/false)
+   * - status: Estado del ciclo de vida (draft, pending, confirmed...)
    * - createdAt: Fecha de creación
    * - updatedAt: Fecha de última actualización
    * 
@@ -74,8 +82,11 @@ export default class GetOrder {
    * - Los detalles del pedido se obtienen por separado vía OrderDetails
    * - El estado (status) determina si el stock fue descontado o no
    * 
-   * @returns {Promise<Array>} Array con todos los pedidos del sistema
-   *                          Cada elemento es un objeto pedido completo
+   * @param {Object} requester - Usuario autenticado (`req.user`) con `id` y `rol`
+   * @param {Object} [criteria] - { page, limit, cursor, sort, filters }
+   * 
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   *                          `data` contiene los pedidos visibles de la página
    * 
    * @throws {Error} Si hay errores de conexión a la base de datos
    *                o problemas en la consulta
@@ -83,21 +94,26 @@ export default class GetOrder {
    * @example
    * // Uso típico del caso de uso
    * const getOrder = new GetOrder(orderRepository);
-   * const allOrders = await getOrder.execute();
+   * const page = await getOrder.execute(req.user, { page: 1, limit: 20 });
    * 
    * // Resultado esperado:
-   * // [
-   * //   {
-   * //     _id: "64a1b2c3d4e5f6789abcdef0",
-   * //     userId: "64a1b2c3d4e5f6789abcdef1",
-   * //     total: 150.50,
-   * //     status: true,
-   * //     createdAt: "2024-01-15T10:30:00Z"
-   * //   },
-   * //   ...más pedidos
-   * // ]
+   * // {
+   * //   data: [
+   * //     {
+   * //       _id: "64a1b2c3d4e5f6789abcdef0",
+   * //       userId: "64a1b2c3d4e5f6789abcdef1",
+   * //       total: 15050,
+   * //       status: "pending",
+   * //       createdAt: "2024-01-15T10:30:00Z"
+   * //     },
+   * //     ...más pedidos
+   * //   ],
+   * //   total: 57,
+   * //   nextCursor: null
+   * // }
    */
-  async execute() {
-    return await this.orderRepository.findAll();
+  async execute(requester, criteria = {}) {
+    const scope = isAdmin(requester) ? {} : { userId: requester.id };
+    return await this.orderRepository.findPaginated({ ...DEFAULT_CRITERIA, ...criteria }, scope);
   }
 }
\ No newline at end of file
@@ -8,6 +8,7 @@
  * 
  * Funcionalidades:
  * - Obtención de un pedido específico por ID
+ * - Opcionalmente, con sus líneas y el nombre de cada producto en la misma respuesta
  * - Abstracción de la capa de persistencia
  * - Implementación del patrón Use Case
  * 
@@ -25,7 +26,7 @@
  * 
  * CONSIDERACIONES DE RENDIMIENTO:
  * - Implementar caché para pedidos consultados frecuentemente
- * - Considerar incluir datos relacionados (populate) si es necesario
+ * - Las líneas solo se cargan si se piden (`withItems`): una consulta más
  * 
  * Patrón de diseño: Clean Architecture / Use Case Pattern
  * Principio SOLID: Single Responsibility Principle
@@ -49,9 +50,12 @@ export default class GetOrderById {
    * 
    * @param {Object} orderRepository - Repositorio para operaciones CRUD de pedidos
    *                                 Debe implementar el método findById(id)
+   * @param {Object} [orderDetailsRepository] - Repositorio de detalles; necesario
+   *                                          solo para `withItems` (findItemsByOrderId)
    */
-  constructor(orderRepository) {
+  constructor(orderRepository, orderDetailsRepository = null) {
     this.orderRepository = orderRepository;
+    this.orderDetailsRepository = orderDetailsRepository;
   }
 
   /**
@@ -69,15 +73,15 @@ export default class GetOrderById {
    * {
    *   _id: "64a1b2c3d4e5f6789abcdef0",
    *   userId: "64a1b2c3d4e5f6789abcdef1",
-   *   total: 150.50,
-   *   status: true, // true = pedido confirmado (stock descontado)
-   *                 // false = pedido cancelado (stock restaurado)
+   *   total: 15050,
+   *   status: "confirmed", // Estado del ciclo de vida del pedido
+   *   statusHistory: [{ from: "pending", to: "confirmed", by: "64a1...", at: "..." }],
    *   createdAt: "2024-01-15T10:30:00Z",
    *   updatedAt: "2024-01-15T10:35:00Z"
    * }
    * 
    * RELACIONES DISPONIBLES:
-   * - Para obtener detalles del pedido: usar OrderDetailsRepository
+   * - Para obtener detalles del pedido: `withItems` (añade `items` con `productName`)
    * - Para obtener info del usuario: usar UserRepository con userId
    * - Para obtener info de productos: consultar via orderDetails
    * 
@@ -88,6 +92,8 @@ export default class GetOrderById {
    * 
    * @param {string} id - ID único del pedido (MongoDB ObjectId)
    *                     Formato: "64a1b2c3d4e5f6789abcdef0"
+   * @param {Object} [options]
+   * @param {boolean} [options.withItems=false] - Incluir las líneas del pedido en `items`
    * 
    * @returns {Promise<Object|null>} Objeto del pedido encontrado o null si no existe
    * 
@@ -100,12 +106,22 @@ export default class GetOrderById {
    * 
    * if (order) {
    *   console.log(`Pedido encontrado: Total $${order.total}`);
-   *   console.log(`Estado: ${order.status ? 'Confirmado' : 'Cancelado'}`);
+   *   console.log(`Estado: ${order.status}`);
    * } else {
    *   console.log('Pedido no encontrado');
    * }
+   * 
+   * @example
+   * // Pedido con sus líneas (GET /api/order/:id?include=items)
+   * const getOrderById = new GetOrderById(orderRepository, orderDetailsRepository);
+   * const order = await getOrderById.execute(id, { withItems: true });
+   * // order.items → [{ productId, productName: "Café 500 g", amount: 2, subtotal: 37000, ... }]
    */
-  async execute(id) {
-    return await this.orderRepository.findById(id);
+  async execute(id, { withItems = false } = {}) {
+    const order = await this.orderRepository.findById(id);
+    if(!order || !withItems) return order;
+
+    const items = await this.orderDetailsRepository.findItemsByOrderId(id);
+    return { ...order.toObject(), items };
   }
 }
\ No newline at end of file
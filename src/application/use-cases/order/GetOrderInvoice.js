@@ -0,0 +1,105 @@
+/**
+ * GETORDERINVOICE.JS - CASO DE USO PARA LOS DATOS DE LA FACTURA DE UN PEDIDO
+ * ==========================================================================
+ *
+ * Reúne en un solo objeto todo lo que se imprime en la factura o en el
+ * tiquete del punto de venta: encabezado del pedido, vendedor, cliente
+ * (si lo hay), líneas y totales. No genera el PDF: eso lo hace la capa de
+ * presentación (ver `presentation/utils/invoicePdf.js`).
+ *
+ * PRECIOS HISTÓRICOS:
+ * Las líneas usan el `unitPrice` y el `subtotal` guardados en cada
+ * OrderDetails, no el precio actual del producto: la factura de un
+ * pedido antiguo no cambia aunque el catálogo cambie.
+ *
+ * IVA:
+ * La factura discrimina el IVA por tarifa (una fila por cada tarifa
+ * mayor que 0, con su base y su valor). El subtotal es la suma de las
+ * bases; las líneas exentas suman a la base sin generar IVA.
+ *
+ * DESCUENTOS:
+ * Cada línea trae sus descuentos (promoción, manual o parte del descuento
+ * del pedido) con la etiqueta con que se imprimen. Las bases ya vienen
+ * descontadas; `discountTotal` es solo informativo.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import { groupTaxesByRate, sumOrderTaxes } from "../../../domain/constants/taxRates.js";
+import { sumMoney } from "../../../domain/constants/money.js";
+
+export default class GetOrderInvoice {
+  /**
+   * @param {Object} orderRepository - Repositorio de pedidos (findById)
+   * @param {Object} orderDetailsRepository - Repositorio de detalles (findItemsByOrderId)
+   * @param {Object} userRepository - Repositorio de usuarios (vendedor)
+   * @param {Object} customerRepository - Repositorio de clientes
+   */
+  constructor(orderRepository, orderDetailsRepository, userRepository, customerRepository) {
+    this.orderRepository = orderRepository;
+    this.orderDetailsRepository = orderDetailsRepository;
+    this.userRepository = userRepository;
+    this.customerRepository = customerRepository;
+  }
+
+  /**
+   * @param {string} orderId - ID del pedido
+   * @returns {Promise<Object|null>} Datos de la factura o null si el pedido no existe:
+   *   { orderId, number, status, createdAt, seller, customer, items, discountTotal, subtotal, taxes, total }
+   *
+   * @example
+   * const invoice = await new GetOrderInvoice(orderRepo, detailsRepo, userRepo, customerRepo).execute(orderId);
+   * // { number: "PED-2026-000123", seller: { name: "Ana" }, items: [...], subtotal: 4663866,
+   * //   taxes: [{ label: "IVA 19 %", rate: 19, base: 4663866, amount: 886134 }], total: 5550000, ... }
+   */
+  async execute(orderId) {
+    const order = await this.orderRepository.findById(orderId);
+    if(!order) return null;
+
+    const [details, seller, customer] = await Promise.all([
+      this.orderDetailsRepository.findItemsByOrderId(order._id),
+      order.userId ? this.userRepository.findById(order.userId) : null,
+      order.customerId ? this.customerRepository.findById(order.customerId) : null
+    ]);
+
+    const items = details.map((detail) => ({
+      productName: detail.productName ?? "Producto eliminado",
+      amount: detail.amount,
+      unitPrice: detail.unitPrice,
+      taxRate: detail.taxRate,
+      taxBase: detail.taxBase,
+      taxAmount: detail.taxAmount,
+      subtotal: detail.subtotal,
+      discountAmount: detail.discountAmount ?? 0,
+      discounts: (detail.discounts ?? []).map(({ label, amount }) => ({ label, amount }))
+    }));
+
+    const taxes = groupTaxesByRate(items)
+      .filter((group) => group.rate > 0)
+      .map((group) => ({ label: `IVA ${group.rate} %`, ...group }));
+
+    return {
+      orderId: order._id,
+      number: order.number ?? null,
+      status: order.status,
+      createdAt: order.createdAt,
+      seller: seller ? { name: seller.name, email: seller.email } : null,
+      customer: customer
+        ? {
+          name: customer.name,
+          documentType: customer.documentType,
+          documentNumber: customer.documentNumber,
+          phone: customer.phone,
+          email: customer.email,
+          address: customer.addresses?.[0] ?? null
+        }
+        : null,
+      items,
+      discountTotal: sumMoney(items.map((item) => item.discountAmount)),
+      subtotal: sumOrderTaxes(items).subtotal,
+      taxes,
+      total: order.total
+    };
+  }
+}
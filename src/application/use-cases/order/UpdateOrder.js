@@ -1,113 +1,158 @@
 /**
- * UPDATEORDER.JS - CASO DE USO PARA ACTUALIZACIÓN DE PEDIDOS
- * ==========================================================
- * 
- * Este caso de uso maneja la lógica completa de actualización de pedidos,
- * incluyendo el manejo automático de stock basado en cambios de estado.
- * Es una de las piezas más críticas del sistema ya que gestiona la 
- * integridad del inventario.
- * 
+ * UPDATEORDER.JS - CASO DE USO PARA TRANSICIONES DE ESTADO DE PEDIDOS
+ * ===================================================================
+ *
+ * Este caso de uso mueve un pedido por su ciclo de vida (ver
+ * `domain/constants/orderStatus.js`) y aplica automáticamente los
+ * efectos de cada transición sobre el inventario. Es una de las piezas
+ * más críticas del sistema ya que gestiona la integridad del inventario.
+ *
  * Funcionalidades principales:
- * - Actualización de datos del pedido
- * - Gestión automática de stock basada en cambios de estado
- * - Detección de cancelaciones y reactivaciones
- * - Restauración/descuento de inventario según el estado
+ * - Validación de la transición según el ciclo de vida
+ * - Reserva, liberación, salida y reingreso de stock según la fase
+ * - Registro de la transición en `statusHistory` (quién, cuándo, nota)
+ * - Registro de cada cambio de stock en el kardex (vía StockService)
+ * - Liberación del cupón al cancelar y nuevo canje al reabrir (vía CouponService)
  * - Validación de existencia del pedido
- * 
- * LÓGICA DE STOCK AUTOMÁTICA:
- * - Status true → false (Cancelación): Stock se SUMA (restaura inventario)
- * - Status false → true (Reactivación): Stock se RESTA (descuenta inventario)
- * - Otros cambios: No afectan el stock
- * 
+ *
+ * LÓGICA DE STOCK AUTOMÁTICA (por fase de stock):
+ * - none → reserved (ej. draft → pending, cancelled → pending): RESERVA
+ * - reserved → none (ej. pending → cancelled): LIBERA la reserva
+ * - reserved → committed (preparing → shipped): SALIDA del almacén
+ * - committed → none (shipped/delivered → returned): REINGRESO al stock
+ * - Misma fase (ej. pending → confirmed): No afecta el stock
+ *
+ * CUPONES:
+ * Cancelar un pedido con cupón libera su canje (vuelve a quedar
+ * disponible para el cliente y para el límite global). Reabrir un pedido
+ * cancelado lo canjea otra vez, con las mismas reglas que al crearlo:
+ * si el cupón ya no está vigente (desactivado o vencido) o no quedan
+ * canjes, la transición falla igual que sin stock y el pedido sigue
+ * cancelado.
+ *
+ * ATOMICIDAD:
+ * Los ajustes de stock, el canje del cupón y la actualización del pedido
+ * se ejecutan en una única transacción: si falla el ajuste de cualquier
+ * producto, ni el stock ni el pedido quedan modificados.
+ *
  * Patrón de diseño: Clean Architecture / Use Case Pattern
  * Principio SOLID: Single Responsibility + Dependency Injection
  */
 
-import Order from "../../../domain/entities/Order.js";
+import InvalidOrderStateError from "../../../domain/errors/InvalidOrderStateError.js";
+import ValidationError from "../../../domain/errors/ValidationError.js";
+import {
+  ORDER_STATUS,
+  STOCK_PHASE,
+  isValidOrderStatus,
+  allowedTransitions,
+  canTransition,
+  stockPhaseOf
+} from "../../../domain/constants/orderStatus.js";
 
 /**
  * CLASE UPDATEORDER - CASO DE USO
  * ===============================
- * 
- * Implementa la lógica completa de actualización de pedidos con
- * gestión inteligente de inventario. Coordina múltiples repositorios
+ *
+ * Implementa la máquina de estados de los pedidos con gestión
+ * inteligente de inventario. Coordina múltiples repositorios
  * para mantener la consistencia de datos.
  */
 export default class UpdateOrder {
   /**
    * CONSTRUCTOR
    * ===========
-   * 
+   *
    * Inicializa el caso de uso con todas las dependencias necesarias
    * para manejar pedidos, detalles y gestión de stock.
-   * 
+   *
    * @param {Object} orderRepository - Repositorio para operaciones CRUD de pedidos
    * @param {Object} orderDetailsRepository - Repositorio para detalles de pedidos
-   * @param {Object} productRepository - Repositorio para gestión de productos y stock
+   * @param {Object} stockService - Servicio de cambios de stock con registro en kardex
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
+   * @param {Object} [couponService] - Servicio de canjes de cupones (pedidos con cupón)
    */
-  constructor(orderRepository, orderDetailsRepository, productRepository) {
+  constructor(orderRepository, orderDetailsRepository, stockService, transactionManager, couponService = null) {
     this.orderRepository = orderRepository;
     this.orderDetailsRepository = orderDetailsRepository;
-    this.productRepository = productRepository;
+    this.stockService = stockService;
+    this.transactionManager = transactionManager;
+    this.couponService = couponService;
   }
 
   /**
    * EXECUTE - MÉTODO PRINCIPAL DE EJECUCIÓN
    * =======================================
-   * 
-   * Ejecuta la actualización de un pedido con manejo automático de stock.
-   * 
+   *
+   * Mueve un pedido a un nuevo estado con manejo automático de stock.
+   *
    * Proceso completo:
    * 1. Verificación de existencia del pedido
-   * 2. Detección de cambios de estado críticos
-   * 3. Gestión automática de stock si es necesario
-   * 4. Actualización de los datos del pedido
-   * 
-   * CASOS DE GESTIÓN DE STOCK:
-   * 
-   * CANCELACIÓN (true → false):
-   * - El pedido estaba confirmado (stock ya descontado)
-   * - Se cancela el pedido
-   * - Se RESTAURA el stock (suma las cantidades)
-   * 
-   * REACTIVACIÓN (false → true):
-   * - El pedido estaba cancelado (stock ya restaurado)
-   * - Se reactiva el pedido
-   * - Se DESCUENTA el stock nuevamente (resta las cantidades)
-   * 
+   * 2. Validación de la transición solicitada
+   * 3. Gestión automática de stock según el cambio de fase (y del cupón)
+   * 4. Actualización del estado y registro en el historial
+   *
    * @param {string} orderId - ID único del pedido a actualizar
-   * @param {Object} updateData - Datos a actualizar en el pedido
-   * @param {boolean} [updateData.status] - Nuevo estado del pedido
-   * @param {number} [updateData.total] - Nuevo total (si aplica)
-   * @param {string} [updateData.userId] - Cambio de usuario (si aplica)
-   * 
+   * @param {Object} transition - Transición solicitada
+   * @param {string} transition.status - Estado destino
+   * @param {string} [transition.note] - Comentario opcional para el historial
+   * @param {string} [actorId] - ID del usuario que realiza el cambio
+   *
    * @returns {Promise<Object|null>} Pedido actualizado o null si no existe
-   * 
-   * @throws {Error} Si hay errores en la base de datos o validaciones
-   * 
+   *
+   * @throws {InvalidOrderStateError} Si la transición no está permitida
+   * @throws {InsufficientStockError} Si al reservar algún producto no tiene stock suficiente
+   * @throws {ConflictError} Si al reabrir un pedido cancelado su cupón ya no está vigente o no tiene canjes
+   * @throws {ValidationError} Si el estado destino no existe
+   *
    * @example
-   * // Cancelar un pedido (restaura stock automáticamente)
-   * const updateOrder = new UpdateOrder(orderRepo, detailsRepo, productRepo);
+   * // Cancelar un pedido pendiente (libera el stock reservado)
+   * const updateOrder = new UpdateOrder(orderRepo, detailsRepo, stockService, transactionManager);
    * const result = await updateOrder.execute("64a1b2c3d4e5f6789abcdef0", {
-   *   status: false
-   * });
-   * 
-   * // Reactivar un pedido (descuenta stock automáticamente)
+   *   status: "cancelled",
+   *   note: "El cliente desistió"
+   * }, req.user.id);
+   *
+   * // Despachar un pedido (el stock reservado sale del almacén)
    * const result = await updateOrder.execute("64a1b2c3d4e5f6789abcdef0", {
-   *   status: true
-   * });
+   *   status: "shipped"
+   * }, req.user.id);
    */
-  async execute(orderId, updateData) {
+  async execute(orderId, transition, actorId = null) {
+    if(!transition || !isValidOrderStatus(transition.status)) {
+      throw new ValidationError("❌ Estado del pedido inválido ❌", { code: "INVALID_ORDER_STATUS" });
+    }
+
+    return await this.transactionManager.run(
+      (session) => this.updateWithinTransaction(orderId, transition, actorId, session)
+    );
+  }
+
+  /**
+   * ACTUALIZACIÓN DENTRO DE LA TRANSACCIÓN
+   * ======================================
+   *
+   * Contiene los pasos 1 a 4 de `execute`, usando la misma sesión en
+   * todas las lecturas y escrituras.
+   *
+   * @param {string} orderId - ID único del pedido a actualizar
+   * @param {Object} transition - Transición solicitada ({ status, note })
+   * @param {string|null} actorId - ID del usuario que realiza el cambio
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} Pedido actualizado o null si no existe
+   */
+  async updateWithinTransaction(orderId, transition, actorId, session) {
+    const { status: nextStatus, note } = transition;
+
     /**
      * PASO 1: VERIFICACIÓN DE EXISTENCIA
      * =================================
-     * 
+     *
      * Se obtiene el pedido actual para:
      * - Verificar que existe
      * - Conocer el estado actual (crítico para gestión de stock)
-     * - Detectar qué cambios se están realizando
      */
-    const oldOrder = await this.orderRepository.findById(orderId);
+    const oldOrder = await this.orderRepository.findById(orderId, session);
 
     // Si el pedido no existe, no se puede actualizar
     if(!oldOrder) {
@@ -115,68 +160,132 @@ export default class UpdateOrder {
     }
 
     /**
-     * PASO 2: DETECCIÓN DE CAMBIOS CRÍTICOS DE ESTADO
-     * ===============================================
-     * 
-     * Se identifican los cambios que requieren gestión de stock:
+     * PASO 2: VALIDACIÓN DE LA TRANSICIÓN
+     * ===================================
+     *
+     * Solo se permiten las transiciones definidas en el ciclo de vida
      */
-    
-    // CANCELACIÓN: De confirmado (true) a cancelado (false)
-    // Efecto: Debe restaurar el stock que fue descontado
-    const isCancellation = oldOrder.status === true && updateData.status === false;
-    
-    // REACTIVACIÓN: De cancelado (false) a confirmado (true)  
-    // Efecto: Debe descontar el stock nuevamente
-    const isReactivation = oldOrder.status === false && updateData.status === true;
+    const currentStatus = oldOrder.status;
+    if(!canTransition(currentStatus, nextStatus)) {
+      throw new InvalidOrderStateError({
+        from: currentStatus,
+        to: nextStatus,
+        allowed: allowedTransitions(currentStatus)
+      });
+    }
 
     /**
      * PASO 3: GESTIÓN AUTOMÁTICA DE STOCK
      * ===================================
-     * 
-     * Solo se ejecuta si hay cambios de estado que afecten el inventario
+     *
+     * Solo se ejecuta si la transición cambia la fase de stock
      */
-    if(isCancellation || isReactivation) {
+    const fromPhase = stockPhaseOf(currentStatus);
+    const toPhase = stockPhaseOf(nextStatus);
+
+    if(fromPhase !== toPhase) {
       // Obtener todos los detalles del pedido para saber qué productos y cantidades afectar
-      const details = await this.orderDetailsRepository.findAllByOrderId(orderId);
-
-      if(details && details.length > 0) {
-        /**
-         * CÁLCULO DEL CAMBIO DE STOCK
-         * ==========================
-         */
-        let stockChange = 0;
-
-        if(isCancellation) {
-          // Cancelación: SUMAR stock (restaurar inventario)
-          stockChange = 1;
-        } else if(isReactivation) {
-          // Reactivación: RESTAR stock (descontar inventario)
-          stockChange = -1;
-        }
-
-        /**
-         * APLICACIÓN DE CAMBIOS DE STOCK
-         * =============================
-         * 
-         * Para cada producto en el pedido, se actualiza el stock
-         * según la cantidad original y el tipo de cambio
-         */
-        for(const detail of details) {
-          // El cambio final considera la cantidad del detalle
-          const finalStockChange = detail.amount * stockChange; 
-          await this.productRepository.updateStock(detail.productId, finalStockChange);
-        }
+      const details = await this.orderDetailsRepository.findAllByOrderId(orderId, session);
+
+      for(const detail of details || []) {
+        await this.applyStockPhaseChange(detail, fromPhase, toPhase, { orderId, actorId }, session);
       }
     }
 
+    const couponChanges = await this.applyCouponChange(oldOrder, nextStatus, session);
+
     /**
      * PASO 4: ACTUALIZACIÓN DEL PEDIDO
      * ================================
-     * 
-     * Una vez gestionado el stock (si era necesario),
-     * se procede a actualizar los datos del pedido
+     *
+     * Se guarda el nuevo estado y se añade la transición al historial
      */
-    const updatedOrder = await this.orderRepository.update(orderId, updateData)
-    return updatedOrder;
+    const historyEntry = { from: currentStatus, to: nextStatus, by: actorId, at: new Date() };
+    if(note) historyEntry.note = note;
+
+    return await this.orderRepository.update(orderId, {
+      status: nextStatus,
+      ...couponChanges,
+      $push: { statusHistory: historyEntry }
+    }, session);
+  }
+
+  /**
+   * CANJE DEL CUPÓN SEGÚN LA TRANSICIÓN
+   * ===================================
+   *
+   * Libera el canje al cancelar y lo vuelve a contar al salir de
+   * "cancelled". Devuelve los campos del pedido que hay que actualizar.
+   *
+   * @param {Object} order - Pedido antes de la transición
+   * @param {string} nextStatus - Estado destino
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @returns {Promise<Object>} Cambios para el pedido (vacío si no hay cupón que mover)
+   * @throws {ConflictError} Si el cupón ya no está vigente o no tiene canjes para el cliente o en total
+   */
+  async applyCouponChange(order, nextStatus, session) {
+    const { coupon } = order;
+    if(!coupon?.couponId || !this.couponService) return {};
+
+    if(nextStatus === ORDER_STATUS.CANCELLED && coupon.redeemed) {
+      await this.couponService.release(coupon.couponId, session);
+      return { "coupon.redeemed": false };
+    }
+
+    if(order.status === ORDER_STATUS.CANCELLED && !coupon.redeemed) {
+      const redeemed = await this.couponService.redeem(coupon.couponId, order.customerId, session);
+      return redeemed ? { "coupon.redeemed": true } : {};
+    }
+
+    return {};
+  }
+
+  /**
+   * APLICACIÓN DEL CAMBIO DE FASE DE STOCK
+   * ======================================
+   *
+   * Ajusta el inventario de un detalle del pedido según la fase de
+   * origen y destino. La reserva es condicional y atómica: si algún
+   * producto ya no tiene stock suficiente, se lanza el error y la
+   * transacción completa se revierte.
+   *
+   * @param {Object} detail - Detalle del pedido ({ productId, amount })
+   * @param {string} fromPhase - Fase de stock actual
+   * @param {string} toPhase - Fase de stock destino
+   * @param {Object} context - Origen del cambio para el kardex ({ orderId, actorId })
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @throws {InsufficientStockError} Si no hay stock suficiente para reservar
+   */
+  async applyStockPhaseChange(detail, fromPhase, toPhase, context, session) {
+    const operation = {
+      productId: detail.productId,
+      amount: detail.amount,
+      sourceId: context.orderId,
+      sourceType: "Order",
+      userId: context.actorId
+    };
+
+    // Reserva: el pedido vuelve a ocupar inventario
+    if(fromPhase === STOCK_PHASE.NONE && toPhase === STOCK_PHASE.RESERVED) {
+      await this.stockService.reserve(operation, session);
+      return;
+    }
+
+    // Liberación: cancelación de un pedido aún no despachado
+    if(fromPhase === STOCK_PHASE.RESERVED && toPhase === STOCK_PHASE.NONE) {
+      await this.stockService.release(operation, session);
+      return;
+    }
+
+    // Salida: la mercancía reservada deja el almacén
+    if(fromPhase === STOCK_PHASE.RESERVED && toPhase === STOCK_PHASE.COMMITTED) {
+      await this.stockService.commit(operation, session);
+      return;
+    }
+
+    // Reingreso: devolución de mercancía ya despachada
+    if(fromPhase === STOCK_PHASE.COMMITTED && toPhase === STOCK_PHASE.NONE) {
+      await this.stockService.restock(operation, session);
+    }
   }
-}
\ No newline at end of file
+}
@@ -1,180 +1,248 @@
 /**
  * CREATEORDERDETAILS.JS - CASO DE USO PARA CREACIÓN DE DETALLES DE PEDIDO
  * =======================================================================
- * 
- * Este caso de uso maneja la creación individual de detalles de pedido,
- * que representan la relación many-to-many entre pedidos y productos.
- * Incluye cálculos automáticos de subtotales y validación de datos.
- * 
+ *
+ * Este caso de uso agrega una línea a un pedido existente, manteniendo
+ * sincronizados el stock del producto, el subtotal de la línea y los
+ * totales del pedido.
+ *
  * Funcionalidades principales:
- * - Creación de detalles de pedido individuales
- * - Cálculo automático de subtotales (unitPrice * amount)
- * - Validación y estructuración de datos
- * - Abstracción de la capa de persistencia
- * 
+ * - Validación de existencia del pedido y del producto
+ * - Validación del estado del pedido (solo borrador, pendiente o confirmado)
+ * - Copia del precio y del costo actuales del producto (no los del cliente)
+ * - Promoción vigente y descuento manual de la línea (ver `DiscountService`)
+ * - Cálculo de base, IVA y subtotal de la línea (ver `TaxService`)
+ * - Reserva del stock si el pedido ya tiene stock reservado
+ * - Actualización de base, IVA, descuento y total del pedido
+ *
+ * DESCUENTOS:
+ * El descuento del pedido (`order.discount`) se repartió entre las
+ * líneas con las que se creó; las que se agregan después no lo reciben.
+ * El umbral de aprobación se mide sobre todo el pedido (sus líneas más
+ * la nueva): si los descuentos manuales pasan a superarlo, solo un
+ * Administrador puede agregar la línea, y queda como quien los aprobó.
+ *
  * RELACIÓN EN EL MODELO DE DATOS:
  * - OrderDetails pertenece a un Order (orderId)
  * - OrderDetails pertenece a un Product (productId)
  * - Almacena cantidad, precio unitario y subtotal del momento de la compra
  * - Permite historiales de precios independientes del precio actual del producto
- * 
+ *
  * DIFERENCIA CON CREATEORDER:
  * - CreateOrder: Crea el pedido completo con múltiples detalles en lote
  * - CreateOrderDetails: Crea un detalle individual (usado para agregar productos después)
- * 
+ *
+ * ATOMICIDAD:
+ * Reserva de stock, creación del detalle y total del pedido se aplican
+ * en una única transacción: o se aplican los tres cambios o ninguno.
+ *
  * Patrón de diseño: Clean Architecture / Use Case Pattern
- * Principio SOLID: Single Responsibility Principle
+ * Principio SOLID: Single Responsibility + Dependency Injection
  */
 
 import OrderDetails from "../../../domain/entities/OrderDetails.js";
+import InvalidOrderStateError from "../../../domain/errors/InvalidOrderStateError.js";
+import NotFoundError from "../../../domain/errors/NotFoundError.js";
+import { STOCK_PHASE, isEditableStatus, stockPhaseOf } from "../../../domain/constants/orderStatus.js";
+import { ORDER_DETAIL_FIELDS, ORDER_LINE_FIELDS } from "../../../domain/constants/fieldRules.js";
+import { assertValid } from "../../../domain/validation/validator.js";
 
 /**
  * CLASE CREATEORDERDETAILS - CASO DE USO
  * ======================================
- * 
- * Maneja la creación de detalles de pedido individuales con
- * cálculos automáticos y validación de estructura de datos.
+ *
+ * Coordina pedido, producto y stock para agregar una línea
+ * sin dejar el total ni el inventario desactualizados.
  */
 export default class CreateOrderDetails {
   /**
    * CONSTRUCTOR
    * ===========
-   * 
-   * Inicializa el caso de uso con la dependencia del repositorio
-   * de detalles de pedido mediante inyección de dependencias.
-   * 
-   * @param {Object} orderDetailsRepository - Repositorio para operaciones CRUD de detalles
-   *                                        Debe implementar el método create()
+   *
+   * @param {Object} orderDetailsRepository - Repositorio para detalles de pedidos
+   * @param {Object} orderRepository - Repositorio para pedidos principales
+   * @param {Object} productRepository - Repositorio de productos (precio y costo actuales)
+   * @param {Object} stockService - Servicio de cambios de stock con registro en kardex
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
+   * @param {Object} taxService - Servicio que calcula el IVA de la línea
+   * @param {Object} discountService - Servicio que aplica promociones y descuentos
    */
-  constructor(orderDetailsRepository) {
+  constructor(orderDetailsRepository, orderRepository, productRepository, stockService, transactionManager, taxService, discountService) {
     this.orderDetailsRepository = orderDetailsRepository;
+    this.orderRepository = orderRepository;
+    this.productRepository = productRepository;
+    this.stockService = stockService;
+    this.transactionManager = transactionManager;
+    this.taxService = taxService;
+    this.discountService = discountService;
   }
 
   /**
    * EXECUTE - MÉTODO PRINCIPAL DE EJECUCIÓN
    * =======================================
-   * 
-   * Ejecuta la creación de un detalle de pedido con cálculos automáticos
-   * y validación de estructura de datos.
-   * 
-   * Proceso completo:
-   * 1. Extracción de datos principales del detalle
-   * 2. Cálculo automático del subtotal
-   * 3. Estructuración de datos completos
-   * 4. Creación de entidad OrderDetails
-   * 5. Preparación de datos para persistencia
-   * 6. Guardado en base de datos
-   * 
-   * CÁLCULOS AUTOMÁTICOS:
-   * - Subtotal = unitPrice * amount
-   * - Este cálculo asegura consistencia en los datos
-   * - Evita errores de cálculo desde el cliente
-   * 
+   *
+   * Proceso completo (dentro de una transacción):
+   * 1. Validación de existencia y estado del pedido
+   * 2. Validación de existencia del producto, descuentos y copia de su precio, costo e IVA
+   * 3. Reserva del stock (solo si el pedido está en fase reserved)
+   * 4. Creación del detalle
+   * 5. Suma de base, IVA y subtotal a los totales del pedido
+   *
    * INTEGRIDAD DE DATOS:
-   * - Se almacena el precio unitario del momento de la compra
-   * - Esto permite mantener historiales de precios
+   * - El precio unitario es el del producto al momento de agregar la línea
    * - Los cambios futuros en el precio del producto no afectan pedidos anteriores
-   * 
+   *
    * @param {Object} orderDetailsData - Datos del detalle de pedido
    * @param {string} orderDetailsData.orderId - ID del pedido al que pertenece
    * @param {string} orderDetailsData.productId - ID del producto
    * @param {number} orderDetailsData.amount - Cantidad del producto
-   * @param {number} orderDetailsData.unitPrice - Precio unitario en el momento de la compra
-   * 
+   * @param {Object} [orderDetailsData.discount] - Descuento manual de la línea { type, value }
+   * @param {Object} [requester] - Usuario que agrega la línea (kardex y aprobación del descuento)
+   *
    * @returns {Promise<Object>} Detalle de pedido creado con todos sus campos
-   * 
-   * @throws {Error} Si faltan datos requeridos o hay errores de base de datos
-   * 
+   *
+   * @throws {ValidationError} Si el pedido, el producto o la cantidad no son válidos
+   * @throws {NotFoundError} Si el pedido o el producto no existen
+   * @throws {InvalidOrderStateError} Si el pedido ya no admite cambios en sus líneas
+   * @throws {InsufficientStockError} Si no hay stock suficiente para reservar
+   * @throws {ForbiddenError} Si los descuentos manuales del pedido pasan a superar el umbral y quien agrega la línea no es Administrador
+   *
    * @example
-   * // Crear un detalle de pedido
-   * const createOrderDetails = new CreateOrderDetails(orderDetailsRepository);
-   * 
-   * const detailData = {
+   * const createOrderDetails = new CreateOrderDetails(detailsRepo, orderRepo, productRepo, stockService, transactionManager, taxService, discountService);
+   *
+   * const result = await createOrderDetails.execute({
    *   orderId: "64a1b2c3d4e5f6789abcdef0",
-   *   productId: "64a1b2c3d4e5f6789abcdef1", 
-   *   amount: 2,
-   *   unitPrice: 25.99
-   * };
-   * 
-   * const result = await createOrderDetails.execute(detailData);
-   * // Resultado incluirá subtotal: 51.98 (25.99 * 2)
-   * 
-   * @example
-   * // Caso de uso típico: Agregar producto a pedido existente
-   * const newDetail = await createOrderDetails.execute({
-   *   orderId: existingOrderId,
-   *   productId: selectedProductId,
-   *   amount: quantity,
-   *   unitPrice: currentProductPrice
-   * });
+   *   productId: "64a1b2c3d4e5f6789abcdef1",
+   *   amount: 2
+   * }, req.user);
+   * // Con el producto a 11900 IVA incluido (19 %): taxBase 20000, taxAmount 3800,
+   * // subtotal 23800; el total del pedido aumenta 23800
    */
-  async execute(orderDetailsData) {
-    /**
-     * PASO 1: EXTRACCIÓN DE DATOS PRINCIPALES
-     * =======================================
-     * 
-     * Se extraen los campos esenciales del detalle de pedido
-     * usando destructuring para mayor claridad
-     */
-    const { orderId, productId, amount, unitPrice } = orderDetailsData;
+  async execute(orderDetailsData, requester = null) {
+    const { orderId, productId, amount, discount } = orderDetailsData ?? {};
+    assertValid({ orderId: ORDER_DETAIL_FIELDS.orderId, ...ORDER_LINE_FIELDS }, { orderId, productId, amount, discount });
+    this.discountService.assertValidDiscount(discount, "discount");
 
+    return await this.transactionManager.run(
+      (session) => this.createWithinTransaction({ orderId, productId, amount, discount }, requester, session)
+    );
+  }
+
+  /**
+   * CREACIÓN DENTRO DE LA TRANSACCIÓN
+   * =================================
+   *
+   * Contiene los pasos 1 a 5 de `execute`, usando la misma sesión en
+   * todas las lecturas y escrituras.
+   *
+   * @param {Object} line - Línea ya validada ({ orderId, productId, amount, discount })
+   * @param {Object|null} requester - Usuario que agrega la línea
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @returns {Promise<Object>} Detalle de pedido creado
+   */
+  async createWithinTransaction({ orderId, productId, amount, discount }, requester, session) {
     /**
-     * PASO 2: CÁLCULO AUTOMÁTICO DEL SUBTOTAL
-     * =======================================
-     * 
-     * El subtotal se calcula automáticamente para:
-     * - Asegurar consistencia matemática
-     * - Evitar manipulaciones desde el cliente
-     * - Mantener la integridad de los cálculos financieros
+     * PASO 1: VALIDACIÓN DEL PEDIDO
+     * =============================
+     *
+     * Solo se agregan líneas antes de que el pedido salga del almacén
+     * (nunca a pedidos cancelados, despachados o devueltos)
      */
-    const calculatedSubtotal = unitPrice * amount;
+    const order = await this.orderRepository.findById(orderId, session);
+    if(!order) {
+      throw new NotFoundError(`❌ El pedido con ID ${orderId} no existe ❌`, {
+        code: "ORDER_NOT_FOUND",
+        details: { orderId }
+      });
+    }
+
+    if(!isEditableStatus(order.status)) {
+      throw new InvalidOrderStateError({
+        from: order.status,
+        message: `⚠️ No se pueden agregar líneas a un pedido en estado "${order.status}" ⚠️`
+      });
+    }
 
     /**
-     * PASO 3: ESTRUCTURACIÓN DE DATOS COMPLETOS
-     * =========================================
-     * 
-     * Se crea el objeto completo con todos los campos
-     * incluyendo el subtotal calculado automáticamente
+     * PASO 2: PRECIO, DESCUENTOS, COSTO E IVA DEL PRODUCTO
+     * ====================================================
+     *
+     * Se toma el precio actual del producto (no el enviado por el cliente)
+     * para evitar manipulaciones de precios desde el frontend. El IVA se
+     * calcula sobre el valor ya descontado
      */
-    const finalOrderDetailsData = {
+    const product = await this.productRepository.findById(productId, session);
+    if(!product) {
+      throw new NotFoundError(`❌ El producto con ID ${productId} no existe ❌`, {
+        code: "PRODUCT_NOT_FOUND",
+        details: { productId }
+      });
+    }
+
+    const [discountedLine] = await this.discountService.discountLines([{ product, amount, discount }], {}, session);
+
+    // El umbral se mide sobre todo el pedido, como al crearlo
+    const orderLines = await this.orderDetailsRepository.findAllByOrderId(orderId, session);
+    const discountApprovedBy = this.discountService.authorize([...orderLines, discountedLine], requester);
+
+    const pricedLine = await this.taxService.priceLine(product, amount, discountedLine.discountAmount, session);
+
+    const orderDetails = new OrderDetails({
       orderId,
       productId,
       amount,
-      unitPrice,
-      subtotal : calculatedSubtotal
-    };
+      ...pricedLine,
+      unitCost: product.cost ?? null, // null = costo desconocido
+      ...discountedLine
+    });
 
     /**
-     * PASO 4: CREACIÓN DE ENTIDAD DE DOMINIO
-     * ======================================
-     * 
-     * Se instancia la entidad OrderDetails para validar
-     * la estructura y aplicar reglas de negocio si las hubiera
+     * PASO 3: RESERVA ATÓMICA DE STOCK
+     * ================================
+     *
+     * Los borradores no reservan stock; los pedidos pendientes o
+     * confirmados sí, igual que sus demás líneas
      */
-    const orderDetails = new OrderDetails(finalOrderDetailsData);
-
-    /**
-     * PASO 5: PREPARACIÓN PARA PERSISTENCIA
-     * ====================================
-     * 
-     * Se extraen los datos de la entidad para crear el objeto
-     * que será persistido en la base de datos
-     */
-    const orderDetailsToSave = {
-      orderId : orderDetails.orderId,
-      productId : orderDetails.productId,
-      amount : orderDetails.amount,
-      unitPrice : orderDetails.unitPrice,
-      subtotal : orderDetails.subtotal
+    if(stockPhaseOf(order.status) === STOCK_PHASE.RESERVED) {
+      await this.stockService.reserve({
+        productId,
+        amount,
+        sourceId: order._id,
+        sourceType: "Order",
+        userId: requester?.id ?? null
+      }, session);
     }
 
     /**
-     * PASO 6: PERSISTENCIA EN BASE DE DATOS
-     * ====================================
-     * 
-     * Se delega la creación al repositorio correspondiente
-     * y se retorna el resultado de la operación
+     * PASOS 4 Y 5: DETALLE Y TOTALES DEL PEDIDO
+     * =========================================
      */
-    return await this.orderDetailsRepository.create(orderDetailsToSave);
+    const newDetail = await this.orderDetailsRepository.create({
+      orderId: orderDetails.orderId,
+      productId: orderDetails.productId,
+      amount: orderDetails.amount,
+      unitPrice: orderDetails.unitPrice,
+      subtotal: orderDetails.subtotal,
+      unitCost: orderDetails.unitCost,
+      taxRate: orderDetails.taxRate,
+      priceIncludesTax: orderDetails.priceIncludesTax,
+      taxBase: orderDetails.taxBase,
+      taxAmount: orderDetails.taxAmount,
+      grossAmount: orderDetails.grossAmount,
+      discountAmount: orderDetails.discountAmount,
+      discounts: orderDetails.discounts
+    }, session);
+
+    await this.orderRepository.update(orderId, {
+      $inc: {
+        subtotal: orderDetails.taxBase,
+        taxTotal: orderDetails.taxAmount,
+        discountTotal: orderDetails.discountAmount,
+        total: orderDetails.subtotal
+      },
+      ...(discountApprovedBy && { discountApprovedBy })
+    }, session);
+
+    return newDetail;
   }
-}
\ No newline at end of file
+}
@@ -1,135 +1,160 @@
 /**
  * DELETEORDERDETAILS.JS - CASO DE USO PARA ELIMINACIÓN DE DETALLES DE PEDIDO
  * ==========================================================================
- * 
- * Este caso de uso maneja la eliminación de detalles específicos de pedidos,
- * permitiendo remover productos individuales de un pedido sin afectar
- * otros elementos del mismo.
- * 
+ *
+ * Este caso de uso quita una línea de un pedido manteniendo sincronizados
+ * el stock del producto y el total del pedido.
+ *
  * Funcionalidades:
- * - Eliminación de detalles de pedido por ID
- * - Abstracción de la capa de persistencia
- * - Implementación del patrón Use Case
- * 
+ * - Validación del estado del pedido (solo borrador, pendiente o confirmado)
+ * - Liberación de la reserva de la línea si el pedido tiene stock reservado
+ * - Resta de base, IVA, descuento y subtotal de la línea a los totales del pedido
+ * - Eliminación del detalle
+ *
  * CASOS DE USO TÍPICOS:
  * - Cliente quiere remover un producto específico de su pedido
  * - Corrección de errores en detalles de pedidos
- * - Gestión de devoluciones parciales
- * - Limpieza de datos erróneos o duplicados
- * 
- * CONSIDERACIONES IMPORTANTES:
- * - Al eliminar un detalle, el total del pedido principal debería recalcularse
- * - Si el pedido tiene status: true, considerar restaurar el stock del producto eliminado
- * - Validar permisos del usuario para eliminar detalles
- * - En sistemas de auditoría, considerar soft delete en lugar de eliminación física
- * 
- * IMPACTO EN EL SISTEMA:
- * - Afecta el total del pedido principal
- * - Puede requerir ajustes de stock según el estado del pedido
- * - Modifica la relación many-to-many entre pedidos y productos
- * 
- * RECOMENDACIONES PARA PRODUCCIÓN:
- * - Implementar validaciones de estado del pedido antes de eliminar
- * - Considerar recálculo automático del total del pedido
- * - Implementar logging para auditoría
- * - Validar que no sea el último detalle del pedido
- * 
+ *
+ * REGLAS:
+ * - Pedidos ya despachados, cancelados o devueltos no se pueden modificar
+ * - No se elimina la última línea de un pedido: un pedido sin líneas no
+ *   tiene sentido; para eso se cancela o se elimina el pedido
+ * - Un detalle huérfano (su pedido ya no existe, ver `GET /api/reports/integrity`)
+ *   se elimina sin más: no hay total ni reserva que ajustar
+ *
+ * ATOMICIDAD:
+ * Stock, detalle y totales del pedido se actualizan en una única
+ * transacción: o se aplican los tres cambios o ninguno.
+ *
  * Patrón de diseño: Clean Architecture / Use Case Pattern
- * Principio SOLID: Single Responsibility Principle
+ * Principio SOLID: Single Responsibility + Dependency Injection
  */
 
+import ConflictError from "../../../domain/errors/ConflictError.js";
+import InvalidOrderStateError from "../../../domain/errors/InvalidOrderStateError.js";
+import { STOCK_PHASE, isEditableStatus, stockPhaseOf } from "../../../domain/constants/orderStatus.js";
+
 /**
  * CLASE DELETEORDERDETAILS - CASO DE USO
  * ======================================
- * 
- * Caso de uso simple que encapsula la lógica de eliminación
- * de detalles de pedido específicos. Mantiene la separación
- * de responsabilidades al delegar la operación al repositorio.
+ *
+ * Coordina detalle, pedido y stock para quitar una línea sin dejar
+ * reservas ni totales desactualizados.
  */
 export default class DeleteOrderDetails {
   /**
    * CONSTRUCTOR
    * ===========
-   * 
-   * Inicializa el caso de uso con la dependencia del repositorio
-   * de detalles de pedido mediante inyección de dependencias.
-   * 
-   * @param {Object} orderDetailsRepository - Repositorio para operaciones CRUD de detalles
-   *                                        Debe implementar el método delete(id)
+   *
+   * @param {Object} orderDetailsRepository - Repositorio para detalles de pedidos
+   * @param {Object} orderRepository - Repositorio para pedidos principales
+   * @param {Object} stockService - Servicio de cambios de stock con registro en kardex
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
    */
-  constructor(orderDetailsRepository) {
+  constructor(orderDetailsRepository, orderRepository, stockService, transactionManager) {
     this.orderDetailsRepository = orderDetailsRepository;
+    this.orderRepository = orderRepository;
+    this.stockService = stockService;
+    this.transactionManager = transactionManager;
   }
 
   /**
    * EXECUTE - MÉTODO PRINCIPAL DE EJECUCIÓN
    * =======================================
-   * 
-   * Ejecuta la eliminación de un detalle específico de pedido por su ID.
-   * 
-   * Proceso:
-   * 1. Recibe el ID del detalle a eliminar
-   * 2. Delega la eliminación al repositorio correspondiente
-   * 3. Retorna el resultado de la operación
-   * 
-   * CONSIDERACIONES DE NEGOCIO:
-   * 
-   * IMPACTO EN EL PEDIDO PRINCIPAL:
-   * - El total del pedido quedará desactualizado
-   * - Puede requerir recálculo del total general
-   * - Si es el último detalle, el pedido podría quedar vacío
-   * 
-   * IMPACTO EN EL STOCK:
-   * - Si el pedido tiene status: true, el stock del producto fue descontado
-   * - Al eliminar el detalle, sería lógico restaurar ese stock
-   * - Actualmente este caso de uso NO maneja el stock automáticamente
-   * 
-   * ESCENARIOS DE USO:
-   * - Eliminar producto no disponible de un pedido pendiente
-   * - Corregir errores de captura de datos
-   * - Procesar devoluciones parciales
-   * - Limpiar datos de prueba o erróneos
-   * 
-   * @param {string} id - ID único del detalle de pedido a eliminar (MongoDB ObjectId)
-   *                     Formato: "64a1b2c3d4e5f6789abcdef0"
-   * 
-   * @returns {Promise<Object>} Resultado de la operación de eliminación
-   *                           El formato depende de la implementación del repositorio
-   *                           Típicamente incluye información sobre registros afectados
-   * 
-   * @throws {Error} Si el detalle no existe o hay errores en la base de datos
-   * 
-   * @example
-   * // Uso básico del caso de uso
-   * const deleteOrderDetails = new DeleteOrderDetails(orderDetailsRepository);
-   * const result = await deleteOrderDetails.execute("64a1b2c3d4e5f6789abcdef0");
-   * 
-   * if (result.deletedCount > 0) {
-   *   console.log('Detalle eliminado exitosamente');
-   *   // TODO: Recalcular total del pedido principal
-   *   // TODO: Restaurar stock si el pedido estaba confirmado
-   * } else {
-   *   console.log('Detalle no encontrado');
-   * }
-   * 
+   *
+   * Proceso completo (dentro de una transacción):
+   * 1. Validación de existencia del detalle y del estado del pedido
+   * 2. Liberación de la reserva (solo si el pedido está en fase reserved)
+   * 3. Eliminación del detalle
+   * 4. Resta de base, IVA, descuento y subtotal a los totales del pedido
+   *
+   * @param {string} id - ID único del detalle de pedido a eliminar
+   * @param {string} [actorId] - ID del usuario que quita la línea (para el kardex)
+   * @param {Object} [scope]
+   * @param {string} [scope.orderId] - Si se indica, el detalle debe pertenecer a este pedido
+   *                                   (rutas `/api/order/:id/items/:itemId`)
+   *
+   * @returns {Promise<Object|null>} Detalle eliminado o null si no existe
+   *
+   * @throws {InvalidOrderStateError} Si el pedido ya no admite cambios en sus líneas
+   * @throws {ConflictError} Si es la última línea del pedido (código LAST_ORDER_LINE)
+   *
    * @example
-   * // Caso de uso con validaciones adicionales
-   * try {
-   *   const result = await deleteOrderDetails.execute(detailId);
-   *   
-   *   // Validar si la eliminación fue exitosa
-   *   if (result.deletedCount > 0) {
-   *     // Aquí se podría implementar lógica adicional:
-   *     // - Recalcular total del pedido
-   *     // - Restaurar stock si es necesario
-   *     // - Notificar al usuario
-   *     // - Registrar en logs de auditoría
-   *   }
-   * } catch (error) {
-   *   console.error('Error al eliminar detalle:', error.message);
-   * }
+   * const deleteOrderDetails = new DeleteOrderDetails(detailsRepo, orderRepo, stockService, transactionManager);
+   * const deleted = await deleteOrderDetails.execute("64a1b2c3d4e5f6789abcdef0", req.user.id);
+   * // Línea de 3 × 18500 en un pedido pendiente: se liberan 3 unidades
+   * // y el total del pedido baja 55500
    */
-  async execute(id) {
-    return await this.orderDetailsRepository.delete(id);
+  async execute(id, actorId = null, scope = {}) {
+    return await this.transactionManager.run(
+      (session) => this.deleteWithinTransaction(id, actorId, scope, session)
+    );
+  }
+
+  /**
+   * ELIMINACIÓN DENTRO DE LA TRANSACCIÓN
+   * ====================================
+   *
+   * Contiene los pasos 1 a 4 de `execute`, usando la misma sesión en
+   * todas las lecturas y escrituras.
+   *
+   * @param {string} id - ID único del detalle a eliminar
+   * @param {string|null} actorId - ID del usuario que quita la línea
+   * @param {Object} scope - { orderId } opcional del pedido al que debe pertenecer
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} Detalle eliminado o null si no existe
+   */
+  async deleteWithinTransaction(id, actorId, { orderId: scopeOrderId }, session) {
+    const detail = await this.orderDetailsRepository.findById(id, session);
+    if(!detail) return null;
+
+    // Rutas anidadas: un detalle de otro pedido es, para este pedido, inexistente
+    if(scopeOrderId && String(detail.orderId) !== String(scopeOrderId)) return null;
+
+    const orderId = detail.orderId;
+    const order = await this.orderRepository.findById(orderId, session);
+
+    // Detalle huérfano: limpieza de datos, sin pedido que actualizar
+    if(!order) {
+      return await this.orderDetailsRepository.delete(id, session);
+    }
+
+    if(!isEditableStatus(order.status)) {
+      throw new InvalidOrderStateError({
+        from: order.status,
+        message: `⚠️ No se pueden quitar líneas de un pedido en estado "${order.status}" ⚠️`
+      });
+    }
+
+    const lines = await this.orderDetailsRepository.findAllByOrderId(orderId, session);
+    if(lines.length <= 1) {
+      throw new ConflictError("⚠️ No se puede quitar la última línea del pedido; cancélelo o elimínelo ⚠️", {
+        code: "LAST_ORDER_LINE",
+        details: { orderId }
+      });
+    }
+
+    // La línea tenía unidades apartadas: vuelven al stock disponible
+    if(stockPhaseOf(order.status) === STOCK_PHASE.RESERVED) {
+      await this.stockService.release({
+        productId: detail.productId,
+        amount: detail.amount,
+        sourceId: orderId,
+        sourceType: "Order",
+        userId: actorId
+      }, session);
+    }
+
+    const deleted = await this.orderDetailsRepository.delete(id, session);
+    await this.orderRepository.update(orderId, {
+      $inc: {
+        subtotal: -detail.taxBase,
+        taxTotal: -detail.taxAmount,
+        discountTotal: -(detail.discountAmount ?? 0),
+        total: -detail.subtotal
+      }
+    }, session);
+
+    return deleted;
   }
-}
\ No newline at end of file
+}
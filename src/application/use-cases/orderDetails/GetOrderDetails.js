@@ -91,8 +91,8 @@ export default class GetOrderDetails {
    *   orderId: "64a1b2c3d4e5f6789abcdef1",     // Referencia al pedido
    *   productId: "64a1b2c3d4e5f6789abcdef2",   // Referencia al producto
    *   amount: 2,                                // Cantidad comprada
-   *   unitPrice: 25.99,                         // Precio en el momento de la compra
-   *   subtotal: 51.98,                          // amount * unitPrice
+   *   unitPrice: 2599,                          // Precio en centavos al momento de la compra
+   *   subtotal: 5198,                           // amount * unitPrice
    *   createdAt: "2024-01-15T10:30:00Z",
    *   updatedAt: "2024-01-15T10:30:00Z"
    * }
@@ -94,8 +94,8 @@ export default class GetOrderDetailsById {
    *   orderId: "64a1b2c3d4e5f6789abcdef1",    // ID del pedido padre
    *   productId: "64a1b2c3d4e5f6789abcdef2",  // ID del producto
    *   amount: 3,                               // Cantidad comprada
-   *   unitPrice: 29.99,                        // Precio en momento de compra
-   *   subtotal: 89.97,                         // 3 × 29.99
+   *   unitPrice: 2999,                         // Precio en centavos al momento de compra
+   *   subtotal: 8997,                          // 3 × 2999
    *   createdAt: "2024-01-15T10:30:00Z",
    *   updatedAt: "2024-01-15T10:30:00Z"
    * }
@@ -175,7 +175,7 @@ export default class GetOrderDetailsById {
    *   if (detail) {
    *     // Validar integridad de datos
    *     const expectedSubtotal = detail.amount * detail.unitPrice;
-   *     if (Math.abs(detail.subtotal - expectedSubtotal) > 0.01) {
+   *     if (detail.subtotal !== expectedSubtotal) {
    *       console.warn('Posible inconsistencia en cálculo de subtotal');
    *     }
    *     
@@ -0,0 +1,37 @@
+/**
+ * GETORDERDETAILSBYORDERID.JS - CASO DE USO PARA OBTENER LAS LÍNEAS DE UN PEDIDO
+ * ==============================================================================
+ *
+ * Devuelve las líneas de un único pedido, en el orden en que se agregaron,
+ * con el nombre y la categoría de cada producto (null si el producto ya
+ * no existe). Es la base de `GET /api/order/:id/items` y de
+ * `GET /api/order/:id?include=items`.
+ *
+ * La existencia del pedido y el acceso del usuario se comprueban antes,
+ * a nivel de pedido (ver `requireOrderOwnership`).
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class GetOrderDetailsByOrderId {
+  /**
+   * @param {Object} orderDetailsRepository - Repositorio de detalles (findItemsByOrderId)
+   */
+  constructor(orderDetailsRepository) {
+    this.orderDetailsRepository = orderDetailsRepository;
+  }
+
+  /**
+   * @param {string} orderId - ID del pedido
+   * @returns {Promise<Array<Object>>} [{ _id, orderId, productId, productName, category, amount, unitPrice,
+   *                                    taxRate, priceIncludesTax, taxBase, taxAmount, subtotal, unitCost }]
+   *
+   * @example
+   * const items = await new GetOrderDetailsByOrderId(orderDetailsRepository).execute(orderId);
+   * // [{ productName: "Café 500 g", amount: 2, unitPrice: 18500, subtotal: 37000, ... }]
+   */
+  async execute(orderId) {
+    return await this.orderDetailsRepository.findItemsByOrderId(orderId);
+  }
+}
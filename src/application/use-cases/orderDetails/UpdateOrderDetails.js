@@ -15,25 +15,45 @@
  * - Coordinación entre múltiples entidades del sistema
  * 
  * LÓGICA DE STOCK INTELIGENTE:
- * - Si aumenta cantidad: Valida stock y lo descuenta
- * - Si disminuye cantidad: Restaura stock automáticamente
+ * - Si aumenta cantidad: Valida stock y lo reserva
+ * - Si disminuye cantidad: Libera la reserva automáticamente
  * - Solo valida disponibilidad en incrementos, no en decrementos
+ * - Los borradores no reservan stock, solo se recalculan importes
+ * - Pedidos ya despachados, cancelados o devueltos no se pueden modificar
  * 
  * IMPACTO FINANCIERO:
- * - Recalcula subtotal del detalle (nueva cantidad × precio histórico)
- * - Actualiza total del pedido principal automáticamente
- * - Mantiene precios históricos intactos (no modifica unitPrice)
+ * - Recalcula base, IVA y subtotal del detalle (nueva cantidad × precio histórico,
+ *   con la tarifa de IVA guardada en la línea)
+ * - Actualiza base, IVA y total del pedido principal automáticamente
+ * - Mantiene precios y tarifas históricos intactos (no modifica unitPrice ni taxRate)
+ * - Vuelve a calcular los descuentos de la línea con la nueva cantidad
+ *   (ver `DiscountService`): la promoción vigente que corresponda, el
+ *   mismo descuento manual de la línea y su parte del cupón y del
+ *   descuento del pedido. Los porcentajes se aplican sobre el nuevo neto;
+ *   los montos fijos del cupón y del pedido no crecen con la cantidad
+ * - Si los descuentos manuales del pedido pasan a superar el umbral,
+ *   solo un Administrador puede hacer el cambio
  * 
  * COORDINACIÓN DE ENTIDADES:
  * - OrderDetails: Actualiza cantidad y subtotal
  * - Product: Ajusta stock según diferencia de cantidad  
- * - Order: Actualiza total con diferencia de subtotales
+ * - Order: Actualiza subtotal, taxTotal, discountTotal y total con las diferencias de la línea
+ * 
+ * ATOMICIDAD:
+ * Stock, detalle y total del pedido se actualizan en una única
+ * transacción: o se aplican los tres cambios o ninguno.
  * 
  * Patrón de diseño: Clean Architecture / Use Case Pattern
  * Principio SOLID: Single Responsibility + Dependency Injection
  */
 
-import OrderDetails from "../../../domain/entities/OrderDetails.js";
+import InvalidOrderStateError from "../../../domain/errors/InvalidOrderStateError.js";
+import NotFoundError from "../../../domain/errors/NotFoundError.js";
+import { STOCK_PHASE, isEditableStatus, stockPhaseOf } from "../../../domain/constants/orderStatus.js";
+import { ORDER_DETAIL_FIELDS } from "../../../domain/constants/fieldRules.js";
+import { computeLineTax } from "../../../domain/constants/taxRates.js";
+import { DISCOUNT_SOURCE, DISCOUNT_TYPE } from "../../../domain/constants/discounts.js";
+import { assertValid } from "../../../domain/validation/validator.js";
 
 /**
  * CLASE UPDATEORDERDETAILS - CASO DE USO
@@ -52,12 +72,18 @@ export default class UpdateOrderDetails {
    * 
    * @param {Object} orderDetailsRepository - Repositorio para detalles de pedidos
    * @param {Object} orderRepository - Repositorio para pedidos principales
-   * @param {Object} productRepository - Repositorio para productos y stock
+   * @param {Object} productRepository - Repositorio de productos (promociones por producto o categoría)
+   * @param {Object} stockService - Servicio de cambios de stock con registro en kardex
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
+   * @param {Object} discountService - Servicio que aplica promociones y descuentos
    */
-  constructor(orderDetailsRepository, orderRepository, productRepository) {
+  constructor(orderDetailsRepository, orderRepository, productRepository, stockService, transactionManager, discountService) {
     this.orderDetailsRepository = orderDetailsRepository;
     this.orderRepository = orderRepository;
     this.productRepository = productRepository;
+    this.stockService = stockService;
+    this.transactionManager = transactionManager;
+    this.discountService = discountService;
   }
 
   /**
@@ -68,11 +94,11 @@ export default class UpdateOrderDetails {
    * todas sus implicaciones en stock y totales del pedido.
    * 
    * Proceso completo:
-   * 1. Validación de existencia del detalle
+   * 1. Validación de existencia del detalle y del estado del pedido
    * 2. Cálculo de diferencias de cantidad
    * 3. Validación de stock para incrementos
    * 4. Actualización de stock del producto
-   * 5. Recálculo de subtotal del detalle
+   * 5. Recálculo de descuentos, subtotal e IVA del detalle
    * 6. Actualización del detalle
    * 7. Actualización del total del pedido principal
    * 
@@ -93,14 +119,24 @@ export default class UpdateOrderDetails {
    * @param {string} detailId - ID único del detalle a actualizar
    * @param {Object} updateData - Datos de actualización
    * @param {number} updateData.amount - Nueva cantidad del producto
+   * @param {Object} [requester] - Usuario que realiza el cambio (kardex y aprobación del descuento)
+   * @param {Object} [scope]
+   * @param {string} [scope.orderId] - Si se indica, el detalle debe pertenecer a este pedido
+   *                                   (rutas `/api/order/:id/items/:itemId`)
    * 
-   * @returns {Promise<Object>} Detalle actualizado con nuevos valores
+   * @returns {Promise<Object|null>} Detalle actualizado con nuevos valores o null si no existe
    * 
-   * @throws {Error} Si el detalle no existe o no hay stock suficiente
+   * @throws {ValidationError} Si la cantidad no es un entero positivo
+   * @throws {ForbiddenError} Si los descuentos manuales pasan a superar el umbral y quien cambia la línea no es Administrador
+   * @throws {InvalidOrderStateError} Si el pedido ya no admite cambios en sus líneas
+   * @throws {InsufficientStockError} Si no hay stock suficiente para el incremento
+   * @throws {NotFoundError} Si el pedido del detalle ya no existe (detalle huérfano)
    * 
    * @example
    * // Incrementar cantidad (requiere validación de stock)
-   * const updateOrderDetails = new UpdateOrderDetails(detailsRepo, orderRepo, productRepo);
+   * const updateOrderDetails = new UpdateOrderDetails(
+   *   detailsRepo, orderRepo, productRepo, stockService, transactionManager, discountService
+   * );
    * 
    * const updatedDetail = await updateOrderDetails.execute("64a1b2c3d4e5f6789abcdef0", {
    *   amount: 5 // Era 2, ahora será 5 (incremento de 3)
@@ -122,7 +158,29 @@ export default class UpdateOrderDetails {
    * // - Subtotal se recalcula: 1 × precio_histórico
    * // - Total del pedido se reduce por la diferencia
    */
-  async execute(detailId, updateData) {
+  async execute(detailId, updateData, requester = null, scope = {}) {
+    assertValid({ amount: ORDER_DETAIL_FIELDS.amount }, { amount: updateData?.amount });
+
+    return await this.transactionManager.run(
+      (session) => this.updateWithinTransaction(detailId, updateData, requester, scope, session)
+    );
+  }
+
+  /**
+   * ACTUALIZACIÓN DENTRO DE LA TRANSACCIÓN
+   * ======================================
+   * 
+   * Contiene los pasos 1 a 7 de `execute`, usando la misma sesión en
+   * todas las lecturas y escrituras.
+   * 
+   * @param {string} detailId - ID único del detalle a actualizar
+   * @param {Object} updateData - Datos de actualización
+   * @param {Object|null} requester - Usuario que realiza el cambio
+   * @param {Object} scope - { orderId } opcional del pedido al que debe pertenecer
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} Detalle actualizado con nuevos valores o null si no existe
+   */
+  async updateWithinTransaction(detailId, updateData, requester, { orderId: scopeOrderId }, session) {
     /**
      * EXTRACCIÓN DE NUEVA CANTIDAD
      * ============================
@@ -138,10 +196,11 @@ export default class UpdateOrderDetails {
      * Se verifica que el detalle existe y se obtienen sus datos actuales
      * necesarios para los cálculos posteriores
      */
-    const oldDetail = await this.orderDetailsRepository.findById(detailId);
-    if(!oldDetail) {
-      throw new Error("❌ Detalle del pedido no encontrado ❌");
-    }
+    const oldDetail = await this.orderDetailsRepository.findById(detailId, session);
+    if(!oldDetail) return null;
+
+    // Rutas anidadas: un detalle de otro pedido es, para este pedido, inexistente
+    if(scopeOrderId && String(oldDetail.orderId) !== String(scopeOrderId)) return null;
 
     /**
      * EXTRACCIÓN DE DATOS CRÍTICOS
@@ -154,75 +213,116 @@ export default class UpdateOrderDetails {
     const productId = oldDetail.productId;     // ID del producto afectado
     const orderId = oldDetail.orderId;         // ID del pedido padre
 
+    /**
+     * VALIDACIÓN DEL ESTADO DEL PEDIDO
+     * ================================
+     * 
+     * Solo se pueden modificar líneas antes de que el pedido salga del
+     * almacén. La fase de stock del estado indica si hay reserva que ajustar.
+     * Un detalle huérfano (su pedido ya no existe) no se puede modificar.
+     */
+    const order = await this.orderRepository.findById(orderId, session);
+    if(!order) {
+      throw new NotFoundError(`❌ El pedido con ID ${orderId} no existe ❌`, {
+        code: "ORDER_NOT_FOUND",
+        details: { orderId }
+      });
+    }
+    if(!isEditableStatus(order.status)) {
+      throw new InvalidOrderStateError({
+        from: order.status,
+        message: `⚠️ No se pueden modificar las líneas de un pedido en estado "${order.status}" ⚠️`
+      });
+    }
+    const reservesStock = stockPhaseOf(order.status) === STOCK_PHASE.RESERVED;
+
     /**
      * PASO 2: CÁLCULO DE DIFERENCIAS
      * ==============================
      * 
      * Se calculan las diferencias que determinarán los ajustes necesarios
      */
-    const quantityDifference = newAmount - oldAmount;  // Diferencia de cantidad
-    const stockChange = quantityDifference * -1;       // Cambio de stock (inverso)
+    const quantityDifference = newAmount - oldAmount;  // > 0 reserva más, < 0 libera
 
     /**
-     * PASO 3: VALIDACIÓN DE STOCK PARA INCREMENTOS
-     * ============================================
+     * PASOS 3 Y 4: VALIDACIÓN Y ACTUALIZACIÓN DE STOCK
+     * ================================================
      * 
-     * Solo se valida stock cuando se incrementa la cantidad.
-     * Los decrementos siempre son válidos ya que liberan stock.
-     * 
-     * NOTA: Hay un error lógico en la condición original (!quantityDifference > 0)
-     * Debería ser (quantityDifference > 0) para incrementos
+     * Se aplica la diferencia de cantidad (solo si el pedido tiene reserva):
+     * - Incremento de cantidad → Se reservan las unidades de más.
+     *   Validación y reserva son una sola operación atómica: si no
+     *   alcanza el stock, no se reserva nada y se lanza el error.
+     * - Decremento de cantidad → Se liberan las unidades de menos.
+     *   Siempre es válido ya que libera stock.
      */
-    if(!quantityDifference > 0) { // ⚠️ POSIBLE BUG: Debería ser (quantityDifference > 0)
-      const product = await this.productRepository.findById(productId);
-      if(!product || product.stock < quantityDifference) {
-        throw new Error(`⚠️ Stock insuficiente. Solo ${product.stock} unidades disponibles ⚠️`)
-      }
+    const stockOperation = { productId, sourceId: orderId, sourceType: "Order", userId: requester?.id ?? null };
+
+    if(reservesStock && quantityDifference > 0) {
+      await this.stockService.reserve({ ...stockOperation, amount: quantityDifference }, session);
+    } else if(reservesStock && quantityDifference < 0) {
+      await this.stockService.release({ ...stockOperation, amount: -quantityDifference }, session);
     }
 
     /**
-     * PASO 4: ACTUALIZACIÓN DE STOCK
-     * ==============================
+     * PASO 5: RECÁLCULO DE DESCUENTO, SUBTOTAL E IVA
+     * ==============================================
      * 
-     * Se aplica el cambio de stock calculado:
-     * - Incremento de cantidad → Decremento de stock (stockChange negativo)
-     * - Decremento de cantidad → Incremento de stock (stockChange positivo)
+     * Se recalculan descuentos, base, IVA y subtotal con la nueva
+     * cantidad pero manteniendo el precio y la tarifa históricos de la
+     * línea para preservar la integridad de precios
      */
-    await this.productRepository.updateStock(productId, stockChange);
+    const oldDiscountAmount = oldDetail.discountAmount ?? 0;
+    const { grossAmount, discountAmount, discounts } = await this.rediscountLine(oldDetail, newAmount, order, session);
 
-    /**
-     * PASO 5: RECÁLCULO DE SUBTOTAL
-     * =============================
-     * 
-     * Se recalcula el subtotal con la nueva cantidad pero manteniendo
-     * el precio histórico original para preservar la integridad de precios
-     */
-    const newSubtotal = newAmount * price;
-    const subtotalDifference = newSubtotal - oldDetail.subtotal;
+    // El umbral se mide sobre todo el pedido, como al crearlo
+    const orderLines = await this.orderDetailsRepository.findAllByOrderId(orderId, session);
+    const discountApprovedBy = this.discountService.authorize(
+      orderLines.map((line) => (String(line._id) === String(oldDetail._id) ? { grossAmount, discounts } : line)),
+      requester
+    );
+
+    const { taxBase, taxAmount, subtotal: newSubtotal } = computeLineTax({
+      unitPrice: price,
+      amount: newAmount,
+      taxRate: oldDetail.taxRate,
+      priceIncludesTax: oldDetail.priceIncludesTax,
+      discount: discountAmount
+    });
 
     /**
      * PASO 6: ACTUALIZACIÓN DEL DETALLE
      * =================================
      * 
-     * Se actualiza el detalle con la nueva cantidad y subtotal
-     * 
-     * ⚠️ POSIBLE TYPO: "amonut" debería ser "amount"
+     * Se actualiza el detalle con la nueva cantidad, descuentos, base, IVA y subtotal
      */
     const updatedDetail = await this.orderDetailsRepository.update(detailId, {
-      amonut: newAmount,    // ⚠️ POSIBLE TYPO: debería ser "amount"
+      amount: newAmount,
+      grossAmount,
+      discountAmount,
+      discounts,
+      taxBase,
+      taxAmount,
       subtotal: newSubtotal
-    });
+    }, session);
 
     /**
      * PASO 7: ACTUALIZACIÓN DEL TOTAL DEL PEDIDO
      * ==========================================
      * 
-     * Se actualiza el total del pedido principal usando $inc para
-     * incrementar/decrementar el total según la diferencia de subtotal
+     * Se actualizan los totales del pedido principal usando $inc para
+     * incrementar/decrementar base, IVA, descuento y total según las diferencias de la línea
      * 
-     * Esto es más eficiente que recalcular todo el total del pedido
+     * Esto es más eficiente que recalcular todos los totales del pedido
      */
-    await this.orderRepository.update(orderId, { $inc: { total: subtotalDifference } });
+    await this.orderRepository.update(orderId, {
+      $inc: {
+        subtotal: taxBase - oldDetail.taxBase,
+        taxTotal: taxAmount - oldDetail.taxAmount,
+        discountTotal: discountAmount - oldDiscountAmount,
+        total: newSubtotal - oldDetail.subtotal
+      },
+      ...(discountApprovedBy && { discountApprovedBy })
+    }, session);
 
     /**
      * RETORNO DEL RESULTADO
@@ -233,4 +333,66 @@ export default class UpdateOrderDetails {
      */
     return updatedDetail;
   }
-}
\ No newline at end of file
+
+  /**
+   * DESCUENTOS DE LA LÍNEA CON LA NUEVA CANTIDAD
+   * ============================================
+   *
+   * Pasa la línea otra vez por `DiscountService.discountLines` con el
+   * precio histórico. El descuento manual de la línea se repite tal
+   * cual. El cupón y el descuento del pedido se repartieron entre todas
+   * las líneas: un porcentaje se vuelve a aplicar sobre el nuevo neto,
+   * pero de un monto fijo la línea conserva la parte que recibió (nunca
+   * más que su neto). La línea que no recibió cupón sigue sin recibirlo.
+   *
+   * @param {Object} detail - Detalle antes del cambio
+   * @param {number} amount - Nueva cantidad
+   * @param {Object} order - Pedido de la línea (código del cupón)
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @returns {Promise<Object>} { grossAmount, discountAmount, discounts }
+   */
+  async rediscountLine(detail, amount, order, session) {
+    const oldDiscounts = detail.discounts ?? [];
+    const entryOf = (source) => oldDiscounts.find((entry) => entry.source === source);
+
+    // Un monto fijo repartido entre líneas no se multiplica con la cantidad
+    const shareOf = (entry) => entry && {
+      type: entry.type,
+      value: entry.type === DISCOUNT_TYPE.PERCENTAGE ? entry.value : entry.amount
+    };
+
+    const lineEntry = entryOf(DISCOUNT_SOURCE.LINE);
+    const couponEntry = entryOf(DISCOUNT_SOURCE.COUPON);
+    const orderEntry = entryOf(DISCOUNT_SOURCE.ORDER);
+
+    // Precio histórico; la categoría actual decide las promociones de categoría
+    const product = await this.productRepository.findById(detail.productId, session);
+    const pricedProduct = { _id: detail.productId, category: product?.category ?? null, price: detail.unitPrice };
+
+    const coupon = couponEntry && {
+      ...shareOf(couponEntry),
+      code: order.coupon?.code ?? couponEntry.label,
+      minOrderAmount: 0,
+      categories: [],
+      productIds: []
+    };
+
+    const [line] = await this.discountService.discountLines(
+      [{ product: pricedProduct, amount, discount: lineEntry && { type: lineEntry.type, value: lineEntry.value } }],
+      { coupon, orderDiscount: shareOf(orderEntry) },
+      session
+    );
+
+    // Cada descuento repartido conserva su etiqueta, tipo y valor originales
+    const discounts = line.discounts.map((entry) => {
+      const original = [DISCOUNT_SOURCE.COUPON, DISCOUNT_SOURCE.ORDER].includes(entry.source)
+        ? entryOf(entry.source)
+        : null;
+      return original
+        ? { ...entry, label: original.label, type: original.type, value: original.value }
+        : entry;
+    });
+
+    return { ...line, discounts };
+  }
+}
@@ -8,7 +8,7 @@
  * 
  * Funcionalidades principales:
  * - Creación de productos con validación de estructura
- * - Inicialización de stock de inventario
+ * - Inicialización de stock de inventario (registrada en el kardex)
  * - Abstracción de la capa de persistencia
  * - Aplicación de reglas de negocio mediante entidad de dominio
  * 
@@ -18,6 +18,11 @@
  * - price: Precio de venta (número decimal, positivo)
  * - stock: Cantidad disponible en inventario (número entero, no negativo)
  * - category: Categoría del producto para clasificación
+ * - cost: Costo unitario del stock inicial (opcional; sin él queda null, costo
+ *   desconocido). Luego lo recalculan las recepciones de mercancía con promedio ponderado
+ * - reorderPoint / reorderQuantity: Punto y cantidad de reposición (opcionales, 0 por defecto)
+ * - taxRate / priceIncludesTax: Tarifa de IVA propia (opcional; sin ella se usa la
+ *   de la categoría) y si el precio ya la incluye (opcional, true por defecto)
  * 
  * RELACIONES EN EL SISTEMA:
  * - Product → OrderDetails: Un producto puede estar en múltiples detalles
@@ -58,9 +63,13 @@ export default class CreateProduct {
    * 
    * @param {Object} productRepository - Repositorio para operaciones CRUD de productos
    *                                   Debe implementar el método create()
+   * @param {Object} stockService - Servicio de cambios de stock con registro en kardex
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
    */
-  constructor(productRepository) {
+  constructor(productRepository, stockService, transactionManager) {
     this.productRepository = productRepository;
+    this.stockService = stockService;
+    this.transactionManager = transactionManager;
   }
 
   /**
@@ -85,9 +94,9 @@ export default class CreateProduct {
    * 
    * INICIALIZACIÓN DE INVENTARIO:
    * - El stock inicial se establece al crear el producto
+   * - Queda registrado en el kardex como ajuste "Stock inicial", para
+   *   que el historial de movimientos parta de cero
    * - Este stock será gestionado automáticamente por los pedidos
-   * - Status true: descuenta stock
-   * - Status false: restaura stock
    * 
    * @param {Object} productData - Datos del producto a crear
    * @param {string} productData.name - Nombre del producto (único, requerido)
@@ -95,6 +104,12 @@ export default class CreateProduct {
    * @param {number} productData.price - Precio de venta (mayor que 0)
    * @param {number} productData.stock - Stock inicial (mayor o igual a 0)
    * @param {string} productData.category - Categoría del producto
+   * @param {number} [productData.cost] - Costo unitario del stock inicial (>= 0)
+   * @param {number} [productData.reorderPoint] - Punto de reorden (entero >= 0)
+   * @param {number} [productData.reorderQuantity] - Cantidad sugerida de reposición (entero >= 0)
+   * @param {number} [productData.taxRate] - Tarifa de IVA propia (19, 5 o 0)
+   * @param {boolean} [productData.priceIncludesTax] - Si el precio ya incluye el IVA
+   * @param {string} [actorId] - ID del usuario que crea el producto (para el kardex)
    * 
    * @returns {Promise<Object>} Producto creado con ID generado y todos sus campos
    * 
@@ -102,12 +117,12 @@ export default class CreateProduct {
    * 
    * @example
    * // Crear un producto básico
-   * const createProduct = new CreateProduct(productRepository);
+   * const createProduct = new CreateProduct(productRepository, stockService, transactionManager);
    * 
    * const productData = {
    *   name: "iPhone 15 Pro",
    *   description: "Smartphone Apple con cámara profesional de 48MP",
-   *   price: 999.99,
+   *   price: 99999,
    *   stock: 50,
    *   category: "Smartphones"
    * };
@@ -120,7 +135,7 @@ export default class CreateProduct {
    * const preOrderProduct = {
    *   name: "Samsung Galaxy S25",
    *   description: "Próximo flagship de Samsung (pre-venta)",
-   *   price: 1199.99,
+   *   price: 119999,
    *   stock: 0, // Sin stock inicial para pre-venta
    *   category: "Smartphones"
    * };
@@ -134,7 +149,7 @@ export default class CreateProduct {
    *   const invalidProduct = {
    *     name: "Producto Test",
    *     description: "Descripción",
-   *     price: -10, // ❌ Precio negativo inválido
+   *     price: -1000, // ❌ Precio negativo inválido
    *     stock: 100,
    *     category: "Test"
    *   };
@@ -151,14 +166,14 @@ export default class CreateProduct {
    * //   _id: "64a1b2c3d4e5f6789abcdef0",
    * //   name: "iPhone 15 Pro",
    * //   description: "Smartphone Apple...",
-   * //   price: 999.99,
+   * //   price: 99999,
    * //   stock: 50,
    * //   category: "Smartphones",
    * //   createdAt: "2024-01-15T10:30:00Z",
    * //   updatedAt: "2024-01-15T10:30:00Z"
    * // }
    */
-  async execute(productData) {
+  async execute(productData, actorId = null) {
     /**
      * PASO 1: VALIDACIÓN Y CREACIÓN DE ENTIDAD DE DOMINIO
      * ===================================================
@@ -181,7 +196,7 @@ export default class CreateProduct {
      * Se extraen los campos de la entidad ya validada
      * usando destructuring para mayor claridad y seguridad
      */
-    const { name, description, price, stock, category } = product;
+    const { name, description, price, stock, category, cost, reorderPoint, reorderQuantity, taxRate, priceIncludesTax } = product;
 
     /**
      * PASO 3: ESTRUCTURACIÓN PARA PERSISTENCIA
@@ -194,8 +209,13 @@ export default class CreateProduct {
       name,
       description,
       price,
-      stock,
-      category
+      stock: 0, // El stock inicial entra como movimiento del kardex
+      category,
+      cost: cost ?? null, // Sin costo no se valoriza: null, no 0
+      reorderPoint: reorderPoint ?? 0,
+      reorderQuantity: reorderQuantity ?? 0,
+      taxRate: taxRate ?? null,
+      priceIncludesTax: priceIncludesTax ?? true
     };
 
     /**
@@ -207,7 +227,21 @@ export default class CreateProduct {
      * - _id: ID único generado
      * - createdAt: Timestamp de creación
      * - updatedAt: Timestamp de última actualización
+     * 
+     * Producto y movimiento de stock inicial se guardan en una transacción.
      */
-    return await this.productRepository.create(productToSave);
+    return await this.transactionManager.run(async (session) => {
+      const newProduct = await this.productRepository.create(productToSave, session);
+      if(stock === 0) return newProduct;
+
+      return await this.stockService.adjust({
+        productId: newProduct._id,
+        quantity: stock,
+        sourceId: newProduct._id,
+        sourceType: "Product",
+        userId: actorId,
+        note: "Stock inicial"
+      }, session);
+    });
   }
 }
\ No newline at end of file
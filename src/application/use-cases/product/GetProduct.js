@@ -55,11 +55,15 @@
  * - Estrategias de caché distribuido
  * - Considerar búsqueda externa (Elasticsearch)
  * 
- * OPTIMIZACIONES RECOMENDADAS:
- * - Paginación: findAll(page, limit)
- * - Filtros: findAll({ category, minPrice, maxPrice, inStock })
- * - Sorting: findAll({ sort: { name: 1, price: -1 } })
- * - Proyección: findAll({ fields: ['name', 'price', 'stock'] })
+ * PAGINACIÓN, FILTROS Y ORDEN (implementados):
+ * - Recibe criterios normalizados { page, limit, cursor, sort, filters },
+ *   interpretados desde la query por `presentation/utils/listQuery.js`
+ * - Paginación por página o por cursor
+ * - Filtros por categoría, rango de precio, con/sin stock y stock bajo
+ * - Orden por cualquier campo del producto
+ * 
+ * OPTIMIZACIONES PENDIENTES:
+ * - Proyección: solo los campos necesarios
  * - Caché con TTL para consultas frecuentes
  * 
  * CONSIDERACIONES DE UI/UX:
@@ -73,6 +77,9 @@
  * Principio SOLID: Single Responsibility Principle
  */
 
+// Primera página, 20 elementos, sin filtros
+const DEFAULT_CRITERIA = { page: 1, limit: 20, cursor: null, sort: [], filters: [] };
+
 /**
  * CLASE GETPRODUCT - CASO DE USO
  * ==============================
@@ -90,7 +97,7 @@ export default class GetProduct {
    * de productos mediante inyección de dependencias.
    * 
    * @param {Object} productRepository - Repositorio para operaciones CRUD de productos
-   *                                   Debe implementar el método findAll()
+   *                                   Debe implementar el método findPaginated()
    */
   constructor(productRepository) {
     this.productRepository = productRepository;
@@ -100,18 +107,19 @@ export default class GetProduct {
    * EXECUTE - MÉTODO PRINCIPAL DE EJECUCIÓN
    * =======================================
    * 
-   * Ejecuta la recuperación de todos los productos almacenados en el sistema.
+   * Ejecuta la recuperación de una página de productos.
    * 
    * Proceso:
-   * 1. Delega la consulta global al repositorio de productos
-   * 2. Retorna todos los productos encontrados
+   * 1. Completa los criterios con los valores por defecto
+   * 2. Delega la consulta paginada al repositorio de productos
+   * 3. Retorna la página y el total de productos que cumplen los filtros
    * 
    * ESTRUCTURA TÍPICA DE CADA PRODUCTO:
    * {
    *   _id: "64a1b2c3d4e5f6789abcdef0",
    *   name: "iPhone 15 Pro",
    *   description: "Smartphone Apple con cámara profesional",
-   *   price: 999.99,
+   *   price: 99999,
    *   stock: 25,                                    // Stock actual disponible
    *   category: "Smartphones",
    *   createdAt: "2024-01-15T10:30:00Z",
@@ -125,8 +133,8 @@ export default class GetProduct {
    * 
    * INTERPRETACIÓN DE STOCK EN EL SISTEMA:
    * - El stock se actualiza automáticamente con los pedidos
-   * - Pedido status: true → descuenta stock
-   * - Pedido status: false → restaura stock
+   * - Pedido pendiente/confirmado → reserva stock (se descuenta de `stock`)
+   * - Pedido cancelado → libera la reserva
    * - Es el inventario en tiempo real
    * 
    * ANÁLISIS ÚTILES CON TODOS LOS PRODUCTOS:
@@ -148,17 +156,19 @@ export default class GetProduct {
    *    - Productos más recientes (createdAt)
    *    - Productos sin actualizar (updatedAt)
    * 
-   * @returns {Promise<Array>} Array con todos los productos del sistema
-   *                          Cada elemento es un objeto producto completo
+   * @param {Object} [criteria] - { page, limit, cursor, sort, filters }
+   * 
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   *                          `data` contiene los productos de la página
    * 
    * @throws {Error} Si hay errores de conexión a la base de datos
    * 
    * @example
    * // Uso básico para catálogo
    * const getProduct = new GetProduct(productRepository);
-   * const allProducts = await getProduct.execute();
+   * const { data: allProducts } = await getProduct.execute();
    * 
-   * console.log(`Total de productos: ${allProducts.length}`);
+   * console.log(`Productos en la página: ${allProducts.length}`);
    * 
    * // Filtrar productos disponibles para mostrar en tienda
    * const availableProducts = allProducts.filter(product => product.stock > 0);
@@ -166,7 +176,7 @@ export default class GetProduct {
    * 
    * @example
    * // Análisis de inventario
-   * const allProducts = await getProduct.execute();
+   * const { data: allProducts } = await getProduct.execute();
    * 
    * // Productos con stock bajo (< 10 unidades)
    * const lowStockProducts = allProducts.filter(product => {
@@ -180,7 +190,7 @@ export default class GetProduct {
    * 
    * @example
    * // Análisis por categorías
-   * const allProducts = await getProduct.execute();
+   * const { data: allProducts } = await getProduct.execute();
    * 
    * const categoryStats = {};
    * allProducts.forEach(product => {
@@ -208,49 +218,18 @@ export default class GetProduct {
    * console.log('Estadísticas por categoría:', categoryStats);
    * 
    * @example
-   * // Implementación mejorada para sistemas grandes (pseudocódigo)
-   * // class GetProduct {
-   * //   async execute(options = {}) {
-   * //     const {
-   * //       page = 1,
-   * //       limit = 50,
-   * //       category,
-   * //       inStock = null,
-   * //       sortBy = 'name',
-   * //       sortOrder = 'asc'
-   * //     } = options;
-   * //     
-   * //     return await this.productRepository.findAll({
-   * //       page,
-   * //       limit,
-   * //       filters: { category, inStock },
-   * //       sort: { [sortBy]: sortOrder === 'asc' ? 1 : -1 }
-   * //     });
-   * //   }
-   * // }
-   * 
-   * @example
-   * // Uso con consideraciones de rendimiento
-   * try {
-   *   const allProducts = await getProduct.execute();
-   *   
-   *   if (allProducts.length > 5000) {
-   *     console.warn('Catálogo muy grande, considerar implementar paginación');
-   *     // Procesar en chunks para evitar problemas de memoria
-   *     const chunkSize = 1000;
-   *     for (let i = 0; i < allProducts.length; i += chunkSize) {
-   *       const chunk = allProducts.slice(i, i + chunkSize);
-   *       // Procesar chunk
-   *     }
-   *   }
-   *   
-   *   return allProducts;
-   * } catch (error) {
-   *   console.error('Error al obtener productos:', error.message);
-   *   throw error;
-   * }
+   * // Página 2 de bebidas con precio hasta 5000, de mayor a menor precio
+   * const { data, total } = await getProduct.execute({
+   *   page: 2,
+   *   limit: 20,
+   *   sort: [{ field: "price", direction: -1 }],
+   *   filters: [
+   *     { field: "category", op: "eq", value: "Bebidas" },
+   *     { field: "price", op: "lte", value: 5000 }
+   *   ]
+   * });
    */
-  async execute() {
-    return await this.productRepository.findAll();
+  async execute(criteria = {}) {
+    return await this.productRepository.findPaginated({ ...DEFAULT_CRITERIA, ...criteria });
   }
 }
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * GETPRODUCTMOVEMENTS.JS - CASO DE USO PARA CONSULTAR EL KARDEX DE UN PRODUCTO
+ * ============================================================================
+ *
+ * Devuelve los movimientos de stock de un producto en un rango de fechas,
+ * junto con el saldo de apertura (stock justo antes de `from`) y el saldo
+ * de cierre. Con estos datos se puede reconstruir el stock del producto
+ * en cualquier día.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class GetProductMovements {
+  /**
+   * @param {Object} productRepository - Repositorio de productos
+   * @param {Object} stockMovementRepository - Repositorio del kardex de inventario
+   */
+  constructor(productRepository, stockMovementRepository) {
+    this.productRepository = productRepository;
+    this.stockMovementRepository = stockMovementRepository;
+  }
+
+  /**
+   * @param {string} productId - ID del producto
+   * @param {Object} [range] - Rango de fechas opcional
+   * @param {Date} [range.from] - Fecha inicial (incluida)
+   * @param {Date} [range.to] - Fecha final (incluida)
+   * @returns {Promise<Object|null>} { productId, from, to, openingBalance, closingBalance, movements }
+   *                                 o null si el producto no existe
+   *
+   * @example
+   * const getProductMovements = new GetProductMovements(productRepo, stockMovementRepo);
+   * const ledger = await getProductMovements.execute(id, { from: new Date("2026-01-01") });
+   * // ledger.openingBalance → stock al terminar el 31/12/2025
+   */
+  async execute(productId, { from = null, to = null } = {}) {
+    const product = await this.productRepository.findById(productId);
+    if(!product) return null;
+
+    const movements = await this.stockMovementRepository.findByProductId(productId, { from, to });
+
+    // Sin fecha inicial el historial completo parte de cero
+    let openingBalance = 0;
+    if(from) {
+      const previous = await this.stockMovementRepository.findLastBefore(productId, from);
+      openingBalance = previous ? previous.balance : 0;
+    }
+
+    const closingBalance = movements.length > 0
+      ? movements[movements.length - 1].balance
+      : openingBalance;
+
+    return {
+      productId,
+      from,
+      to,
+      openingBalance,
+      closingBalance,
+      movements
+    };
+  }
+}
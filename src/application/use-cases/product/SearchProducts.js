@@ -0,0 +1,49 @@
+/**
+ * SEARCHPRODUCTS.JS - CASO DE USO PARA BUSCAR PRODUCTOS POR TEXTO
+ * ===============================================================
+ *
+ * Busca productos por nombre, descripción y categoría usando el índice
+ * en memoria (ver `services/ProductSearchIndex.js`) y completa cada
+ * resultado con el producto actual de la base de datos, para que precio
+ * y stock estén siempre al día.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class SearchProducts {
+  /**
+   * @param {Object} productRepository - Repositorio de productos
+   * @param {Object} productSearchIndex - Índice de búsqueda de productos
+   */
+  constructor(productRepository, productSearchIndex) {
+    this.productRepository = productRepository;
+    this.productSearchIndex = productSearchIndex;
+  }
+
+  /**
+   * @param {string} query - Texto buscado
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Máximo de resultados (por defecto 10)
+   * @returns {Promise<Object>} { query, total, data: [{ product, score, highlights }] }
+   *
+   * @example
+   * const searchProducts = new SearchProducts(productRepo, productSearchIndex);
+   * const result = await searchProducts.execute("cafe", { limit: 5 });
+   * // result.data[0].highlights.name → "<mark>Café</mark> molido 500g"
+   */
+  async execute(query, { limit = 10 } = {}) {
+    const { total, hits } = await this.productSearchIndex.search(query, { limit });
+    if(hits.length === 0) return { query, total, data: [] };
+
+    const products = await this.productRepository.findByIds(hits.map((hit) => hit.id));
+    const byId = new Map(products.map((product) => [String(product._id), product]));
+
+    // Se conserva el orden del ranking; se omiten productos eliminados desde la indexación
+    const data = hits
+      .filter((hit) => byId.has(hit.id))
+      .map((hit) => ({ product: byId.get(hit.id), score: hit.score, highlights: hit.highlights }));
+
+    return { query, total, data };
+  }
+}
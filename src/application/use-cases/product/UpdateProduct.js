@@ -1,12 +1,65 @@
 import Product from "../../../domain/entities/Product.js";
 
+/**
+ * Caso de uso para actualizar un producto.
+ *
+ * Los datos descriptivos (nombre, descripción, precio, categoría) se
+ * sobrescriben. El stock nunca se sobrescribe: la diferencia con el
+ * stock actual se aplica como ajuste manual a través de StockService,
+ * para que quede registrada en el kardex. Todo ocurre en una transacción.
+ *
+ * El costo (`cost`) solo se sobrescribe si viene en los datos; si se omite
+ * se conserva el promedio calculado por las recepciones de mercancía.
+ * Lo mismo vale para `reorderPoint`, `reorderQuantity`, `taxRate` y
+ * `priceIncludesTax`; `taxRate: null` quita la tarifa propia del producto
+ * (vuelve a usar la de su categoría).
+ */
 export default class UpdateProduct {
-  constructor(productRepository) {
+  /**
+   * @param {Object} productRepository - Repositorio de productos
+   * @param {Object} stockService - Servicio de cambios de stock con registro en kardex
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
+   */
+  constructor(productRepository, stockService, transactionManager) {
     this.productRepository = productRepository;
+    this.stockService = stockService;
+    this.transactionManager = transactionManager;
   }
 
-  async execute(id, productData) {
+  /**
+   * @param {string} id - ID del producto
+   * @param {Object} productData - Datos completos del producto (incluye `stock` deseado)
+   * @param {string} [actorId] - ID del usuario que realiza el cambio
+   * @returns {Promise<Object|null>} Producto actualizado o null si no existe
+   */
+  async execute(id, productData, actorId = null) {
     const product = new Product(productData)
-    return await this.productRepository.update(id, product);
+    const { name, description, price, stock, category, cost, reorderPoint, reorderQuantity, taxRate, priceIncludesTax } = product;
+
+    return await this.transactionManager.run(async (session) => {
+      const current = await this.productRepository.findById(id, session);
+      if(!current) return null;
+
+      const changes = { name, description, price, category };
+      if(cost !== undefined) changes.cost = cost;
+      if(reorderPoint !== undefined) changes.reorderPoint = reorderPoint;
+      if(reorderQuantity !== undefined) changes.reorderQuantity = reorderQuantity;
+      if(taxRate !== undefined) changes.taxRate = taxRate;
+      if(priceIncludesTax !== undefined) changes.priceIncludesTax = priceIncludesTax;
+
+      const updated = await this.productRepository.update(id, changes, session);
+
+      const difference = stock - current.stock;
+      if(difference === 0) return updated;
+
+      return await this.stockService.adjust({
+        productId: id,
+        quantity: difference,
+        sourceId: id,
+        sourceType: "Product",
+        userId: actorId,
+        note: "Ajuste manual de inventario"
+      }, session);
+    });
   }
-}
\ No newline at end of file
+}
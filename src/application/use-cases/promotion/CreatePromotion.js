@@ -0,0 +1,51 @@
+/**
+ * CREATEPROMOTION.JS - CASO DE USO PARA REGISTRAR PROMOCIONES
+ * ===========================================================
+ *
+ * Valida los datos con la entidad `Promotion` y guarda la promoción.
+ * Si apunta a un producto, el producto debe existir.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import Promotion from "../../../domain/entities/Promotion.js";
+import NotFoundError from "../../../domain/errors/NotFoundError.js";
+
+export default class CreatePromotion {
+  /**
+   * @param {Object} promotionRepository - Repositorio de promociones
+   * @param {Object} productRepository - Repositorio de productos (promociones de un producto)
+   */
+  constructor(promotionRepository, productRepository) {
+    this.promotionRepository = promotionRepository;
+    this.productRepository = productRepository;
+  }
+
+  /**
+   * @param {Object} promotionData - { name, type, productId?, category?, percent?, buyQuantity?,
+   *                                   getQuantity?, tiers?, startsAt?, endsAt?, active? }
+   * @returns {Promise<Object>} Promoción creada
+   * @throws {ValidationError} Si los datos no cumplen las reglas de la entidad
+   * @throws {NotFoundError} Si el producto indicado no existe
+   *
+   * @example
+   * await new CreatePromotion(promotionRepository, productRepository).execute({
+   *   name: "2x1 en café", type: "buy_x_get_y", productId: "64a1b2c3d4e5f6789abcdef2", buyQuantity: 1, getQuantity: 1
+   * });
+   */
+  async execute(promotionData) {
+    const { name, type, productId, category, percent, buyQuantity, getQuantity, tiers, startsAt, endsAt, active } =
+      new Promotion(promotionData);
+    const promotion = { name, type, productId, category, percent, buyQuantity, getQuantity, tiers, startsAt, endsAt, active };
+
+    if(promotion.productId && !(await this.productRepository.findById(promotion.productId))) {
+      throw new NotFoundError(`❌ El producto con ID ${promotion.productId} no existe ❌`, {
+        code: "PRODUCT_NOT_FOUND",
+        details: { productId: promotion.productId }
+      });
+    }
+
+    return await this.promotionRepository.create(promotion);
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * DELETEPROMOTION.JS - CASO DE USO PARA ELIMINAR PROMOCIONES
+ * ==========================================================
+ *
+ * Elimina una promoción. Las líneas de pedido que la recibieron guardan
+ * su nombre y el valor descontado, así que no pierden información; para
+ * suspenderla un tiempo basta con `active: false`.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class DeletePromotion {
+  /**
+   * @param {Object} promotionRepository - Repositorio de promociones
+   */
+  constructor(promotionRepository) {
+    this.promotionRepository = promotionRepository;
+  }
+
+  /**
+   * @param {string} id - ID de la promoción
+   * @returns {Promise<Object|null>} Promoción eliminada o null si no existe
+   */
+  async execute(id) {
+    return await this.promotionRepository.delete(id);
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * GETPROMOTION.JS - CASO DE USO PARA LISTAR PROMOCIONES
+ * =====================================================
+ *
+ * Devuelve una página de promociones según los criterios normalizados
+ * del listado (ver `presentation/utils/listQuery.js`).
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+// Primera página, 20 elementos, sin filtros
+const DEFAULT_CRITERIA = { page: 1, limit: 20, cursor: null, sort: [], filters: [] };
+
+export default class GetPromotion {
+  /**
+   * @param {Object} promotionRepository - Repositorio de promociones (findPaginated)
+   */
+  constructor(promotionRepository) {
+    this.promotionRepository = promotionRepository;
+  }
+
+  /**
+   * @param {Object} [criteria] - { page, limit, cursor, sort, filters }
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async execute(criteria = DEFAULT_CRITERIA) {
+    return await this.promotionRepository.findPaginated(criteria);
+  }
+}
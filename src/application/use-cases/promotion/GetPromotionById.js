@@ -0,0 +1,24 @@
+/**
+ * GETPROMOTIONBYID.JS - CASO DE USO PARA OBTENER UNA PROMOCIÓN
+ * ============================================================
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class GetPromotionById {
+  /**
+   * @param {Object} promotionRepository - Repositorio de promociones
+   */
+  constructor(promotionRepository) {
+    this.promotionRepository = promotionRepository;
+  }
+
+  /**
+   * @param {string} id - ID de la promoción
+   * @returns {Promise<Object|null>} Promoción o null si no existe
+   */
+  async execute(id) {
+    return await this.promotionRepository.findById(id);
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * UPDATEPROMOTION.JS - CASO DE USO PARA ACTUALIZAR PROMOCIONES
+ * ============================================================
+ *
+ * Reemplaza los datos de una promoción. Los datos completos pasan por
+ * la entidad `Promotion`, igual que al crearla. Los pedidos ya creados
+ * no cambian: cada línea guarda el descuento que recibió.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import Promotion from "../../../domain/entities/Promotion.js";
+import NotFoundError from "../../../domain/errors/NotFoundError.js";
+
+export default class UpdatePromotion {
+  /**
+   * @param {Object} promotionRepository - Repositorio de promociones
+   * @param {Object} productRepository - Repositorio de productos (promociones de un producto)
+   */
+  constructor(promotionRepository, productRepository) {
+    this.promotionRepository = promotionRepository;
+    this.productRepository = productRepository;
+  }
+
+  /**
+   * @param {string} id - ID de la promoción
+   * @param {Object} promotionData - Datos completos de la promoción
+   * @returns {Promise<Object|null>} Promoción actualizada o null si no existe
+   * @throws {ValidationError} Si los datos no cumplen las reglas de la entidad
+   * @throws {NotFoundError} Si el producto indicado no existe
+   */
+  async execute(id, promotionData) {
+    const { name, type, productId, category, percent, buyQuantity, getQuantity, tiers, startsAt, endsAt, active } =
+      new Promotion(promotionData);
+    const promotion = { name, type, productId, category, percent, buyQuantity, getQuantity, tiers, startsAt, endsAt, active };
+
+    if(promotion.productId && !(await this.productRepository.findById(promotion.productId))) {
+      throw new NotFoundError(`❌ El producto con ID ${promotion.productId} no existe ❌`, {
+        code: "PRODUCT_NOT_FOUND",
+        details: { productId: promotion.productId }
+      });
+    }
+
+    return await this.promotionRepository.update(id, promotion);
+  }
+}
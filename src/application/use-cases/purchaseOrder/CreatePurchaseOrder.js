@@ -0,0 +1,76 @@
+/**
+ * CREATEPURCHASEORDER.JS - CASO DE USO PARA CREAR ÓRDENES DE COMPRA
+ * =================================================================
+ *
+ * Registra una orden de compra en borrador para un proveedor, con sus
+ * líneas (producto, cantidad y costo unitario pactado). No mueve
+ * inventario: el stock solo sube al recibir la mercancía
+ * (ver `ReceivePurchaseOrder`).
+ *
+ * VALIDACIONES:
+ * - Datos y líneas según la entidad `PurchaseOrder`
+ * - El proveedor debe existir
+ * - Cada producto de las líneas debe existir
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import PurchaseOrder from "../../../domain/entities/PurchaseOrder.js";
+import NotFoundError from "../../../domain/errors/NotFoundError.js";
+import { PURCHASE_ORDER_STATUS } from "../../../domain/constants/purchaseOrderStatus.js";
+
+export default class CreatePurchaseOrder {
+  /**
+   * @param {Object} purchaseOrderRepository - Repositorio de órdenes de compra
+   * @param {Object} supplierRepository - Repositorio de proveedores
+   * @param {Object} productRepository - Repositorio de productos
+   */
+  constructor(purchaseOrderRepository, supplierRepository, productRepository) {
+    this.purchaseOrderRepository = purchaseOrderRepository;
+    this.supplierRepository = supplierRepository;
+    this.productRepository = productRepository;
+  }
+
+  /**
+   * @param {Object} purchaseOrderData - { supplierId, lines: [{ productId, quantity, unitCost }] }
+   * @param {string} [actorId] - ID del usuario que registra la orden
+   * @returns {Promise<Object>} Orden de compra creada (estado "draft")
+   * @throws {ValidationError} Si los datos o las líneas no son válidos
+   * @throws {NotFoundError} Si el proveedor o algún producto no existe
+   */
+  async execute(purchaseOrderData, actorId = null) {
+    const purchaseOrder = new PurchaseOrder({
+      supplierId: purchaseOrderData.supplierId,
+      lines: purchaseOrderData.lines,
+      createdBy: actorId
+    });
+
+    const supplier = await this.supplierRepository.findById(purchaseOrder.supplierId);
+    if(!supplier) {
+      throw new NotFoundError(`❌ El proveedor con ID ${purchaseOrder.supplierId} no existe ❌`, {
+        code: "SUPPLIER_NOT_FOUND",
+        details: { supplierId: purchaseOrder.supplierId }
+      });
+    }
+
+    for(const line of purchaseOrder.lines) {
+      const product = await this.productRepository.findById(line.productId);
+      if(!product) {
+        throw new NotFoundError(`❌ El producto con ID ${line.productId} no existe ❌`, {
+          code: "PRODUCT_NOT_FOUND",
+          details: { productId: line.productId }
+        });
+      }
+    }
+
+    return await this.purchaseOrderRepository.create({
+      supplierId: purchaseOrder.supplierId,
+      lines: purchaseOrder.lines,
+      total: purchaseOrder.total,
+      status: PURCHASE_ORDER_STATUS.DRAFT,
+      statusHistory: [{ from: null, to: PURCHASE_ORDER_STATUS.DRAFT, by: actorId }],
+      createdBy: actorId
+    });
+  }
+}
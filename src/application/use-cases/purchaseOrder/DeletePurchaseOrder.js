@@ -0,0 +1,42 @@
+/**
+ * DELETEPURCHASEORDER.JS - CASO DE USO PARA ELIMINAR ÓRDENES DE COMPRA
+ * ====================================================================
+ *
+ * Solo se pueden eliminar órdenes en borrador. Una orden enviada ya es
+ * un compromiso con el proveedor (se cierra en lugar de borrarse) y una
+ * con recepciones es el origen de movimientos del kardex.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import InvalidPurchaseOrderStateError from "../../../domain/errors/InvalidPurchaseOrderStateError.js";
+import { PURCHASE_ORDER_STATUS } from "../../../domain/constants/purchaseOrderStatus.js";
+
+export default class DeletePurchaseOrder {
+  /**
+   * @param {Object} purchaseOrderRepository - Repositorio de órdenes de compra
+   */
+  constructor(purchaseOrderRepository) {
+    this.purchaseOrderRepository = purchaseOrderRepository;
+  }
+
+  /**
+   * @param {string} id - ID de la orden de compra
+   * @returns {Promise<Object|null>} Orden eliminada o null si no existe
+   * @throws {InvalidPurchaseOrderStateError} Si la orden no está en borrador
+   */
+  async execute(id) {
+    const purchaseOrder = await this.purchaseOrderRepository.findById(id);
+    if(!purchaseOrder) return null;
+
+    if(purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+      throw new InvalidPurchaseOrderStateError({
+        from: purchaseOrder.status,
+        message: "⚠️ Solo se pueden eliminar órdenes de compra en borrador; ciérrala en su lugar ⚠️"
+      });
+    }
+
+    return await this.purchaseOrderRepository.delete(id);
+  }
+}
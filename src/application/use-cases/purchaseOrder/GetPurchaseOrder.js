@@ -0,0 +1,30 @@
+/**
+ * GETPURCHASEORDER.JS - CASO DE USO PARA LISTAR ÓRDENES DE COMPRA
+ * ===============================================================
+ *
+ * Devuelve una página de órdenes de compra según los criterios
+ * normalizados del listado (ver `presentation/utils/listQuery.js`).
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+// Primera página, 20 elementos, sin filtros
+const DEFAULT_CRITERIA = { page: 1, limit: 20, cursor: null, sort: [], filters: [] };
+
+export default class GetPurchaseOrder {
+  /**
+   * @param {Object} purchaseOrderRepository - Repositorio de órdenes de compra (findPaginated)
+   */
+  constructor(purchaseOrderRepository) {
+    this.purchaseOrderRepository = purchaseOrderRepository;
+  }
+
+  /**
+   * @param {Object} [criteria] - { page, limit, cursor, sort, filters }
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async execute(criteria = DEFAULT_CRITERIA) {
+    return await this.purchaseOrderRepository.findPaginated(criteria);
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * GETPURCHASEORDERBYID.JS - CASO DE USO PARA OBTENER UNA ORDEN DE COMPRA
+ * ======================================================================
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class GetPurchaseOrderById {
+  /**
+   * @param {Object} purchaseOrderRepository - Repositorio de órdenes de compra
+   */
+  constructor(purchaseOrderRepository) {
+    this.purchaseOrderRepository = purchaseOrderRepository;
+  }
+
+  /**
+   * @param {string} id - ID de la orden de compra
+   * @returns {Promise<Object|null>} Orden (con líneas, historial y recepciones) o null si no existe
+   */
+  async execute(id) {
+    return await this.purchaseOrderRepository.findById(id);
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * RECEIVEPURCHASEORDER.JS - CASO DE USO PARA RECEPCIÓN DE MERCANCÍA
+ * =================================================================
+ *
+ * Registra la llegada de mercancía de una orden de compra. Por cada
+ * línea recibida:
+ * - Suma las unidades a `receivedQuantity` de la línea de la orden
+ * - Suma las unidades al stock del producto y registra el movimiento
+ *   en el kardex con motivo "receipt" (vía StockService)
+ * - Recalcula el costo promedio ponderado del producto con el costo
+ *   unitario pactado en la línea
+ *
+ * Después recalcula el estado: "received" si ya llegó todo lo pedido,
+ * "partially_received" si falta algo. La recepción queda guardada en
+ * `receipts` ({ lines, by, at, note }).
+ *
+ * REGLAS:
+ * - Solo se recibe en órdenes "sent" o "partially_received"
+ * - Cada producto debe estar en la orden y no puede repetirse en la recepción
+ * - No se puede recibir más de lo pendiente de cada línea
+ *
+ * ATOMICIDAD:
+ * Todo se ejecuta en una única transacción: si una línea falla, ni el
+ * stock ni la orden quedan modificados.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import ValidationError from "../../../domain/errors/ValidationError.js";
+import ConflictError from "../../../domain/errors/ConflictError.js";
+import NotFoundError from "../../../domain/errors/NotFoundError.js";
+import InvalidPurchaseOrderStateError from "../../../domain/errors/InvalidPurchaseOrderStateError.js";
+import {
+  PURCHASE_ORDER_STATUS,
+  allowedPurchaseOrderTransitions,
+  canReceivePurchaseOrder
+} from "../../../domain/constants/purchaseOrderStatus.js";
+import { PURCHASE_ORDER_FIELDS, RECEIPT_LINES_RULE } from "../../../domain/constants/fieldRules.js";
+import { assertValid } from "../../../domain/validation/validator.js";
+
+export default class ReceivePurchaseOrder {
+  /**
+   * @param {Object} purchaseOrderRepository - Repositorio de órdenes de compra
+   * @param {Object} stockService - Servicio de cambios de stock con registro en kardex
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
+   */
+  constructor(purchaseOrderRepository, stockService, transactionManager) {
+    this.purchaseOrderRepository = purchaseOrderRepository;
+    this.stockService = stockService;
+    this.transactionManager = transactionManager;
+  }
+
+  /**
+   * @param {string} id - ID de la orden de compra
+   * @param {Object} receipt - { lines: [{ productId, quantity }], note? }
+   * @param {string} [actorId] - ID del usuario que registra la recepción
+   * @returns {Promise<Object|null>} Orden actualizada o null si no existe
+   * @throws {ValidationError} Si las líneas no son válidas o un producto no está en la orden
+   * @throws {InvalidPurchaseOrderStateError} Si la orden no admite recepciones en su estado
+   * @throws {ConflictError} Si se recibe más de lo pendiente (código RECEIPT_EXCEEDS_PENDING)
+   *
+   * @example
+   * // Llegan 6 de las 10 unidades pedidas → la orden queda "partially_received"
+   * await receivePurchaseOrder.execute(purchaseOrderId, {
+   *   lines: [{ productId, quantity: 6 }],
+   *   note: "Remisión 4587"
+   * }, req.user.id);
+   */
+  async execute(id, receipt, actorId = null) {
+    const { lines, note } = receipt ?? {};
+    assertValid({ lines: RECEIPT_LINES_RULE, note: PURCHASE_ORDER_FIELDS.note }, { lines, note });
+
+    return await this.transactionManager.run(
+      (session) => this.receiveWithinTransaction(id, { lines, note }, actorId, session)
+    );
+  }
+
+  /**
+   * RECEPCIÓN DENTRO DE LA TRANSACCIÓN
+   * @param {string} id - ID de la orden de compra
+   * @param {Object} receipt - Recepción ya validada ({ lines, note })
+   * @param {string|null} actorId - ID del usuario que registra la recepción
+   * @param {ClientSession} session - Sesión de la transacción en curso
+   * @returns {Promise<Object|null>} Orden actualizada o null si no existe
+   */
+  async receiveWithinTransaction(id, receipt, actorId, session) {
+    const purchaseOrder = await this.purchaseOrderRepository.findById(id, session);
+    if(!purchaseOrder) return null;
+
+    const currentStatus = purchaseOrder.status;
+    if(!canReceivePurchaseOrder(currentStatus)) {
+      throw new InvalidPurchaseOrderStateError({
+        from: currentStatus,
+        to: PURCHASE_ORDER_STATUS.RECEIVED,
+        allowed: allowedPurchaseOrderTransitions(currentStatus),
+        message: `⚠️ No se puede recibir mercancía de una orden de compra en estado "${currentStatus}" ⚠️`
+      });
+    }
+
+    // Copia editable de las líneas, indexada por producto
+    const orderLines = purchaseOrder.lines.map(({ productId, quantity, unitCost, receivedQuantity }) => (
+      { productId, quantity, unitCost, receivedQuantity }
+    ));
+    const linesByProduct = new Map(orderLines.map((line) => [String(line.productId), line]));
+    const seen = new Set();
+
+    for(const { productId, quantity } of receipt.lines) {
+      const key = String(productId);
+      const line = linesByProduct.get(key);
+
+      if(seen.has(key)) {
+        throw new ValidationError(`❌ El producto ${productId} aparece en más de una línea ❌`, {
+          code: "DUPLICATE_LINE",
+          details: { productId }
+        });
+      }
+      seen.add(key);
+
+      if(!line) {
+        throw new ValidationError(`❌ El producto ${productId} no está en la orden de compra ❌`, {
+          code: "PRODUCT_NOT_IN_PURCHASE_ORDER",
+          details: { productId }
+        });
+      }
+
+      const pending = line.quantity - line.receivedQuantity;
+      if(quantity > pending) {
+        throw new ConflictError(`⚠️ Se reciben ${quantity} unidades pero solo quedan ${pending} pendientes ⚠️`, {
+          code: "RECEIPT_EXCEEDS_PENDING",
+          details: { productId, ordered: line.quantity, received: line.receivedQuantity, requested: quantity, pending }
+        });
+      }
+
+      line.receivedQuantity += quantity;
+
+      const product = await this.stockService.receive({
+        productId,
+        amount: quantity,
+        unitCost: line.unitCost,
+        sourceId: purchaseOrder._id,
+        sourceType: "PurchaseOrder",
+        userId: actorId,
+        note: receipt.note
+      }, session);
+
+      if(!product) {
+        throw new NotFoundError(`❌ El producto con ID ${productId} no existe ❌`, {
+          code: "PRODUCT_NOT_FOUND",
+          details: { productId }
+        });
+      }
+    }
+
+    const fullyReceived = orderLines.every((line) => line.receivedQuantity >= line.quantity);
+    const nextStatus = fullyReceived ? PURCHASE_ORDER_STATUS.RECEIVED : PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+    const at = new Date();
+
+    const receivedLines = receipt.lines.map(({ productId, quantity }) => ({ productId, quantity }));
+    const receiptEntry = { lines: receivedLines, by: actorId, at };
+    if(receipt.note) receiptEntry.note = receipt.note;
+
+    const push = { receipts: receiptEntry };
+    if(nextStatus !== currentStatus) {
+      push.statusHistory = { from: currentStatus, to: nextStatus, by: actorId, at };
+    }
+
+    return await this.purchaseOrderRepository.update(id, {
+      lines: orderLines,
+      status: nextStatus,
+      $push: push
+    }, session);
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * UPDATEPURCHASEORDER.JS - CASO DE USO PARA TRANSICIONES DE ÓRDENES DE COMPRA
+ * ===========================================================================
+ *
+ * Mueve una orden de compra a "sent" (enviada al proveedor) o "closed"
+ * (cerrada), según el ciclo de vida de `domain/constants/purchaseOrderStatus.js`,
+ * y registra la transición en `statusHistory`.
+ *
+ * Los estados "partially_received" y "received" no se piden aquí: los
+ * fija `ReceivePurchaseOrder` según la mercancía que llega. Cerrar una
+ * orden parcialmente recibida da por perdido lo pendiente; ninguna
+ * transición de este caso de uso mueve inventario.
+ *
+ * Se ejecuta en una transacción para no pisar una recepción simultánea.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import InvalidPurchaseOrderStateError from "../../../domain/errors/InvalidPurchaseOrderStateError.js";
+import ValidationError from "../../../domain/errors/ValidationError.js";
+import {
+  MANUAL_PURCHASE_ORDER_STATUSES,
+  allowedPurchaseOrderTransitions,
+  canTransitionPurchaseOrder
+} from "../../../domain/constants/purchaseOrderStatus.js";
+
+export default class UpdatePurchaseOrder {
+  /**
+   * @param {Object} purchaseOrderRepository - Repositorio de órdenes de compra
+   * @param {Object} transactionManager - Gestor de transacciones (run(work))
+   */
+  constructor(purchaseOrderRepository, transactionManager) {
+    this.purchaseOrderRepository = purchaseOrderRepository;
+    this.transactionManager = transactionManager;
+  }
+
+  /**
+   * @param {string} id - ID de la orden de compra
+   * @param {Object} transition - { status: "sent" | "closed", note? }
+   * @param {string} [actorId] - ID del usuario que realiza el cambio
+   * @returns {Promise<Object|null>} Orden actualizada o null si no existe
+   * @throws {ValidationError} Si el estado destino no se puede pedir a mano
+   * @throws {InvalidPurchaseOrderStateError} Si la transición no está permitida
+   */
+  async execute(id, transition, actorId = null) {
+    if(!transition || !MANUAL_PURCHASE_ORDER_STATUSES.includes(transition.status)) {
+      throw new ValidationError(`❌ Estado inválido. Debe ser uno de: ${MANUAL_PURCHASE_ORDER_STATUSES.join(", ")} ❌`, {
+        code: "INVALID_PURCHASE_ORDER_STATUS",
+        details: { allowed: MANUAL_PURCHASE_ORDER_STATUSES }
+      });
+    }
+
+    return await this.transactionManager.run(async (session) => {
+      const purchaseOrder = await this.purchaseOrderRepository.findById(id, session);
+      if(!purchaseOrder) return null;
+
+      const { status: nextStatus, note } = transition;
+      const currentStatus = purchaseOrder.status;
+      if(!canTransitionPurchaseOrder(currentStatus, nextStatus)) {
+        throw new InvalidPurchaseOrderStateError({
+          from: currentStatus,
+          to: nextStatus,
+          allowed: allowedPurchaseOrderTransitions(currentStatus)
+            .filter((status) => MANUAL_PURCHASE_ORDER_STATUSES.includes(status))
+        });
+      }
+
+      const historyEntry = { from: currentStatus, to: nextStatus, by: actorId, at: new Date() };
+      if(note) historyEntry.note = note;
+
+      return await this.purchaseOrderRepository.update(id, {
+        status: nextStatus,
+        $push: { statusHistory: historyEntry }
+      }, session);
+    });
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * GETINTEGRITYREPORT.JS - CASO DE USO PARA EL CHEQUEO DE INTEGRIDAD
+ * =================================================================
+ *
+ * Busca datos inconsistentes que quedaron en la base. Hoy revisa los
+ * detalles de pedido huérfanos: líneas cuyo pedido ya no existe (por
+ * ejemplo, pedidos eliminados antes de que el borrado fuera en cascada).
+ *
+ * Solo informa; cada línea huérfana se limpia con `DELETE /api/orderDetails/:id`.
+ * No cuentan en los reportes de ventas ni de margen porque no tienen
+ * pedido al que unirse.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import { sumMoney } from "../../../domain/constants/money.js";
+
+export default class GetIntegrityReport {
+  /**
+   * @param {Object} orderDetailsRepository - Repositorio de detalles (findOrphans)
+   */
+  constructor(orderDetailsRepository) {
+    this.orderDetailsRepository = orderDetailsRepository;
+  }
+
+  /**
+   * @returns {Promise<Object>} { checkedAt, orphanDetails: { count, orders, units, subtotal, data } }
+   *
+   * @example
+   * const report = await new GetIntegrityReport(orderDetailsRepository).execute();
+   * // report.orphanDetails.count → 3 (líneas de 2 pedidos que ya no existen)
+   */
+  async execute() {
+    const orphans = await this.orderDetailsRepository.findOrphans();
+
+    const data = orphans.map((detail) => ({
+      detailId: detail._id,
+      orderId: detail.orderId,
+      productId: detail.productId,
+      productName: detail.productName ?? null,
+      amount: detail.amount,
+      unitPrice: detail.unitPrice,
+      subtotal: detail.subtotal
+    }));
+
+    return {
+      checkedAt: new Date(),
+      orphanDetails: {
+        count: data.length,
+        orders: new Set(data.map((row) => String(row.orderId))).size,
+        units: data.reduce((sum, row) => sum + row.amount, 0),
+        subtotal: sumMoney(data.map((row) => row.subtotal ?? 0)),
+        data
+      }
+    };
+  }
+}
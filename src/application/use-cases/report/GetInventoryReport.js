@@ -0,0 +1,131 @@
+/**
+ * GETINVENTORYREPORT.JS - CASO DE USO PARA EL REPORTE DE INVENTARIO
+ * =================================================================
+ *
+ * Valoriza el stock actual y marca los productos que hay que reponer.
+ * Por cada producto:
+ * - retailValue: (stock + reserved) × precio de venta
+ * - costValue:   (stock + reserved) × costo promedio (null si el producto no tiene costo)
+ * - level:       out_of_stock, low_stock u ok (ver `constants/stockLevels.js`)
+ * - suggestedQuantity: unidades a pedir si hay que reponer; la mayor entre
+ *   `reorderQuantity` y lo que falta para volver al punto de reorden
+ *
+ * Se valoriza todo lo que está en el almacén: las unidades reservadas
+ * siguen ahí hasta que el pedido se despacha (`stock` y `reserved` se
+ * informan por separado). Las alertas de reposición, en cambio, miran
+ * solo el stock disponible, que es lo que se puede vender.
+ *
+ * Los totales siempre cubren todo el inventario (o la categoría pedida);
+ * `alertsOnly` solo recorta las filas de `data`.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import { REPORT_GROUP } from "../../../domain/constants/reportGroups.js";
+import { STOCK_LEVEL, stockLevelOf, needsReorder } from "../../../domain/constants/stockLevels.js";
+import { multiplyMoney } from "../../../domain/constants/money.js";
+
+/**
+ * Acumulador vacío para totales y categorías
+ * @returns {Object}
+ */
+const emptySummary = () => ({
+  products: 0,
+  stock: 0,
+  reserved: 0,
+  retailValue: 0,
+  costValue: null,
+  outOfStock: 0,
+  lowStock: 0
+});
+
+/**
+ * Suma una fila de producto a un acumulador
+ * @param {Object} summary - Acumulador (se modifica)
+ * @param {Object} row - Fila de producto del reporte
+ */
+const addToSummary = (summary, row) => {
+  summary.products += 1;
+  summary.stock += row.stock;
+  summary.reserved += row.reserved;
+  summary.retailValue += row.retailValue;
+  if(row.costValue !== null) summary.costValue = (summary.costValue ?? 0) + row.costValue;
+  if(row.level === STOCK_LEVEL.OUT_OF_STOCK) summary.outOfStock += 1;
+  if(row.level === STOCK_LEVEL.LOW_STOCK) summary.lowStock += 1;
+};
+
+export default class GetInventoryReport {
+  /**
+   * @param {Object} productRepository - Repositorio de productos (findInventoryDocuments)
+   */
+  constructor(productRepository) {
+    this.productRepository = productRepository;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.groupBy] - "product" (por defecto) o "category"
+   * @param {string} [options.category] - Limitar el reporte a una categoría
+   * @param {boolean} [options.alertsOnly] - Solo productos agotados o bajo el punto de reorden
+   * @returns {Promise<Object>} { groupBy, category, alertsOnly, totals, data }
+   *
+   * @example
+   * // Lista de compras de la mañana
+   * const report = await getInventoryReport.execute({ alertsOnly: true });
+   * // report.data → [{ name: "Café molido 500g", stock: 3, reorderPoint: 10, level: "low_stock", suggestedQuantity: 24, ... }]
+   */
+  async execute({ groupBy = REPORT_GROUP.PRODUCT, category = null, alertsOnly = false } = {}) {
+    const products = await this.productRepository.findInventoryDocuments({ category });
+
+    const totals = emptySummary();
+    const rows = products.map((product) => {
+      const stock = product.stock ?? 0;
+      const reserved = product.reserved ?? 0;
+      const onHand = stock + reserved;
+      const reorderPoint = product.reorderPoint ?? 0;
+      const reorderQuantity = product.reorderQuantity ?? 0;
+      const cost = product.cost ?? null;
+      const level = stockLevelOf({ stock, reorderPoint });
+
+      const row = {
+        productId: product._id,
+        name: product.name,
+        category: product.category,
+        stock,
+        reserved,
+        price: product.price,
+        cost,
+        reorderPoint,
+        reorderQuantity,
+        level,
+        suggestedQuantity: needsReorder(level) ? Math.max(reorderQuantity, reorderPoint - stock) : 0,
+        retailValue: multiplyMoney(product.price, onHand),
+        costValue: cost === null ? null : multiplyMoney(cost, onHand)
+      };
+
+      addToSummary(totals, row);
+      return row;
+    });
+
+    const included = alertsOnly ? rows.filter((row) => needsReorder(row.level)) : rows;
+
+    let data = included;
+    if(groupBy === REPORT_GROUP.CATEGORY) {
+      const byCategory = new Map();
+      for(const row of included) {
+        if(!byCategory.has(row.category)) byCategory.set(row.category, { category: row.category, ...emptySummary() });
+        addToSummary(byCategory.get(row.category), row);
+      }
+      data = [...byCategory.values()];
+    }
+
+    return {
+      groupBy,
+      category,
+      alertsOnly,
+      totals,
+      data
+    };
+  }
+}
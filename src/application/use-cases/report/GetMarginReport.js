@@ -0,0 +1,105 @@
+/**
+ * GETMARGINREPORT.JS - CASO DE USO PARA EL REPORTE DE MARGEN BRUTO
+ * ================================================================
+ *
+ * Calcula el margen bruto de las ventas agrupado por pedido, producto o
+ * categoría. Cada línea vendida aporta:
+ * - Ingreso: `taxBase` (unidades × precio de venta copiado al vender, sin IVA)
+ * - Costo: unidades × `unitCost` (costo promedio copiado al vender)
+ *
+ * margen = ingreso − costo; margen % = margen / ingreso × 100
+ *
+ * Las líneas cuyo producto no tenía costo al venderse (`unitCost` null)
+ * no entran en ingreso, costo ni margen: se cuentan aparte en
+ * `uncostedLines` y `uncostedRevenue` (ventas sin IVA que no se pueden
+ * costear).
+ *
+ * Solo cuentan los pedidos en estados de venta (`SALE_STATUSES`). Un
+ * margen negativo indica que se vendió por debajo del costo.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import { SALE_STATUSES } from "../../../domain/constants/orderStatus.js";
+import { REPORT_GROUP } from "../../../domain/constants/reportGroups.js";
+
+// Nombre con el que sale la clave de cada grupo en la respuesta
+const GROUP_KEY = {
+  [REPORT_GROUP.ORDER]: "orderId",
+  [REPORT_GROUP.PRODUCT]: "productId",
+  [REPORT_GROUP.CATEGORY]: "category"
+};
+
+/**
+ * Redondea a 2 decimales (margen %; los montos ya son centavos enteros)
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Agrega margen y margen % a unos totales de ingreso y costo
+ * @param {Object} totals - { units, revenue, cost, uncostedLines, uncostedRevenue }
+ * @returns {Object} { units, revenue, cost, margin, marginPercent, uncostedLines, uncostedRevenue }
+ */
+const withMargin = ({ units, revenue, cost, uncostedLines, uncostedRevenue }) => {
+  const margin = revenue - cost;
+  return {
+    units,
+    revenue,
+    cost,
+    margin,
+    marginPercent: revenue > 0 ? round2((margin / revenue) * 100) : null,
+    uncostedLines,
+    uncostedRevenue
+  };
+};
+
+export default class GetMarginReport {
+  /**
+   * @param {Object} orderDetailsRepository - Repositorio de detalles (aggregateMargin)
+   */
+  constructor(orderDetailsRepository) {
+    this.orderDetailsRepository = orderDetailsRepository;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.groupBy] - "order", "product" (por defecto) o "category"
+   * @param {Date|null} [options.from] - Pedidos creados desde
+   * @param {Date|null} [options.to] - Pedidos creados hasta
+   * @returns {Promise<Object>} { groupBy, from, to, totals, data }
+   *
+   * @example
+   * const report = await getMarginReport.execute({ groupBy: "category", from: new Date("2026-01-01") });
+   * // report.data → [{ category: "Bebidas", units: 120, revenue: 540000, cost: 410000, margin: 130000, marginPercent: 24.07,
+   * //                  uncostedLines: 0, uncostedRevenue: 0 }]
+   */
+  async execute({ groupBy = REPORT_GROUP.PRODUCT, from = null, to = null } = {}) {
+    const groups = await this.orderDetailsRepository.aggregateMargin({
+      groupBy,
+      statuses: SALE_STATUSES,
+      from,
+      to
+    });
+
+    const totals = { units: 0, revenue: 0, cost: 0, uncostedLines: 0, uncostedRevenue: 0 };
+    const data = groups.map(({ _id, units, revenue, cost, uncostedLines = 0, uncostedRevenue = 0, ...info }) => {
+      totals.units += units;
+      totals.revenue += revenue;
+      totals.cost += cost;
+      totals.uncostedLines += uncostedLines;
+      totals.uncostedRevenue += uncostedRevenue;
+      return { [GROUP_KEY[groupBy]]: _id, ...info, ...withMargin({ units, revenue, cost, uncostedLines, uncostedRevenue }) };
+    });
+
+    return {
+      groupBy,
+      from,
+      to,
+      totals: withMargin(totals),
+      data
+    };
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * GETSALESREPORT.JS - CASO DE USO PARA EL REPORTE DE VENTAS
+ * =========================================================
+ *
+ * Suma ingresos, pedidos y unidades vendidas en un rango de fechas,
+ * agrupados por periodo (día, semana o mes), producto, categoría o
+ * vendedor (`userId` del pedido).
+ *
+ * DESCUENTOS:
+ * Cada fila trae el valor bruto (precio × cantidad), lo descontado por
+ * promociones, cupones y descuentos manuales y el neto (bruto −
+ * descuento). Las tres cifras están a precio de lista: incluyen el IVA
+ * de los productos con `priceIncludesTax` y no el de los demás, así que
+ * no se comparan con `revenue` (sin IVA) ni con `totalWithTax`.
+ *
+ * INGRESOS:
+ * `revenue` es la base sin IVA de las líneas, la misma cifra que usa el
+ * reporte de margen; `totalWithTax` es el total cobrado con IVA.
+ *
+ * ESTADOS:
+ * - Por defecto solo cuentan los pedidos en estados de venta
+ *   (`SALE_STATUSES`); se puede pedir otra lista de estados.
+ * - Los pedidos cancelados nunca se mezclan con las ventas: se informan
+ *   aparte en `cancelled` con sus propios totales.
+ *
+ * PERIODOS:
+ * Los días, semanas (de lunes a domingo) y meses se cortan en la zona
+ * horaria indicada al construir el caso de uso. Cada fila trae `period`
+ * con la fecha de inicio del periodo (`YYYY-MM-DD`).
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import ValidationError from "../../../domain/errors/ValidationError.js";
+import { ORDER_STATUS, SALE_STATUSES, isValidOrderStatus } from "../../../domain/constants/orderStatus.js";
+import { REPORT_GROUP } from "../../../domain/constants/reportGroups.js";
+
+// Nombre con el que sale la clave de cada grupo en la respuesta
+const GROUP_KEY = {
+  [REPORT_GROUP.DAY]: "period",
+  [REPORT_GROUP.WEEK]: "period",
+  [REPORT_GROUP.MONTH]: "period",
+  [REPORT_GROUP.PRODUCT]: "productId",
+  [REPORT_GROUP.CATEGORY]: "category",
+  [REPORT_GROUP.SELLER]: "userId"
+};
+
+const PERIOD_GROUPS = [REPORT_GROUP.DAY, REPORT_GROUP.WEEK, REPORT_GROUP.MONTH];
+
+/**
+ * Ordena las cifras de venta y agrega el neto
+ * @param {Object} figures - { orders, units, gross, discount, revenue, totalWithTax }
+ * @returns {Object} { orders, units, gross, discount, net, revenue, totalWithTax }
+ */
+const withNet = ({ orders, units, gross, discount, revenue, totalWithTax }) => ({
+  orders,
+  units,
+  gross,
+  discount,
+  net: gross - discount,
+  revenue,
+  totalWithTax
+});
+
+export default class GetSalesReport {
+  /**
+   * @param {Object} orderDetailsRepository - Repositorio de detalles (aggregateSales)
+   * @param {string} [timezone] - Zona horaria IANA para cortar días, semanas y meses
+   */
+  constructor(orderDetailsRepository, timezone = "UTC") {
+    this.orderDetailsRepository = orderDetailsRepository;
+    this.timezone = timezone;
+    this.formatDay = new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit"
+    });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.groupBy] - "day" (por defecto), "week", "month", "product", "category" o "seller"
+   * @param {Array<string>} [options.statuses] - Estados a incluir (por defecto, los de venta)
+   * @param {Date|null} [options.from] - Pedidos creados desde
+   * @param {Date|null} [options.to] - Pedidos creados hasta
+   * @returns {Promise<Object>} { groupBy, from, to, timezone, statuses, totals, data, cancelled }
+   * @throws {ValidationError} Si algún estado no existe o es "cancelled" (código INVALID_STATUS_FILTER)
+   *
+   * @example
+   * const report = await getSalesReport.execute({ groupBy: "month", from: new Date("2026-01-01") });
+   * // report.data      → [{ period: "2026-01-01", orders: 42, units: 310, gross: 4600000,
+   * //                       discount: 297000, net: 4303000, revenue: 4302521, totalWithTax: 5120000 }, ...]
+   * // report.cancelled → { orders: 3, units: 12, gross: 82400, discount: 0, net: 82400, revenue: 82353, totalWithTax: 98000 }
+   */
+  async execute({ groupBy = REPORT_GROUP.DAY, statuses = null, from = null, to = null } = {}) {
+    const includedStatuses = statuses?.length ? [...new Set(statuses)] : [...SALE_STATUSES];
+    const rejected = includedStatuses.filter(
+      (status) => !isValidOrderStatus(status) || status === ORDER_STATUS.CANCELLED
+    );
+    if(rejected.length > 0) {
+      throw new ValidationError("❌ Estados de pedido inválidos; los cancelados se informan aparte en \"cancelled\" ❌", {
+        code: "INVALID_STATUS_FILTER",
+        details: { rejected }
+      });
+    }
+
+    const range = { from, to, timezone: this.timezone };
+    const sales = await this.orderDetailsRepository.aggregateSales({ groupBy, statuses: includedStatuses, ...range });
+    const cancelled = await this.orderDetailsRepository.aggregateSales({
+      groupBy: null,
+      statuses: [ORDER_STATUS.CANCELLED],
+      ...range
+    });
+
+    const isPeriod = PERIOD_GROUPS.includes(groupBy);
+    const data = sales.groups.map(({ _id, orders, units, gross, discount, revenue, totalWithTax, ...info }) => ({
+      [GROUP_KEY[groupBy]]: isPeriod ? this.formatDay.format(_id) : _id,
+      ...info,
+      ...withNet({ orders, units, gross, discount, revenue, totalWithTax })
+    }));
+
+    return {
+      groupBy,
+      from,
+      to,
+      timezone: this.timezone,
+      statuses: includedStatuses,
+      totals: withNet(sales.totals),
+      data,
+      cancelled: withNet(cancelled.totals)
+    };
+  }
+}
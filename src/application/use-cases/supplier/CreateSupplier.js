@@ -0,0 +1,31 @@
+/**
+ * CREATESUPPLIER.JS - CASO DE USO PARA REGISTRAR PROVEEDORES
+ * ==========================================================
+ *
+ * Valida los datos con la entidad `Supplier` y guarda el proveedor.
+ * Un `taxId` repetido lo rechaza el índice único del modelo (409).
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import Supplier from "../../../domain/entities/Supplier.js";
+
+export default class CreateSupplier {
+  /**
+   * @param {Object} supplierRepository - Repositorio de proveedores
+   */
+  constructor(supplierRepository) {
+    this.supplierRepository = supplierRepository;
+  }
+
+  /**
+   * @param {Object} supplierData - { name, taxId?, email?, phone?, contactName? }
+   * @returns {Promise<Object>} Proveedor creado
+   * @throws {ValidationError} Si los datos no cumplen las reglas de la entidad
+   */
+  async execute(supplierData) {
+    const { name, taxId, email, phone, contactName } = new Supplier(supplierData);
+    return await this.supplierRepository.create({ name, taxId, email, phone, contactName });
+  }
+}
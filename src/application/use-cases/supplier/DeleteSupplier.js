@@ -0,0 +1,39 @@
+/**
+ * DELETESUPPLIER.JS - CASO DE USO PARA ELIMINAR PROVEEDORES
+ * =========================================================
+ *
+ * Elimina un proveedor solo si no tiene órdenes de compra: borrarlo
+ * dejaría esas órdenes apuntando a un proveedor inexistente.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import ConflictError from "../../../domain/errors/ConflictError.js";
+
+export default class DeleteSupplier {
+  /**
+   * @param {Object} supplierRepository - Repositorio de proveedores
+   * @param {Object} purchaseOrderRepository - Repositorio de órdenes de compra
+   */
+  constructor(supplierRepository, purchaseOrderRepository) {
+    this.supplierRepository = supplierRepository;
+    this.purchaseOrderRepository = purchaseOrderRepository;
+  }
+
+  /**
+   * @param {string} id - ID del proveedor
+   * @returns {Promise<Object|null>} Proveedor eliminado o null si no existe
+   * @throws {ConflictError} Si el proveedor tiene órdenes de compra (código SUPPLIER_IN_USE)
+   */
+  async execute(id) {
+    if(await this.purchaseOrderRepository.existsBySupplierId(id)) {
+      throw new ConflictError("⚠️ El proveedor tiene órdenes de compra y no se puede eliminar ⚠️", {
+        code: "SUPPLIER_IN_USE",
+        details: { supplierId: id }
+      });
+    }
+
+    return await this.supplierRepository.delete(id);
+  }
+}
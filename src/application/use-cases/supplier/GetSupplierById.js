@@ -0,0 +1,24 @@
+/**
+ * GETSUPPLIERBYID.JS - CASO DE USO PARA OBTENER UN PROVEEDOR
+ * ==========================================================
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class GetSupplierById {
+  /**
+   * @param {Object} supplierRepository - Repositorio de proveedores
+   */
+  constructor(supplierRepository) {
+    this.supplierRepository = supplierRepository;
+  }
+
+  /**
+   * @param {string} id - ID del proveedor
+   * @returns {Promise<Object|null>} Proveedor o null si no existe
+   */
+  async execute(id) {
+    return await this.supplierRepository.findById(id);
+  }
+}
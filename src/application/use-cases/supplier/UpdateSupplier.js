@@ -0,0 +1,32 @@
+/**
+ * UPDATESUPPLIER.JS - CASO DE USO PARA ACTUALIZAR PROVEEDORES
+ * ===========================================================
+ *
+ * Reemplaza los datos de un proveedor. Los datos completos pasan por
+ * la entidad `Supplier`, igual que al crearlo.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import Supplier from "../../../domain/entities/Supplier.js";
+
+export default class UpdateSupplier {
+  /**
+   * @param {Object} supplierRepository - Repositorio de proveedores
+   */
+  constructor(supplierRepository) {
+    this.supplierRepository = supplierRepository;
+  }
+
+  /**
+   * @param {string} id - ID del proveedor
+   * @param {Object} supplierData - Datos completos del proveedor
+   * @returns {Promise<Object|null>} Proveedor actualizado o null si no existe
+   * @throws {ValidationError} Si los datos no cumplen las reglas de la entidad
+   */
+  async execute(id, supplierData) {
+    const { name, taxId, email, phone, contactName } = new Supplier(supplierData);
+    return await this.supplierRepository.update(id, { name, taxId, email, phone, contactName });
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * DELETECATEGORYTAXRATE.JS - CASO DE USO PARA QUITAR EL IVA DE UNA CATEGORÍA
+ * ==========================================================================
+ *
+ * Quita la tarifa propia de una categoría: sus productos sin tarifa
+ * propia vuelven a usar la tarifa por defecto.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+export default class DeleteCategoryTaxRate {
+  /**
+   * @param {Object} categoryTaxRateRepository - Repositorio de tarifas por categoría
+   */
+  constructor(categoryTaxRateRepository) {
+    this.categoryTaxRateRepository = categoryTaxRateRepository;
+  }
+
+  /**
+   * @param {string} category - Categoría de productos
+   * @returns {Promise<Object|null>} Tarifa eliminada o null si la categoría no tenía
+   */
+  async execute(category) {
+    return await this.categoryTaxRateRepository.delete(category);
+  }
+}
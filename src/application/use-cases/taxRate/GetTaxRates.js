@@ -0,0 +1,40 @@
+/**
+ * GETTAXRATES.JS - CASO DE USO PARA CONSULTAR LAS TARIFAS DE IVA
+ * ==============================================================
+ *
+ * Devuelve la configuración de IVA vigente: la tarifa por defecto, las
+ * tarifas admitidas y la tarifa de cada categoría que tiene una propia.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import { TAX_RATES } from "../../../domain/constants/taxRates.js";
+
+export default class GetTaxRates {
+  /**
+   * @param {Object} categoryTaxRateRepository - Repositorio de tarifas por categoría
+   * @param {number} defaultRate - Tarifa de los productos sin tarifa propia ni de categoría
+   */
+  constructor(categoryTaxRateRepository, defaultRate) {
+    this.categoryTaxRateRepository = categoryTaxRateRepository;
+    this.defaultRate = defaultRate;
+  }
+
+  /**
+   * @returns {Promise<Object>} { defaultRate, rates, categories: [{ category, rate }] }
+   *
+   * @example
+   * await new GetTaxRates(categoryTaxRateRepository, 19).execute();
+   * // { defaultRate: 19, rates: [19, 5, 0], categories: [{ category: "Frutas", rate: 0 }] }
+   */
+  async execute() {
+    const categories = await this.categoryTaxRateRepository.findAll();
+
+    return {
+      defaultRate: this.defaultRate,
+      rates: TAX_RATES,
+      categories: categories.map(({ category, rate }) => ({ category, rate }))
+    };
+  }
+}
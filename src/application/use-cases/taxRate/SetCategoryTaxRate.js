@@ -0,0 +1,37 @@
+/**
+ * SETCATEGORYTAXRATE.JS - CASO DE USO PARA ASIGNAR EL IVA DE UNA CATEGORÍA
+ * ========================================================================
+ *
+ * Crea o cambia la tarifa de IVA de una categoría de productos. La usan
+ * los productos de la categoría que no definen una tarifa propia.
+ *
+ * Solo afecta a las líneas que se agreguen después: los pedidos ya
+ * creados conservan la tarifa copiada en cada línea.
+ *
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility + Dependency Injection
+ */
+
+import { CATEGORY_TAX_RATE_FIELDS } from "../../../domain/constants/fieldRules.js";
+import { assertValid } from "../../../domain/validation/validator.js";
+
+export default class SetCategoryTaxRate {
+  /**
+   * @param {Object} categoryTaxRateRepository - Repositorio de tarifas por categoría
+   */
+  constructor(categoryTaxRateRepository) {
+    this.categoryTaxRateRepository = categoryTaxRateRepository;
+  }
+
+  /**
+   * @param {string} category - Categoría de productos
+   * @param {Object} data - { rate }
+   * @returns {Promise<Object>} Tarifa guardada ({ category, rate, ... })
+   * @throws {ValidationError} Si la categoría está vacía o la tarifa no es 19, 5 ni 0
+   */
+  async execute(category, { rate } = {}) {
+    assertValid(CATEGORY_TAX_RATE_FIELDS, { category, rate });
+
+    return await this.categoryTaxRateRepository.upsert(category, rate);
+  }
+}
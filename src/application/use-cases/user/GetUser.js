@@ -91,6 +91,9 @@
  * Principio SOLID: Single Responsibility Principle
  */
 
+// Primera página, 20 elementos, sin filtros
+const DEFAULT_CRITERIA = { page: 1, limit: 20, cursor: null, sort: [], filters: [] };
+
 /**
  * CLASE GETUSER - CASO DE USO
  * ===========================
@@ -108,7 +111,7 @@ export default class GetUser {
    * de usuarios mediante inyección de dependencias.
    * 
    * @param {Object} userRepository - Repositorio para operaciones CRUD de usuarios
-   *                                Debe implementar el método findAll()
+   *                                Debe implementar el método findPaginated()
    *                                DEBE excluir automáticamente passwords
    */
   constructor(userRepository) {
@@ -119,22 +122,22 @@ export default class GetUser {
    * EXECUTE - MÉTODO PRINCIPAL DE EJECUCIÓN
    * =======================================
    * 
-   * Ejecuta la recuperación de todos los usuarios del sistema.
+   * Ejecuta la recuperación de una página de usuarios del sistema.
    * 
    * ⚠️ ADVERTENCIA DE SEGURIDAD: Esta implementación NO incluye
    * validaciones de permisos ni control de acceso. Para producción
    * es OBLIGATORIO implementar las validaciones de seguridad.
    * 
    * Proceso actual (BÁSICO):
-   * 1. Delega la consulta global al repositorio de usuarios
-   * 2. Retorna todos los usuarios encontrados
+   * 1. Delega la consulta paginada al repositorio de usuarios
+   * 2. Retorna la página y el total de usuarios que cumplen los filtros
    * 
    * PROCESO RECOMENDADO PARA PRODUCCIÓN:
    * 1. Validar autenticación del solicitante
    * 2. Verificar permisos administrativos
    * 3. Determinar nivel de información según rol
    * 4. Aplicar filtros y proyecciones apropiadas
-   * 5. Implementar paginación si es necesario
+   * 5. Paginación (implementada: ver `presentation/utils/listQuery.js`)
    * 6. Registrar acceso en logs de auditoría
    * 7. Retornar información filtrada según permisos
    * 
@@ -178,17 +181,19 @@ export default class GetUser {
    *    - Cuentas pendientes de verificación
    *    - Usuarios marcados para eliminación
    * 
-   * @returns {Promise<Array>} Array con todos los usuarios del sistema
-   *                          DEBE excluir contraseñas y datos sensibles
+   * @param {Object} [criteria] - { page, limit, cursor, sort, filters }
+   * 
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   *                          `data` excluye contraseñas y datos sensibles
    * 
    * @throws {Error} Si hay errores de base de datos o permisos insuficientes
    * 
    * @example
    * // ⚠️ USO ACTUAL (requiere validación de permisos externa)
    * const getUser = new GetUser(userRepository);
-   * const allUsers = await getUser.execute();
+   * const { data: allUsers } = await getUser.execute();
    * 
-   * console.log(`Total de usuarios: ${allUsers.length}`);
+   * console.log(`Usuarios en la página: ${allUsers.length}`);
    * 
    * // Análisis básico de roles
    * const roleCount = {};
@@ -253,7 +258,7 @@ export default class GetUser {
    * @example
    * // Análisis de usuarios para dashboard administrativo
    * try {
-   *   const allUsers = await getUser.execute();
+   *   const { data: allUsers } = await getUser.execute();
    *   
    *   // Métricas básicas
    *   const metrics = {
@@ -288,21 +293,15 @@ export default class GetUser {
    * }
    * 
    * @example
-   * // Uso con consideraciones de rendimiento
-   * const users = await getUser.execute();
-   * 
-   * if (users.length > 5000) {
-   *   console.warn('Sistema con muchos usuarios, considerar implementar paginación');
-   *   
-   *   // Para sistemas grandes, procesar en chunks
-   *   const chunkSize = 1000;
-   *   for (let i = 0; i < users.length; i += chunkSize) {
-   *     const chunk = users.slice(i, i + chunkSize);
-   *     // Procesar chunk de usuarios
-   *   }
-   * }
+   * // Vendedores ordenados por nombre, de 50 en 50
+   * const { data, total } = await getUser.execute({
+   *   page: 1,
+   *   limit: 50,
+   *   sort: [{ field: "name", direction: 1 }],
+   *   filters: [{ field: "rol", op: "eq", value: "Vendedor" }]
+   * });
    */
-  async execute() {
-    return await this.userRepository.findAll();
+  async execute(criteria = {}) {
+    return await this.userRepository.findPaginated({ ...DEFAULT_CRITERIA, ...criteria });
   }
 }
\ No newline at end of file
@@ -10,6 +10,7 @@
  * - Validación de credenciales (email y contraseña)
  * - Comparación de contraseñas encriptadas con bcrypt (u otro encrypter)
  * - Generación de un token JWT seguro
+ * - Emisión de un refresh token rotativo (se guarda solo su hash)
  * - Retorno de la información del usuario (sin password)
  * 
  * CASOS DE USO TÍPICOS:
@@ -18,11 +19,16 @@
  * - Autenticación en panel administrativo
  * 
  * INFORMACIÓN RETORNADA:
- * - token: JWT con id y email del usuario
+ * - token: JWT con id, email y rol del usuario (el rol alimenta la capa de permisos)
+ *   y `sid`, el identificador de la sesión usado para revocarla
+ * - refreshToken: Token opaco para renovar el access token sin volver a iniciar sesión
  * - user: Objeto con información básica del usuario
  *   (excluye password y campos internos como __v)
  * 
  * 🔐 CONSIDERACIONES DE SEGURIDAD:
+ * - Email inexistente y contraseña incorrecta producen el mismo error
+ *   ("Credenciales inválidas") y tardan lo mismo (siempre se compara un
+ *   hash), para no revelar qué correos están registrados
  * - Nunca retornar contraseñas (ni siquiera encriptadas)
  * - El token debe tener expiración y estar firmado con secret seguro
  * - Implementar bloqueo tras múltiples intentos fallidos de login
@@ -32,17 +38,27 @@
  * Principio SOLID: Single Responsibility Principle
  */
 
+import UnauthorizedError from "../../../domain/errors/UnauthorizedError.js";
+
+const invalidCredentials = () =>
+  new UnauthorizedError("❌ Credenciales inválidas ❌", { code: "INVALID_CREDENTIALS" });
+
 export default class LoginUser {
   /**
    * Constructor de la clase LoginUser
    * @param {Object} userRepository - Repositorio para acceder a los datos de usuarios
    * @param {Object} passwordEncrypter - Servicio para comparar contraseñas encriptadas
    * @param {Object} tokenGenerator - Servicio para generar tokens JWT
+   * @param {Object} refreshTokenRepository - Repositorio de refresh tokens
+   * @param {Object} refreshTokenGenerator - Servicio para generar refresh tokens
    */
-  constructor(userRepository, passwordEncrypter, tokenGenerator) {
+  constructor(userRepository, passwordEncrypter, tokenGenerator, refreshTokenRepository, refreshTokenGenerator) {
     this.userRepository = userRepository;
     this.passwordEncrypter = passwordEncrypter;
     this.tokenGenerator = tokenGenerator;
+    this.refreshTokenRepository = refreshTokenRepository;
+    this.refreshTokenGenerator = refreshTokenGenerator;
+    this.dummyHash = null;
   }
 
   /**
@@ -50,24 +66,44 @@ export default class LoginUser {
    * @param {Object} params - Parámetros del login
    * @param {string} params.email - Correo electrónico del usuario
    * @param {string} params.password - Contraseña ingresada por el usuario
-   * @returns {Promise<{token: string, user: Object}>} - Devuelve el token de acceso y los datos del usuario
-   * @throws {Error} - Si el usuario no existe o la contraseña es incorrecta
+   * @returns {Promise<{token: string, refreshToken: string, user: Object}>} - Devuelve el token de acceso,
+   *          el refresh token y los datos del usuario
+   * @throws {UnauthorizedError} - Si el usuario no existe o la contraseña es incorrecta (INVALID_CREDENTIALS)
    */
-  async execute({ email, password }) {
+  async execute({ email, password } = {}) {
+    if(!email || !password) throw invalidCredentials();
+
     // Buscar usuario por email
     const user = await this.userRepository.findByUserEmail(email);
-    if(!user) throw new Error("❌ Usuario no encontrado ❌");
 
-    // Validar contraseña
-    const isValid = await this.passwordEncrypter.comparePassword(password, user.password);
-    if(!isValid) throw new Error("❌ Contrasena incorrecta ❌");
+    // Validar contraseña (contra un hash de relleno si el usuario no existe)
+    const hash = user ? user.password : await this.getDummyHash();
+    const isValid = await this.passwordEncrypter.comparePassword(password, hash);
+    if(!user || !isValid) throw invalidCredentials();
+
+    // Iniciar una nueva sesión (familia de refresh tokens)
+    const family = this.refreshTokenGenerator.newFamily();
+    const { token: refreshToken, tokenHash, expiresAt } = this.refreshTokenGenerator.generate();
+    await this.refreshTokenRepository.create({ userId: user.id, tokenHash, family, expiresAt });
 
-    // Generar token JWT
-    const token = this.tokenGenerator.generate({ id: user.id, email: user.email });
+    // Generar token JWT ligado a la sesión
+    const token = this.tokenGenerator.generate({ id: user.id, email: user.email, rol: user.rol, sid: family });
 
     // Excluir password y campo interno __v antes de retornar
     const { password: _, __v, ...userData } = user.toObject();
 
-    return { token, user: userData };
+    return { token, refreshToken, user: userData };
+  }
+
+  /**
+   * Hash de relleno para igualar el tiempo de respuesta cuando el email
+   * no existe. Se calcula una sola vez por instancia.
+   * @returns {Promise<string>}
+   */
+  async getDummyHash() {
+    if(!this.dummyHash) {
+      this.dummyHash = this.passwordEncrypter.hashPassword("dummy-password-for-timing");
+    }
+    return await this.dummyHash;
   }
 }
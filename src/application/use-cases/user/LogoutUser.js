@@ -0,0 +1,51 @@
+/**
+ * LOGOUTUSER.JS - CASO DE USO PARA CERRAR SESIÓN
+ * ==============================================
+ * 
+ * Este caso de uso revoca la sesión asociada a un refresh token.
+ * Al revocar la familia completa, tanto los refresh tokens como los
+ * access tokens emitidos para esa sesión dejan de ser aceptados.
+ * 
+ * Funcionalidades:
+ * - Localización de la sesión a partir del refresh token
+ * - Revocación de todos los tokens de la familia
+ * 
+ * CASOS DE USO TÍPICOS:
+ * - Cierre de sesión desde el POS al terminar el turno
+ * - Cierre de sesión forzado ante pérdida de un dispositivo
+ * 
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility Principle
+ */
+
+import ValidationError from "../../../domain/errors/ValidationError.js";
+
+export default class LogoutUser {
+  /**
+   * Constructor de la clase LogoutUser
+   * @param {Object} refreshTokenRepository - Repositorio de refresh tokens
+   * @param {Object} refreshTokenGenerator - Servicio para calcular el hash de los tokens
+   */
+  constructor(refreshTokenRepository, refreshTokenGenerator) {
+    this.refreshTokenRepository = refreshTokenRepository;
+    this.refreshTokenGenerator = refreshTokenGenerator;
+  }
+
+  /**
+   * Ejecuta el cierre de sesión
+   * @param {Object} params - Parámetros del logout
+   * @param {string} params.refreshToken - Refresh token de la sesión a cerrar
+   * @returns {Promise<boolean>} - true si la sesión existía y fue revocada
+   * @throws {ValidationError} - Si no se envía el refresh token
+   */
+  async execute({ refreshToken }) {
+    if(!refreshToken) throw new ValidationError("❌ Refresh token requerido ❌");
+
+    const tokenHash = this.refreshTokenGenerator.hash(refreshToken);
+    const storedToken = await this.refreshTokenRepository.findByTokenHash(tokenHash);
+    if(!storedToken) return false;
+
+    await this.refreshTokenRepository.revokeFamily(storedToken.family);
+    return true;
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * REFRESHUSERTOKEN.JS - CASO DE USO PARA RENOVAR LA SESIÓN
+ * ========================================================
+ * 
+ * Este caso de uso canjea un refresh token vigente por un nuevo par
+ * de tokens (access token + refresh token), sin pedir de nuevo las
+ * credenciales del usuario.
+ * 
+ * Funcionalidades:
+ * - Validación del refresh token recibido (existencia, expiración, revocación)
+ * - Rotación: el token canjeado queda inutilizable y se emite uno nuevo
+ *   en la misma familia (sesión)
+ * - Detección de reutilización: si se presenta un token ya rotado,
+ *   se revoca toda la familia
+ * - Generación de un nuevo access token con el rol actual del usuario
+ * 
+ * 🔐 CONSIDERACIONES DE SEGURIDAD:
+ * - Un refresh token ya rotado solo puede estar en manos de un tercero
+ *   (el cliente legítimo siempre usa el último); por eso su uso invalida
+ *   la sesión completa, incluidos los access tokens emitidos con ella
+ * - El rol se lee de la base de datos en cada renovación, así los cambios
+ *   de permisos se aplican sin esperar a un nuevo login
+ * 
+ * Patrón de diseño: Clean Architecture / Use Case Pattern
+ * Principio SOLID: Single Responsibility Principle
+ */
+
+import UnauthorizedError from "../../../domain/errors/UnauthorizedError.js";
+import ValidationError from "../../../domain/errors/ValidationError.js";
+
+export default class RefreshUserToken {
+  /**
+   * Constructor de la clase RefreshUserToken
+   * @param {Object} userRepository - Repositorio para acceder a los datos de usuarios
+   * @param {Object} tokenGenerator - Servicio para generar tokens JWT
+   * @param {Object} refreshTokenRepository - Repositorio de refresh tokens
+   * @param {Object} refreshTokenGenerator - Servicio para generar refresh tokens
+   */
+  constructor(userRepository, tokenGenerator, refreshTokenRepository, refreshTokenGenerator) {
+    this.userRepository = userRepository;
+    this.tokenGenerator = tokenGenerator;
+    this.refreshTokenRepository = refreshTokenRepository;
+    this.refreshTokenGenerator = refreshTokenGenerator;
+  }
+
+  /**
+   * Ejecuta la renovación de la sesión
+   * @param {Object} params - Parámetros de la renovación
+   * @param {string} params.refreshToken - Refresh token entregado en el login o la última renovación
+   * @returns {Promise<{token: string, refreshToken: string}>} - Nuevo par de tokens
+   * @throws {ValidationError} - Si no se envía el refresh token
+   * @throws {UnauthorizedError} - Si el token no existe, expiró, fue revocado o ya había sido usado
+   */
+  async execute({ refreshToken }) {
+    if(!refreshToken) throw new ValidationError("❌ Refresh token requerido ❌");
+
+    // Buscar el token por su hash (nunca se guarda en texto plano)
+    const tokenHash = this.refreshTokenGenerator.hash(refreshToken);
+    const storedToken = await this.refreshTokenRepository.findByTokenHash(tokenHash);
+    if(!storedToken) throw new UnauthorizedError("❌ Refresh token inválido ❌", { code: "INVALID_REFRESH_TOKEN" });
+
+    if(storedToken.revokedAt) throw new UnauthorizedError("❌ Sesión revocada ❌", { code: "SESSION_REVOKED" });
+
+    // Reutilización de un token ya rotado: se invalida toda la sesión
+    if(storedToken.rotatedAt) {
+      await this.refreshTokenRepository.revokeFamily(storedToken.family);
+      throw new UnauthorizedError("❌ Refresh token reutilizado. La sesión fue revocada ❌", { code: "REFRESH_TOKEN_REUSED" });
+    }
+
+    if(storedToken.expiresAt <= new Date()) throw new UnauthorizedError("❌ Refresh token expirado ❌", { code: "REFRESH_TOKEN_EXPIRED" });
+
+    // Rotación atómica: si otro canje se adelantó, también es reutilización
+    const rotated = await this.refreshTokenRepository.markRotated(storedToken._id);
+    if(!rotated) {
+      await this.refreshTokenRepository.revokeFamily(storedToken.family);
+      throw new UnauthorizedError("❌ Refresh token reutilizado. La sesión fue revocada ❌", { code: "REFRESH_TOKEN_REUSED" });
+    }
+
+    // El usuario pudo ser eliminado después del login
+    const user = await this.userRepository.findById(storedToken.userId);
+    if(!user) {
+      await this.refreshTokenRepository.revokeFamily(storedToken.family);
+      throw new UnauthorizedError("❌ Sesión revocada ❌", { code: "SESSION_REVOKED" });
+    }
+
+    // Emitir el nuevo refresh token en la misma familia
+    const { token: newRefreshToken, tokenHash: newTokenHash, expiresAt } = this.refreshTokenGenerator.generate();
+    await this.refreshTokenRepository.create({
+      userId: user.id,
+      tokenHash: newTokenHash,
+      family: storedToken.family,
+      expiresAt
+    });
+
+    const token = this.tokenGenerator.generate({
+      id: user.id,
+      email: user.email,
+      rol: user.rol,
+      sid: storedToken.family
+    });
+
+    return { token, refreshToken: newRefreshToken };
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * DISCOUNTS.JS - CONFIGURACIÓN DE LOS DESCUENTOS MANUALES
+ * =======================================================
+ *
+ * Porcentaje máximo de descuento manual (de línea y de pedido) que puede
+ * dar un Vendedor. Por encima, el pedido o la línea solo los puede
+ * registrar un Administrador (ver `DiscountService`). Las promociones no
+ * cuentan: ya las aprobó el Administrador que las configuró.
+ *
+ * 🔧 VARIABLES (opcionales, en .env):
+ *   DISCOUNT_APPROVAL_THRESHOLD=10    (porcentaje entre 0 y 100; otro valor se ignora)
+ */
+
+const DEFAULT_THRESHOLD = 10;
+
+const configuredThreshold = Number(process.env.DISCOUNT_APPROVAL_THRESHOLD);
+
+export const DISCOUNT_APPROVAL_THRESHOLD = process.env.DISCOUNT_APPROVAL_THRESHOLD
+  && configuredThreshold >= 0 && configuredThreshold <= 100
+  ? configuredThreshold
+  : DEFAULT_THRESHOLD;
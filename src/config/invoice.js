@@ -0,0 +1,28 @@
+/**
+ * INVOICE.JS - CONFIGURACIÓN DE LAS FACTURAS Y TIQUETES
+ * =====================================================
+ *
+ * Datos del negocio y formato regional que se imprimen en la factura
+ * (`GET /api/order/:id/invoice.pdf`). Se leen de las variables de entorno.
+ *
+ * 🔧 VARIABLES (opcionales, en .env):
+ *   INVOICE_COMPANY_NAME=Mi Tienda S.A.S.
+ *   INVOICE_COMPANY_TAX_ID=900123456-7
+ *   INVOICE_COMPANY_ADDRESS=Cra 7 # 71-21, Bogotá
+ *   INVOICE_COMPANY_PHONE=601 555 0101
+ *   INVOICE_LOCALE=es-CO               (formato de números y fechas)
+ *   INVOICE_CURRENCY=COP
+ *   INVOICE_TIMEZONE=America/Bogota    (por defecto REPORT_TIMEZONE o UTC)
+ */
+
+export const INVOICE_SETTINGS = Object.freeze({
+  company: Object.freeze({
+    name: process.env.INVOICE_COMPANY_NAME || "Stock y Pedidos",
+    taxId: process.env.INVOICE_COMPANY_TAX_ID || null,
+    address: process.env.INVOICE_COMPANY_ADDRESS || null,
+    phone: process.env.INVOICE_COMPANY_PHONE || null
+  }),
+  locale: process.env.INVOICE_LOCALE || "es-CO",
+  currency: process.env.INVOICE_CURRENCY || "COP",
+  timeZone: process.env.INVOICE_TIMEZONE || process.env.REPORT_TIMEZONE || "UTC"
+});
@@ -0,0 +1,27 @@
+/**
+ * ORDERNUMBER.JS - CONFIGURACIÓN DE LA NUMERACIÓN DE PEDIDOS
+ * ==========================================================
+ *
+ * Lee de las variables de entorno el formato de los números de pedido
+ * (ver `domain/constants/orderNumber.js`). Lo usan el controlador de
+ * pedidos y la migración que numera los pedidos antiguos, para que ambos
+ * generen la misma serie.
+ *
+ * 🔧 VARIABLES (opcionales, en .env):
+ *   ORDER_NUMBER_PREFIX=PED
+ *   ORDER_NUMBER_PADDING=6
+ *   ORDER_NUMBER_YEARLY_RESET=true     (false = una única serie sin año)
+ *   ORDER_NUMBER_TIMEZONE=America/Bogota (por defecto REPORT_TIMEZONE o UTC)
+ *
+ * Cambiar el prefijo o el reinicio anual abre una serie nueva: los
+ * pedidos ya numerados conservan su número.
+ */
+
+import { ORDER_NUMBER_DEFAULTS } from "../domain/constants/orderNumber.js";
+
+export const ORDER_NUMBER_FORMAT = Object.freeze({
+  prefix: process.env.ORDER_NUMBER_PREFIX || ORDER_NUMBER_DEFAULTS.prefix,
+  padding: Number(process.env.ORDER_NUMBER_PADDING) || ORDER_NUMBER_DEFAULTS.padding,
+  yearlyReset: process.env.ORDER_NUMBER_YEARLY_RESET !== "false",
+  timeZone: process.env.ORDER_NUMBER_TIMEZONE || process.env.REPORT_TIMEZONE || ORDER_NUMBER_DEFAULTS.timeZone
+});
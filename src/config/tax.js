@@ -0,0 +1,18 @@
+/**
+ * TAX.JS - CONFIGURACIÓN DEL IVA
+ * ==============================
+ *
+ * Tarifa de IVA que se aplica a los productos que no definen la suya y
+ * cuya categoría tampoco tiene una (ver `domain/constants/taxRates.js`).
+ *
+ * 🔧 VARIABLES (opcionales, en .env):
+ *   DEFAULT_TAX_RATE=19    (19, 5 o 0; otro valor se ignora)
+ */
+
+import { TAX_RATE, TAX_RATES } from "../domain/constants/taxRates.js";
+
+const configuredRate = Number(process.env.DEFAULT_TAX_RATE);
+
+export const DEFAULT_TAX_RATE = process.env.DEFAULT_TAX_RATE && TAX_RATES.includes(configuredRate)
+  ? configuredRate
+  : TAX_RATE.GENERAL;
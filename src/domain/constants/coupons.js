@@ -0,0 +1,44 @@
+/**
+ * COUPONS.JS - CÓDIGOS DE CUPÓN Y A QUÉ LÍNEAS APLICAN
+ * ====================================================
+ *
+ * Un cupón es un descuento (`{ type, value }`, ver `discounts.js`) que el
+ * cliente activa con un código al crear el pedido. Se reparte entre las
+ * líneas elegibles en proporción a su valor, después de las promociones
+ * y del descuento de cada línea, y antes del descuento del pedido.
+ *
+ * ELEGIBILIDAD:
+ * - Sin `categories` ni `productIds`: aplica a todas las líneas
+ * - Con alguna de las dos listas: aplica a las líneas cuyo producto está
+ *   en `productIds` o cuya categoría está en `categories`
+ *
+ * Los códigos no distinguen mayúsculas: se guardan y se buscan en
+ * mayúsculas y sin espacios alrededor.
+ */
+
+import { isDiscountActive } from "./discounts.js";
+
+/**
+ * Normaliza un código de cupón para guardarlo o buscarlo
+ * @param {string} code
+ * @returns {string}
+ *
+ * @example
+ * normalizeCouponCode("  bienvenida10 "); // "BIENVENIDA10"
+ */
+export const normalizeCouponCode = (code) => String(code).trim().toUpperCase();
+
+// Vigencia de un cupón: la misma regla que la de las promociones (ver `discounts.js`)
+export const isCouponActive = isDiscountActive;
+
+/**
+ * Indica si un cupón aplica a un producto
+ * @param {Object} coupon - { categories, productIds }
+ * @param {Object} product - { _id, category }
+ * @returns {boolean}
+ */
+export const couponAppliesToProduct = ({ categories = [], productIds = [] }, product) => {
+  if(categories.length === 0 && productIds.length === 0) return true;
+  return categories.includes(product.category)
+    || productIds.some((productId) => String(productId) === String(product._id));
+};
@@ -0,0 +1,73 @@
+/**
+ * DISCOUNTS.JS - DESCUENTOS DE LAS LÍNEAS Y DE LOS PEDIDOS
+ * ========================================================
+ *
+ * Un descuento manual se pide como `{ type, value }`:
+ * - percentage: `value` es un porcentaje entre 0 y 100 (ej. 12.5)
+ * - fixed:      `value` es un monto fijo en centavos (ej. 500000)
+ *
+ * ORIGEN DE CADA DESCUENTO (`source` en `OrderDetails.discounts`):
+ * - promotion: La mejor promoción vigente para la línea (ver `promotions.js`)
+ * - line:      Descuento manual pedido para la línea
+ * - coupon:    Parte de la línea en el cupón del pedido (ver `coupons.js`)
+ * - order:     Parte de la línea en el descuento manual del pedido
+ *
+ * Los descuentos se aplican sobre el precio tal como está en el catálogo
+ * (con IVA incluido o no, según `priceIncludesTax`) y siempre antes de
+ * calcular el IVA: el impuesto se liquida sobre el valor neto.
+ */
+
+import { percentOf } from "./money.js";
+
+export const DISCOUNT_TYPE = Object.freeze({
+  PERCENTAGE: "percentage",
+  FIXED: "fixed"
+});
+
+// Listas de tipos y orígenes (usadas en la validación HTTP y la documentación)
+export const DISCOUNT_TYPES = Object.freeze(Object.values(DISCOUNT_TYPE));
+
+export const DISCOUNT_SOURCE = Object.freeze({
+  PROMOTION: "promotion",
+  LINE: "line",
+  COUPON: "coupon",
+  ORDER: "order"
+});
+
+export const DISCOUNT_SOURCES = Object.freeze(Object.values(DISCOUNT_SOURCE));
+
+// Descuentos que pide el vendedor (promociones y cupones los configura un Administrador)
+export const MANUAL_DISCOUNT_SOURCES = Object.freeze([DISCOUNT_SOURCE.LINE, DISCOUNT_SOURCE.ORDER]);
+
+/**
+ * Valor de un descuento sobre una base, sin pasar de la base
+ * @param {Object|null} discount - { type, value }
+ * @param {number} base - Monto sobre el que se aplica (centavos)
+ * @returns {number} Centavos de descuento
+ *
+ * @example
+ * discountAmount({ type: "percentage", value: 10 }, 2380000); // 238000
+ * discountAmount({ type: "fixed", value: 500000 }, 300000);    // 300000
+ */
+export const discountAmount = (discount, base) => {
+  if(!discount || base <= 0) return 0;
+
+  const amount = discount.type === DISCOUNT_TYPE.PERCENTAGE
+    ? percentOf(base, discount.value)
+    : discount.value;
+
+  return Math.min(amount, base);
+};
+
+/**
+ * Indica si un descuento con vigencia (promoción o cupón) se puede usar
+ * en una fecha: activo y dentro de su rango de fechas (cada extremo es
+ * opcional e incluido)
+ * @param {Object} discount - { active, startsAt, endsAt }
+ * @param {Date} [at] - Fecha de referencia (por defecto ahora)
+ * @returns {boolean}
+ */
+export const isDiscountActive = ({ active = true, startsAt, endsAt }, at = new Date()) =>
+  active
+  && (!startsAt || new Date(startsAt) <= at)
+  && (!endsAt || new Date(endsAt) >= at);
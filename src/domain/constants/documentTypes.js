@@ -0,0 +1,32 @@
+/**
+ * DOCUMENTTYPES.JS - DOCUMENTOS DE IDENTIDAD DE LOS CLIENTES
+ * ==========================================================
+ *
+ * Tipos de documento aceptados para identificar a un cliente y la
+ * normalización del número, para que "900.123.456-7" y "900123456-7"
+ * sean el mismo cliente al registrarlo y al buscarlo en el punto de venta.
+ *
+ * TIPOS:
+ * - CC:  Cédula de ciudadanía
+ * - NIT: Número de identificación tributaria (empresas)
+ * - CE:  Cédula de extranjería
+ * - PP:  Pasaporte
+ */
+
+export const DOCUMENT_TYPE = Object.freeze({
+  CC: "CC",
+  NIT: "NIT",
+  CE: "CE",
+  PASSPORT: "PP"
+});
+
+// Lista de tipos permitidos (usada en validaciones de entidad y modelo)
+export const DOCUMENT_TYPES = Object.freeze(Object.values(DOCUMENT_TYPE));
+
+/**
+ * Quita puntos y espacios y pasa a mayúsculas el número de documento
+ * @param {string} documentNumber - Número tal como lo escribió el usuario
+ * @returns {string} Número normalizado (ej. "900123456-7")
+ */
+export const normalizeDocumentNumber = (documentNumber) =>
+  typeof documentNumber === "string" ? documentNumber.replace(/[.\s]/g, "").toUpperCase() : documentNumber;
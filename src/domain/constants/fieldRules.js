@@ -0,0 +1,241 @@
+/**
+ * FIELDRULES.JS - REGLAS DE LOS CAMPOS DE CADA ENTIDAD
+ * ====================================================
+ *
+ * Define tipo, obligatoriedad y límites de cada campo. Es la única
+ * fuente de verdad para:
+ * - Las entidades de dominio (`assertValid` en el constructor)
+ * - Los modelos de Mongoose (minlength, maxlength, min, enum...)
+ * - La validación HTTP de `presentation/schemas` y la documentación OpenAPI
+ *
+ * Cambiar un límite aquí lo cambia en las tres capas a la vez.
+ *
+ * FORMATO DE UNA REGLA (ver `domain/validation/validator.js`):
+ * - type: "string", "number", "integer", "boolean", "objectId", "date", "array" u "object"
+ * - required: true si el campo es obligatorio
+ * - minLength / maxLength: longitud de textos
+ * - min / max: rango de números
+ * - enum: lista de valores permitidos
+ * - pattern: expresión regular que debe cumplir el texto
+ * - items / minItems / maxItems: regla de cada elemento y mínimo y máximo de elementos (listas)
+ * - fields: reglas de los campos internos (objetos)
+ */
+
+import { ALLOWED_ROLES } from "./roles.js";
+import { ORDER_STATUSES } from "./orderStatus.js";
+import { PURCHASE_ORDER_STATUSES } from "./purchaseOrderStatus.js";
+import { DOCUMENT_TYPES } from "./documentTypes.js";
+import { TAX_RATES } from "./taxRates.js";
+import { DISCOUNT_TYPES } from "./discounts.js";
+import { PROMOTION_TYPES } from "./promotions.js";
+
+// Montos de dinero: enteros en centavos, nunca negativos (ver `money.js`)
+const MONEY = Object.freeze({ type: "integer", min: 0 });
+
+// Porcentaje de descuento de una promoción
+const PERCENT = Object.freeze({ type: "number", min: 0.01, max: 100 });
+
+// Código de cupón: letras, números, guiones (se guarda en mayúsculas)
+const COUPON_CODE = Object.freeze({ type: "string", minLength: 3, maxLength: 30, pattern: /^[A-Za-z0-9_-]+$/ });
+
+export const USER_FIELDS = Object.freeze({
+  name: { type: "string", required: true, minLength: 3, maxLength: 25 },
+  email: { type: "string", required: true, minLength: 8, maxLength: 50, pattern: /.+@.+\..+/ },
+  password: { type: "string", required: true, minLength: 4 },
+  rol: { type: "string", required: true, enum: ALLOWED_ROLES }
+});
+
+export const PRODUCT_FIELDS = Object.freeze({
+  name: { type: "string", required: true, minLength: 2, maxLength: 60 },
+  description: { type: "string", maxLength: 50 },
+  price: { ...MONEY, required: true },
+  stock: { type: "integer", required: true, min: 0 },
+  category: { type: "string", required: true, minLength: 1 },
+  // Costo promedio ponderado; lo recalcula cada recepción de mercancía
+  cost: MONEY,
+  // Punto de reorden: con este stock disponible o menos hay que volver a pedir
+  reorderPoint: { type: "integer", min: 0 },
+  // Unidades sugeridas al reponer
+  reorderQuantity: { type: "integer", min: 0 },
+  // Tarifa de IVA propia; sin ella se usa la de la categoría o la por defecto
+  taxRate: { type: "number", enum: TAX_RATES },
+  // Si `price` ya incluye el IVA (por defecto true)
+  priceIncludesTax: { type: "boolean" }
+});
+
+// Descuento manual de una línea o de un pedido. El rango de `value` depende
+// del tipo (porcentaje hasta 100 o centavos enteros, ver `DiscountService`)
+export const DISCOUNT_FIELDS = Object.freeze({
+  type: { type: "string", required: true, enum: DISCOUNT_TYPES },
+  value: { type: "number", required: true, min: 0 }
+});
+
+const DISCOUNT_RULE = Object.freeze({ type: "object", fields: DISCOUNT_FIELDS });
+
+export const ORDER_FIELDS = Object.freeze({
+  userId: { type: "objectId", required: true },
+  // Cliente que compra (opcional: sin cliente es venta a consumidor final)
+  customerId: { type: "objectId" },
+  status: { type: "string", enum: ORDER_STATUSES },
+  // Nota de cada transición en `statusHistory`
+  note: { type: "string", maxLength: 200 },
+  // Descuento manual sobre todo el pedido (se reparte entre las líneas)
+  discount: DISCOUNT_RULE,
+  // Código del cupón que se quiere canjear al crear el pedido
+  couponCode: COUPON_CODE
+});
+
+export const ORDER_DETAIL_FIELDS = Object.freeze({
+  orderId: { type: "objectId", required: true },
+  productId: { type: "objectId", required: true },
+  amount: { type: "integer", required: true, min: 1 },
+  unitPrice: { ...MONEY, required: true },
+  // Costo del producto al momento de la venta (lo pone el servidor)
+  unitCost: MONEY,
+  // IVA de la línea al momento de la venta (lo pone el servidor)
+  taxRate: { type: "number", enum: TAX_RATES },
+  priceIncludesTax: { type: "boolean" },
+  taxBase: MONEY,
+  taxAmount: MONEY,
+  // Precio × cantidad antes de descuentos y total descontado (los pone el servidor)
+  grossAmount: MONEY,
+  discountAmount: MONEY
+});
+
+// Línea de un pedido nuevo: el precio lo pone el servidor, no el cliente;
+// el cliente solo puede pedir un descuento (que puede requerir Administrador)
+export const ORDER_LINE_FIELDS = Object.freeze({
+  productId: ORDER_DETAIL_FIELDS.productId,
+  amount: ORDER_DETAIL_FIELDS.amount,
+  discount: DISCOUNT_RULE
+});
+
+// Lista de líneas de `POST /api/order` (al menos una)
+export const ORDER_LINES_RULE = Object.freeze({
+  type: "array",
+  required: true,
+  minItems: 1,
+  items: { type: "object", fields: ORDER_LINE_FIELDS }
+});
+
+// Dirección de un cliente (entrega o facturación)
+export const CUSTOMER_ADDRESS_FIELDS = Object.freeze({
+  label: { type: "string", maxLength: 30 },
+  line: { type: "string", required: true, minLength: 3, maxLength: 120 },
+  city: { type: "string", maxLength: 60 }
+});
+
+export const CUSTOMER_FIELDS = Object.freeze({
+  name: { type: "string", required: true, minLength: 2, maxLength: 60 },
+  documentType: { type: "string", required: true, enum: DOCUMENT_TYPES },
+  // Se acepta con puntos o espacios; se guarda normalizado (ver `normalizeDocumentNumber`)
+  documentNumber: { type: "string", required: true, minLength: 3, maxLength: 20, pattern: /^[0-9A-Za-z.\s-]+$/ },
+  phone: { type: "string", maxLength: 20 },
+  email: { type: "string", maxLength: 50, pattern: /.+@.+\..+/ },
+  addresses: {
+    type: "array",
+    maxItems: 5,
+    items: { type: "object", fields: CUSTOMER_ADDRESS_FIELDS }
+  },
+  // Cupo de crédito; 0 = solo de contado
+  creditLimit: MONEY
+});
+
+// Tarifa de IVA de una categoría de productos
+export const CATEGORY_TAX_RATE_FIELDS = Object.freeze({
+  category: PRODUCT_FIELDS.category,
+  rate: { type: "number", required: true, enum: TAX_RATES }
+});
+
+// Tramo de una promoción por cantidad: desde `minQuantity` unidades, `percent` de descuento
+export const PROMOTION_TIER_FIELDS = Object.freeze({
+  minQuantity: { type: "integer", required: true, min: 2 },
+  percent: { ...PERCENT, required: true }
+});
+
+// Los campos obligatorios según el tipo los comprueba la entidad Promotion
+export const PROMOTION_FIELDS = Object.freeze({
+  name: { type: "string", required: true, minLength: 3, maxLength: 60 },
+  type: { type: "string", required: true, enum: PROMOTION_TYPES },
+  // A qué aplica: un producto o una categoría
+  productId: { type: "objectId" },
+  category: { ...PRODUCT_FIELDS.category, required: false },
+  // category_sale
+  percent: PERCENT,
+  // buy_x_get_y
+  buyQuantity: { type: "integer", min: 1 },
+  getQuantity: { type: "integer", min: 1 },
+  // quantity_tier
+  tiers: {
+    type: "array",
+    minItems: 1,
+    maxItems: 10,
+    items: { type: "object", fields: PROMOTION_TIER_FIELDS }
+  },
+  // Vigencia (obligatoria en category_sale)
+  startsAt: { type: "date" },
+  endsAt: { type: "date" },
+  active: { type: "boolean" }
+});
+
+// El rango de `value` según el tipo lo comprueba la entidad Coupon
+export const COUPON_FIELDS = Object.freeze({
+  code: { ...COUPON_CODE, required: true },
+  type: { type: "string", required: true, enum: DISCOUNT_TYPES },
+  value: { type: "number", required: true, min: 0.01 },
+  // Vigencia (null = sin límite)
+  startsAt: { type: "date" },
+  endsAt: { type: "date" },
+  // Valor mínimo del pedido (después de promociones y descuentos de línea)
+  minOrderAmount: MONEY,
+  // Límites de uso: total y por cliente (sin límite si se omiten)
+  maxRedemptions: { type: "integer", min: 1 },
+  maxRedemptionsPerCustomer: { type: "integer", min: 1 },
+  // Líneas elegibles (ambas vacías = todo el pedido)
+  categories: { type: "array", maxItems: 20, items: { ...PRODUCT_FIELDS.category } },
+  productIds: { type: "array", maxItems: 50, items: { type: "objectId" } },
+  active: { type: "boolean" }
+});
+
+export const SUPPLIER_FIELDS = Object.freeze({
+  name: { type: "string", required: true, minLength: 2, maxLength: 60 },
+  // NIT / RUT / RFC del proveedor
+  taxId: { type: "string", maxLength: 20 },
+  email: { type: "string", maxLength: 50, pattern: /.+@.+\..+/ },
+  phone: { type: "string", maxLength: 20 },
+  contactName: { type: "string", maxLength: 60 }
+});
+
+export const PURCHASE_ORDER_FIELDS = Object.freeze({
+  supplierId: { type: "objectId", required: true },
+  status: { type: "string", enum: PURCHASE_ORDER_STATUSES },
+  // Nota de cada transición o recepción
+  note: { type: "string", maxLength: 200 }
+});
+
+// Línea de una orden de compra: producto, cantidad pedida y costo unitario pactado
+export const PURCHASE_ORDER_LINE_FIELDS = Object.freeze({
+  productId: { type: "objectId", required: true },
+  quantity: { type: "integer", required: true, min: 1 },
+  unitCost: { ...MONEY, required: true }
+});
+
+export const PURCHASE_ORDER_LINES_RULE = Object.freeze({
+  type: "array",
+  required: true,
+  minItems: 1,
+  items: { type: "object", fields: PURCHASE_ORDER_LINE_FIELDS }
+});
+
+// Línea de una recepción: cuántas unidades llegaron de un producto
+export const RECEIPT_LINE_FIELDS = Object.freeze({
+  productId: PURCHASE_ORDER_LINE_FIELDS.productId,
+  quantity: PURCHASE_ORDER_LINE_FIELDS.quantity
+});
+
+export const RECEIPT_LINES_RULE = Object.freeze({
+  type: "array",
+  required: true,
+  minItems: 1,
+  items: { type: "object", fields: RECEIPT_LINE_FIELDS }
+});
@@ -0,0 +1,123 @@
+/**
+ * MONEY.JS - MONTOS DE DINERO EN UNIDADES MENORES
+ * ===============================================
+ *
+ * Todos los montos (precios, costos, subtotales, totales, cupos) se
+ * guardan, se calculan y viajan por la API como ENTEROS en unidades
+ * menores: centavos. $18.500,00 es `1850000`.
+ *
+ * Con enteros, sumas y restas son exactas (sin totales como
+ * 51.980000000000004). Solo hay que redondear al multiplicar o dividir
+ * por algo que no sea entero (un porcentaje, un promedio); eso se hace
+ * siempre con `roundMoney`, para que todas las capas redondeen igual.
+ *
+ * REGLA DE REDONDEO:
+ * Al centavo más cercano; las mitades se alejan de cero (redondeo
+ * comercial): 0,5 → 1 y −0,5 → −1.
+ */
+
+// Centavos en una unidad de la moneda
+export const MINOR_UNITS_PER_MAJOR = 100;
+
+/**
+ * Redondea un monto en centavos a un entero (mitades lejos de cero).
+ * Primero se descarta el ruido de coma flotante (100.49999999999999 es 100.5).
+ * @param {number} value - Monto en centavos, posiblemente con decimales
+ * @returns {number} Entero en centavos
+ */
+export const roundMoney = (value) => {
+  const magnitude = Number(Math.abs(value).toPrecision(15));
+  return Math.sign(value) * Math.round(magnitude) || 0;
+};
+
+/**
+ * Indica si un valor es un monto válido en centavos (entero seguro)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isMoney = (value) => Number.isSafeInteger(value);
+
+/**
+ * Convierte un monto en unidades de la moneda a centavos
+ * @param {number} major - Monto con decimales (ej. 25.99)
+ * @returns {number} Centavos (ej. 2599)
+ */
+export const toMinorUnits = (major) => roundMoney(major * MINOR_UNITS_PER_MAJOR);
+
+/**
+ * Convierte centavos a unidades de la moneda
+ * @param {number} minor - Centavos (ej. 2599)
+ * @returns {number} Monto con decimales (ej. 25.99)
+ */
+export const toMajorUnits = (minor) => minor / MINOR_UNITS_PER_MAJOR;
+
+/**
+ * Multiplica un monto por una cantidad o un factor y redondea al centavo
+ * @param {number} minor - Monto en centavos
+ * @param {number} factor - Unidades, proporción...
+ * @returns {number} Centavos
+ *
+ * @example
+ * multiplyMoney(2599, 2); // 5198
+ */
+export const multiplyMoney = (minor, factor) => roundMoney(minor * factor);
+
+/**
+ * Porcentaje de un monto, redondeado al centavo
+ * @param {number} minor - Monto en centavos
+ * @param {number} percent - Porcentaje (ej. 19)
+ * @returns {number} Centavos
+ *
+ * @example
+ * percentOf(2000000, 19); // 380000
+ */
+export const percentOf = (minor, percent) => roundMoney(minor * percent / 100);
+
+/**
+ * Suma montos en centavos
+ * @param {Array<number>} amounts
+ * @returns {number} Centavos
+ */
+export const sumMoney = (amounts) => amounts.reduce((sum, amount) => sum + amount, 0);
+
+/**
+ * Reparte un monto entre varias partes en proporción a sus pesos, sin
+ * perder ni inventar centavos: las partes siempre suman `total`. Los
+ * centavos sobrantes del redondeo van a las partes con mayor fracción.
+ * @param {number} total - Monto a repartir en centavos (≥ 0)
+ * @param {Array<number>} weights - Peso de cada parte (ej. el neto de cada línea)
+ * @returns {Array<number>} Centavos de cada parte, en el mismo orden
+ *
+ * @example
+ * allocateMoney(1000, [1, 1, 1]); // [334, 333, 333]
+ */
+export const allocateMoney = (total, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if(total <= 0 || weightSum <= 0) return weights.map(() => 0);
+
+  const exact = weights.map((weight) => total * weight / weightSum);
+  const shares = exact.map((share) => Math.floor(share));
+  const leftover = total - sumMoney(shares);
+
+  exact
+    .map((share, index) => ({ index, fraction: share - shares[index] }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .slice(0, leftover)
+    .forEach(({ index }) => { shares[index] += 1; });
+
+  return shares;
+};
+
+/**
+ * Formatea un monto en centavos como moneda
+ * @param {number} minor - Centavos
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Configuración regional (por defecto "es-CO")
+ * @param {string} [options.currency] - Código ISO de la moneda (por defecto "COP")
+ * @returns {string}
+ *
+ * @example
+ * formatMoney(1850000); // "$ 18.500,00"
+ */
+export const formatMoney = (minor, { locale = "es-CO", currency = "COP" } = {}) =>
+  new Intl.NumberFormat(locale, { style: "currency", currency }).format(toMajorUnits(minor ?? 0));
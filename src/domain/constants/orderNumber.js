@@ -0,0 +1,62 @@
+/**
+ * ORDERNUMBER.JS - NUMERACIÓN LEGIBLE DE LOS PEDIDOS
+ * ==================================================
+ *
+ * Además de su `_id`, cada pedido recibe un número consecutivo que se
+ * puede dictar por teléfono o imprimir en una factura:
+ *
+ * - Con reinicio anual:  PED-2026-000123 (la serie vuelve a 1 cada año)
+ * - Sin reinicio anual:  PED-000123      (una única serie)
+ *
+ * Cada serie tiene su propio contador (ver `orderNumberSeries`); el año
+ * se toma en la zona horaria configurada, para que un pedido del 31 de
+ * diciembre a las 23:00 no caiga en la serie del año siguiente.
+ *
+ * FORMATO (ver `config/orderNumber.js`):
+ * - prefix:      Prefijo del número (por defecto "PED")
+ * - padding:     Dígitos del consecutivo, rellenos con ceros (por defecto 6)
+ * - yearlyReset: Si la serie se reinicia cada año (por defecto true)
+ * - timeZone:    Zona horaria para decidir el año (por defecto "UTC")
+ */
+
+export const ORDER_NUMBER_DEFAULTS = Object.freeze({
+  prefix: "PED",
+  padding: 6,
+  yearlyReset: true,
+  timeZone: "UTC"
+});
+
+/**
+ * Año de una fecha en una zona horaria
+ * @param {Date} date
+ * @param {string} timeZone - Zona IANA (ej. "America/Bogota")
+ * @returns {number}
+ */
+const yearIn = (date, timeZone) =>
+  Number(new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric" }).format(date));
+
+/**
+ * Serie (contador) a la que pertenece un pedido creado en `date`
+ * @param {Object} format - { prefix, yearlyReset, timeZone }
+ * @param {Date} date - Fecha de creación del pedido
+ * @returns {{ key: string, year: number|null }} Clave del contador y año de la serie (null sin reinicio)
+ *
+ * @example
+ * orderNumberSeries(ORDER_NUMBER_DEFAULTS, new Date("2026-03-01")); // { key: "order:PED:2026", year: 2026 }
+ */
+export const orderNumberSeries = ({ prefix, yearlyReset, timeZone }, date) => {
+  if(!yearlyReset) return { key: `order:${prefix}`, year: null };
+
+  const year = yearIn(date, timeZone);
+  return { key: `order:${prefix}:${year}`, year };
+};
+
+/**
+ * Arma el número visible del pedido
+ * @param {Object} format - { prefix, padding }
+ * @param {number|null} year - Año de la serie (null sin reinicio anual)
+ * @param {number} sequence - Consecutivo dentro de la serie (desde 1)
+ * @returns {string} Ej. "PED-2026-000123"
+ */
+export const formatOrderNumber = ({ prefix, padding }, year, sequence) =>
+  [prefix, year, String(sequence).padStart(padding, "0")].filter((part) => part != null).join("-");
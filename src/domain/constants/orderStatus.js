@@ -0,0 +1,139 @@
+/**
+ * ORDERSTATUS.JS - CICLO DE VIDA DE LOS PEDIDOS
+ * =============================================
+ *
+ * Define los estados posibles de un pedido, las transiciones permitidas
+ * entre ellos y el efecto que cada estado tiene sobre el inventario.
+ * Es la única fuente de verdad para la entidad `Order`, el modelo de
+ * Mongoose y el caso de uso que mueve los pedidos de estado.
+ *
+ * ESTADOS Y TRANSICIONES:
+ * - draft      → pending, cancelled
+ * - pending    → confirmed, cancelled
+ * - confirmed  → preparing, cancelled
+ * - preparing  → shipped, cancelled
+ * - shipped    → delivered, returned
+ * - delivered  → returned
+ * - cancelled  → pending (reactivación)
+ * - returned   → (estado final)
+ *
+ * FASES DE STOCK:
+ * - none:      El pedido no ocupa inventario (borrador, cancelado, devuelto)
+ * - reserved:  Las unidades se apartan del stock disponible (`stock`)
+ *              y se acumulan en `reserved` del producto
+ * - committed: Las unidades salieron del almacén; ya no cuentan como reservadas
+ *
+ * EFECTOS AL CAMBIAR DE FASE:
+ * - none      → reserved:  Reservar (stock -= n, reserved += n)
+ * - reserved  → none:      Liberar  (stock += n, reserved -= n)
+ * - reserved  → committed: Confirmar salida (reserved -= n)
+ * - committed → none:      Reingresar devolución (stock += n)
+ *
+ * VENTAS EN REPORTES:
+ * Un pedido cuenta como venta desde que se confirma hasta que se entrega
+ * (confirmed, preparing, shipped, delivered). Borradores, pendientes,
+ * cancelados y devueltos no suman ingresos ni costos.
+ *
+ * ELIMINACIÓN:
+ * Se pueden eliminar pedidos en fase none o reserved (la reserva se
+ * libera al eliminar). Los de fase committed no se eliminan.
+ */
+
+export const ORDER_STATUS = Object.freeze({
+  DRAFT: "draft",
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  PREPARING: "preparing",
+  SHIPPED: "shipped",
+  DELIVERED: "delivered",
+  CANCELLED: "cancelled",
+  RETURNED: "returned"
+});
+
+// Lista de estados permitidos (usada en validaciones de entidad y modelo)
+export const ORDER_STATUSES = Object.freeze(Object.values(ORDER_STATUS));
+
+export const STOCK_PHASE = Object.freeze({
+  NONE: "none",
+  RESERVED: "reserved",
+  COMMITTED: "committed"
+});
+
+// Transiciones permitidas desde cada estado
+export const ORDER_TRANSITIONS = Object.freeze({
+  [ORDER_STATUS.DRAFT]: Object.freeze([ORDER_STATUS.PENDING, ORDER_STATUS.CANCELLED]),
+  [ORDER_STATUS.PENDING]: Object.freeze([ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED]),
+  [ORDER_STATUS.CONFIRMED]: Object.freeze([ORDER_STATUS.PREPARING, ORDER_STATUS.CANCELLED]),
+  [ORDER_STATUS.PREPARING]: Object.freeze([ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED]),
+  [ORDER_STATUS.SHIPPED]: Object.freeze([ORDER_STATUS.DELIVERED, ORDER_STATUS.RETURNED]),
+  [ORDER_STATUS.DELIVERED]: Object.freeze([ORDER_STATUS.RETURNED]),
+  [ORDER_STATUS.CANCELLED]: Object.freeze([ORDER_STATUS.PENDING]),
+  [ORDER_STATUS.RETURNED]: Object.freeze([])
+});
+
+// Estados cuyos pedidos cuentan como venta en los reportes
+export const SALE_STATUSES = Object.freeze([
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PREPARING,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.DELIVERED
+]);
+
+// Fase de stock que corresponde a cada estado
+const STOCK_PHASE_BY_STATUS = Object.freeze({
+  [ORDER_STATUS.DRAFT]: STOCK_PHASE.NONE,
+  [ORDER_STATUS.PENDING]: STOCK_PHASE.RESERVED,
+  [ORDER_STATUS.CONFIRMED]: STOCK_PHASE.RESERVED,
+  [ORDER_STATUS.PREPARING]: STOCK_PHASE.RESERVED,
+  [ORDER_STATUS.SHIPPED]: STOCK_PHASE.COMMITTED,
+  [ORDER_STATUS.DELIVERED]: STOCK_PHASE.COMMITTED,
+  [ORDER_STATUS.CANCELLED]: STOCK_PHASE.NONE,
+  [ORDER_STATUS.RETURNED]: STOCK_PHASE.NONE
+});
+
+/**
+ * Indica si el valor es un estado de pedido válido
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const isValidOrderStatus = (status) => ORDER_STATUSES.includes(status);
+
+/**
+ * Devuelve los estados a los que se puede pasar desde `status`
+ * @param {string} status - Estado actual
+ * @returns {Array<string>}
+ */
+export const allowedTransitions = (status) => ORDER_TRANSITIONS[status] || [];
+
+/**
+ * Indica si se permite pasar de un estado a otro
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado destino
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+/**
+ * Devuelve la fase de stock de un estado
+ * @param {string} status
+ * @returns {string} Uno de los valores de STOCK_PHASE
+ */
+export const stockPhaseOf = (status) => STOCK_PHASE_BY_STATUS[status] || STOCK_PHASE.NONE;
+
+/**
+ * Indica si las líneas de un pedido en este estado se pueden modificar.
+ * Solo antes de que la mercancía salga del almacén.
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const isEditableStatus = (status) =>
+  [ORDER_STATUS.DRAFT, ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED].includes(status);
+
+/**
+ * Indica si un pedido en este estado se puede eliminar. No se eliminan
+ * pedidos cuya mercancía está fuera del almacén (despachados o
+ * entregados): primero deben pasar a "returned".
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const isDeletableStatus = (status) => stockPhaseOf(status) !== STOCK_PHASE.COMMITTED;
@@ -0,0 +1,101 @@
+/**
+ * PROMOTIONS.JS - TIPOS DE PROMOCIÓN Y CÁLCULO DE SU DESCUENTO
+ * ============================================================
+ *
+ * TIPOS:
+ * - category_sale: Porcentaje de descuento en toda una categoría, con
+ *   fecha de inicio y de fin obligatorias (ej. 20 % en Bebidas en diciembre)
+ * - buy_x_get_y:   Por cada `buyQuantity` unidades pagadas, `getQuantity`
+ *   gratis, dentro de la misma línea (ej. 2x1: buyQuantity 1, getQuantity 1)
+ * - quantity_tier: Porcentaje según las unidades de la línea; aplica el
+ *   tramo con el mayor `minQuantity` alcanzado
+ *
+ * Las de tipo buy_x_get_y y quantity_tier apuntan a un producto
+ * (`productId`) o a una categoría (`category`).
+ *
+ * Una línea recibe como máximo UNA promoción: la que da el mayor
+ * descuento entre las vigentes que le aplican (no se acumulan).
+ */
+
+import { isDiscountActive } from "./discounts.js";
+import { multiplyMoney, percentOf } from "./money.js";
+
+export const PROMOTION_TYPE = Object.freeze({
+  CATEGORY_SALE: "category_sale",
+  BUY_X_GET_Y: "buy_x_get_y",
+  QUANTITY_TIER: "quantity_tier"
+});
+
+// Lista de tipos (usada en la validación HTTP y la documentación)
+export const PROMOTION_TYPES = Object.freeze(Object.values(PROMOTION_TYPE));
+
+// Vigencia de una promoción: la misma regla que la de los cupones (ver `discounts.js`)
+export const isPromotionActive = isDiscountActive;
+
+/**
+ * Indica si una promoción aplica a un producto
+ * @param {Object} promotion - { productId, category }
+ * @param {Object} product - { _id, category }
+ * @returns {boolean}
+ */
+export const appliesToProduct = ({ productId, category }, product) => {
+  if(productId) return String(productId) === String(product._id);
+  return category === product.category;
+};
+
+/**
+ * Descuento que da una promoción a una línea (sin comprobar vigencia ni producto)
+ * @param {Object} promotion
+ * @param {Object} line
+ * @param {number} line.unitPrice - Precio unitario en centavos
+ * @param {number} line.amount - Unidades
+ * @returns {number} Centavos de descuento
+ *
+ * @example
+ * promotionDiscount({ type: "buy_x_get_y", buyQuantity: 2, getQuantity: 1 }, { unitPrice: 500000, amount: 7 });
+ * // 1000000 (dos grupos de 3 → 2 unidades gratis)
+ */
+export const promotionDiscount = (promotion, { unitPrice, amount }) => {
+  const gross = multiplyMoney(unitPrice, amount);
+
+  switch(promotion.type) {
+    case PROMOTION_TYPE.CATEGORY_SALE:
+      return percentOf(gross, promotion.percent);
+
+    case PROMOTION_TYPE.BUY_X_GET_Y: {
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      const freeUnits = Math.floor(amount / groupSize) * promotion.getQuantity;
+      return multiplyMoney(unitPrice, freeUnits);
+    }
+
+    case PROMOTION_TYPE.QUANTITY_TIER: {
+      const tier = [...promotion.tiers]
+        .sort((a, b) => b.minQuantity - a.minQuantity)
+        .find(({ minQuantity }) => amount >= minQuantity);
+      return tier ? percentOf(gross, tier.percent) : 0;
+    }
+
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Elige la promoción que más descuento da a una línea
+ * @param {Array<Object>} promotions - Promociones vigentes
+ * @param {Object} product - Producto de la línea ({ _id, category, price })
+ * @param {number} amount - Unidades
+ * @returns {{ promotion: Object, amount: number }|null} La mejor, o null si ninguna da descuento
+ */
+export const bestPromotion = (promotions, product, amount) => {
+  let best = null;
+
+  for(const promotion of promotions) {
+    if(!appliesToProduct(promotion, product)) continue;
+
+    const discount = promotionDiscount(promotion, { unitPrice: product.price, amount });
+    if(discount > 0 && (!best || discount > best.amount)) best = { promotion, amount: discount };
+  }
+
+  return best;
+};
@@ -0,0 +1,82 @@
+/**
+ * PURCHASEORDERSTATUS.JS - CICLO DE VIDA DE LAS ÓRDENES DE COMPRA
+ * ===============================================================
+ *
+ * Define los estados de una orden de compra a proveedor y las
+ * transiciones permitidas. Es la única fuente de verdad para la entidad
+ * `PurchaseOrder`, el modelo de Mongoose y los casos de uso de compras.
+ *
+ * ESTADOS Y TRANSICIONES:
+ * - draft              → sent, closed
+ * - sent               → partially_received, received, closed
+ * - partially_received → partially_received, received, closed
+ * - received           → closed
+ * - closed             → (estado final)
+ *
+ * QUIÉN MUEVE CADA ESTADO:
+ * - sent y closed se piden explícitamente (`POST /:id/transition`).
+ *   Cerrar una orden parcialmente recibida da por perdido lo pendiente.
+ * - partially_received y received los calcula la recepción de mercancía
+ *   (`POST /:id/receipts`) según lo recibido frente a lo pedido.
+ *
+ * EFECTO EN EL INVENTARIO:
+ * Solo la recepción suma stock (motivo "receipt" en el kardex). Enviar o
+ * cerrar una orden no mueve inventario.
+ */
+
+export const PURCHASE_ORDER_STATUS = Object.freeze({
+  DRAFT: "draft",
+  SENT: "sent",
+  PARTIALLY_RECEIVED: "partially_received",
+  RECEIVED: "received",
+  CLOSED: "closed"
+});
+
+// Lista de estados permitidos (usada en validaciones de entidad y modelo)
+export const PURCHASE_ORDER_STATUSES = Object.freeze(Object.values(PURCHASE_ORDER_STATUS));
+
+// Transiciones permitidas desde cada estado
+export const PURCHASE_ORDER_TRANSITIONS = Object.freeze({
+  [PURCHASE_ORDER_STATUS.DRAFT]: Object.freeze([PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.CLOSED]),
+  [PURCHASE_ORDER_STATUS.SENT]: Object.freeze([
+    PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+    PURCHASE_ORDER_STATUS.RECEIVED,
+    PURCHASE_ORDER_STATUS.CLOSED
+  ]),
+  [PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]: Object.freeze([
+    PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+    PURCHASE_ORDER_STATUS.RECEIVED,
+    PURCHASE_ORDER_STATUS.CLOSED
+  ]),
+  [PURCHASE_ORDER_STATUS.RECEIVED]: Object.freeze([PURCHASE_ORDER_STATUS.CLOSED]),
+  [PURCHASE_ORDER_STATUS.CLOSED]: Object.freeze([])
+});
+
+// Estados que se piden a mano; el resto los fija la recepción de mercancía
+export const MANUAL_PURCHASE_ORDER_STATUSES = Object.freeze([
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.CLOSED
+]);
+
+/**
+ * Devuelve los estados a los que se puede pasar desde `status`
+ * @param {string} status - Estado actual
+ * @returns {Array<string>}
+ */
+export const allowedPurchaseOrderTransitions = (status) => PURCHASE_ORDER_TRANSITIONS[status] || [];
+
+/**
+ * Indica si se permite pasar de un estado a otro
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado destino
+ * @returns {boolean}
+ */
+export const canTransitionPurchaseOrder = (from, to) => allowedPurchaseOrderTransitions(from).includes(to);
+
+/**
+ * Indica si una orden en este estado puede recibir mercancía
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const canReceivePurchaseOrder = (status) =>
+  canTransitionPurchaseOrder(status, PURCHASE_ORDER_STATUS.RECEIVED);
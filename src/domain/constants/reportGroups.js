@@ -0,0 +1,41 @@
+/**
+ * REPORTGROUPS.JS - AGRUPACIONES DE LOS REPORTES
+ * ==============================================
+ *
+ * Criterios por los que se puede agrupar cada reporte. Los comparten
+ * los casos de uso de `use-cases/report`, los repositorios que arman las
+ * agregaciones y la validación HTTP de `/api/reports`.
+ */
+
+export const REPORT_GROUP = Object.freeze({
+  DAY: "day",
+  WEEK: "week",
+  MONTH: "month",
+  ORDER: "order",
+  PRODUCT: "product",
+  CATEGORY: "category",
+  SELLER: "seller"
+});
+
+// Margen bruto: por pedido, por producto o por categoría
+export const MARGIN_REPORT_GROUPS = Object.freeze([
+  REPORT_GROUP.ORDER,
+  REPORT_GROUP.PRODUCT,
+  REPORT_GROUP.CATEGORY
+]);
+
+// Inventario: por producto o por categoría
+export const INVENTORY_REPORT_GROUPS = Object.freeze([
+  REPORT_GROUP.PRODUCT,
+  REPORT_GROUP.CATEGORY
+]);
+
+// Ventas: por periodo (semana ISO, de lunes a domingo), producto, categoría o vendedor
+export const SALES_REPORT_GROUPS = Object.freeze([
+  REPORT_GROUP.DAY,
+  REPORT_GROUP.WEEK,
+  REPORT_GROUP.MONTH,
+  REPORT_GROUP.PRODUCT,
+  REPORT_GROUP.CATEGORY,
+  REPORT_GROUP.SELLER
+]);
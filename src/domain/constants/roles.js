@@ -0,0 +1,40 @@
+/**
+ * ROLES.JS - ROLES DEL SISTEMA
+ * ============================
+ * 
+ * Define los roles válidos para los usuarios del sistema. Es la única
+ * fuente de verdad para la entidad `User`, la firma del token JWT y
+ * la capa de permisos de las rutas.
+ * 
+ * ROLES DISPONIBLES:
+ * - Administrador: Gestiona catálogo, usuarios y todos los pedidos
+ * - Vendedor: Registra pedidos y solo puede ver/modificar los propios
+ */
+
+export const ROLES = Object.freeze({
+  ADMIN: "Administrador",
+  SELLER: "Vendedor"
+});
+
+// Lista de roles permitidos (usada en validaciones de entidad)
+export const ALLOWED_ROLES = Object.freeze(Object.values(ROLES));
+
+/**
+ * Indica si el usuario autenticado tiene rol de administrador
+ * @param {Object} user - Payload del token (`req.user`)
+ * @returns {boolean}
+ */
+export const isAdmin = (user) => Boolean(user) && user.rol === ROLES.ADMIN;
+
+/**
+ * Indica si el usuario autenticado puede acceder a un recurso propio.
+ * Los administradores acceden a todo; el resto solo a lo que le pertenece.
+ * 
+ * @param {Object} user - Payload del token (`req.user`)
+ * @param {string|Object} ownerId - ID del dueño del recurso
+ * @returns {boolean}
+ */
+export const canAccessOwned = (user, ownerId) => {
+  if(isAdmin(user)) return true;
+  return Boolean(user) && ownerId != null && String(ownerId) === String(user.id);
+};
@@ -0,0 +1,44 @@
+/**
+ * STOCKLEVELS.JS - NIVELES DE EXISTENCIAS DE UN PRODUCTO
+ * ======================================================
+ *
+ * Clasifica el stock disponible de un producto frente a su punto de
+ * reorden. Lo usa el reporte de inventario para avisar qué reponer.
+ *
+ * NIVELES:
+ * - out_of_stock: Sin unidades disponibles (`stock` en 0)
+ * - low_stock:    Con unidades, pero en o por debajo de `reorderPoint`
+ * - ok:           Por encima del punto de reorden (o sin punto definido)
+ *
+ * Un `reorderPoint` en 0 significa "sin punto de reorden": el producto
+ * solo se marca cuando se agota.
+ */
+
+export const STOCK_LEVEL = Object.freeze({
+  OUT_OF_STOCK: "out_of_stock",
+  LOW_STOCK: "low_stock",
+  OK: "ok"
+});
+
+// Lista de niveles (usada en la validación HTTP y la documentación)
+export const STOCK_LEVELS = Object.freeze(Object.values(STOCK_LEVEL));
+
+/**
+ * Devuelve el nivel de existencias de un producto
+ * @param {Object} product
+ * @param {number} product.stock - Unidades disponibles
+ * @param {number} [product.reorderPoint] - Punto de reorden (0 = sin definir)
+ * @returns {string} Uno de los valores de STOCK_LEVEL
+ */
+export const stockLevelOf = ({ stock, reorderPoint = 0 }) => {
+  if(stock <= 0) return STOCK_LEVEL.OUT_OF_STOCK;
+  if(reorderPoint > 0 && stock <= reorderPoint) return STOCK_LEVEL.LOW_STOCK;
+  return STOCK_LEVEL.OK;
+};
+
+/**
+ * Indica si el nivel requiere reponer el producto
+ * @param {string} level
+ * @returns {boolean}
+ */
+export const needsReorder = (level) => level !== STOCK_LEVEL.OK;
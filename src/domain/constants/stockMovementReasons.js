@@ -0,0 +1,26 @@
+/**
+ * STOCKMOVEMENTREASONS.JS - MOTIVOS DE MOVIMIENTO DE STOCK
+ * ========================================================
+ *
+ * Define los motivos válidos para un movimiento del kardex de inventario
+ * (`StockMovement`). Cada cambio en el stock disponible de un producto
+ * queda registrado con uno de estos motivos.
+ *
+ * MOTIVOS DISPONIBLES:
+ * - sale:         Un pedido reserva unidades (el stock disponible baja)
+ * - cancellation: Un pedido cancelado o reducido libera su reserva
+ * - adjustment:   Ajuste manual del inventario o saldo inicial
+ * - return:       Mercancía despachada que vuelve al almacén
+ * - receipt:      Entrada de mercancía de un proveedor
+ */
+
+export const STOCK_MOVEMENT_REASON = Object.freeze({
+  SALE: "sale",
+  CANCELLATION: "cancellation",
+  ADJUSTMENT: "adjustment",
+  RETURN: "return",
+  RECEIPT: "receipt"
+});
+
+// Lista de motivos permitidos (usada en validaciones de entidad y modelo)
+export const STOCK_MOVEMENT_REASONS = Object.freeze(Object.values(STOCK_MOVEMENT_REASON));
@@ -0,0 +1,102 @@
+/**
+ * TAXRATES.JS - TARIFAS DE IVA Y CÁLCULO DEL IMPUESTO DE UNA LÍNEA
+ * ================================================================
+ *
+ * Tarifas de IVA vigentes en Colombia y el cálculo del impuesto de cada
+ * línea de pedido.
+ *
+ * TARIFAS:
+ * - 19: Tarifa general
+ * - 5:  Tarifa reducida (algunos alimentos, insumos agrícolas...)
+ * - 0:  Exento o excluido
+ *
+ * ¿DE DÓNDE SALE LA TARIFA DE UN PRODUCTO? (ver `TaxService`)
+ * 1. `Product.taxRate`, si el producto la define
+ * 2. La tarifa de su categoría (`PUT /api/taxRates/categories/:category`)
+ * 3. La tarifa por defecto (`DEFAULT_TAX_RATE`, ver `config/tax.js`)
+ *
+ * PRECIOS CON O SIN IVA (montos en centavos, ver `money.js`):
+ * - `priceIncludesTax: true`  → El precio ya trae el IVA: la base se
+ *   obtiene dividiendo ($11.900 al 19 % = base $10.000 + IVA $1.900)
+ * - `priceIncludesTax: false` → El IVA se suma al precio
+ *   ($10.000 al 19 % = base $10.000 + IVA $1.900 = $11.900)
+ *
+ * Los montos se redondean al centavo por línea; el total de la línea
+ * es siempre base + IVA, para que las sumas del pedido cuadren.
+ *
+ * Los descuentos (ver `discounts.js`) se restan antes: el IVA se liquida
+ * sobre el valor neto de la línea.
+ */
+
+import { multiplyMoney, percentOf, roundMoney, sumMoney } from "./money.js";
+
+export const TAX_RATE = Object.freeze({
+  GENERAL: 19,
+  REDUCED: 5,
+  EXEMPT: 0
+});
+
+// Lista de tarifas admitidas (usada en la validación HTTP y la documentación)
+export const TAX_RATES = Object.freeze(Object.values(TAX_RATE));
+
+/**
+ * Calcula base, IVA y total de una línea (en centavos)
+ * @param {Object} line
+ * @param {number} line.unitPrice - Precio unitario del producto en centavos
+ * @param {number} line.amount - Unidades
+ * @param {number} line.taxRate - Tarifa en porcentaje (19, 5 o 0)
+ * @param {boolean} [line.priceIncludesTax] - Si el precio ya incluye el IVA (por defecto true)
+ * @param {number} [line.discount] - Descuento total de la línea en centavos, en la misma modalidad del precio
+ * @returns {{ taxBase: number, taxAmount: number, subtotal: number }} Base, IVA y total de la línea
+ *
+ * @example
+ * computeLineTax({ unitPrice: 1190000, amount: 2, taxRate: 19 });
+ * // { taxBase: 2000000, taxAmount: 380000, subtotal: 2380000 }
+ * computeLineTax({ unitPrice: 1000000, amount: 2, taxRate: 19, priceIncludesTax: false });
+ * // { taxBase: 2000000, taxAmount: 380000, subtotal: 2380000 }
+ * computeLineTax({ unitPrice: 1190000, amount: 2, taxRate: 19, discount: 238000 });
+ * // { taxBase: 1800000, taxAmount: 342000, subtotal: 2142000 }
+ */
+export const computeLineTax = ({ unitPrice, amount, taxRate, priceIncludesTax = true, discount = 0 }) => {
+  const gross = multiplyMoney(unitPrice, amount) - discount;
+
+  if(priceIncludesTax) {
+    const taxBase = roundMoney(gross * 100 / (100 + taxRate));
+    return { taxBase, taxAmount: gross - taxBase, subtotal: gross };
+  }
+
+  const taxAmount = percentOf(gross, taxRate);
+  return { taxBase: gross, taxAmount, subtotal: gross + taxAmount };
+};
+
+/**
+ * Suma las líneas de un pedido
+ * @param {Array<Object>} lines - Líneas con { taxBase, taxAmount, subtotal }
+ * @returns {{ subtotal: number, taxTotal: number, total: number }} Base total, IVA total y total a pagar
+ */
+export const sumOrderTaxes = (lines) => ({
+  subtotal: sumMoney(lines.map((line) => line.taxBase)),
+  taxTotal: sumMoney(lines.map((line) => line.taxAmount)),
+  total: sumMoney(lines.map((line) => line.subtotal))
+});
+
+/**
+ * Agrupa las líneas de un pedido por tarifa (discriminación del IVA en la factura)
+ * @param {Array<Object>} lines - Líneas con { taxRate, taxBase, taxAmount }
+ * @returns {Array<{ rate: number, base: number, amount: number }>} Una entrada por tarifa, de mayor a menor
+ *
+ * @example
+ * groupTaxesByRate(lines); // [{ rate: 19, base: 2000000, amount: 380000 }, { rate: 0, base: 450000, amount: 0 }]
+ */
+export const groupTaxesByRate = (lines) => {
+  const groups = new Map();
+
+  for(const { taxRate, taxBase, taxAmount } of lines) {
+    const group = groups.get(taxRate) ?? { rate: taxRate, base: 0, amount: 0 };
+    group.base += taxBase;
+    group.amount += taxAmount;
+    groups.set(taxRate, group);
+  }
+
+  return [...groups.values()].sort((a, b) => b.rate - a.rate);
+};
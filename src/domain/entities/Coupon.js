@@ -0,0 +1,122 @@
+/**
+ * COUPON.JS - ENTIDAD DE DOMINIO "COUPON"
+ * =======================================
+ *
+ * Representa un cupón de descuento que el cliente canjea con un código
+ * al crear un pedido (ver `domain/constants/coupons.js`).
+ *
+ * CAMPOS PRINCIPALES:
+ * - id: Identificador único del cupón
+ * - code: Código que se escribe en la caja (se guarda en mayúsculas)
+ * - type / value: Descuento, porcentaje o monto fijo en centavos (ver `constants/discounts.js`)
+ * - startsAt / endsAt: Vigencia (opcional)
+ * - minOrderAmount: Valor mínimo del pedido para aceptar el cupón (por defecto 0)
+ * - maxRedemptions: Usos totales permitidos (null = sin límite)
+ * - maxRedemptionsPerCustomer: Usos por cliente (null = sin límite)
+ * - categories / productIds: Líneas elegibles (vacías = todo el pedido)
+ * - active: Permite pausar el cupón sin borrarlo (por defecto true)
+ * - createdAt: Fecha de creación
+ *
+ * Los usos ya hechos (`redemptionCount`) no forman parte de la entidad:
+ * los mantiene `CouponService` al canjear y al liberar.
+ *
+ * 🚨 VALIDACIONES (reglas en `constants/fieldRules.js`, compartidas con
+ *    CouponModel y la validación HTTP), además:
+ * - Un porcentaje no pasa de 100 y un monto fijo es un entero en centavos
+ * - `endsAt` no puede ser anterior a `startsAt`
+ */
+
+import { COUPON_FIELDS } from "../constants/fieldRules.js";
+import { DISCOUNT_TYPE } from "../constants/discounts.js";
+import { normalizeCouponCode } from "../constants/coupons.js";
+import { assertValid } from "../validation/validator.js";
+import ValidationError from "../errors/ValidationError.js";
+
+/**
+ * Lanza un ValidationError sobre un campo del cupón
+ * @param {string} field
+ * @param {string} message
+ */
+const fail = (field, message) => {
+  throw new ValidationError(`❌ ${message} ❌`, {
+    code: "INVALID_COUPON",
+    details: { errors: [{ field, message }] }
+  });
+};
+
+class Coupon {
+  /**
+   * Constructor de la entidad Coupon
+   * @param {Object} params - Parámetros para construir el cupón
+   * @param {string} params.id - Identificador único
+   * @param {string} params.code - Código del cupón (entre 3 y 30 letras, números, "-" o "_")
+   * @param {string} params.type - "percentage" o "fixed"
+   * @param {number} params.value - Porcentaje o centavos de descuento
+   * @param {Date|string} [params.startsAt] - Inicio de la vigencia
+   * @param {Date|string} [params.endsAt] - Fin de la vigencia
+   * @param {number} [params.minOrderAmount] - Valor mínimo del pedido en centavos
+   * @param {number} [params.maxRedemptions] - Usos totales permitidos
+   * @param {number} [params.maxRedemptionsPerCustomer] - Usos permitidos por cliente
+   * @param {Array<string>} [params.categories] - Categorías elegibles
+   * @param {Array<string>} [params.productIds] - Productos elegibles
+   * @param {boolean} [params.active] - Si está activo (por defecto true)
+   * @param {Date} params.createdAt - Fecha de creación
+   * @throws {ValidationError} - Si algún campo no cumple las reglas
+   */
+  constructor({
+    id,
+    code,
+    type,
+    value,
+    startsAt = null,
+    endsAt = null,
+    minOrderAmount = 0,
+    maxRedemptions = null,
+    maxRedemptionsPerCustomer = null,
+    categories = [],
+    productIds = [],
+    active = true,
+    createdAt
+  }) {
+    assertValid(COUPON_FIELDS, {
+      code,
+      type,
+      value,
+      startsAt,
+      endsAt,
+      minOrderAmount,
+      maxRedemptions,
+      maxRedemptionsPerCustomer,
+      categories,
+      productIds,
+      active
+    });
+
+    if(type === DISCOUNT_TYPE.PERCENTAGE && value > 100) {
+      fail("value", "\"value\" debe ser un porcentaje entre 0 y 100");
+    }
+    if(type === DISCOUNT_TYPE.FIXED && !Number.isInteger(value)) {
+      fail("value", "\"value\" debe ser un monto entero en centavos");
+    }
+
+    if(startsAt && endsAt && new Date(endsAt) < new Date(startsAt)) {
+      fail("endsAt", "\"endsAt\" no puede ser anterior a \"startsAt\"");
+    }
+
+    this.id = id;
+    this.code = normalizeCouponCode(code);
+    this.type = type;
+    this.value = value;
+    this.startsAt = startsAt ? new Date(startsAt) : null;
+    this.endsAt = endsAt ? new Date(endsAt) : null;
+    this.minOrderAmount = minOrderAmount;
+    this.maxRedemptions = maxRedemptions;
+    this.maxRedemptionsPerCustomer = maxRedemptionsPerCustomer;
+    this.categories = [...new Set(categories)];
+    this.productIds = [...new Set(productIds.map(String))];
+    this.active = active;
+    this.createdAt = createdAt;
+  }
+}
+
+export default Coupon;
@@ -0,0 +1,66 @@
+/**
+ * CUSTOMER.JS - ENTIDAD DE DOMINIO "CUSTOMER"
+ * ===========================================
+ *
+ * Representa a un cliente que compra en el punto de venta. Se identifica
+ * por su documento (CC, NIT, CE o pasaporte) y puede tener varias
+ * direcciones y un cupo de crédito.
+ *
+ * CAMPOS PRINCIPALES:
+ * - id: Identificador único del cliente
+ * - name: Nombre o razón social (obligatorio)
+ * - documentType: Tipo de documento (ver `constants/documentTypes.js`)
+ * - documentNumber: Número de documento, normalizado y único
+ * - phone: Teléfono de contacto
+ * - email: Correo de contacto
+ * - addresses: Direcciones [{ label, line, city }] (máximo 5)
+ * - creditLimit: Cupo de crédito en centavos (0 = solo de contado)
+ * - createdAt: Fecha de creación
+ *
+ * 🚨 VALIDACIONES (reglas en `constants/fieldRules.js`, compartidas con
+ *    CustomerModel y la validación HTTP):
+ * - `name`: requerido, entre 2 y 60 caracteres
+ * - `documentType`: requerido, uno de DOCUMENT_TYPES
+ * - `documentNumber`: requerido, entre 3 y 20 caracteres
+ * - `email`: opcional, formato de correo
+ * - `creditLimit`: opcional, no negativo
+ *
+ * 🔄 RELACIÓN CON OTRAS ENTIDADES:
+ * - Order → un pedido puede pertenecer a un cliente (`customerId`)
+ */
+
+import { CUSTOMER_FIELDS } from "../constants/fieldRules.js";
+import { normalizeDocumentNumber } from "../constants/documentTypes.js";
+import { assertValid } from "../validation/validator.js";
+
+class Customer {
+  /**
+   * Constructor de la entidad Customer
+   * @param {Object} params - Parámetros para construir el cliente
+   * @param {string} params.id - Identificador único del cliente
+   * @param {string} params.name - Nombre del cliente (entre 2 y 60 caracteres)
+   * @param {string} params.documentType - Tipo de documento (CC, NIT, CE, PP)
+   * @param {string} params.documentNumber - Número de documento (se normaliza)
+   * @param {string} [params.phone] - Teléfono de contacto
+   * @param {string} [params.email] - Correo de contacto
+   * @param {Array<Object>} [params.addresses] - Direcciones [{ label, line, city }]
+   * @param {number} [params.creditLimit] - Cupo de crédito (por defecto 0)
+   * @param {Date} params.createdAt - Fecha de creación del cliente
+   * @throws {ValidationError} - Si algún campo no cumple las reglas
+   */
+  constructor({ id, name, documentType, documentNumber, phone, email, addresses = [], creditLimit = 0, createdAt }) {
+    assertValid(CUSTOMER_FIELDS, { name, documentType, documentNumber, phone, email, addresses, creditLimit });
+
+    this.id = id;
+    this.name = name;
+    this.documentType = documentType;
+    this.documentNumber = normalizeDocumentNumber(documentNumber);
+    this.phone = phone;
+    this.email = email;
+    this.addresses = addresses;
+    this.creditLimit = creditLimit;
+    this.createdAt = createdAt;
+  }
+}
+
+export default Customer;
@@ -8,14 +8,27 @@
  * 
  * CAMPOS PRINCIPALES:
  * - id: Identificador único del pedido
+ * - number: Número legible y consecutivo (ej. "PED-2026-000123")
  * - userId: Usuario al que pertenece el pedido (obligatorio)
- * - total: Monto total del pedido
- * - status: Estado del pedido (true = confirmado / false = cancelado)
+ * - customerId: Cliente que compra (opcional; sin él, consumidor final)
+ * - subtotal: Base gravable del pedido (suma de las líneas sin IVA)
+ * - taxTotal: IVA del pedido (suma del IVA de las líneas)
+ * - total: Monto total del pedido (subtotal + taxTotal)
+ *   Los tres montos son enteros en centavos (ver `constants/money.js`)
+ * - discount: Descuento manual pedido para todo el pedido ({ type, value } o null)
+ * - discountTotal: Suma de los descuentos de las líneas (promociones incluidas)
+ * - discountApprovedBy: Administrador que aprobó un descuento por encima del umbral
+ * - coupon: Cupón usado ({ couponId, code, redeemed } o null); `redeemed`
+ *   indica si el canje cuenta para los límites del cupón
+ * - status: Estado del ciclo de vida (ver `domain/constants/orderStatus.js`)
+ * - statusHistory: Historial de transiciones ({ from, to, by, at, note })
  * - createdAt: Fecha de creación del pedido
  * 
  * 🚨 VALIDACIONES:
- * - Se valida que `userId` siempre esté presente, de lo contrario
- *   lanza un error indicando ID inválido.
+ * - Se valida que `userId` siempre esté presente y sea un ID válido
+ *   (reglas en `constants/fieldRules.js`).
+ * - `status` debe ser uno de los estados definidos; si no se indica,
+ *   el pedido nace como "pending".
  * 
  * CASOS DE USO TÍPICOS:
  * - Representar un pedido en la lógica de negocio
@@ -24,28 +37,67 @@
  * 
  * 🔄 RELACIÓN CON OTRAS ENTIDADES:
  * - `userId` → Relación con la entidad User (un pedido pertenece a un usuario)
+ * - `customerId` → Relación con la entidad Customer (el comprador)
+ * - `coupon.couponId` → Relación con la entidad Coupon
  * - Los detalles de pedido (OrderDetails) se relacionan con esta entidad
  *   a través del `orderId` en otra tabla/colección
  */
 
+import { ORDER_STATUS } from "../constants/orderStatus.js";
+import { ORDER_FIELDS } from "../constants/fieldRules.js";
+import { assertValid } from "../validation/validator.js";
+
 class Order {
   /**
    * Constructor de la entidad Order
    * @param {Object} params - Parámetros para construir un pedido
    * @param {string} params.id - Identificador único del pedido
+   * @param {string} [params.number] - Número legible del pedido (lo asigna OrderNumberService)
    * @param {string} params.userId - ID del usuario al que pertenece el pedido
+   * @param {string|null} [params.customerId] - ID del cliente que compra
+   * @param {number} [params.subtotal] - Base gravable del pedido (sin IVA)
+   * @param {number} [params.taxTotal] - IVA del pedido
    * @param {number} params.total - Total monetario del pedido
-   * @param {boolean} params.status - Estado del pedido (true = confirmado, false = cancelado)
+   * @param {Object|null} [params.discount] - Descuento manual del pedido ({ type, value })
+   * @param {number} [params.discountTotal] - Total descontado en las líneas
+   * @param {string|null} [params.discountApprovedBy] - ID del Administrador que aprobó el descuento
+   * @param {Object|null} [params.coupon] - Cupón usado ({ couponId, code, redeemed })
+   * @param {string} [params.status] - Estado del pedido (por defecto "pending")
+   * @param {Array<Object>} [params.statusHistory] - Historial de transiciones
    * @param {Date} params.createdAt - Fecha de creación del pedido
-   * @throws {Error} - Si no se proporciona un userId válido
+   * @throws {ValidationError} - Si no se proporciona un userId válido, el customerId no es un ID o el estado no existe
    */
-  constructor({ id, userId, total, status, createdAt }) {
-    if(!userId) throw new Error("❌ ID del usuario inválido ❌");
+  constructor({
+    id,
+    number,
+    userId,
+    customerId = null,
+    subtotal,
+    taxTotal,
+    total,
+    discount = null,
+    discountTotal = 0,
+    discountApprovedBy = null,
+    coupon = null,
+    status = ORDER_STATUS.PENDING,
+    statusHistory = [],
+    createdAt
+  }) {
+    assertValid(ORDER_FIELDS, { userId, customerId, status, discount });
 
     this.id = id;
+    this.number = number;
     this.userId = userId;
+    this.customerId = customerId;
+    this.subtotal = subtotal;
+    this.taxTotal = taxTotal;
     this.total = total;
+    this.discount = discount;
+    this.discountTotal = discountTotal;
+    this.discountApprovedBy = discountApprovedBy;
+    this.coupon = coupon;
     this.status = status;
+    this.statusHistory = statusHistory;
     this.createdAt = createdAt;
   }
 }
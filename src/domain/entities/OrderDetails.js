@@ -10,15 +10,27 @@
  * - id: Identificador único del detalle
  * - orderId: Pedido al que pertenece el detalle (obligatorio)
  * - productId: Producto seleccionado en el detalle (obligatorio)
- * - amount: Cantidad de unidades solicitadas (obligatorio y > 0)
- * - unitPrice: Precio unitario del producto en el momento de la compra (obligatorio y > 0)
- * - subtotal: Total parcial (amount * unitPrice)
+ * - amount: Cantidad de unidades solicitadas (obligatorio, entero y > 0)
+ * - unitPrice: Precio unitario en centavos en el momento de la compra (obligatorio y >= 0)
+ * - subtotal: Total de la línea con IVA (taxBase + taxAmount)
+ * - grossAmount: Precio unitario × cantidad, antes de descuentos
+ * - discountAmount: Total descontado a la línea (promoción y descuentos manuales)
+ * - discounts: Detalle de cada descuento ({ source, promotionId, label, type, value, amount })
+ * - unitCost: Costo unitario del producto en el momento de la venta (>= 0;
+ *   null si era desconocido). Junto con `taxBase` permite calcular el
+ *   margen bruto de la línea
+ * - taxRate: Tarifa de IVA aplicada (19, 5 o 0)
+ * - priceIncludesTax: Si `unitPrice` ya incluía el IVA
+ * - taxBase: Base gravable de la línea (sin IVA)
+ * - taxAmount: IVA de la línea
  * 
- * 🚨 VALIDACIONES:
- * - `orderId` es requerido, de lo contrario lanza error
- * - `productId` es requerido, de lo contrario lanza error
- * - `amount` debe ser mayor que 0, caso contrario lanza error
- * - `unitPrice` debe ser mayor que 0, caso contrario lanza error
+ * 🚨 VALIDACIONES (reglas en `constants/fieldRules.js`):
+ * - `orderId` es requerido y debe ser un ID válido, de lo contrario lanza error
+ * - `productId` es requerido y debe ser un ID válido, de lo contrario lanza error
+ * - `amount` debe ser un entero mayor que 0, caso contrario lanza error
+ * - `unitPrice` debe ser mayor o igual a 0, caso contrario lanza error
+ * - `unitCost` es opcional y, si se indica, debe ser mayor o igual a 0
+ * - `taxRate` es opcional y, si se indica, debe ser una tarifa de `constants/taxRates.js`
  * 
  * CASOS DE USO TÍPICOS:
  * - Representar un producto dentro de un pedido
@@ -34,6 +46,9 @@
  * - Evitar inconsistencias si el precio del producto cambia después de crear el pedido
  */
 
+import { ORDER_DETAIL_FIELDS } from "../constants/fieldRules.js";
+import { assertValid } from "../validation/validator.js";
+
 class OrderDetails {
   /**
    * Constructor de la entidad OrderDetails
@@ -41,19 +56,38 @@ class OrderDetails {
    * @param {string} params.id - Identificador único del detalle
    * @param {string} params.orderId - ID del pedido al que pertenece este detalle
    * @param {string} params.productId - ID del producto incluido en el detalle
-   * @param {number} params.amount - Cantidad de unidades solicitadas (debe ser > 0)
-   * @param {number} params.unitPrice - Precio unitario del producto (debe ser > 0)
-   * @param {number} params.subtotal - Subtotal del detalle (amount * unitPrice)
-   * @throws {Error} - Si orderId, productId, amount o unitPrice no son válidos
+   * @param {number} params.amount - Cantidad de unidades solicitadas (entero > 0)
+   * @param {number} params.unitPrice - Precio unitario del producto (debe ser >= 0)
+   * @param {number} params.subtotal - Total de la línea con IVA
+   * @param {number} [params.unitCost] - Costo unitario del producto al venderlo (>= 0)
+   * @param {number} [params.taxRate] - Tarifa de IVA aplicada
+   * @param {boolean} [params.priceIncludesTax] - Si el precio unitario incluía el IVA
+   * @param {number} [params.taxBase] - Base gravable de la línea
+   * @param {number} [params.taxAmount] - IVA de la línea
+   * @param {number} [params.grossAmount] - Valor antes de descuentos
+   * @param {number} [params.discountAmount] - Total descontado (por defecto 0)
+   * @param {Array<Object>} [params.discounts] - Detalle de los descuentos (ver `constants/discounts.js`)
+   * @throws {ValidationError} - Si orderId, productId, amount, unitPrice, unitCost o los datos del IVA o del descuento no son válidos
    */
-  constructor({ id, orderId, productId, amount, unitPrice, subtotal }) {
-    if(!orderId) throw new Error("❌ ID de orden inválido ❌");
-
-    if(!productId) throw new Error("❌ ID del producto inválido ❌");
-
-    if(!amount || amount < 0) throw new Error("❌ Cantidad inválida ❌");
-
-    if(!unitPrice || unitPrice < 0) throw new Error("❌ Precio unitario inválido ❌");
+  constructor({
+    id,
+    orderId,
+    productId,
+    amount,
+    unitPrice,
+    subtotal,
+    unitCost,
+    taxRate,
+    priceIncludesTax,
+    taxBase,
+    taxAmount,
+    grossAmount,
+    discountAmount = 0,
+    discounts = []
+  }) {
+    assertValid(ORDER_DETAIL_FIELDS, {
+      orderId, productId, amount, unitPrice, unitCost, taxRate, priceIncludesTax, taxBase, taxAmount, grossAmount, discountAmount
+    });
 
     this.id = id;
     this.orderId = orderId;
@@ -61,6 +95,14 @@ class OrderDetails {
     this.amount = amount;
     this.unitPrice = unitPrice;
     this.subtotal = subtotal;
+    this.unitCost = unitCost;
+    this.taxRate = taxRate;
+    this.priceIncludesTax = priceIncludesTax;
+    this.taxBase = taxBase;
+    this.taxAmount = taxAmount;
+    this.grossAmount = grossAmount;
+    this.discountAmount = discountAmount;
+    this.discounts = discounts;
   }
 }
 
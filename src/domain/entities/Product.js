@@ -8,18 +8,28 @@
  * 
  * CAMPOS PRINCIPALES:
  * - id: Identificador único del producto
- * - name: Nombre del producto (obligatorio, mínimo 2 caracteres)
- * - description: Descripción breve del producto
- * - price: Precio unitario del producto (obligatorio y >= 0)
+ * - name: Nombre del producto (obligatorio, entre 2 y 60 caracteres)
+ * - description: Descripción breve del producto (máximo 50 caracteres)
+ * - price: Precio unitario del producto en centavos (obligatorio, entero >= 0)
  * - stock: Cantidad disponible en inventario (obligatorio y >= 0)
  * - category: Categoría a la que pertenece el producto (obligatorio)
+ * - cost: Costo unitario promedio ponderado en centavos (opcional, entero >= 0)
+ * - reorderPoint: Stock disponible con el que hay que reponer (opcional, entero >= 0)
+ * - reorderQuantity: Unidades sugeridas al reponer (opcional, entero >= 0)
+ * - taxRate: Tarifa de IVA propia (19, 5 o 0; null = la de su categoría o la por defecto)
+ * - priceIncludesTax: Si `price` ya incluye el IVA (por defecto true)
  * - createdAt: Fecha de creación del producto
  * 
- * 🚨 VALIDACIONES:
- * - `name`: requerido, mínimo 2 caracteres
+ * 🚨 VALIDACIONES (límites en `constants/fieldRules.js`, compartidos con
+ *    ProductModel y la validación HTTP):
+ * - `name`: requerido, entre 2 y 60 caracteres
+ * - `description`: opcional, máximo 50 caracteres
  * - `price`: requerido, debe ser mayor o igual a 0
- * - `stock`: requerido, no puede ser nulo ni negativo (permite stock en 0)
+ * - `stock`: requerido, entero mayor o igual a 0 (permite stock en 0)
  * - `category`: requerido, no puede ser vacío
+ * - `cost`: opcional, debe ser mayor o igual a 0
+ * - `reorderPoint` y `reorderQuantity`: opcionales, enteros mayores o iguales a 0
+ * - `taxRate`: opcional, una de las tarifas de `constants/taxRates.js`
  * 
  * CASOS DE USO TÍPICOS:
  * - Registrar un nuevo producto en el inventario
@@ -35,33 +45,37 @@
  * - Debe validarse el stock antes de confirmar un pedido
  * - No se permite stock negativo (se previene inconsistencia en inventario)
  * - El precio corresponde al valor actual, no incluye historial de cambios
+ * - El costo se recalcula con promedio ponderado en cada recepción de
+ *   mercancía; cada venta guarda una copia en `OrderDetails.unitCost`
  * 
  * PATRONES Y PRINCIPIOS:
  * - Clean Architecture → Entidad de dominio pura
  * - SRP (Single Responsibility Principle) → Solo modela un producto
  */
 
+import { PRODUCT_FIELDS } from "../constants/fieldRules.js";
+import { assertValid } from "../validation/validator.js";
+
 class Product {
   /**
    * Constructor de la entidad Product
    * @param {Object} params - Parámetros para construir el producto
    * @param {string} params.id - Identificador único del producto
-   * @param {string} params.name - Nombre del producto (mínimo 2 caracteres)
+   * @param {string} params.name - Nombre del producto (entre 2 y 60 caracteres)
    * @param {string} params.description - Descripción breve del producto
    * @param {number} params.price - Precio unitario del producto (>= 0)
-   * @param {number} params.stock - Cantidad en inventario (>= 0, puede ser 0)
+   * @param {number} params.stock - Cantidad entera en inventario (>= 0, puede ser 0)
    * @param {string} params.category - Categoría del producto
+   * @param {number} [params.cost] - Costo unitario promedio (>= 0)
+   * @param {number} [params.reorderPoint] - Punto de reorden (entero >= 0)
+   * @param {number} [params.reorderQuantity] - Cantidad sugerida de reposición (entero >= 0)
+   * @param {number|null} [params.taxRate] - Tarifa de IVA propia (19, 5 o 0)
+   * @param {boolean} [params.priceIncludesTax] - Si el precio ya incluye el IVA
    * @param {Date} params.createdAt - Fecha de creación del producto
-   * @throws {Error} - Si name, price, stock o category no cumplen validaciones
+   * @throws {ValidationError} - Si algún campo no cumple las validaciones
    */
-  constructor({ id, name, description, price, stock, category, createdAt }) {
-    if(!name || name.length < 2) throw new Error("❌ Nombre del producto inválido ❌");
-
-    if(!price || price < 0) throw new Error("❌ Precio inválido ❌");
-
-    if(stock == null || stock < 0) throw new Error("❌ Stock inválido ❌");
-
-    if(!category) throw new Error("❌ Categoria inválida ❌");
+  constructor({ id, name, description, price, stock, category, cost, reorderPoint, reorderQuantity, taxRate, priceIncludesTax, createdAt }) {
+    assertValid(PRODUCT_FIELDS, { name, description, price, stock, category, cost, reorderPoint, reorderQuantity, taxRate, priceIncludesTax });
 
     this.id = id;
     this.name = name;
@@ -69,6 +83,11 @@ class Product {
     this.price = price;
     this.stock = stock;
     this.category = category;
+    this.cost = cost;
+    this.reorderPoint = reorderPoint;
+    this.reorderQuantity = reorderQuantity;
+    this.taxRate = taxRate;
+    this.priceIncludesTax = priceIncludesTax;
     this.createdAt = createdAt;
   }
 }
@@ -0,0 +1,126 @@
+/**
+ * PROMOTION.JS - ENTIDAD DE DOMINIO "PROMOTION"
+ * =============================================
+ *
+ * Representa una regla de precio promocional que se evalúa al crear
+ * pedidos (ver `domain/constants/promotions.js`).
+ *
+ * CAMPOS PRINCIPALES:
+ * - id: Identificador único de la promoción
+ * - name: Nombre que se imprime en la línea del pedido (ej. "2x1 en café")
+ * - type: category_sale, buy_x_get_y o quantity_tier
+ * - productId / category: A qué aplica (un producto o una categoría)
+ * - percent: Porcentaje de descuento (category_sale)
+ * - buyQuantity / getQuantity: Unidades pagadas y gratis (buy_x_get_y)
+ * - tiers: Tramos { minQuantity, percent } (quantity_tier)
+ * - startsAt / endsAt: Vigencia (opcional, salvo en category_sale)
+ * - active: Permite pausar la promoción sin borrarla (por defecto true)
+ * - createdAt: Fecha de creación
+ *
+ * 🚨 VALIDACIONES (reglas en `constants/fieldRules.js`, compartidas con
+ *    PromotionModel y la validación HTTP), además, según el tipo:
+ * - category_sale: `category`, `percent`, `startsAt` y `endsAt` obligatorios
+ * - buy_x_get_y:   `productId` o `category`, `buyQuantity` y `getQuantity`
+ * - quantity_tier: `productId` o `category` y al menos un tramo, sin
+ *   `minQuantity` repetidos
+ * - `endsAt` no puede ser anterior a `startsAt`
+ * - No se puede indicar a la vez `productId` y `category`
+ */
+
+import { PROMOTION_TYPE } from "../constants/promotions.js";
+import { PROMOTION_FIELDS } from "../constants/fieldRules.js";
+import { assertValid } from "../validation/validator.js";
+import ValidationError from "../errors/ValidationError.js";
+
+// Campos obligatorios según el tipo de promoción
+const REQUIRED_BY_TYPE = {
+  [PROMOTION_TYPE.CATEGORY_SALE]: ["category", "percent", "startsAt", "endsAt"],
+  [PROMOTION_TYPE.BUY_X_GET_Y]: ["buyQuantity", "getQuantity"],
+  [PROMOTION_TYPE.QUANTITY_TIER]: ["tiers"]
+};
+
+/**
+ * Lanza un ValidationError sobre un campo de la promoción
+ * @param {string} field
+ * @param {string} message
+ */
+const fail = (field, message) => {
+  throw new ValidationError(`❌ ${message} ❌`, {
+    code: "INVALID_PROMOTION",
+    details: { errors: [{ field, message }] }
+  });
+};
+
+class Promotion {
+  /**
+   * Constructor de la entidad Promotion
+   * @param {Object} params - Parámetros para construir la promoción
+   * @param {string} params.id - Identificador único
+   * @param {string} params.name - Nombre de la promoción (entre 3 y 60 caracteres)
+   * @param {string} params.type - Tipo (ver PROMOTION_TYPE)
+   * @param {string} [params.productId] - Producto al que aplica
+   * @param {string} [params.category] - Categoría a la que aplica
+   * @param {number} [params.percent] - Porcentaje de descuento (category_sale)
+   * @param {number} [params.buyQuantity] - Unidades que se pagan (buy_x_get_y)
+   * @param {number} [params.getQuantity] - Unidades gratis (buy_x_get_y)
+   * @param {Array<Object>} [params.tiers] - Tramos { minQuantity, percent } (quantity_tier)
+   * @param {Date|string} [params.startsAt] - Inicio de la vigencia
+   * @param {Date|string} [params.endsAt] - Fin de la vigencia
+   * @param {boolean} [params.active] - Si está activa (por defecto true)
+   * @param {Date} params.createdAt - Fecha de creación
+   * @throws {ValidationError} - Si algún campo no cumple las reglas o falta uno que exige el tipo
+   */
+  constructor({
+    id,
+    name,
+    type,
+    productId = null,
+    category = null,
+    percent = null,
+    buyQuantity = null,
+    getQuantity = null,
+    tiers = null,
+    startsAt = null,
+    endsAt = null,
+    active = true,
+    createdAt
+  }) {
+    assertValid(PROMOTION_FIELDS, {
+      name, type, productId, category, percent, buyQuantity, getQuantity, tiers, startsAt, endsAt, active
+    });
+
+    const values = { category, percent, buyQuantity, getQuantity, tiers, startsAt, endsAt };
+    const missing = REQUIRED_BY_TYPE[type].find((field) => values[field] == null);
+    if(missing) fail(missing, `"${missing}" es obligatorio en las promociones de tipo ${type}`);
+
+    if(productId && category) fail("productId", "Una promoción aplica a un producto o a una categoría, no a ambos");
+    if(!productId && !category) fail("category", "Indique el producto (\"productId\") o la categoría (\"category\") de la promoción");
+
+    const minQuantities = (tiers ?? []).map((tier) => tier.minQuantity);
+    if(new Set(minQuantities).size !== minQuantities.length) {
+      fail("tiers", "Dos tramos no pueden empezar en la misma cantidad");
+    }
+
+    if(startsAt && endsAt && new Date(endsAt) < new Date(startsAt)) {
+      fail("endsAt", "\"endsAt\" no puede ser anterior a \"startsAt\"");
+    }
+
+    this.id = id;
+    this.name = name;
+    this.type = type;
+    this.productId = productId;
+    this.category = category;
+    this.percent = type === PROMOTION_TYPE.CATEGORY_SALE ? percent : null;
+    this.buyQuantity = type === PROMOTION_TYPE.BUY_X_GET_Y ? buyQuantity : null;
+    this.getQuantity = type === PROMOTION_TYPE.BUY_X_GET_Y ? getQuantity : null;
+    this.tiers = type === PROMOTION_TYPE.QUANTITY_TIER
+      ? tiers.map(({ minQuantity, percent: tierPercent }) => ({ minQuantity, percent: tierPercent }))
+      : [];
+    this.startsAt = startsAt ? new Date(startsAt) : null;
+    this.endsAt = endsAt ? new Date(endsAt) : null;
+    this.active = active;
+    this.createdAt = createdAt;
+  }
+}
+
+export default Promotion;
@@ -0,0 +1,89 @@
+/**
+ * PURCHASEORDER.JS - ENTIDAD DE DOMINIO "PURCHASEORDER"
+ * =====================================================
+ *
+ * Representa una orden de compra a un proveedor: qué productos se
+ * piden, cuántas unidades y a qué costo unitario. A medida que llega la
+ * mercancía se registra lo recibido en cada línea.
+ *
+ * CAMPOS PRINCIPALES:
+ * - id: Identificador único de la orden de compra
+ * - supplierId: Proveedor al que se le compra (obligatorio)
+ * - lines: Líneas { productId, quantity, unitCost, receivedQuantity }
+ * - total: Costo total pedido en centavos (suma de quantity * unitCost)
+ * - status: Estado (ver `domain/constants/purchaseOrderStatus.js`)
+ * - statusHistory: Historial de transiciones ({ from, to, by, at, note })
+ * - receipts: Recepciones de mercancía ({ lines, by, at, note })
+ * - createdBy: Usuario que registró la orden
+ * - createdAt: Fecha de creación
+ *
+ * 🚨 VALIDACIONES (reglas en `constants/fieldRules.js`):
+ * - `supplierId` requerido y con formato de ID válido
+ * - `lines`: al menos una, con cantidad entera positiva y costo entero ≥ 0 (centavos)
+ * - Un mismo producto no puede aparecer en dos líneas
+ * - `status` debe ser uno de los estados definidos; por defecto "draft"
+ *
+ * 🔄 RELACIÓN CON OTRAS ENTIDADES:
+ * - `supplierId` → Supplier
+ * - `lines[].productId` → Product (la recepción suma su stock)
+ */
+
+import { PURCHASE_ORDER_STATUS } from "../constants/purchaseOrderStatus.js";
+import { PURCHASE_ORDER_FIELDS, PURCHASE_ORDER_LINES_RULE } from "../constants/fieldRules.js";
+import { assertValid } from "../validation/validator.js";
+import ValidationError from "../errors/ValidationError.js";
+import { multiplyMoney, sumMoney } from "../constants/money.js";
+
+class PurchaseOrder {
+  /**
+   * Constructor de la entidad PurchaseOrder
+   * @param {Object} params - Parámetros para construir la orden de compra
+   * @param {string} params.id - Identificador único
+   * @param {string} params.supplierId - ID del proveedor
+   * @param {Array<Object>} params.lines - Líneas { productId, quantity, unitCost, receivedQuantity? }
+   * @param {string} [params.status] - Estado (por defecto "draft")
+   * @param {Array<Object>} [params.statusHistory] - Historial de transiciones
+   * @param {Array<Object>} [params.receipts] - Recepciones registradas
+   * @param {string} [params.createdBy] - ID del usuario que registró la orden
+   * @param {Date} params.createdAt - Fecha de creación
+   * @throws {ValidationError} - Si el proveedor, las líneas o el estado no son válidos
+   */
+  constructor({
+    id,
+    supplierId,
+    lines,
+    status = PURCHASE_ORDER_STATUS.DRAFT,
+    statusHistory = [],
+    receipts = [],
+    createdBy = null,
+    createdAt
+  }) {
+    assertValid({ ...PURCHASE_ORDER_FIELDS, lines: PURCHASE_ORDER_LINES_RULE }, { supplierId, status, lines });
+
+    const productIds = lines.map((line) => String(line.productId));
+    const duplicated = productIds.find((productId, index) => productIds.indexOf(productId) !== index);
+    if(duplicated) {
+      throw new ValidationError(`❌ El producto ${duplicated} aparece en más de una línea ❌`, {
+        code: "DUPLICATE_LINE",
+        details: { productId: duplicated }
+      });
+    }
+
+    this.id = id;
+    this.supplierId = supplierId;
+    this.lines = lines.map(({ productId, quantity, unitCost, receivedQuantity = 0 }) => ({
+      productId,
+      quantity,
+      unitCost,
+      receivedQuantity
+    }));
+    this.total = sumMoney(this.lines.map((line) => multiplyMoney(line.unitCost, line.quantity)));
+    this.status = status;
+    this.statusHistory = statusHistory;
+    this.receipts = receipts;
+    this.createdBy = createdBy;
+    this.createdAt = createdAt;
+  }
+}
+
+export default PurchaseOrder;
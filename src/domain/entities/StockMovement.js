@@ -0,0 +1,66 @@
+/**
+ * STOCKMOVEMENT.JS - ENTIDAD DE DOMINIO "STOCKMOVEMENT"
+ * =====================================================
+ *
+ * Representa un movimiento del kardex de inventario: un cambio en el
+ * stock disponible de un producto, con su motivo y su origen.
+ *
+ * CAMPOS PRINCIPALES:
+ * - productId: Producto afectado (obligatorio)
+ * - quantity: Variación del stock (positiva = entrada, negativa = salida)
+ * - balance: Stock disponible del producto después del movimiento
+ * - reason: Motivo (ver `domain/constants/stockMovementReasons.js`)
+ * - sourceId: Documento que originó el movimiento (pedido, producto...)
+ * - sourceType: Tipo del documento de origen ("Order", "Product"...)
+ * - userId: Usuario que realizó la operación (null para procesos internos)
+ * - note: Comentario opcional
+ *
+ * 🚨 VALIDACIONES:
+ * - `productId`: requerido
+ * - `quantity`: número distinto de 0
+ * - `balance`: número mayor o igual a 0
+ * - `reason`: debe ser uno de los motivos definidos
+ *
+ * CASOS DE USO TÍPICOS:
+ * - Auditar por qué cambió el stock de un producto
+ * - Reconstruir el stock de un producto en cualquier fecha
+ */
+
+import { STOCK_MOVEMENT_REASONS } from "../constants/stockMovementReasons.js";
+import ValidationError from "../errors/ValidationError.js";
+
+class StockMovement {
+  /**
+   * Constructor de la entidad StockMovement
+   * @param {Object} params - Parámetros para construir el movimiento
+   * @param {string} params.productId - ID del producto afectado
+   * @param {number} params.quantity - Variación del stock (≠ 0)
+   * @param {number} params.balance - Stock resultante (>= 0)
+   * @param {string} params.reason - Motivo del movimiento
+   * @param {string} [params.sourceId] - ID del documento de origen
+   * @param {string} [params.sourceType] - Tipo del documento de origen
+   * @param {string} [params.userId] - ID del usuario que lo realizó
+   * @param {string} [params.note] - Comentario opcional
+   * @throws {ValidationError} - Si algún campo obligatorio no cumple validaciones
+   */
+  constructor({ productId, quantity, balance, reason, sourceId = null, sourceType = null, userId = null, note }) {
+    if(!productId) throw new ValidationError("❌ ID del producto inválido ❌");
+
+    if(typeof quantity !== "number" || quantity === 0) throw new ValidationError("❌ Cantidad del movimiento inválida ❌");
+
+    if(typeof balance !== "number" || balance < 0) throw new ValidationError("❌ Saldo del movimiento inválido ❌");
+
+    if(!STOCK_MOVEMENT_REASONS.includes(reason)) throw new ValidationError("❌ Motivo del movimiento inválido ❌");
+
+    this.productId = productId;
+    this.quantity = quantity;
+    this.balance = balance;
+    this.reason = reason;
+    this.sourceId = sourceId;
+    this.sourceType = sourceType;
+    this.userId = userId;
+    this.note = note;
+  }
+}
+
+export default StockMovement;
@@ -0,0 +1,56 @@
+/**
+ * SUPPLIER.JS - ENTIDAD DE DOMINIO "SUPPLIER"
+ * ===========================================
+ *
+ * Representa a un proveedor al que se le compra mercancía mediante
+ * órdenes de compra (`PurchaseOrder`).
+ *
+ * CAMPOS PRINCIPALES:
+ * - id: Identificador único del proveedor
+ * - name: Razón social o nombre comercial (obligatorio)
+ * - taxId: Identificación tributaria (NIT, RUT, RFC...)
+ * - email: Correo de contacto
+ * - phone: Teléfono de contacto
+ * - contactName: Persona de contacto
+ * - createdAt: Fecha de creación
+ *
+ * 🚨 VALIDACIONES (reglas en `constants/fieldRules.js`, compartidas con
+ *    SupplierModel y la validación HTTP):
+ * - `name`: requerido, entre 2 y 60 caracteres
+ * - `email`: opcional, formato de correo
+ * - `taxId`, `phone`, `contactName`: opcionales, con longitud máxima
+ *
+ * 🔄 RELACIÓN CON OTRAS ENTIDADES:
+ * - PurchaseOrder → una orden de compra pertenece a un proveedor
+ */
+
+import { SUPPLIER_FIELDS } from "../constants/fieldRules.js";
+import { assertValid } from "../validation/validator.js";
+
+class Supplier {
+  /**
+   * Constructor de la entidad Supplier
+   * @param {Object} params - Parámetros para construir el proveedor
+   * @param {string} params.id - Identificador único del proveedor
+   * @param {string} params.name - Nombre del proveedor (entre 2 y 60 caracteres)
+   * @param {string} [params.taxId] - Identificación tributaria
+   * @param {string} [params.email] - Correo de contacto
+   * @param {string} [params.phone] - Teléfono de contacto
+   * @param {string} [params.contactName] - Persona de contacto
+   * @param {Date} params.createdAt - Fecha de creación del proveedor
+   * @throws {ValidationError} - Si algún campo no cumple las reglas
+   */
+  constructor({ id, name, taxId, email, phone, contactName, createdAt }) {
+    assertValid(SUPPLIER_FIELDS, { name, taxId, email, phone, contactName });
+
+    this.id = id;
+    this.name = name;
+    this.taxId = taxId;
+    this.email = email;
+    this.phone = phone;
+    this.contactName = contactName;
+    this.createdAt = createdAt;
+  }
+}
+
+export default Supplier;
@@ -11,14 +11,15 @@
  * - name: Nombre completo del usuario (obligatorio, mínimo 2 caracteres)
  * - email: Correo electrónico válido (obligatorio, mínimo 8 caracteres y debe incluir "@")
  * - password: Contraseña de acceso (obligatoria, mínimo 4 caracteres)
- * - rol: Rol dentro del sistema (ej: "admin", "customer", "seller") (obligatorio)
+ * - rol: Rol dentro del sistema ("Administrador" o "Vendedor") (obligatorio)
  * - createdAt: Fecha de registro del usuario
  * 
- * 🚨 VALIDACIONES:
- * - `name`: requerido, mínimo 2 caracteres
- * - `email`: requerido, mínimo 8 caracteres, debe contener "@"
+ * 🚨 VALIDACIONES (límites en `constants/fieldRules.js`, compartidos con
+ *    UserModel y la validación HTTP):
+ * - `name`: requerido, entre 3 y 25 caracteres
+ * - `email`: requerido, entre 8 y 50 caracteres, formato de correo
  * - `password`: requerido, mínimo 4 caracteres
- * - `rol`: requerido, mínimo 2 caracteres
+ * - `rol`: requerido, debe ser uno de los definidos en `constants/roles.js`
  * 
  * CASOS DE USO TÍPICOS:
  * - Registrar un nuevo usuario (cliente, administrador, vendedor)
@@ -39,29 +40,23 @@
  * - SRP (Single Responsibility Principle) → Solo modela un usuario y sus reglas básicas
  */
 
+import { USER_FIELDS } from "../constants/fieldRules.js";
+import { assertValid } from "../validation/validator.js";
+
 class User {
   /**
    * Constructor de la entidad User
    * @param {Object} params - Parámetros para construir el usuario
    * @param {string} params.id - Identificador único del usuario
-   * @param {string} params.name - Nombre del usuario (mínimo 2 caracteres)
+   * @param {string} params.name - Nombre del usuario (entre 3 y 25 caracteres)
    * @param {string} params.email - Correo electrónico válido
    * @param {string} params.password - Contraseña (mínimo 4 caracteres)
-   * @param {string} params.rol - Rol asignado al usuario (ej: "admin", "customer")
+   * @param {string} params.rol - Rol asignado al usuario ("Administrador" o "Vendedor")
    * @param {Date} params.createdAt - Fecha de creación del usuario
-   * @throws {Error} - Si name, email, password o rol no cumplen validaciones
+   * @throws {ValidationError} - Si name, email, password o rol no cumplen validaciones
    */
   constructor({ id, name, email, password, rol, createdAt }) {
-    if(!name || name.length < 2) throw new Error("❌ Nombre inválido ❌");
-
-    if(!email || email.length < 8 || !email.includes("@")) throw new Error("❌ Email inválido ❌");
-
-    if(!password || password.length < 4) throw new Error("❌ Contraseña inválida ❌");
-
-    const allowedRoles = ["Administrador", "Vendedor"];
-    if(!rol || rol.length < 2 || !allowedRoles.includes(rol)) {
-      throw new Error(`❌ Rol inválido. Debe ser uno de: ${allowedRoles.join(", ")} ❌`);
-    }
+    assertValid(USER_FIELDS, { name, email, password, rol });
 
     this.id = id;
     this.name = name;
@@ -0,0 +1,21 @@
+/**
+ * CONFLICTERROR.JS - ERROR DE DOMINIO "CONFLICTO"
+ * ===============================================
+ *
+ * La petición es válida pero choca con el estado actual de los datos
+ * (duplicados, stock, estado del pedido...). Se traduce a `409 Conflict`.
+ */
+
+import DomainError from "./DomainError.js";
+
+class ConflictError extends DomainError {
+  /**
+   * @param {string} [message] - Mensaje para el cliente
+   * @param {Object} [options] - { code, details } (ver DomainError)
+   */
+  constructor(message = "⚠️ La operación entra en conflicto con el estado actual ⚠️", { code = "CONFLICT", details } = {}) {
+    super(message, { code, details });
+  }
+}
+
+export default ConflictError;
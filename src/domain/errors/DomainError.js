@@ -0,0 +1,40 @@
+/**
+ * DOMAINERROR.JS - ERROR BASE DEL DOMINIO
+ * =======================================
+ *
+ * Clase base de los errores esperables de la aplicación (datos inválidos,
+ * recursos inexistentes, conflictos, credenciales incorrectas...).
+ * El dominio solo indica QUÉ ocurrió; el `errorMiddleware` de la capa de
+ * presentación decide el código HTTP según la clase del error.
+ *
+ * JERARQUÍA:
+ * - ValidationError    → 400 (VALIDATION_ERROR)
+ * - UnauthorizedError  → 401 (UNAUTHORIZED)
+ * - ForbiddenError     → 403 (FORBIDDEN)
+ * - NotFoundError      → 404 (NOT_FOUND)
+ * - ConflictError      → 409 (CONFLICT)
+ *   - InsufficientStockError  (INSUFFICIENT_STOCK)
+ *   - InvalidOrderStateError  (INVALID_ORDER_STATE)
+ *
+ * CAMPOS:
+ * - code: Código estable legible por máquina. Cada subclase define uno
+ *   por defecto y puede concretarlo (ej. "INVALID_CREDENTIALS")
+ * - details: Datos adicionales que se incluyen en la respuesta (opcional)
+ */
+
+class DomainError extends Error {
+  /**
+   * @param {string} message - Mensaje para el cliente
+   * @param {Object} [options]
+   * @param {string} [options.code] - Código legible por máquina
+   * @param {Object} [options.details] - Datos adicionales para la respuesta
+   */
+  constructor(message, { code = "DOMAIN_ERROR", details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if(details) this.details = details;
+  }
+}
+
+export default DomainError;
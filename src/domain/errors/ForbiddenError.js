@@ -0,0 +1,21 @@
+/**
+ * FORBIDDENERROR.JS - ERROR DE DOMINIO "SIN PERMISOS"
+ * ===================================================
+ *
+ * El usuario está autenticado pero no tiene permisos para la operación
+ * (rol o propiedad del recurso). Se traduce a `403 Forbidden`.
+ */
+
+import DomainError from "./DomainError.js";
+
+class ForbiddenError extends DomainError {
+  /**
+   * @param {string} [message] - Mensaje para el cliente
+   * @param {Object} [options] - { code, details } (ver DomainError)
+   */
+  constructor(message = "No tienes permisos para realizar esta acción", { code = "FORBIDDEN", details } = {}) {
+    super(message, { code, details });
+  }
+}
+
+export default ForbiddenError;
@@ -0,0 +1,37 @@
+/**
+ * INSUFFICIENTSTOCKERROR.JS - ERROR DE DOMINIO "STOCK INSUFICIENTE"
+ * =================================================================
+ * 
+ * Se lanza cuando un producto no tiene unidades suficientes para
+ * atender la cantidad solicitada. Es un ConflictError (`409 Conflict`):
+ * la petición es válida pero choca con el estado actual del inventario.
+ * 
+ * CAMPOS:
+ * - code: Código estable legible por máquina ("INSUFFICIENT_STOCK")
+ * - productId: Producto sin stock suficiente
+ * - requested: Cantidad solicitada
+ * - available: Stock disponible en el momento de la verificación
+ * Los tres últimos también se envían al cliente (`details`).
+ */
+
+import ConflictError from "./ConflictError.js";
+
+class InsufficientStockError extends ConflictError {
+  /**
+   * @param {Object} params
+   * @param {string} params.productId - ID del producto
+   * @param {number} params.requested - Cantidad solicitada
+   * @param {number} params.available - Stock disponible
+   */
+  constructor({ productId, requested, available }) {
+    super(`⚠️ Stock insuficiente. Stock actual: ${available}, Stock solicitado: ${requested} ⚠️`, {
+      code: "INSUFFICIENT_STOCK",
+      details: { productId, requested, available }
+    });
+    this.productId = productId;
+    this.requested = requested;
+    this.available = available;
+  }
+}
+
+export default InsufficientStockError;
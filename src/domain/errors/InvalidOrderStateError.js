@@ -0,0 +1,39 @@
+/**
+ * INVALIDORDERSTATEERROR.JS - ERROR DE DOMINIO "ESTADO DE PEDIDO INVÁLIDO"
+ * ========================================================================
+ *
+ * Se lanza cuando una operación no está permitida en el estado actual
+ * del pedido: una transición que no existe en el ciclo de vida o la
+ * modificación de líneas de un pedido que ya salió del almacén.
+ * Es un ConflictError (`409 Conflict`).
+ *
+ * CAMPOS:
+ * - code: Código estable legible por máquina ("INVALID_ORDER_STATE")
+ * - from: Estado actual del pedido
+ * - to: Estado destino solicitado (si aplica)
+ * - allowed: Estados a los que sí se puede pasar desde `from`
+ * Los tres últimos también se envían al cliente (`details`).
+ */
+
+import ConflictError from "./ConflictError.js";
+
+class InvalidOrderStateError extends ConflictError {
+  /**
+   * @param {Object} params
+   * @param {string} params.from - Estado actual
+   * @param {string} [params.to] - Estado destino solicitado
+   * @param {Array<string>} [params.allowed] - Transiciones permitidas
+   * @param {string} [params.message] - Mensaje alternativo
+   */
+  constructor({ from, to = null, allowed = [], message }) {
+    super(message || `⚠️ No se puede pasar el pedido de "${from}" a "${to}" ⚠️`, {
+      code: "INVALID_ORDER_STATE",
+      details: { from, to, allowed }
+    });
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+export default InvalidOrderStateError;
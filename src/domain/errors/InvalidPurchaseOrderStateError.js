@@ -0,0 +1,40 @@
+/**
+ * INVALIDPURCHASEORDERSTATEERROR.JS - ERROR DE DOMINIO "ESTADO DE ORDEN DE COMPRA INVÁLIDO"
+ * =========================================================================================
+ *
+ * Se lanza cuando una operación no está permitida en el estado actual
+ * de la orden de compra: una transición que no existe en el ciclo de
+ * vida, recibir mercancía de una orden no enviada o cerrada, o borrar
+ * una orden que ya salió de borrador.
+ * Es un ConflictError (`409 Conflict`).
+ *
+ * CAMPOS:
+ * - code: Código estable legible por máquina ("INVALID_PURCHASE_ORDER_STATE")
+ * - from: Estado actual de la orden
+ * - to: Estado destino solicitado (si aplica)
+ * - allowed: Estados a los que sí se puede pasar desde `from`
+ * Los tres últimos también se envían al cliente (`details`).
+ */
+
+import ConflictError from "./ConflictError.js";
+
+class InvalidPurchaseOrderStateError extends ConflictError {
+  /**
+   * @param {Object} params
+   * @param {string} params.from - Estado actual
+   * @param {string} [params.to] - Estado destino solicitado
+   * @param {Array<string>} [params.allowed] - Transiciones permitidas
+   * @param {string} [params.message] - Mensaje alternativo
+   */
+  constructor({ from, to = null, allowed = [], message }) {
+    super(message || `⚠️ No se puede pasar la orden de compra de "${from}" a "${to}" ⚠️`, {
+      code: "INVALID_PURCHASE_ORDER_STATE",
+      details: { from, to, allowed }
+    });
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+export default InvalidPurchaseOrderStateError;
@@ -0,0 +1,21 @@
+/**
+ * NOTFOUNDERROR.JS - ERROR DE DOMINIO "RECURSO NO ENCONTRADO"
+ * ===========================================================
+ *
+ * El recurso solicitado (o uno referenciado en la petición) no existe.
+ * Se traduce a `404 Not Found`.
+ */
+
+import DomainError from "./DomainError.js";
+
+class NotFoundError extends DomainError {
+  /**
+   * @param {string} [message] - Mensaje para el cliente
+   * @param {Object} [options] - { code, details } (ver DomainError)
+   */
+  constructor(message = "❌ Recurso no encontrado ❌", { code = "NOT_FOUND", details } = {}) {
+    super(message, { code, details });
+  }
+}
+
+export default NotFoundError;
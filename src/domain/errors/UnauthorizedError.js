@@ -0,0 +1,21 @@
+/**
+ * UNAUTHORIZEDERROR.JS - ERROR DE DOMINIO "NO AUTENTICADO"
+ * ========================================================
+ *
+ * Faltan credenciales o no son válidas (login, token, refresh token).
+ * Se traduce a `401 Unauthorized`.
+ */
+
+import DomainError from "./DomainError.js";
+
+class UnauthorizedError extends DomainError {
+  /**
+   * @param {string} [message] - Mensaje para el cliente
+   * @param {Object} [options] - { code, details } (ver DomainError)
+   */
+  constructor(message = "❌ No autenticado ❌", { code = "UNAUTHORIZED", details } = {}) {
+    super(message, { code, details });
+  }
+}
+
+export default UnauthorizedError;
@@ -0,0 +1,21 @@
+/**
+ * VALIDATIONERROR.JS - ERROR DE DOMINIO "DATOS INVÁLIDOS"
+ * ========================================================
+ *
+ * Los datos recibidos no cumplen las reglas del dominio (campo vacío,
+ * valor fuera de rango, formato incorrecto...). Se traduce a `400 Bad Request`.
+ */
+
+import DomainError from "./DomainError.js";
+
+class ValidationError extends DomainError {
+  /**
+   * @param {string} [message] - Mensaje para el cliente
+   * @param {Object} [options] - { code, details } (ver DomainError)
+   */
+  constructor(message = "❌ Datos inválidos ❌", { code = "VALIDATION_ERROR", details } = {}) {
+    super(message, { code, details });
+  }
+}
+
+export default ValidationError;
@@ -0,0 +1,160 @@
+/**
+ * VALIDATOR.JS - VALIDACIÓN DECLARATIVA DE CAMPOS
+ * ===============================================
+ *
+ * Valida un objeto contra un mapa de reglas (`domain/constants/fieldRules.js`)
+ * y devuelve la lista de errores por campo. Lo usan las entidades de dominio
+ * y el middleware de validación HTTP, así ambos aplican exactamente los
+ * mismos límites y mensajes.
+ *
+ * FORMATO DE LOS ERRORES:
+ * [{ field: "details[0].amount", message: "\"details[0].amount\" debe ser mayor o igual a 1" }]
+ *
+ * OPCIONES:
+ * - partial: no exige los campos obligatorios (solo valida los presentes)
+ * - allowUnknown: acepta campos que no están en las reglas (por defecto true)
+ * - coerce: convierte textos a número, booleano o fecha antes de validar
+ *   (para query string y parámetros de ruta, que siempre llegan como texto)
+ */
+
+import ValidationError from "../errors/ValidationError.js";
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+const TYPE_LABELS = {
+  string: "un texto",
+  number: "un número",
+  integer: "un número entero",
+  boolean: "true o false",
+  objectId: "un ID válido",
+  date: "una fecha válida",
+  array: "una lista",
+  object: "un objeto"
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  objectId: (value) => (typeof value === "string" || typeof value === "object") && OBJECT_ID.test(String(value)),
+  date: (value) => (value instanceof Date || typeof value === "string" || typeof value === "number")
+    && !Number.isNaN(new Date(value).getTime()),
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === "object" && value !== null && !Array.isArray(value)
+};
+
+// Ausente = no enviado, null o texto vacío
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Convierte un texto al tipo de la regla (query string / parámetros de ruta).
+ * Si no se puede convertir devuelve el valor original, que luego falla la validación de tipo.
+ */
+const coerce = (type, value) => {
+  if(typeof value !== "string") return value;
+
+  if(type === "number" || type === "integer") {
+    return value.trim() === "" ? value : Number(value);
+  }
+  if(type === "boolean") {
+    if(value === "true") return true;
+    if(value === "false") return false;
+  }
+  return value;
+};
+
+/**
+ * Valida un valor contra su regla y agrega los errores encontrados.
+ * @param {Object} rule - Regla del campo
+ * @param {*} rawValue - Valor recibido
+ * @param {string} field - Ruta del campo (ej. "details[0].amount")
+ * @param {Array<Object>} errors - Acumulador de errores
+ * @param {Object} options - Opciones de `validateFields`
+ */
+const checkRule = (rule, rawValue, field, errors, options) => {
+  const fail = (message) => errors.push({ field, message: `"${field}" ${message}` });
+
+  if(isMissing(rawValue)) {
+    if(rule.required && !options.partial) fail("es obligatorio");
+    return;
+  }
+
+  const value = options.coerce ? coerce(rule.type, rawValue) : rawValue;
+
+  if(rule.type && !TYPE_CHECKS[rule.type](value)) return fail(`debe ser ${TYPE_LABELS[rule.type]}`);
+
+  if(rule.minLength != null && value.length < rule.minLength) {
+    return fail(`debe tener al menos ${rule.minLength} caracteres`);
+  }
+  if(rule.maxLength != null && value.length > rule.maxLength) {
+    return fail(`debe tener como máximo ${rule.maxLength} caracteres`);
+  }
+  if(rule.pattern && !rule.pattern.test(value)) return fail("tiene un formato inválido");
+  if(rule.min != null && value < rule.min) return fail(`debe ser mayor o igual a ${rule.min}`);
+  if(rule.max != null && value > rule.max) return fail(`debe ser menor o igual a ${rule.max}`);
+  if(rule.enum && !rule.enum.includes(value)) return fail(`debe ser uno de: ${rule.enum.join(", ")}`);
+
+  if(rule.type === "array") {
+    if(rule.minItems != null && value.length < rule.minItems) {
+      return fail(`debe tener al menos ${rule.minItems} elemento(s)`);
+    }
+    if(rule.maxItems != null && value.length > rule.maxItems) {
+      return fail(`debe tener como máximo ${rule.maxItems} elemento(s)`);
+    }
+    if(rule.items) {
+      value.forEach((item, index) => checkRule(rule.items, item, `${field}[${index}]`, errors, { ...options, partial: false }));
+    }
+  }
+
+  if(rule.type === "object" && rule.fields) {
+    collectErrors(rule.fields, value, `${field}.`, errors, { ...options, partial: false });
+  }
+};
+
+/**
+ * Recorre las reglas de un objeto (y sus campos desconocidos).
+ */
+const collectErrors = (fields, data, prefix, errors, options) => {
+  for(const [name, rule] of Object.entries(fields)) {
+    checkRule(rule, data[name], prefix + name, errors, options);
+  }
+
+  if(!options.allowUnknown) {
+    for(const name of Object.keys(data)) {
+      if(!Object.hasOwn(fields, name)) {
+        errors.push({ field: prefix + name, message: `"${prefix + name}" no es un campo permitido` });
+      }
+    }
+  }
+};
+
+/**
+ * Valida un objeto contra un mapa de reglas.
+ * @param {Object} fields - Reglas por campo (ej. `PRODUCT_FIELDS`)
+ * @param {Object} data - Objeto a validar
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - No exigir los campos obligatorios
+ * @param {boolean} [options.allowUnknown=true] - Aceptar campos sin regla
+ * @param {boolean} [options.coerce=false] - Convertir textos al tipo de la regla
+ * @returns {Array<{ field: string, message: string }>} Errores encontrados (vacío si es válido)
+ */
+export const validateFields = (fields, data, { partial = false, allowUnknown = true, coerce = false } = {}) => {
+  const errors = [];
+  collectErrors(fields, data ?? {}, "", errors, { partial, allowUnknown, coerce });
+  return errors;
+};
+
+/**
+ * Igual que `validateFields`, pero lanza un ValidationError con la lista
+ * de errores en `details.errors` si el objeto no es válido.
+ * @throws {ValidationError}
+ */
+export const assertValid = (fields, data, options) => {
+  const errors = validateFields(fields, data, options);
+  if(errors.length > 0) {
+    throw new ValidationError(`❌ ${errors.map((error) => error.message).join(", ")} ❌`, {
+      details: { errors }
+    });
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * CATEGORYTAXRATEMODEL.JS - MODELO DE BASE DE DATOS (MONGOOSE)
+ * ============================================================
+ *
+ * Define el esquema y modelo de Mongoose para la colección
+ * "CategoryTaxRate": la tarifa de IVA de cada categoría de productos.
+ *
+ * CAMPOS PRINCIPALES:
+ * - category: Categoría de productos (obligatoria, única; igual a `Product.category`)
+ * - rate: Tarifa de IVA (19, 5 o 0)
+ * - timestamps: Agrega automáticamente los campos createdAt y updatedAt
+ *
+ * 🚨 VALIDACIONES:
+ * Los límites se leen de `domain/constants/fieldRules.js`, igual que
+ * en la validación HTTP.
+ *
+ * CASOS DE USO:
+ * - Resolver la tarifa de un producto que no define la suya (ver `TaxService`)
+ */
+
+import mongoose from "mongoose";
+import { CATEGORY_TAX_RATE_FIELDS } from "../../domain/constants/fieldRules.js";
+
+const { category, rate } = CATEGORY_TAX_RATE_FIELDS;
+
+const CategoryTaxRateSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    unique: true,
+    minlength: category.minLength
+  },
+
+  rate: {
+    type: Number,
+    required: true,
+    enum: rate.enum
+  },
+}, {
+  timestamps: true // añade createdAt y updatedAt automáticamente
+});
+
+// Exporta el modelo de Mongoose para interactuar con la colección "CategoryTaxRate"
+export const CategoryTaxRateModel = mongoose.model("CategoryTaxRate", CategoryTaxRateSchema);
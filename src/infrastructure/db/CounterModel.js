@@ -0,0 +1,34 @@
+/**
+ * COUNTERMODEL.JS - MODELO DE BASE DE DATOS (MONGOOSE)
+ * ====================================================
+ *
+ * Define el esquema y modelo de Mongoose para la colección "Counter":
+ * un documento por serie de numeración, con el último valor emitido.
+ *
+ * CAMPOS PRINCIPALES:
+ * - _id: Clave de la serie (ej. "order:PED:2026")
+ * - seq: Último consecutivo emitido (0 antes del primero)
+ *
+ * CASOS DE USO:
+ * - Números legibles de pedido (`PED-2026-000123`)
+ */
+
+import mongoose from "mongoose";
+
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+
+  seq: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+}, {
+  versionKey: false
+});
+
+// Exporta el modelo de Mongoose para interactuar con la colección "Counter"
+export const CounterModel = mongoose.model("Counter", CounterSchema);
@@ -0,0 +1,112 @@
+/**
+ * COUPONMODEL.JS - MODELO DE BASE DE DATOS (MONGOOSE)
+ * ===================================================
+ *
+ * Define el esquema y modelo de Mongoose para la colección "Coupon":
+ * cupones de descuento que se canjean con un código al crear pedidos
+ * (ver `domain/constants/coupons.js`).
+ *
+ * CAMPOS PRINCIPALES:
+ * - code: Código en mayúsculas (único)
+ * - type / value: Porcentaje o monto fijo en centavos
+ * - startsAt / endsAt: Vigencia (null = sin límite)
+ * - minOrderAmount: Valor mínimo del pedido en centavos
+ * - maxRedemptions / maxRedemptionsPerCustomer: Límites de uso (null = sin límite)
+ * - categories / productIds: Líneas elegibles (vacías = todo el pedido)
+ * - active: Si se acepta o está en pausa
+ * - redemptionCount: Usos vigentes (pedidos no cancelados que lo canjearon)
+ * - timestamps: Agrega automáticamente los campos createdAt y updatedAt
+ *
+ * 🚨 VALIDACIONES:
+ * Los límites se leen de `domain/constants/fieldRules.js`, igual que
+ * en la validación HTTP. `redemptionCount` solo cambia con `$inc`
+ * condicionados (ver `CouponRepositoryMongo`), nunca por debajo de 0
+ * ni por encima de `maxRedemptions`.
+ *
+ * 📈 ÍNDICES:
+ * - code (único): Búsqueda del cupón al crear el pedido
+ */
+
+import mongoose from "mongoose";
+import { COUPON_FIELDS } from "../../domain/constants/fieldRules.js";
+
+const { code, type, value, minOrderAmount, maxRedemptions, maxRedemptionsPerCustomer } = COUPON_FIELDS;
+
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    minlength: code.minLength,
+    maxlength: code.maxLength
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: type.enum
+  },
+
+  value: {
+    type: Number,
+    required: true,
+    min: value.min
+  },
+
+  startsAt: {
+    type: Date,
+    default: null
+  },
+
+  endsAt: {
+    type: Date,
+    default: null
+  },
+
+  minOrderAmount: {
+    type: Number,
+    min: minOrderAmount.min,
+    default: 0,
+    validate: Number.isInteger
+  },
+
+  maxRedemptions: {
+    type: Number,
+    min: maxRedemptions.min,
+    default: null
+  },
+
+  maxRedemptionsPerCustomer: {
+    type: Number,
+    min: maxRedemptionsPerCustomer.min,
+    default: null
+  },
+
+  categories: {
+    type: [String],
+    default: []
+  },
+
+  productIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    default: []
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  redemptionCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+}, {
+  timestamps: true // añade createdAt y updatedAt automáticamente
+});
+
+// Exporta el modelo de Mongoose para interactuar con la colección "Coupon"
+export const CouponModel = mongoose.model("Coupon", CouponSchema);
@@ -0,0 +1,117 @@
+/**
+ * CUSTOMERMODEL.JS - MODELO DE BASE DE DATOS (MONGOOSE)
+ * =====================================================
+ *
+ * Define el esquema y modelo de Mongoose para la colección
+ * "Customer". Representa a los clientes que compran en el punto de venta.
+ *
+ * CAMPOS PRINCIPALES:
+ * - name: Nombre del cliente (obligatorio, entre 2 y 60 caracteres)
+ * - documentType: Tipo de documento (CC, NIT, CE, PP)
+ * - documentNumber: Número de documento normalizado (obligatorio, único)
+ * - phone: Teléfono de contacto (opcional)
+ * - email: Correo de contacto (opcional)
+ * - addresses: Direcciones de entrega o facturación (máximo 5)
+ * - creditLimit: Cupo de crédito en centavos (por defecto 0)
+ * - timestamps: Agrega automáticamente los campos createdAt y updatedAt
+ *
+ * 🚨 VALIDACIONES:
+ * Los límites se leen de `domain/constants/fieldRules.js`, igual que
+ * en la entidad Customer y la validación HTTP.
+ *
+ * CASOS DE USO:
+ * - Registrar clientes
+ * - Buscar clientes por documento en el punto de venta
+ * - Asociar pedidos a un cliente
+ */
+
+import mongoose from "mongoose";
+import { CUSTOMER_ADDRESS_FIELDS, CUSTOMER_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// Límites compartidos con la entidad Customer y la validación HTTP
+const { name, documentType, documentNumber, phone, email, addresses, creditLimit } = CUSTOMER_FIELDS;
+
+// Subdocumento de dirección (sin _id propio)
+const AddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    maxlength: CUSTOMER_ADDRESS_FIELDS.label.maxLength
+  },
+
+  line: {
+    type: String,
+    required: true,
+    minlength: CUSTOMER_ADDRESS_FIELDS.line.minLength,
+    maxlength: CUSTOMER_ADDRESS_FIELDS.line.maxLength
+  },
+
+  city: {
+    type: String,
+    maxlength: CUSTOMER_ADDRESS_FIELDS.city.maxLength
+  }
+}, { _id: false });
+
+const CustomerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    minlength: name.minLength,
+    maxlength: name.maxLength
+  },
+
+  documentType: {
+    type: String,
+    required: true,
+    enum: documentType.enum
+  },
+
+  documentNumber: {
+    type: String,
+    required: true,
+    minlength: documentNumber.minLength,
+    maxlength: documentNumber.maxLength
+  },
+
+  phone: {
+    type: String,
+    maxlength: phone.maxLength
+  },
+
+  email: {
+    type: String,
+    maxlength: email.maxLength,
+    match: email.pattern
+  },
+
+  addresses: {
+    type: [AddressSchema],
+    default: [],
+    validate: {
+      validator: (value) => value.length <= addresses.maxItems,
+      message: `Un cliente puede tener como máximo ${addresses.maxItems} direcciones`
+    }
+  },
+
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: creditLimit.min,
+    validate: Number.isInteger
+  },
+
+  // Montos ya en centavos (ver `migrations/005-money-minor-units.js`)
+  moneyUnits: {
+    type: String,
+    default: "minor",
+    select: false
+  },
+}, {
+  timestamps: true // añade createdAt y updatedAt automáticamente
+});
+
+// Un documento identifica a un único cliente (búsqueda en el punto de venta)
+CustomerSchema.index({ documentNumber: 1 }, { unique: true });
+CustomerSchema.index({ name: 1 });
+
+// Exporta el modelo de Mongoose para interactuar con la colección "Customer"
+export const CustomerModel = mongoose.model("Customer", CustomerSchema);
@@ -10,17 +10,35 @@
  * - orderId: Referencia al pedido al que pertenecen los detalles
  * - productId: Referencia al producto asociado en la orden
  * - amount: Cantidad de productos seleccionados (mínimo 1)
- * - unitPrice: Precio unitario del producto (mínimo 0)
- * - subtotal: Total parcial de cada producto en la orden
+ * - unitPrice: Precio unitario del producto en centavos (mínimo 0)
+ * - subtotal: Total de la línea con IVA (taxBase + taxAmount)
+ * - unitCost: Costo unitario del producto al momento de la venta (copia
+ *   de `Product.cost`); base del reporte de margen bruto. null si el costo
+ *   del producto era desconocido
+ * - taxRate: Tarifa de IVA aplicada (19, 5 o 0)
+ * - priceIncludesTax: Si `unitPrice` ya incluía el IVA
+ * - taxBase: Base gravable de la línea (sin IVA)
+ * - taxAmount: IVA de la línea
+ * - grossAmount: Precio unitario × cantidad, antes de descuentos
+ * - discountAmount: Total descontado (la base y el IVA ya lo descuentan)
+ * - discounts: Detalle de cada descuento: promoción, manual de la línea o
+ *   parte del descuento del pedido (ver `domain/constants/discounts.js`)
  * 
  * 🔄 RELACIONES:
  * - `orderId` → Relación con el modelo **Order**
  * - `productId` → Relación con el modelo **Product**
  * 
  * 🚨 VALIDACIONES:
- * - `amount`: requerido, debe ser ≥ 1
+ * - `amount`: requerido, entero ≥ 1 (límites en `domain/constants/fieldRules.js`)
+ * - `unitPrice`, `subtotal`, `unitCost`, `taxBase` y `taxAmount`: enteros
+ *   en centavos (ver `domain/constants/money.js`)
  * - `unitPrice`: requerido, debe ser ≥ 0
  * - `subtotal`: si no se especifica, inicia en 0
+ * - `unitCost`: opcional, debe ser ≥ 0 o null (los detalles anteriores no lo tienen)
+ * - `taxRate`: una de las tarifas de `domain/constants/taxRates.js`. Las líneas
+ *   anteriores al IVA se migran como exentas (ver `migrations/004-order-taxes.js`)
+ * - `grossAmount` y `discountAmount`: enteros ≥ 0. Las líneas anteriores a los
+ *   descuentos se migran sin descuento (ver `migrations/006-order-discounts.js`)
  * 
  * CASOS DE USO:
  * - Registrar productos y cantidades asociados a un pedido
@@ -33,6 +51,52 @@
  */
 
 import mongoose from "mongoose";
+import { ORDER_DETAIL_FIELDS } from "../../domain/constants/fieldRules.js";
+import { DISCOUNT_SOURCES, DISCOUNT_TYPES } from "../../domain/constants/discounts.js";
+
+// Límites compartidos con la entidad OrderDetails y la validación HTTP
+const { amount, unitPrice, unitCost, taxRate, taxBase, taxAmount, grossAmount, discountAmount } = ORDER_DETAIL_FIELDS;
+
+// Un descuento aplicado a la línea, con su origen
+const LineDiscountSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: DISCOUNT_SOURCES,
+    required: true
+  },
+
+  // Promoción aplicada (solo en source "promotion")
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Promotion",
+    default: null
+  },
+
+  // Nombre de la promoción o del descuento, tal como se imprime
+  label: {
+    type: String,
+    required: true
+  },
+
+  // Descuento pedido (solo en los manuales): porcentaje o centavos
+  type: {
+    type: String,
+    enum: [...DISCOUNT_TYPES, null],
+    default: null
+  },
+
+  value: {
+    type: Number,
+    default: null
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: Number.isInteger
+  }
+}, { _id: false });
 
 const OrderDetailsSchema = new mongoose.Schema({
   orderId: {
@@ -48,20 +112,83 @@ const OrderDetailsSchema = new mongoose.Schema({
   amount: {
     type: Number,
     required: true,
-    min: 1
+    min: amount.min,
+    validate: Number.isInteger
   },
 
   unitPrice: {
     type: Number,
     required: true,
-    min: 0
+    min: unitPrice.min,
+    validate: Number.isInteger
   },
 
   subtotal: {
     type: Number,
+    default: 0,
+    validate: Number.isInteger
+  },
+
+  unitCost: {
+    type: Number,
+    required: false,
+    min: unitCost.min,
+    validate: (value) => value === null || Number.isInteger(value)
+  },
+
+  taxRate: {
+    type: Number,
+    enum: taxRate.enum,
     default: 0
-  }
+  },
+
+  priceIncludesTax: {
+    type: Boolean,
+    default: true
+  },
+
+  taxBase: {
+    type: Number,
+    min: taxBase.min,
+    default: 0,
+    validate: Number.isInteger
+  },
+
+  taxAmount: {
+    type: Number,
+    min: taxAmount.min,
+    default: 0,
+    validate: Number.isInteger
+  },
+
+  grossAmount: {
+    type: Number,
+    min: grossAmount.min,
+    validate: Number.isInteger
+  },
+
+  discountAmount: {
+    type: Number,
+    min: discountAmount.min,
+    default: 0,
+    validate: Number.isInteger
+  },
+
+  discounts: {
+    type: [LineDiscountSchema],
+    default: []
+  },
+
+  // Montos ya en centavos (ver `migrations/005-money-minor-units.js`)
+  moneyUnits: {
+    type: String,
+    default: "minor",
+    select: false
+  },
 });
 
+// Líneas de un pedido: detalle del pedido y reportes (que parten de los pedidos)
+OrderDetailsSchema.index({ orderId: 1 });
+
 // Exporta el modelo de Mongoose para su uso en repositorios o servicios
 export const OrderDetailsModel = mongoose.model("OrderDetails", OrderDetailsSchema);
@@ -7,24 +7,39 @@
  * dentro del sistema.
  * 
  * CAMPOS PRINCIPALES:
+ * - number: Número legible y consecutivo (ej. "PED-2026-000123"), único
  * - userId: ID del usuario que realizó el pedido (relación con User)
- * - total: Monto total del pedido (≥ 0)
- * - status: Estado del pedido (true = confirmado, false = cancelado)
+ * - customerId: ID del cliente que compra (opcional, relación con Customer)
+ * - subtotal: Suma de las bases gravables de las líneas (sin IVA, ≥ 0)
+ * - taxTotal: Suma del IVA de las líneas (≥ 0)
+ * - total: Monto total del pedido (subtotal + taxTotal, ≥ 0)
+ * - discount: Descuento manual pedido para todo el pedido ({ type, value }),
+ *   ya repartido entre las líneas
+ * - discountTotal: Suma de lo descontado en las líneas (≥ 0)
+ * - discountApprovedBy: Administrador que aprobó un descuento por encima
+ *   del umbral (ver `config/discounts.js`)
+ * - coupon: Cupón canjeado ({ couponId, code, redeemed }); `redeemed` es
+ *   false mientras el pedido está cancelado (el uso se liberó)
+ * - status: Estado del ciclo de vida (draft, pending, confirmed, preparing,
+ *   shipped, delivered, cancelled, returned)
+ * - statusHistory: Transiciones registradas ({ from, to, by, at, note })
  * - timestamps: Genera automáticamente los campos createdAt y updatedAt
  * 
  * 🔄 RELACIONES:
- * - `userId` → Relación con el modelo **User**
+ * - `userId` → Relación con el modelo **User** (vendedor)
+ * - `customerId` → Relación con el modelo **Customer** (comprador)
+ * - `coupon.couponId` → Relación con el modelo **Coupon**
  * - Se asocia con `OrderDetails` para especificar los productos
  *   y cantidades de cada pedido.
  * 
  * 🚨 VALIDACIONES:
- * - `total`: debe ser un número mayor o igual a 0
- * - `status`: campo requerido, tipo booleano
+ * - `subtotal`, `taxTotal`, `total` y `discountTotal`: enteros en centavos, mayores o iguales a 0
+ * - `status`: campo requerido, limitado a los estados de `ORDER_STATUSES`
  * 
  * CASOS DE USO:
  * - Registrar pedidos realizados por usuarios
  * - Consultar el historial de pedidos de un usuario
- * - Actualizar el estado de un pedido (ej. confirmado o cancelado)
+ * - Mover un pedido por su ciclo de vida y auditar quién lo hizo
  * 
  * PATRONES Y PRINCIPIOS:
  * - Infraestructura: modelo de persistencia en MongoDB
@@ -33,25 +48,168 @@
  */
 
 import mongoose from "mongoose";
+import { ORDER_STATUS, ORDER_STATUSES } from "../../domain/constants/orderStatus.js";
+import { ORDER_FIELDS } from "../../domain/constants/fieldRules.js";
+import { DISCOUNT_TYPES } from "../../domain/constants/discounts.js";
+
+// Cupón canjeado al crear el pedido
+const OrderCouponSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Coupon",
+    required: true
+  },
+
+  // Código tal como se canjeó (el cupón puede cambiar o eliminarse)
+  code: {
+    type: String,
+    required: true
+  },
+
+  // Si el pedido cuenta como uso del cupón (false tras cancelarlo)
+  redeemed: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Descuento manual del pedido, tal como se pidió
+const OrderDiscountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: true
+  },
+
+  value: {
+    type: Number,
+    required: true,
+    min: ORDER_FIELDS.discount.fields.value.min
+  }
+}, { _id: false });
+
+// Entrada del historial: quién movió el pedido, de qué estado a cuál y cuándo
+const StatusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...ORDER_STATUSES, null],
+    default: null // null en la entrada de creación
+  },
+
+  to: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null // null para cambios hechos por scripts de migración
+  },
+
+  at: {
+    type: Date,
+    default: Date.now
+  },
+
+  note: {
+    type: String,
+    maxlength: ORDER_FIELDS.note.maxLength
+  }
+}, { _id: false });
 
 const OrderSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    trim: true
+  },
+
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User"
   },
 
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    default: null // null = venta a consumidor final
+  },
+
+  subtotal: {
+    type: Number,
+    min: 0,
+    validate: Number.isInteger
+  },
+
+  taxTotal: {
+    type: Number,
+    min: 0,
+    default: 0,
+    validate: Number.isInteger
+  },
+
   total: {
     type: Number,
-    min: 0
+    min: 0,
+    validate: Number.isInteger
+  },
+
+  discount: {
+    type: OrderDiscountSchema,
+    default: null
+  },
+
+  discountTotal: {
+    type: Number,
+    min: 0,
+    default: 0,
+    validate: Number.isInteger
+  },
+
+  discountApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  coupon: {
+    type: OrderCouponSchema,
+    default: null
   },
 
   status: {
-    type: Boolean,
+    type: String,
+    enum: ORDER_STATUSES,
+    default: ORDER_STATUS.PENDING,
     required: true
   },
+
+  statusHistory: {
+    type: [StatusHistorySchema],
+    default: []
+  },
+
+  // Montos ya en centavos (ver `migrations/005-money-minor-units.js`)
+  moneyUnits: {
+    type: String,
+    default: "minor",
+    select: false
+  },
 }, {
   timestamps: true // Añade createdAt y updatedAt automáticamente
 });
 
+// Un número identifica a un único pedido (los anteriores a la numeración no tienen)
+OrderSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: "string" } } });
+
+// Índices para el listado: pedidos de un vendedor por fecha y filtro por estado
+OrderSchema.index({ userId: 1, createdAt: -1 });
+OrderSchema.index({ status: 1, createdAt: -1 });
+// Historial de compras de un cliente (`GET /api/customers/:id/orders`)
+OrderSchema.index({ customerId: 1, createdAt: -1 });
+// Usos de un cupón por cliente (`maxRedemptionsPerCustomer`)
+OrderSchema.index({ "coupon.couponId": 1, customerId: 1 }, { partialFilterExpression: { "coupon.redeemed": true } });
+
 // Exporta el modelo de Mongoose para interactuar con la colección "Order"
 export const OrderModel = mongoose.model("Order", OrderSchema);
@@ -9,17 +9,31 @@
  * CAMPOS PRINCIPALES:
  * - name: Nombre del producto (obligatorio, longitud mínima 2 y máxima 60)
  * - description: Descripción opcional del producto (máximo 50 caracteres)
- * - price: Precio del producto (obligatorio, ≥ 0)
+ * - price: Precio del producto en centavos (obligatorio, entero ≥ 0)
  * - stock: Cantidad disponible en inventario (obligatorio, ≥ 0)
+ * - reserved: Unidades apartadas por pedidos aún no despachados (≥ 0).
+ *   Ya están descontadas de `stock`; se liberan al cancelar o dejan de
+ *   contar al despachar el pedido.
  * - category: Categoría a la que pertenece el producto (obligatorio)
+ * - cost: Costo unitario promedio ponderado en centavos (≥ 0; null = desconocido,
+ *   por defecto). Lo recalcula cada recepción de mercancía (ver
+ *   ProductRepositoryMongo.receiveStock)
+ * - reorderPoint: Stock disponible con el que hay que reponer (0 = sin punto de reorden)
+ * - reorderQuantity: Unidades sugeridas al reponer (por defecto 0)
+ * - taxRate: Tarifa de IVA propia (19, 5 o 0; null = la de su categoría o la por defecto)
+ * - priceIncludesTax: Si `price` ya incluye el IVA (por defecto true)
  * - timestamps: Agrega automáticamente los campos createdAt y updatedAt
  * 
  * 🚨 VALIDACIONES:
  * - `name`: no puede estar vacío, mínimo 2 caracteres, máximo 60
  * - `description`: opcional, máximo 50 caracteres
- * - `price`: requerido, debe ser ≥ 0
- * - `stock`: requerido, debe ser ≥ 0
+ * - `price`: requerido, entero ≥ 0
+ * - `stock`: requerido, entero ≥ 0
  * - `category`: requerido, mínimo 1 carácter
+ * - `cost`: opcional, entero ≥ 0
+ * - `reorderPoint` y `reorderQuantity`: opcionales, enteros ≥ 0
+ * - `taxRate`: opcional, una de las tarifas de `domain/constants/taxRates.js`
+ * Los límites se leen de `domain/constants/fieldRules.js`.
  * 
  * CASOS DE USO:
  * - Registrar nuevos productos en el catálogo
@@ -35,41 +49,96 @@
  */
 
 import mongoose from "mongoose";
+import { PRODUCT_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// Límites compartidos con la entidad Product y la validación HTTP
+const { name, description, price, stock, category, cost, reorderPoint, reorderQuantity, taxRate } = PRODUCT_FIELDS;
 
 const ProductSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
-    minlength: 2,
-    maxlength: 60
+    minlength: name.minLength,
+    maxlength: name.maxLength
   },
 
   description: {
     type: String,
     required: false,
-    maxlength: 50
+    maxlength: description.maxLength
   },
 
   price: {
     type: Number,
     required: true,
-    min: 0
+    min: price.min,
+    validate: Number.isInteger
   },
 
   stock: {
     type: Number,
     required: true,
+    min: stock.min,
+    validate: Number.isInteger
+  },
+
+  reserved: {
+    type: Number,
+    default: 0,
     min: 0
   },
 
   category: {
     type: String,
     required: true,
-    minlength: 1
+    minlength: category.minLength
+  },
+
+  cost: {
+    type: Number,
+    default: null, // null = costo desconocido (no se valoriza)
+    min: cost.min,
+    validate: (value) => value === null || Number.isInteger(value)
+  },
+
+  reorderPoint: {
+    type: Number,
+    default: 0,
+    min: reorderPoint.min,
+    validate: Number.isInteger
+  },
+
+  reorderQuantity: {
+    type: Number,
+    default: 0,
+    min: reorderQuantity.min,
+    validate: Number.isInteger
+  },
+
+  taxRate: {
+    type: Number,
+    enum: [...taxRate.enum, null],
+    default: null // null = tarifa de la categoría o la por defecto
+  },
+
+  priceIncludesTax: {
+    type: Boolean,
+    default: true
+  },
+
+  // Montos ya en centavos (ver `migrations/005-money-minor-units.js`)
+  moneyUnits: {
+    type: String,
+    default: "minor",
+    select: false
   },
 }, {
   timestamps: true // añade createdAt y updatedAt automáticamente
 });
 
+// Índices para los filtros más usados del listado (categoría, precio, stock)
+ProductSchema.index({ category: 1, price: 1 });
+ProductSchema.index({ stock: 1 });
+
 // Exporta el modelo de Mongoose para interactuar con la colección "Product"
 export const ProductModel = mongoose.model("Product", ProductSchema);
@@ -0,0 +1,120 @@
+/**
+ * PROMOTIONMODEL.JS - MODELO DE BASE DE DATOS (MONGOOSE)
+ * ======================================================
+ *
+ * Define el esquema y modelo de Mongoose para la colección
+ * "Promotion": reglas de precio promocional que se evalúan al crear
+ * pedidos (ver `domain/constants/promotions.js`).
+ *
+ * CAMPOS PRINCIPALES:
+ * - name: Nombre que se copia en la línea del pedido
+ * - type: category_sale, buy_x_get_y o quantity_tier
+ * - productId / category: Producto o categoría a la que aplica
+ * - percent: Porcentaje de descuento (category_sale)
+ * - buyQuantity / getQuantity: Unidades pagadas y gratis (buy_x_get_y)
+ * - tiers: Tramos { minQuantity, percent } (quantity_tier)
+ * - startsAt / endsAt: Vigencia (null = sin límite)
+ * - active: Si se evalúa o está en pausa
+ * - timestamps: Agrega automáticamente los campos createdAt y updatedAt
+ *
+ * 🚨 VALIDACIONES:
+ * Los límites se leen de `domain/constants/fieldRules.js`, igual que
+ * en la validación HTTP. Los campos obligatorios según el tipo los
+ * comprueba la entidad `Promotion`.
+ *
+ * 📈 ÍNDICES:
+ * - { active, startsAt, endsAt }: Promociones vigentes al crear un pedido
+ */
+
+import mongoose from "mongoose";
+import { PROMOTION_FIELDS, PROMOTION_TIER_FIELDS } from "../../domain/constants/fieldRules.js";
+
+const { name, type, percent, buyQuantity, getQuantity } = PROMOTION_FIELDS;
+
+// Tramo de una promoción por cantidad
+const PromotionTierSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: PROMOTION_TIER_FIELDS.minQuantity.min
+  },
+
+  percent: {
+    type: Number,
+    required: true,
+    min: PROMOTION_TIER_FIELDS.percent.min,
+    max: PROMOTION_TIER_FIELDS.percent.max
+  }
+}, { _id: false });
+
+const PromotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    minlength: name.minLength,
+    maxlength: name.maxLength
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: type.enum
+  },
+
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    default: null
+  },
+
+  category: {
+    type: String,
+    default: null
+  },
+
+  percent: {
+    type: Number,
+    min: percent.min,
+    max: percent.max,
+    default: null
+  },
+
+  buyQuantity: {
+    type: Number,
+    min: buyQuantity.min,
+    default: null
+  },
+
+  getQuantity: {
+    type: Number,
+    min: getQuantity.min,
+    default: null
+  },
+
+  tiers: {
+    type: [PromotionTierSchema],
+    default: []
+  },
+
+  startsAt: {
+    type: Date,
+    default: null
+  },
+
+  endsAt: {
+    type: Date,
+    default: null
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+}, {
+  timestamps: true // añade createdAt y updatedAt automáticamente
+});
+
+PromotionSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+// Exporta el modelo de Mongoose para interactuar con la colección "Promotion"
+export const PromotionModel = mongoose.model("Promotion", PromotionSchema);
@@ -0,0 +1,178 @@
+/**
+ * PURCHASEORDERMODEL.JS - MODELO DE BASE DE DATOS (MONGOOSE)
+ * ==========================================================
+ *
+ * Define el esquema y modelo de Mongoose para la colección
+ * "PurchaseOrder". Representa las órdenes de compra a proveedores.
+ *
+ * CAMPOS PRINCIPALES:
+ * - supplierId: Proveedor (relación con Supplier)
+ * - lines: Líneas embebidas { productId, quantity, unitCost, receivedQuantity }
+ * - total: Costo total pedido en centavos (≥ 0)
+ * - status: Estado del ciclo de vida (draft, sent, partially_received,
+ *   received, closed)
+ * - statusHistory: Transiciones registradas ({ from, to, by, at, note })
+ * - receipts: Recepciones de mercancía ({ lines: [{ productId, quantity }], by, at, note })
+ * - createdBy: Usuario que registró la orden
+ * - timestamps: Genera automáticamente los campos createdAt y updatedAt
+ *
+ * Las líneas van embebidas para que una recepción actualice lo recibido
+ * de todas ellas en una sola escritura del documento.
+ *
+ * 🚨 VALIDACIONES:
+ * - Límites de `domain/constants/fieldRules.js` (cantidad entera ≥ 1, costo entero ≥ 0)
+ * - `receivedQuantity` entre 0 y `quantity`
+ * - `status` limitado a `PURCHASE_ORDER_STATUSES`
+ */
+
+import mongoose from "mongoose";
+import { PURCHASE_ORDER_STATUS, PURCHASE_ORDER_STATUSES } from "../../domain/constants/purchaseOrderStatus.js";
+import { PURCHASE_ORDER_FIELDS, PURCHASE_ORDER_LINE_FIELDS } from "../../domain/constants/fieldRules.js";
+
+const { quantity, unitCost } = PURCHASE_ORDER_LINE_FIELDS;
+
+const PurchaseOrderLineSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: quantity.min,
+    validate: Number.isInteger
+  },
+
+  unitCost: {
+    type: Number,
+    required: true,
+    min: unitCost.min,
+    validate: Number.isInteger
+  },
+
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: {
+      validator: function (value) { return value <= this.quantity; },
+      message: "receivedQuantity no puede superar quantity"
+    }
+  }
+}, { _id: false });
+
+// Entrada del historial: quién movió la orden, de qué estado a cuál y cuándo
+const StatusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...PURCHASE_ORDER_STATUSES, null],
+    default: null // null en la entrada de creación
+  },
+
+  to: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    required: true
+  },
+
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  at: {
+    type: Date,
+    default: Date.now
+  },
+
+  note: {
+    type: String,
+    maxlength: PURCHASE_ORDER_FIELDS.note.maxLength
+  }
+}, { _id: false });
+
+// Recepción de mercancía: qué llegó, quién la registró y cuándo
+const ReceiptSchema = new mongoose.Schema({
+  lines: [{
+    _id: false,
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    quantity: { type: Number, required: true, min: quantity.min }
+  }],
+
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  at: {
+    type: Date,
+    default: Date.now
+  },
+
+  note: {
+    type: String,
+    maxlength: PURCHASE_ORDER_FIELDS.note.maxLength
+  }
+});
+
+const PurchaseOrderSchema = new mongoose.Schema({
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Supplier",
+    required: true
+  },
+
+  lines: {
+    type: [PurchaseOrderLineSchema],
+    required: true
+  },
+
+  total: {
+    type: Number,
+    min: 0,
+    validate: Number.isInteger
+  },
+
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: PURCHASE_ORDER_STATUS.DRAFT,
+    required: true
+  },
+
+  statusHistory: {
+    type: [StatusHistorySchema],
+    default: []
+  },
+
+  receipts: {
+    type: [ReceiptSchema],
+    default: []
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  // Montos ya en centavos (ver `migrations/005-money-minor-units.js`)
+  moneyUnits: {
+    type: String,
+    default: "minor",
+    select: false
+  },
+}, {
+  timestamps: true // Añade createdAt y updatedAt automáticamente
+});
+
+// Índices para el listado: órdenes de un proveedor y filtro por estado
+PurchaseOrderSchema.index({ supplierId: 1, createdAt: -1 });
+PurchaseOrderSchema.index({ status: 1, createdAt: -1 });
+
+// Exporta el modelo de Mongoose para interactuar con la colección "PurchaseOrder"
+export const PurchaseOrderModel = mongoose.model("PurchaseOrder", PurchaseOrderSchema);
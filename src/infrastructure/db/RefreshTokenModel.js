@@ -0,0 +1,69 @@
+/**
+ * REFRESHTOKENMODEL.JS - MODELO DE BASE DE DATOS (MONGOOSE)
+ * =========================================================
+ * 
+ * Define el esquema y modelo de Mongoose para la colección
+ * "RefreshToken". Cada documento representa un refresh token emitido
+ * a un usuario; el token nunca se guarda en texto plano, solo su hash.
+ * 
+ * CAMPOS PRINCIPALES:
+ * - userId: Usuario al que pertenece el token (relación con User)
+ * - tokenHash: Hash SHA-256 del refresh token entregado al cliente
+ * - family: Identificador de la sesión. Todos los tokens obtenidos por
+ *           rotación desde un mismo login comparten la misma familia
+ * - expiresAt: Fecha de expiración del token
+ * - rotatedAt: Fecha en que el token se canjeó por uno nuevo (null si vigente)
+ * - revokedAt: Fecha de revocación (logout o reutilización detectada)
+ * - timestamps: Genera automáticamente los campos createdAt y updatedAt
+ * 
+ * 🔐 ROTACIÓN Y REUTILIZACIÓN:
+ * - Un token solo puede canjearse una vez (`rotatedAt` pasa a tener fecha)
+ * - Si se presenta un token ya rotado, se asume robo y se revoca
+ *   toda la familia (todas las sesiones derivadas de ese login)
+ * 
+ * 🧹 LIMPIEZA:
+ * - Índice TTL sobre `expiresAt`: MongoDB elimina los tokens vencidos
+ */
+
+import mongoose from "mongoose";
+
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Añade createdAt y updatedAt automáticamente
+});
+
+// Exporta el modelo de Mongoose para interactuar con la colección "RefreshToken"
+export const RefreshTokenModel = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,82 @@
+/**
+ * STOCKMOVEMENTMODEL.JS - MODELO DE BASE DE DATOS (MONGOOSE)
+ * ==========================================================
+ *
+ * Define el esquema y modelo de Mongoose para la colección
+ * "StockMovement": el kardex de inventario. Cada documento es un
+ * cambio en el stock disponible de un producto y nunca se modifica
+ * ni se elimina una vez registrado.
+ *
+ * CAMPOS PRINCIPALES:
+ * - productId: Producto afectado (relación con Product)
+ * - quantity: Variación del stock (positiva = entrada, negativa = salida)
+ * - balance: Stock disponible después del movimiento
+ * - reason: sale, cancellation, adjustment, return o receipt
+ * - sourceId / sourceType: Documento que originó el movimiento
+ * - userId: Usuario que realizó la operación (relación con User)
+ * - note: Comentario opcional
+ * - timestamps: Genera automáticamente createdAt (fecha del movimiento)
+ *
+ * 🔎 ÍNDICES:
+ * - { productId, createdAt }: consultas por producto y rango de fechas
+ *
+ * CASOS DE USO:
+ * - Consultar el historial de movimientos de un producto
+ * - Obtener el saldo de un producto en una fecha concreta
+ */
+
+import mongoose from "mongoose";
+import { STOCK_MOVEMENT_REASONS } from "../../domain/constants/stockMovementReasons.js";
+
+const StockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+
+  quantity: {
+    type: Number,
+    required: true
+  },
+
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  reason: {
+    type: String,
+    enum: STOCK_MOVEMENT_REASONS,
+    required: true
+  },
+
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  sourceType: {
+    type: String,
+    default: null
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  note: {
+    type: String,
+    maxlength: 200
+  }
+}, {
+  timestamps: true // Añade createdAt y updatedAt automáticamente
+});
+
+StockMovementSchema.index({ productId: 1, createdAt: 1 });
+
+// Exporta el modelo de Mongoose para interactuar con la colección "StockMovement"
+export const StockMovementModel = mongoose.model("StockMovement", StockMovementSchema);
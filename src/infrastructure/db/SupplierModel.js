@@ -0,0 +1,69 @@
+/**
+ * SUPPLIERMODEL.JS - MODELO DE BASE DE DATOS (MONGOOSE)
+ * =====================================================
+ *
+ * Define el esquema y modelo de Mongoose para la colección
+ * "Supplier". Representa a los proveedores a los que se les compra
+ * mercancía.
+ *
+ * CAMPOS PRINCIPALES:
+ * - name: Nombre del proveedor (obligatorio, entre 2 y 60 caracteres)
+ * - taxId: Identificación tributaria (opcional, única si se indica)
+ * - email: Correo de contacto (opcional)
+ * - phone: Teléfono de contacto (opcional)
+ * - contactName: Persona de contacto (opcional)
+ * - timestamps: Agrega automáticamente los campos createdAt y updatedAt
+ *
+ * 🚨 VALIDACIONES:
+ * Los límites se leen de `domain/constants/fieldRules.js`, igual que
+ * en la entidad Supplier y la validación HTTP.
+ *
+ * CASOS DE USO:
+ * - Registrar proveedores
+ * - Asociar órdenes de compra a un proveedor
+ */
+
+import mongoose from "mongoose";
+import { SUPPLIER_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// Límites compartidos con la entidad Supplier y la validación HTTP
+const { name, taxId, email, phone, contactName } = SUPPLIER_FIELDS;
+
+const SupplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    minlength: name.minLength,
+    maxlength: name.maxLength
+  },
+
+  taxId: {
+    type: String,
+    maxlength: taxId.maxLength
+  },
+
+  email: {
+    type: String,
+    maxlength: email.maxLength,
+    match: email.pattern
+  },
+
+  phone: {
+    type: String,
+    maxlength: phone.maxLength
+  },
+
+  contactName: {
+    type: String,
+    maxlength: contactName.maxLength
+  },
+}, {
+  timestamps: true // añade createdAt y updatedAt automáticamente
+});
+
+// Dos proveedores no pueden compartir identificación tributaria (si la tienen)
+SupplierSchema.index({ taxId: 1 }, { unique: true, partialFilterExpression: { taxId: { $type: "string" } } });
+SupplierSchema.index({ name: 1 });
+
+// Exporta el modelo de Mongoose para interactuar con la colección "Supplier"
+export const SupplierModel = mongoose.model("Supplier", SupplierSchema);
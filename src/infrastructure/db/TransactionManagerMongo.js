@@ -0,0 +1,58 @@
+/**
+ * TRANSACTIONMANAGERMONGO.JS - GESTOR DE TRANSACCIONES (MONGOOSE)
+ * ===============================================================
+ * 
+ * Ejecuta un bloque de operaciones dentro de una sesión/transacción de
+ * MongoDB. Si cualquier operación falla, todas las escrituras hechas
+ * con la sesión se descartan (stock, pedidos y detalles quedan intactos).
+ * 
+ * FUNCIONAMIENTO:
+ * - Abre una sesión con `mongoose.startSession()`
+ * - Ejecuta el trabajo con `session.withTransaction()`, que confirma al
+ *   terminar o aborta ante cualquier error (y reintenta errores transitorios,
+ *   por lo que el trabajo no debe depender de estado externo mutable)
+ * - Cierra la sesión siempre, haya éxito o error
+ * 
+ * USO DESDE LOS CASOS DE USO:
+ * - El caso de uso recibe el gestor por inyección de dependencias
+ * - Cada operación del repositorio recibe la `session` como último argumento
+ * 
+ * 🔧 CONFIGURACIÓN NECESARIA:
+ * - Las transacciones de MongoDB requieren un replica set o un cluster
+ *   (MongoDB Atlas ya lo es). En local: `mongod --replSet rs0` + `rs.initiate()`
+ * 
+ * PATRONES Y PRINCIPIOS:
+ * - Infraestructura: detalle de persistencia oculto a la capa de aplicación
+ * - Unit of Work: agrupa varias escrituras en una sola unidad atómica
+ */
+
+import mongoose from "mongoose";
+
+class TransactionManagerMongo {
+  /**
+   * EJECUTA UN TRABAJO DENTRO DE UNA TRANSACCIÓN
+   * @param {Function} work - Función async que recibe la `session` y realiza las operaciones
+   * @returns {Promise<any>} Valor devuelto por `work` una vez confirmada la transacción
+   * @throws {Error} El error original de `work` (la transacción queda abortada)
+   * 
+   * @example
+   * const order = await transactionManager.run(async (session) => {
+   *   await productRepository.updateStock(productId, -2, session);
+   *   return await orderRepository.create(orderData, session);
+   * });
+   */
+  async run(work) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+export default TransactionManagerMongo;
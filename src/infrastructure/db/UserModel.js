@@ -10,14 +10,15 @@
  * - email: Correo electrónico único y obligatorio 
  *          (mínimo 8 caracteres, máximo 50, validado con regex)
  * - password: Contraseña encriptada del usuario (obligatoria, mínimo 4 caracteres)
- * - rol: Rol del usuario (ej. "admin", "cliente") (obligatorio, mínimo 2 caracteres)
+ * - rol: Rol del usuario ("Administrador" o "Vendedor") (obligatorio)
  * - timestamps: Agrega automáticamente los campos createdAt y updatedAt
  * 
  * 🚨 VALIDACIONES:
  * - `name`: requerido, entre 3 y 25 caracteres
  * - `email`: requerido, único, formato válido de correo
  * - `password`: requerido, mínimo 4 caracteres
- * - `rol`: requerido, mínimo 2 caracteres
+ * - `rol`: requerido, limitado a los roles de `domain/constants/roles.js`
+ * Los límites se leen de `domain/constants/fieldRules.js`.
  * 
  * CASOS DE USO:
  * - Registrar usuarios en el sistema
@@ -32,34 +33,38 @@
  */
 
 import mongoose from "mongoose";
+import { USER_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// Límites compartidos con la entidad User y la validación HTTP
+const { name, email, password, rol } = USER_FIELDS;
 
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
-    minlength: 3,
-    maxlength: 25
+    minlength: name.minLength,
+    maxlength: name.maxLength
   },
 
   email: {
     type: String,
     required: true,
     unique: true,
-    minlength: 8,
-    maxlength: 50,
-    match: /.+\@.+\..+/
+    minlength: email.minLength,
+    maxlength: email.maxLength,
+    match: email.pattern
   },
 
   password: {
     type: String,
     required: true,
-    minlength: 4
+    minlength: password.minLength
   },
 
   rol: {
     type: String,
     required: true,
-    minlength: 2
+    enum: rol.enum
   },
 }, {
   timestamps: true // añade createdAt y updatedAt automáticamente
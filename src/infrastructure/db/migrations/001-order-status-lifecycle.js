@@ -0,0 +1,115 @@
+/**
+ * 001-ORDER-STATUS-LIFECYCLE.JS - MIGRACIÓN DE ESTADOS BOOLEANOS
+ * ==============================================================
+ *
+ * Convierte los pedidos guardados con el antiguo `status` booleano al
+ * ciclo de vida basado en estados (ver `domain/constants/orderStatus.js`).
+ *
+ * CONVERSIÓN:
+ * - status: true  → "confirmed"
+ *   El stock de estos pedidos ya fue descontado al crearlos, así que sus
+ *   cantidades se suman a `reserved` de cada producto: quedan como una
+ *   reserva que se confirmará al despachar o se liberará al cancelar.
+ * - status: false → "cancelled"
+ *   Su stock ya fue restaurado; no se toca el inventario.
+ * - Cada pedido migrado recibe una entrada en `statusHistory` (by: null).
+ * - Los productos sin campo `reserved` lo reciben con valor 0.
+ *
+ * Es idempotente: solo procesa pedidos cuyo `status` sigue siendo booleano,
+ * por lo que puede volver a ejecutarse sin duplicar reservas. Cada pedido
+ * se migra en su propia transacción junto con sus ajustes de `reserved`.
+ *
+ * USO:
+ *   npm run migrate:order-status
+ */
+
+import "dotenv/config.js";
+import mongoose from "mongoose";
+
+import connectDB from "../../../config/database.js";
+import { OrderModel } from "../OrderModel.js";
+import { OrderDetailsModel } from "../OrderDetailsModel.js";
+import { ProductModel } from "../ProductModel.js";
+import TransactionManagerMongo from "../TransactionManagerMongo.js";
+import { ORDER_STATUS } from "../../../domain/constants/orderStatus.js";
+
+const transactionManager = new TransactionManagerMongo();
+
+/**
+ * Migra un pedido con `status` booleano.
+ * Se usa la colección nativa para leer y escribir el valor original sin
+ * que Mongoose intente convertirlo al nuevo esquema.
+ *
+ * @param {Object} rawOrder - Documento crudo del pedido
+ * @param {ClientSession} session - Sesión de la transacción en curso
+ */
+const migrateOrder = async (rawOrder, session) => {
+  const nextStatus = rawOrder.status ? ORDER_STATUS.CONFIRMED : ORDER_STATUS.CANCELLED;
+
+  if(nextStatus === ORDER_STATUS.CONFIRMED) {
+    const details = await OrderDetailsModel.find({ orderId: rawOrder._id }).session(session);
+    for(const detail of details) {
+      await ProductModel.collection.updateOne(
+        { _id: detail.productId },
+        { $inc: { reserved: detail.amount } },
+        { session }
+      );
+    }
+  }
+
+  const result = await OrderModel.collection.updateOne(
+    { _id: rawOrder._id, status: { $type: "bool" } },
+    {
+      $set: { status: nextStatus },
+      $push: {
+        statusHistory: {
+          from: null,
+          to: nextStatus,
+          by: null,
+          at: new Date(),
+          note: `Migrado desde status=${rawOrder.status}`
+        }
+      }
+    },
+    { session }
+  );
+
+  // Otro proceso migró el pedido mientras tanto: se revierten las reservas
+  if(result.modifiedCount === 0) {
+    throw new Error(`⚠️ El pedido ${rawOrder._id} ya fue migrado ⚠️`);
+  }
+};
+
+const run = async () => {
+  await connectDB();
+
+  const products = await ProductModel.collection.updateMany(
+    { reserved: { $exists: false } },
+    { $set: { reserved: 0 } }
+  );
+  console.log(`🔹 Productos con campo reserved inicializado: ${products.modifiedCount}`);
+
+  const cursor = OrderModel.collection.find({ status: { $type: "bool" } });
+  let migrated = 0;
+  let failed = 0;
+
+  for await (const rawOrder of cursor) {
+    try {
+      await transactionManager.run((session) => migrateOrder(rawOrder, session));
+      migrated++;
+    } catch (err) {
+      failed++;
+      console.error(`❌ No se pudo migrar el pedido ${rawOrder._id}: ${err.message} ❌`);
+    }
+  }
+
+  console.log(`✅ Pedidos migrados: ${migrated}. Con error: ${failed} ✅`);
+  await mongoose.disconnect();
+  if(failed > 0) process.exitCode = 1;
+};
+
+run().catch(async (err) => {
+  console.error(err); // Esto mostrará el stacktrace
+  await mongoose.disconnect();
+  process.exit(1);
+});
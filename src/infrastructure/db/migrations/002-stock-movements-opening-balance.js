@@ -0,0 +1,56 @@
+/**
+ * 002-STOCK-MOVEMENTS-OPENING-BALANCE.JS - SALDO INICIAL DEL KARDEX
+ * =================================================================
+ *
+ * Los productos creados antes de existir el kardex (`StockMovement`) no
+ * tienen movimientos que expliquen su stock actual. Esta migración
+ * registra, para cada uno de ellos, un ajuste "Saldo inicial" por el
+ * stock disponible en el momento de ejecutarla. A partir de ahí, el
+ * historial de cada producto cuadra con su stock.
+ *
+ * Es idempotente: solo procesa productos con stock mayor que 0 que aún
+ * no tienen ningún movimiento registrado.
+ *
+ * USO:
+ *   npm run migrate:stock-ledger
+ */
+
+import "dotenv/config.js";
+import mongoose from "mongoose";
+
+import connectDB from "../../../config/database.js";
+import { ProductModel } from "../ProductModel.js";
+import { StockMovementModel } from "../StockMovementModel.js";
+import { STOCK_MOVEMENT_REASON } from "../../../domain/constants/stockMovementReasons.js";
+
+const run = async () => {
+  await connectDB();
+
+  const cursor = ProductModel.find({ stock: { $gt: 0 } }).cursor();
+  let created = 0;
+
+  for await (const product of cursor) {
+    const hasMovements = await StockMovementModel.exists({ productId: product._id });
+    if(hasMovements) continue;
+
+    await StockMovementModel.create({
+      productId: product._id,
+      quantity: product.stock,
+      balance: product.stock,
+      reason: STOCK_MOVEMENT_REASON.ADJUSTMENT,
+      sourceId: product._id,
+      sourceType: "Product",
+      note: "Saldo inicial (migración)"
+    });
+    created++;
+  }
+
+  console.log(`✅ Saldos iniciales registrados: ${created} ✅`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error(err); // Esto mostrará el stacktrace
+  await mongoose.disconnect();
+  process.exit(1);
+});
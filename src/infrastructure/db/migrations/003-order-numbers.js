@@ -0,0 +1,86 @@
+/**
+ * 003-ORDER-NUMBERS.JS - NUMERACIÓN DE LOS PEDIDOS EXISTENTES
+ * ===========================================================
+ *
+ * Los pedidos creados antes de la numeración legible solo tienen `_id`.
+ * Esta migración les asigna su número (ej. `PED-2026-000123`) en orden de
+ * creación, usando los mismos contadores y el mismo formato que los
+ * pedidos nuevos (ver `config/orderNumber.js`). Con reinicio anual, cada
+ * pedido entra en la serie del año en que se creó.
+ *
+ * Es idempotente: solo procesa pedidos sin `number`. Cada pedido se
+ * numera en su propia transacción junto con el incremento del contador,
+ * así que un fallo no deja huecos en la serie.
+ *
+ * Conviene ejecutarla antes de que se creen pedidos nuevos: si no, los
+ * pedidos antiguos quedan con números posteriores a los de los nuevos.
+ *
+ * USO:
+ *   npm run migrate:order-numbers
+ */
+
+import "dotenv/config.js";
+import mongoose from "mongoose";
+
+import connectDB from "../../../config/database.js";
+import { ORDER_NUMBER_FORMAT } from "../../../config/orderNumber.js";
+import { OrderModel } from "../OrderModel.js";
+import TransactionManagerMongo from "../TransactionManagerMongo.js";
+import CounterRepositoryMongo from "../../repositories/CounterRepositoryMongo.js";
+import OrderNumberService from "../../../application/services/OrderNumberService.js";
+
+const transactionManager = new TransactionManagerMongo();
+const orderNumberService = new OrderNumberService(new CounterRepositoryMongo(), ORDER_NUMBER_FORMAT);
+
+/**
+ * Asigna número a un pedido que aún no lo tiene.
+ * @param {Object} order - Pedido ({ _id, createdAt })
+ * @param {ClientSession} session - Sesión de la transacción en curso
+ */
+const numberOrder = async (order, session) => {
+  const number = await orderNumberService.next(order.createdAt ?? order._id.getTimestamp(), session);
+
+  const result = await OrderModel.updateOne(
+    { _id: order._id, number: { $exists: false } },
+    { $set: { number } },
+    { session }
+  );
+
+  // Otro proceso lo numeró mientras tanto: se revierte el contador
+  if(result.modifiedCount === 0) {
+    throw new Error(`⚠️ El pedido ${order._id} ya tiene número ⚠️`);
+  }
+
+  return number;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const cursor = OrderModel.find({ number: { $exists: false } }, { _id: 1, createdAt: 1 })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+  let numbered = 0;
+  let failed = 0;
+
+  for await (const order of cursor) {
+    try {
+      await transactionManager.run((session) => numberOrder(order, session));
+      numbered++;
+    } catch (err) {
+      failed++;
+      console.error(`❌ No se pudo numerar el pedido ${order._id}: ${err.message} ❌`);
+    }
+  }
+
+  console.log(`✅ Pedidos numerados: ${numbered}. Con error: ${failed} ✅`);
+  await mongoose.disconnect();
+  if(failed > 0) process.exitCode = 1;
+};
+
+run().catch(async (err) => {
+  console.error(err); // Esto mostrará el stacktrace
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+/**
+ * 004-ORDER-TAXES.JS - IVA DE LAS LÍNEAS Y PEDIDOS EXISTENTES
+ * ===========================================================
+ *
+ * Antes del IVA, las líneas solo guardaban `subtotal` y los pedidos solo
+ * `total`. Nunca se cobró IVA discriminado, así que esta migración los
+ * deja como exentos, sin cambiar ningún monto:
+ *
+ * - Líneas sin `taxRate` → taxRate 0, priceIncludesTax true,
+ *   taxBase = subtotal, taxAmount 0
+ * - Pedidos sin `subtotal` → subtotal = total, taxTotal 0
+ *
+ * Hace falta antes de editar líneas de pedidos antiguos: los ajustes de
+ * totales usan `$inc` sobre `subtotal` y `taxTotal`, que en un pedido sin
+ * esos campos quedarían con solo la diferencia.
+ *
+ * Es idempotente: solo procesa documentos sin los campos nuevos.
+ *
+ * USO:
+ *   npm run migrate:order-taxes
+ */
+
+import "dotenv/config.js";
+import mongoose from "mongoose";
+
+import connectDB from "../../../config/database.js";
+import { TAX_RATE } from "../../../domain/constants/taxRates.js";
+import { OrderModel } from "../OrderModel.js";
+import { OrderDetailsModel } from "../OrderDetailsModel.js";
+
+const run = async () => {
+  await connectDB();
+
+  const lines = await OrderDetailsModel.updateMany(
+    { taxRate: { $exists: false } },
+    [{
+      $set: {
+        taxRate: TAX_RATE.EXEMPT,
+        priceIncludesTax: true,
+        taxBase: { $ifNull: ["$subtotal", 0] },
+        taxAmount: 0
+      }
+    }]
+  );
+
+  const orders = await OrderModel.updateMany(
+    { subtotal: { $exists: false } },
+    [{
+      $set: {
+        subtotal: { $ifNull: ["$total", 0] },
+        taxTotal: 0
+      }
+    }]
+  );
+
+  console.log(`✅ Líneas migradas: ${lines.modifiedCount}. Pedidos migrados: ${orders.modifiedCount} ✅`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error(err); // Esto mostrará el stacktrace
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+/**
+ * 005-MONEY-MINOR-UNITS.JS - MONTOS EXISTENTES A CENTAVOS
+ * =======================================================
+ *
+ * Los montos pasaron de números con decimales (25.99) a enteros en
+ * centavos (2599, ver `domain/constants/money.js`). Esta migración
+ * convierte los documentos guardados antes del cambio:
+ *
+ * - Productos:         price, cost
+ * - Líneas de pedido:  unitPrice, subtotal, unitCost, taxBase, taxAmount
+ * - Pedidos:           subtotal, taxTotal, total
+ * - Órdenes de compra: total y unitCost de cada línea
+ * - Clientes:          creditLimit
+ *
+ * Cada documento convertido queda marcado con `moneyUnits: "minor"`; los
+ * que ya lo tienen (o se crearon después del cambio) no se tocan, así que
+ * es idempotente y se puede reanudar si se corta. Los campos ausentes o
+ * null se dejan igual.
+ *
+ * Hay que correrla antes de atender tráfico con la versión nueva: mientras
+ * tanto, los pedidos y reportes mezclarían pesos y centavos.
+ *
+ * USO:
+ *   npm run migrate:money-minor-units
+ */
+
+import "dotenv/config.js";
+import mongoose from "mongoose";
+
+import connectDB from "../../../config/database.js";
+import { toMinorUnits } from "../../../domain/constants/money.js";
+import { ProductModel } from "../ProductModel.js";
+import { OrderModel } from "../OrderModel.js";
+import { OrderDetailsModel } from "../OrderDetailsModel.js";
+import { PurchaseOrderModel } from "../PurchaseOrderModel.js";
+import { CustomerModel } from "../CustomerModel.js";
+
+const BATCH_SIZE = 500;
+
+// Campos de dinero de cada colección
+const COLLECTIONS = [
+  { model: ProductModel, fields: ["price", "cost"] },
+  { model: OrderDetailsModel, fields: ["unitPrice", "subtotal", "unitCost", "taxBase", "taxAmount"] },
+  { model: OrderModel, fields: ["subtotal", "taxTotal", "total"] },
+  { model: PurchaseOrderModel, fields: ["total"], lineFields: ["unitCost"] },
+  { model: CustomerModel, fields: ["creditLimit"] }
+];
+
+/**
+ * Convierte a centavos los campos presentes de un objeto
+ * @param {Object} source - Documento o línea
+ * @param {Array<string>} fields
+ * @returns {Object} Solo los campos convertidos
+ */
+const convertFields = (source, fields) => {
+  const converted = {};
+  for(const field of fields) {
+    if(typeof source[field] === "number") converted[field] = toMinorUnits(source[field]);
+  }
+  return converted;
+};
+
+/**
+ * Convierte una colección por lotes
+ * @param {Object} spec - { model, fields, lineFields? }
+ * @returns {Promise<number>} Documentos convertidos
+ */
+const migrateCollection = async ({ model, fields, lineFields }) => {
+  const filter = { moneyUnits: { $exists: false } };
+  const cursor = model.collection.find(filter);
+  let operations = [];
+  let migrated = 0;
+
+  const flush = async () => {
+    if(operations.length === 0) return;
+    const result = await model.collection.bulkWrite(operations, { ordered: false });
+    migrated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const $set = { ...convertFields(doc, fields), moneyUnits: "minor" };
+
+    if(lineFields && Array.isArray(doc.lines)) {
+      $set.lines = doc.lines.map((line) => ({ ...line, ...convertFields(line, lineFields) }));
+    }
+
+    // El filtro repite la marca: si otra ejecución ya lo convirtió, no se convierte dos veces
+    operations.push({ updateOne: { filter: { _id: doc._id, ...filter }, update: { $set } } });
+    if(operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+  return migrated;
+};
+
+const run = async () => {
+  await connectDB();
+
+  for(const spec of COLLECTIONS) {
+    const migrated = await migrateCollection(spec);
+    console.log(`✅ ${spec.model.collection.collectionName}: ${migrated} documentos convertidos a centavos`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error(err); // Esto mostrará el stacktrace
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+/**
+ * 006-ORDER-DISCOUNTS.JS - DESCUENTOS DE LAS LÍNEAS Y PEDIDOS EXISTENTES
+ * ======================================================================
+ *
+ * Antes de los descuentos, las líneas no guardaban su valor bruto ni lo
+ * descontado. Ningún pedido tuvo descuentos, así que esta migración los
+ * deja sin descuento, sin cambiar ningún monto:
+ *
+ * - Líneas sin `grossAmount` → grossAmount = unitPrice × amount,
+ *   discountAmount 0, discounts []
+ * - Pedidos sin `discountTotal` → discountTotal 0, discount null,
+ *   discountApprovedBy null
+ *
+ * Hace falta antes de editar líneas de pedidos antiguos: los ajustes de
+ * totales usan `$inc` sobre `discountTotal`. Se corre después de
+ * `005-money-minor-units.js` (el bruto se calcula en centavos).
+ *
+ * Es idempotente: solo procesa documentos sin los campos nuevos.
+ *
+ * USO:
+ *   npm run migrate:order-discounts
+ */
+
+import "dotenv/config.js";
+import mongoose from "mongoose";
+
+import connectDB from "../../../config/database.js";
+import { OrderModel } from "../OrderModel.js";
+import { OrderDetailsModel } from "../OrderDetailsModel.js";
+
+const run = async () => {
+  await connectDB();
+
+  const lines = await OrderDetailsModel.updateMany(
+    { grossAmount: { $exists: false } },
+    [{
+      $set: {
+        grossAmount: { $multiply: [{ $ifNull: ["$unitPrice", 0] }, { $ifNull: ["$amount", 0] }] },
+        discountAmount: 0,
+        discounts: []
+      }
+    }]
+  );
+
+  const orders = await OrderModel.updateMany(
+    { discountTotal: { $exists: false } },
+    [{
+      $set: {
+        discountTotal: 0,
+        discount: null,
+        discountApprovedBy: null
+      }
+    }]
+  );
+
+  console.log(`✅ Líneas migradas: ${lines.modifiedCount}. Pedidos migrados: ${orders.modifiedCount} ✅`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error(err); // Esto mostrará el stacktrace
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+/**
+ * 007-BOOTSTRAP-ADMIN.JS - PRIMER ADMINISTRADOR
+ * =============================================
+ *
+ * El registro de usuarios (`POST /api/users/auth/register`) exige un
+ * Administrador autenticado, así que en una instalación nueva nadie puede
+ * crear el primero desde la API. Esta migración lo crea a partir de las
+ * credenciales del entorno:
+ *
+ * - `ADMIN_EMAIL`: correo del administrador (obligatorio)
+ * - `ADMIN_PASSWORD`: contraseña (obligatoria, mismas reglas que el registro)
+ * - `ADMIN_NAME`: nombre (opcional, por defecto "Administrador")
+ *
+ * Se guarda con `CreateUser`, igual que un registro normal: se validan los
+ * campos y la contraseña se guarda hasheada.
+ *
+ * Es idempotente: si ya existe algún Administrador no hace nada, así que
+ * puede correr en cada despliegue. Si el correo ya pertenece a un usuario
+ * que no es Administrador, falla sin modificarlo.
+ *
+ * Una vez creado, conviene quitar `ADMIN_PASSWORD` del entorno y cambiar
+ * la contraseña desde la API.
+ *
+ * USO:
+ *   ADMIN_EMAIL=admin@tienda.com ADMIN_PASSWORD=... npm run migrate:bootstrap-admin
+ */
+
+import "dotenv/config.js";
+import mongoose from "mongoose";
+
+import connectDB from "../../../config/database.js";
+import { UserModel } from "../UserModel.js";
+import { ROLES } from "../../../domain/constants/roles.js";
+import CreateUser from "../../../application/use-cases/user/CreateUser.js";
+import UserRepositoryMongo from "../../repositories/UserRepositoryMongo.js";
+import PasswordEncrypter from "../../../presentation/security/password_encrypter.js";
+
+const { ADMIN_NAME = "Administrador", ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+const run = async () => {
+  if(!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    throw new Error("❌ Defina ADMIN_EMAIL y ADMIN_PASSWORD para crear el primer Administrador ❌");
+  }
+
+  await connectDB();
+
+  if(await UserModel.exists({ rol: ROLES.ADMIN })) {
+    console.log("⚠️ Ya existe un Administrador: no se crea ninguno ⚠️");
+    await mongoose.disconnect();
+    return;
+  }
+
+  if(await UserModel.exists({ email: ADMIN_EMAIL })) {
+    throw new Error(`❌ El correo ${ADMIN_EMAIL} ya pertenece a un usuario que no es Administrador ❌`);
+  }
+
+  const createUser = new CreateUser(new UserRepositoryMongo(), new PasswordEncrypter());
+  const admin = await createUser.execute({
+    name: ADMIN_NAME,
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    rol: ROLES.ADMIN
+  });
+
+  console.log(`✅ Administrador creado: ${admin.email} ✅`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error(err); // Esto mostrará el stacktrace
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+/**
+ * MONGOPAGINATION.JS - LISTADOS PAGINADOS EN MONGODB
+ * ==================================================
+ *
+ * Traduce los criterios normalizados de un listado
+ * ({ page, limit, cursor, sort, filters }) a una consulta de Mongoose.
+ * Lo comparten los repositorios de productos, pedidos y usuarios.
+ *
+ * MODOS:
+ * - Por página: `skip`/`limit` según `page`
+ * - Por cursor: consulta por rango sobre el primer campo de orden con
+ *   `_id` como desempate; no depende de `skip`, por lo que rinde igual
+ *   en la página 1 que en la 500
+ */
+
+const MONGO_OPERATORS = {
+  eq: "$eq",
+  ne: "$ne",
+  gt: "$gt",
+  gte: "$gte",
+  lt: "$lt",
+  lte: "$lte",
+  in: "$in"
+};
+
+/**
+ * Convierte la lista de filtros en un filtro de MongoDB.
+ * @param {Array<Object>} filters - [{ field, op, value }]
+ * @returns {Object} Filtro de MongoDB
+ */
+export const toMongoFilter = (filters = []) => {
+  const filter = {};
+  for(const { field, op, value } of filters) {
+    filter[field] = { ...filter[field], [MONGO_OPERATORS[op]]: value };
+  }
+  return filter;
+};
+
+/**
+ * Condición para continuar después del último elemento entregado.
+ */
+const afterCursor = ({ field, direction }, cursor) => {
+  const comparator = direction === 1 ? "$gt" : "$lt";
+  if(field === "_id") return { _id: { [comparator]: cursor.id } };
+
+  return {
+    $or: [
+      { [field]: { [comparator]: cursor.v } },
+      { [field]: cursor.v, _id: { [comparator]: cursor.id } }
+    ]
+  };
+};
+
+/**
+ * OBTIENE UNA PÁGINA DE RESULTADOS
+ *
+ * @param {mongoose.Model} Model - Modelo a consultar
+ * @param {Object} criteria - { page, limit, cursor, sort, filters }
+ * @param {Object} [options]
+ * @param {Object} [options.scope] - Filtro obligatorio que el cliente no puede
+ *                                   ampliar (ej. `{ userId }` para vendedores)
+ * @param {string|Object} [options.projection] - Campos a devolver u ocultar
+ * @returns {Promise<Object>} { data, total, nextCursor }
+ */
+export const findPaginated = async (Model, criteria, { scope = {}, projection = null } = {}) => {
+  const { page, limit, cursor, sort = [], filters } = criteria;
+  const filter = { $and: [scope, toMongoFilter(filters)] };
+  const total = await Model.countDocuments(filter);
+
+  if(cursor) {
+    const primary = sort[0] || { field: "_id", direction: 1 };
+    const query = cursor.id ? { $and: [filter, afterCursor(primary, cursor)] } : filter;
+
+    const rows = await Model.find(query, projection)
+      .sort({ [primary.field]: primary.direction, _id: primary.direction })
+      .limit(limit + 1);
+
+    const data = rows.slice(0, limit);
+    const last = data[data.length - 1];
+    const nextCursor = rows.length > limit
+      ? { v: last.get(primary.field), id: String(last._id) }
+      : null;
+
+    return { data, total, nextCursor };
+  }
+
+  // `_id` como desempate para que el orden entre páginas sea estable
+  const mongoSort = {};
+  for(const { field, direction } of sort) mongoSort[field] = direction;
+  if(!mongoSort._id) mongoSort._id = 1;
+
+  const data = await Model.find(filter, projection)
+    .sort(mongoSort)
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  return { data, total, nextCursor: null };
+};
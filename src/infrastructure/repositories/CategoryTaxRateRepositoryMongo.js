@@ -0,0 +1,64 @@
+/**
+ * CATEGORYTAXRATEREPOSITORYMONGO.JS - REPOSITORIO MONGO
+ * =====================================================
+ *
+ * Implementa el repositorio de tarifas de IVA por categoría en MongoDB
+ * utilizando el modelo de Mongoose `CategoryTaxRateModel`.
+ *
+ * FUNCIONALIDADES PRINCIPALES:
+ * - Listar las tarifas de todas las categorías
+ * - Consultar la tarifa de una categoría
+ * - Crear o cambiar la tarifa de una categoría
+ * - Quitar la tarifa de una categoría
+ *
+ * PATRÓN:
+ * - Repository Pattern: Desacopla la lógica de negocio
+ *   de la persistencia en la base de datos.
+ */
+
+import { CategoryTaxRateModel } from "../db/CategoryTaxRateModel.js";
+
+class CategoryTaxRateRepositoryMongo {
+  /**
+   * OBTIENE LAS TARIFAS DE TODAS LAS CATEGORÍAS
+   * @returns {Promise<Array>} Tarifas ordenadas por categoría
+   */
+  async findAll() {
+    return await CategoryTaxRateModel.find().sort({ category: 1 });
+  }
+
+  /**
+   * OBTIENE LA TARIFA DE UNA CATEGORÍA
+   * @param {String} category - Categoría de productos
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Tarifa de la categoría o null si no tiene
+   */
+  async findByCategory(category, session = null) {
+    return await CategoryTaxRateModel.findOne({ category }).session(session);
+  }
+
+  /**
+   * CREA O CAMBIA LA TARIFA DE UNA CATEGORÍA
+   * @param {String} category - Categoría de productos
+   * @param {number} rate - Tarifa de IVA
+   * @returns {Promise<Object>} Tarifa guardada
+   */
+  async upsert(category, rate) {
+    return await CategoryTaxRateModel.findOneAndUpdate(
+      { category },
+      { rate },
+      { new: true, upsert: true, runValidators: true }
+    );
+  }
+
+  /**
+   * QUITA LA TARIFA DE UNA CATEGORÍA
+   * @param {String} category - Categoría de productos
+   * @returns {Promise<Object|null>} Tarifa eliminada o null si no tenía
+   */
+  async delete(category) {
+    return await CategoryTaxRateModel.findOneAndDelete({ category });
+  }
+}
+
+export default CategoryTaxRateRepositoryMongo;
@@ -0,0 +1,41 @@
+/**
+ * COUNTERREPOSITORYMONGO.JS - REPOSITORIO MONGO
+ * =============================================
+ *
+ * Implementa el repositorio de contadores (series de numeración) en
+ * MongoDB utilizando el modelo de Mongoose `CounterModel`.
+ *
+ * FUNCIONALIDADES PRINCIPALES:
+ * - Obtener el siguiente valor de una serie
+ *
+ * CONCURRENCIA:
+ * - El incremento es una única operación atómica (`$inc` con upsert):
+ *   dos pedidos creados a la vez nunca reciben el mismo valor.
+ * - Dentro de una transacción, el incremento se revierte si la
+ *   transacción se aborta, por lo que la serie no deja huecos.
+ *
+ * PATRÓN:
+ * - Repository Pattern: Desacopla la lógica de negocio
+ *   de la persistencia en la base de datos.
+ */
+
+import { CounterModel } from "../db/CounterModel.js";
+
+class CounterRepositoryMongo {
+  /**
+   * INCREMENTA UNA SERIE Y DEVUELVE SU NUEVO VALOR
+   * @param {String} key - Clave de la serie (se crea en 0 si no existe)
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<number>} Valor emitido (1 para el primero de la serie)
+   */
+  async next(key, session = null) {
+    const counter = await CounterModel.findOneAndUpdate(
+      { _id: key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session }
+    );
+    return counter.seq;
+  }
+}
+
+export default CounterRepositoryMongo;
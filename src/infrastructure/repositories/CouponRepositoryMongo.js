@@ -0,0 +1,125 @@
+/**
+ * COUPONREPOSITORYMONGO.JS - REPOSITORIO MONGO
+ * ============================================
+ *
+ * Implementa el repositorio para gestionar cupones en MongoDB
+ * utilizando el modelo de Mongoose `CouponModel`.
+ *
+ * FUNCIONALIDADES PRINCIPALES:
+ * - Crear un cupón
+ * - Consultar cupones paginados con filtros y orden
+ * - Consultar cupón por ID o por código
+ * - Sumar y restar usos de forma atómica
+ * - Actualizar cupón por ID
+ * - Eliminar cupón por ID
+ *
+ * PATRÓN:
+ * - Repository Pattern: Desacopla la lógica de negocio
+ *   de la persistencia en la base de datos.
+ */
+
+import { CouponModel } from "../db/CouponModel.js";
+import { findPaginated } from "../db/mongoPagination.js";
+
+class CouponRepositoryMongo {
+  /**
+   * CREA UN CUPÓN
+   * @param {Object} couponData - Datos del cupón
+   * @returns {Promise<Object>} Cupón creado en MongoDB
+   */
+  async create(couponData) {
+    const coupon = new CouponModel(couponData);
+    return await coupon.save();
+  }
+
+  /**
+   * OBTIENE UNA PÁGINA DE CUPONES
+   * @param {Object} criteria - { page, limit, cursor, sort, filters } (ver mongoPagination)
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async findPaginated(criteria) {
+    return await findPaginated(CouponModel, criteria);
+  }
+
+  /**
+   * OBTIENE UN CUPÓN POR ID
+   * @param {String} id - ID del cupón
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Cupón encontrado o null
+   */
+  async findById(id, session = null) {
+    return await CouponModel.findById(id).session(session);
+  }
+
+  /**
+   * OBTIENE UN CUPÓN POR SU CÓDIGO
+   * @param {String} code - Código ya normalizado (mayúsculas)
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Cupón encontrado o null
+   */
+  async findByCode(code, session = null) {
+    return await CouponModel.findOne({ code }).session(session);
+  }
+
+  /**
+   * SUMA UN USO AL CUPÓN
+   * Solo si no ha llegado a `maxRedemptions`. Verificación e incremento
+   * son una única operación atómica (`findOneAndUpdate` con la condición
+   * `redemptionCount < maxRedemptions`): dos pedidos simultáneos nunca
+   * pueden pasar el límite.
+   *
+   * @param {String} id - ID del cupón
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Cupón actualizado, o null si no existe o está agotado
+   */
+  async incrementRedemptions(id, session = null) {
+    return await CouponModel.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * RESTA UN USO AL CUPÓN
+   * Nunca deja `redemptionCount` por debajo de 0.
+   *
+   * @param {String} id - ID del cupón
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Cupón actualizado, o null si no existe o no tenía usos
+   */
+  async decrementRedemptions(id, session = null) {
+    return await CouponModel.findOneAndUpdate(
+      { _id: id, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * ACTUALIZA UN CUPÓN POR ID
+   * @param {String} id - ID del cupón
+   * @param {Object} couponData - Datos a actualizar
+   * @returns {Promise<Object|null>} Cupón actualizado o null
+   */
+  async update(id, couponData) {
+    return await CouponModel.findByIdAndUpdate(id, couponData, { new: true, runValidators: true });
+  }
+
+  /**
+   * ELIMINA UN CUPÓN POR ID
+   * @param {String} id - ID del cupón
+   * @returns {Promise<Object|null>} Cupón eliminado o null
+   */
+  async delete(id) {
+    return await CouponModel.findByIdAndDelete(id);
+  }
+}
+
+export default CouponRepositoryMongo;
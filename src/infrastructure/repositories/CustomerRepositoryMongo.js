@@ -0,0 +1,82 @@
+/**
+ * CUSTOMERREPOSITORYMONGO.JS - REPOSITORIO MONGO
+ * ==============================================
+ *
+ * Implementa el repositorio para gestionar clientes en MongoDB
+ * utilizando el modelo de Mongoose `CustomerModel`.
+ *
+ * FUNCIONALIDADES PRINCIPALES:
+ * - Crear un cliente
+ * - Consultar clientes paginados con filtros y orden
+ * - Consultar cliente por ID o por número de documento
+ * - Actualizar cliente por ID
+ * - Eliminar cliente por ID
+ *
+ * PATRÓN:
+ * - Repository Pattern: Desacopla la lógica de negocio
+ *   de la persistencia en la base de datos.
+ */
+
+import { CustomerModel } from "../db/CustomerModel.js";
+import { findPaginated } from "../db/mongoPagination.js";
+
+class CustomerRepositoryMongo {
+  /**
+   * CREA UN CLIENTE
+   * @param {Object} customerData - Datos del cliente
+   * @returns {Promise<Object>} Cliente creado en MongoDB
+   */
+  async create(customerData) {
+    const customer = new CustomerModel(customerData);
+    return await customer.save();
+  }
+
+  /**
+   * OBTIENE UNA PÁGINA DE CLIENTES
+   * @param {Object} criteria - { page, limit, cursor, sort, filters } (ver mongoPagination)
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async findPaginated(criteria) {
+    return await findPaginated(CustomerModel, criteria);
+  }
+
+  /**
+   * OBTIENE UN CLIENTE POR ID
+   * @param {String} id - ID del cliente
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Cliente encontrado o null
+   */
+  async findById(id, session = null) {
+    return await CustomerModel.findById(id).session(session);
+  }
+
+  /**
+   * OBTIENE UN CLIENTE POR NÚMERO DE DOCUMENTO
+   * @param {String} documentNumber - Número de documento ya normalizado
+   * @returns {Promise<Object|null>} Cliente encontrado o null
+   */
+  async findByDocumentNumber(documentNumber) {
+    return await CustomerModel.findOne({ documentNumber });
+  }
+
+  /**
+   * ACTUALIZA UN CLIENTE POR ID
+   * @param {String} id - ID del cliente
+   * @param {Object} customerData - Datos a actualizar
+   * @returns {Promise<Object|null>} Cliente actualizado o null
+   */
+  async update(id, customerData) {
+    return await CustomerModel.findByIdAndUpdate(id, customerData, { new: true, runValidators: true });
+  }
+
+  /**
+   * ELIMINA UN CLIENTE POR ID
+   * @param {String} id - ID del cliente
+   * @returns {Promise<Object|null>} Cliente eliminado o null
+   */
+  async delete(id) {
+    return await CustomerModel.findByIdAndDelete(id);
+  }
+}
+
+export default CustomerRepositoryMongo;
@@ -11,8 +11,14 @@
  * - Buscar todos los detalles
  * - Buscar detalle por ID
  * - Buscar todos los detalles asociados a una orden específica
+ * - Buscar las líneas de una orden con el nombre de cada producto
  * - Actualizar un detalle de orden por ID
  * - Eliminar un detalle de orden por ID
+ * - Eliminar todos los detalles de una orden (borrado en cascada)
+ * - Buscar detalles huérfanos, cuya orden ya no existe (chequeo de integridad)
+ * - Sumar ingresos y costos de las líneas vendidas (reporte de margen)
+ * - Sumar pedidos, unidades e ingresos por periodo, producto, categoría
+ *   o vendedor (reporte de ventas)
  * 
  * CASOS DE USO TÍPICOS:
  * - Registrar productos comprados en una orden
@@ -20,31 +26,75 @@
  * - Actualizar cantidad o precio de un producto en una orden
  * - Eliminar un detalle de orden si un producto fue retirado
  * 
+ * TRANSACCIONES:
+ * - Las operaciones usadas por los casos de uso aceptan una `session`
+ *   opcional de Mongoose para participar en una transacción
+ *   (ver TransactionManagerMongo).
+ * 
  * PATRÓN:
  * - Repository Pattern: Abstrae la capa de acceso a datos,
  *   desacoplando la lógica de negocio de la persistencia.
  */
 
 import { OrderDetailsModel } from "../db/OrderDetailsModel.js";
+import { OrderModel } from "../db/OrderModel.js";
+import { ProductModel } from "../db/ProductModel.js";
+import { UserModel } from "../db/UserModel.js";
+import { REPORT_GROUP } from "../../domain/constants/reportGroups.js";
+
+/**
+ * Etapas comunes de los reportes. Se parte de los pedidos: el filtro por
+ * estado y fecha usa el índice { status, createdAt } y solo se buscan las
+ * líneas de los pedidos que entran (índice { orderId } de los detalles).
+ * Cada línea queda como documento con los datos del pedido en `order`, y
+ * se une el producto (puede no existir si se eliminó).
+ *
+ * Se ejecutan sobre `OrderModel`.
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.statuses - Estados de pedido a incluir
+ * @param {Date|null} options.from - Pedidos creados desde (incluida)
+ * @param {Date|null} options.to - Pedidos creados hasta (incluida)
+ * @returns {Array<Object>} Etapas de agregación
+ */
+const orderLineStages = ({ statuses, from, to }) => {
+  const orderMatch = { status: { $in: statuses } };
+  if(from || to) {
+    orderMatch.createdAt = {};
+    if(from) orderMatch.createdAt.$gte = from;
+    if(to) orderMatch.createdAt.$lte = to;
+  }
+
+  return [
+    { $match: orderMatch },
+    { $lookup: { from: OrderDetailsModel.collection.name, localField: "_id", foreignField: "orderId", as: "line" } },
+    { $unwind: "$line" },
+    { $replaceWith: { $mergeObjects: ["$line", { order: { status: "$status", userId: "$userId", createdAt: "$createdAt" } }] } },
+    { $lookup: { from: ProductModel.collection.name, localField: "productId", foreignField: "_id", as: "product" } },
+    { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } }
+  ];
+};
 
 class OrderDetailsRepositoryMongo {
   /**
    * CREA UN DETALLE DE ORDEN
    * @param {Object} orderDetailsData - Datos del detalle de orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object>} Documento creado en MongoDB
    */
-  async create(orderDetailsData) {
+  async create(orderDetailsData, session = null) {
     const orderDetails = new OrderDetailsModel(orderDetailsData);
-    return await orderDetails.save();
+    return await orderDetails.save({ session });
   }
 
   /**
    * CREA VARIOS DETALLES DE ORDEN EN LOTE
    * @param {Array<Object>} detailsArray - Lista de detalles de orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Array>} Documentos creados en MongoDB
    */
-  async createMany(detailsArray) {
-    return await OrderDetailsModel.insertMany(detailsArray);
+  async createMany(detailsArray, session = null) {
+    return await OrderDetailsModel.insertMany(detailsArray, { session });
   }
 
   /**
@@ -58,38 +108,251 @@ class OrderDetailsRepositoryMongo {
   /**
    * OBTIENE DETALLE DE ORDEN POR ID
    * @param {String} id - ID del detalle
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object|null>} Documento encontrado o null
    */
-  async findById(id) {
-    return await OrderDetailsModel.findById(id);
+  async findById(id, session = null) {
+    return await OrderDetailsModel.findById(id).session(session);
   }
 
   /**
    * OBTIENE TODOS LOS DETALLES ASOCIADOS A UNA ORDEN
    * @param {String} orderId - ID de la orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Array>} Lista de detalles asociados a esa orden
    */
-  async findAllByOrderId(orderId) {
-    return await OrderDetailsModel.find({ orderId: orderId });
+  async findAllByOrderId(orderId, session = null) {
+    return await OrderDetailsModel.find({ orderId: orderId }).session(session);
+  }
+
+  /**
+   * OBTIENE LAS LÍNEAS DE UNA ORDEN CON EL NOMBRE DE CADA PRODUCTO
+   * `productName` y `category` quedan en null si el producto ya no existe.
+   *
+   * @param {String} orderId - ID de la orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Array<Object>>} Detalles (objetos planos) en el orden en que se agregaron
+   */
+  async findItemsByOrderId(orderId, session = null) {
+    const details = await OrderDetailsModel.find({ orderId: orderId }).sort({ _id: 1 }).session(session).lean();
+
+    const productIds = [...new Set(details.map((detail) => String(detail.productId)))];
+    const products = await ProductModel.find({ _id: { $in: productIds } }, { name: 1, category: 1 })
+      .session(session)
+      .lean();
+    const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+    return details.map((detail) => {
+      const product = productsById.get(String(detail.productId));
+      return { ...detail, productName: product?.name ?? null, category: product?.category ?? null };
+    });
   }
 
   /**
    * ACTUALIZA UN DETALLE DE ORDEN POR ID
    * @param {String} id - ID del detalle
    * @param {Object} orderDetailsData - Datos a actualizar
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object|null>} Documento actualizado o null
    */
-  async update(id, orderDetailsData) {
-    return await OrderDetailsModel.findByIdAndUpdate(id, orderDetailsData, { new: true });
+  async update(id, orderDetailsData, session = null) {
+    return await OrderDetailsModel.findByIdAndUpdate(id, orderDetailsData, { new: true, session });
+  }
+
+  /**
+   * SUMA UNIDADES, INGRESOS Y COSTOS DE LAS LÍNEAS VENDIDAS
+   * Toma las líneas de los pedidos con los estados y fechas pedidos, las
+   * une con su producto (nombre y categoría) y agrupa según `groupBy`.
+   * El ingreso es la base sin IVA (`taxBase`); el IVA no es ingreso del
+   * negocio. Las líneas anteriores al IVA (sin `taxBase`) usan `subtotal`.
+   *
+   * Las líneas sin `unitCost` (costo desconocido al vender, o anteriores
+   * al costeo) no entran en `units`, `revenue` ni `cost`: contarlas con
+   * costo 0 inflaría el margen. Se informan aparte en `uncostedLines` y
+   * `uncostedRevenue`.
+   *
+   * @param {Object} options
+   * @param {string} options.groupBy - "order", "product" o "category"
+   * @param {Array<string>} options.statuses - Estados de pedido que cuentan como venta
+   * @param {Date} [options.from] - Pedidos creados desde (incluida)
+   * @param {Date} [options.to] - Pedidos creados hasta (incluida)
+   * @returns {Promise<Array<Object>>} [{ _id, units, revenue, cost, uncostedLines, uncostedRevenue, ...datos del grupo }],
+   *                                   de mayor a menor ingreso
+   */
+  async aggregateMargin({ groupBy, statuses, from = null, to = null }) {
+    const groupKeys = {
+      [REPORT_GROUP.ORDER]: {
+        _id: "$orderId",
+        status: { $first: "$order.status" },
+        userId: { $first: "$order.userId" },
+        createdAt: { $first: "$order.createdAt" }
+      },
+      [REPORT_GROUP.PRODUCT]: {
+        _id: "$productId",
+        name: { $first: "$product.name" },
+        category: { $first: "$product.category" }
+      },
+      [REPORT_GROUP.CATEGORY]: {
+        _id: "$product.category"
+      }
+    };
+
+    const lineRevenue = { $ifNull: ["$taxBase", "$subtotal"] };
+    const isCosted = { $ne: [{ $ifNull: ["$unitCost", null] }, null] };
+    const costedOnly = (value) => ({ $sum: { $cond: [isCosted, value, 0] } });
+    const uncostedOnly = (value) => ({ $sum: { $cond: [isCosted, 0, value] } });
+
+    return await OrderModel.aggregate([
+      ...orderLineStages({ statuses, from, to }),
+      {
+        $group: {
+          ...groupKeys[groupBy],
+          units: costedOnly("$amount"),
+          revenue: costedOnly(lineRevenue),
+          cost: costedOnly({ $multiply: ["$amount", "$unitCost"] }),
+          uncostedLines: uncostedOnly(1),
+          uncostedRevenue: uncostedOnly(lineRevenue)
+        }
+      },
+      { $sort: { revenue: -1, _id: 1 } }
+    ]);
+  }
+
+  /**
+   * SUMA PEDIDOS, UNIDADES, DESCUENTOS E INGRESOS DE LAS LÍNEAS VENDIDAS
+   * Igual que `aggregateMargin`, pero cuenta pedidos distintos por grupo y
+   * admite agrupar por periodo (día, semana ISO o mes en `timezone`) y por
+   * vendedor (`userId` del pedido). Sin `groupBy` solo calcula los totales.
+   * Las líneas anteriores a los descuentos cuentan sin descuento.
+   * `revenue` es la base sin IVA, igual que en `aggregateMargin`;
+   * `totalWithTax` es el total de las líneas con IVA.
+   *
+   * @param {Object} options
+   * @param {string|null} options.groupBy - "day", "week", "month", "product", "category", "seller" o null
+   * @param {Array<string>} options.statuses - Estados de pedido a incluir
+   * @param {Date} [options.from] - Pedidos creados desde (incluida)
+   * @param {Date} [options.to] - Pedidos creados hasta (incluida)
+   * @param {string} [options.timezone] - Zona horaria para cortar los periodos (ej. "America/Bogota")
+   * @returns {Promise<Object>} { groups: [{ _id, orders, units, gross, discount, revenue, totalWithTax, ...datos del grupo }],
+   *                              totals: { orders, units, gross, discount, revenue, totalWithTax } }
+   */
+  async aggregateSales({ groupBy, statuses, from = null, to = null, timezone = "UTC" }) {
+    const period = (unit) => ({
+      _id: {
+        $dateTrunc: { date: "$order.createdAt", unit, timezone, ...(unit === "week" && { startOfWeek: "monday" }) }
+      }
+    });
+
+    const groupKeys = {
+      [REPORT_GROUP.DAY]: period("day"),
+      [REPORT_GROUP.WEEK]: period("week"),
+      [REPORT_GROUP.MONTH]: period("month"),
+      [REPORT_GROUP.PRODUCT]: {
+        _id: "$productId",
+        name: { $first: "$product.name" },
+        category: { $first: "$product.category" }
+      },
+      [REPORT_GROUP.CATEGORY]: {
+        _id: "$product.category"
+      },
+      [REPORT_GROUP.SELLER]: {
+        _id: "$order.userId"
+      }
+    };
+
+    const sums = {
+      orderIds: { $addToSet: "$orderId" },
+      units: { $sum: "$amount" },
+      gross: { $sum: { $ifNull: ["$grossAmount", { $multiply: ["$unitPrice", "$amount"] }] } },
+      discount: { $sum: { $ifNull: ["$discountAmount", 0] } },
+      revenue: { $sum: { $ifNull: ["$taxBase", "$subtotal"] } },
+      totalWithTax: { $sum: "$subtotal" }
+    };
+    const countOrders = { $set: { orders: { $size: "$orderIds" } } };
+    const isPeriod = [REPORT_GROUP.DAY, REPORT_GROUP.WEEK, REPORT_GROUP.MONTH].includes(groupBy);
+
+    const groupsFacet = groupBy ? [
+      { $group: { ...groupKeys[groupBy], ...sums } },
+      countOrders,
+      { $unset: "orderIds" },
+      { $sort: isPeriod ? { _id: 1 } : { revenue: -1, _id: 1 } }
+    ] : [{ $limit: 0 }];
+
+    // Nombre y correo del vendedor
+    if(groupBy === REPORT_GROUP.SELLER) {
+      groupsFacet.push(
+        { $lookup: { from: UserModel.collection.name, localField: "_id", foreignField: "_id", as: "seller" } },
+        { $set: { name: { $first: "$seller.name" }, email: { $first: "$seller.email" } } },
+        { $unset: "seller" }
+      );
+    }
+
+    const [result] = await OrderModel.aggregate([
+      ...orderLineStages({ statuses, from, to }),
+      {
+        $facet: {
+          groups: groupsFacet,
+          totals: [
+            { $group: { _id: null, ...sums } },
+            countOrders,
+            { $project: { _id: 0, orders: 1, units: 1, gross: 1, discount: 1, revenue: 1, totalWithTax: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      groups: result.groups,
+      totals: result.totals[0] ?? { orders: 0, units: 0, gross: 0, discount: 0, revenue: 0, totalWithTax: 0 }
+    };
   }
 
   /**
    * ELIMINA UN DETALLE DE ORDEN POR ID
    * @param {String} id - ID del detalle
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object|null>} Documento eliminado o null
    */
-  async delete(id) {
-    return await OrderDetailsModel.findByIdAndDelete(id);
+  async delete(id, session = null) {
+    return await OrderDetailsModel.findByIdAndDelete(id, { session });
+  }
+
+  /**
+   * ELIMINA TODOS LOS DETALLES DE UNA ORDEN
+   * @param {String} orderId - ID de la orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<number>} Cantidad de detalles eliminados
+   */
+  async deleteAllByOrderId(orderId, session = null) {
+    const result = await OrderDetailsModel.deleteMany({ orderId: orderId }, { session });
+    return result.deletedCount;
+  }
+
+  /**
+   * BUSCA DETALLES HUÉRFANOS
+   * Detalles cuyo `orderId` no corresponde a ninguna orden existente,
+   * con el nombre del producto (si aún existe). Más antiguos primero
+   * (el `_id` lleva la fecha de creación).
+   *
+   * @returns {Promise<Array<Object>>} [{ _id, orderId, productId, productName, amount, unitPrice, subtotal }]
+   */
+  async findOrphans() {
+    return await OrderDetailsModel.aggregate([
+      { $lookup: { from: OrderModel.collection.name, localField: "orderId", foreignField: "_id", as: "order" } },
+      { $match: { order: { $size: 0 } } },
+      { $lookup: { from: ProductModel.collection.name, localField: "productId", foreignField: "_id", as: "product" } },
+      {
+        $project: {
+          orderId: 1,
+          productId: 1,
+          productName: { $first: "$product.name" },
+          amount: 1,
+          unitPrice: 1,
+          subtotal: 1
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
   }
 }
 
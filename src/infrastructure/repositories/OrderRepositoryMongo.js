@@ -8,7 +8,10 @@
  * FUNCIONALIDADES PRINCIPALES:
  * - Crear una orden
  * - Consultar todas las órdenes
+ * - Consultar órdenes paginadas con filtros y orden
  * - Consultar orden por ID
+ * - Comprobar si un cliente tiene pedidos
+ * - Contar los usos de un cupón por un cliente
  * - Actualizar orden por ID
  * - Eliminar orden por ID
  * 
@@ -18,22 +21,29 @@
  * - Modificar estado de la orden (ej: pendiente, pagada, cancelada)
  * - Eliminar una orden si no fue procesada
  * 
+ * TRANSACCIONES:
+ * - Las operaciones de escritura y lectura usadas por los casos de uso
+ *   aceptan una `session` opcional de Mongoose para participar en una
+ *   transacción (ver TransactionManagerMongo).
+ * 
  * PATRÓN:
  * - Repository Pattern: Desacopla la lógica de negocio
  *   de la persistencia en la base de datos.
  */
 
 import { OrderModel } from "../db/OrderModel.js";
+import { findPaginated } from "../db/mongoPagination.js";
 
 class OrderRepositoryMongo {
   /**
    * CREA UNA ORDEN
    * @param {Object} orderData - Datos de la orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object>} Documento creado en MongoDB
    */
-  async create(orderData) {
+  async create(orderData, session = null) {
     const order = new OrderModel(orderData);
-    return await order.save();
+    return await order.save({ session });
   }
 
   /**
@@ -44,32 +54,70 @@ class OrderRepositoryMongo {
     return await OrderModel.find();
   }
 
+  /**
+   * OBTIENE UNA PÁGINA DE ÓRDENES
+   * @param {Object} criteria - { page, limit, cursor, sort, filters } (ver mongoPagination)
+   * @param {Object} [scope] - Filtro obligatorio (ej. `{ userId }` para vendedores)
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async findPaginated(criteria, scope = {}) {
+    return await findPaginated(OrderModel, criteria, { scope });
+  }
+
   /**
    * OBTIENE UNA ORDEN POR ID
    * @param {String} id - ID de la orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object|null>} Documento encontrado o null
    */
-  async findById(id) {
-    return await OrderModel.findById(id);
+  async findById(id, session = null) {
+    return await OrderModel.findById(id).session(session);
+  }
+
+  /**
+   * INDICA SI UN CLIENTE TIENE ÓRDENES
+   * @param {String} customerId - ID del cliente
+   * @returns {Promise<boolean>} true si existe al menos una orden del cliente
+   */
+  async existsByCustomerId(customerId) {
+    return Boolean(await OrderModel.exists({ customerId }));
+  }
+
+  /**
+   * CUENTA LOS PEDIDOS DE UN CLIENTE QUE CANJEARON UN CUPÓN
+   * Los pedidos cancelados no cuentan (su uso ya se liberó).
+   * @param {String} couponId - ID del cupón
+   * @param {String} customerId - ID del cliente
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<number>}
+   */
+  async countCouponRedemptions(couponId, customerId, session = null) {
+    return await OrderModel.countDocuments({
+      "coupon.couponId": couponId,
+      "coupon.redeemed": true,
+      customerId
+    }).session(session);
   }
 
   /**
    * ACTUALIZA UNA ORDEN POR ID
    * @param {String} id - ID de la orden
    * @param {Object} orderData - Datos a actualizar
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object|null>} Documento actualizado o null
    */
-  async update(id, orderData) {
-    return await OrderModel.findByIdAndUpdate(id, orderData, { new: true });
+  async update(id, orderData, session = null) {
+    return await OrderModel.findByIdAndUpdate(id, orderData, { new: true, session });
   }
 
   /**
    * ELIMINA UNA ORDEN POR ID
    * @param {String} id - ID de la orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object|null>} Documento eliminado o null
    */
-  async delete(id) {
-    return await OrderModel.findByIdAndDelete(id);
+  async delete(id, session = null) {
+    return await OrderModel.findByIdAndDelete(id, { session });
   }
 }
 
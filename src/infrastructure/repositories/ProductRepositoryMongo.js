@@ -8,9 +8,15 @@
  * FUNCIONALIDADES PRINCIPALES:
  * - Crear producto
  * - Consultar todos los productos
- * - Consultar producto por ID
+ * - Consultar productos paginados con filtros y orden
+ * - Consultar producto por ID (uno o varios)
+ * - Consultar los textos de todos los productos para el índice de búsqueda
+ * - Consultar existencias, precios, costos y puntos de reorden (reporte de inventario)
  * - Actualizar producto
  * - Actualizar stock (incrementar/disminuir)
+ * - Ingresar mercancía recalculando el costo promedio ponderado
+ * - Reservar stock de forma condicional y atómica (solo si alcanza)
+ * - Liberar y confirmar la salida de stock reservado
  * - Eliminar producto
  * 
  * CASOS DE USO TÍPICOS:
@@ -21,22 +27,29 @@
  * - Ajustar stock tras una venta o reposición
  * - Eliminar un producto del catálogo
  * 
+ * TRANSACCIONES:
+ * - La creación, consulta por ID, actualización y ajustes de stock aceptan una `session`
+ *   opcional de Mongoose para participar en una transacción
+ *   (ver TransactionManagerMongo).
+ * 
  * PATRÓN:
  * - Repository Pattern: Permite desacoplar la lógica de negocio
  *   del acceso a datos en MongoDB.
  */
 
 import { ProductModel } from "../db/ProductModel.js";
+import { findPaginated } from "../db/mongoPagination.js";
 
 class ProductRepositoryMongo {
   /**
    * CREA UN PRODUCTO
    * @param {Object} productData - Datos del producto
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object>} Producto creado en MongoDB
    */
-  async create(productData) {
+  async create(productData, session = null) {
     const product = new ProductModel(productData);
-    return await product.save();
+    return await product.save({ session });
   }
 
   /**
@@ -47,23 +60,68 @@ class ProductRepositoryMongo {
     return await ProductModel.find();
   }
 
+  /**
+   * OBTIENE UNA PÁGINA DE PRODUCTOS
+   * @param {Object} criteria - { page, limit, cursor, sort, filters } (ver mongoPagination)
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async findPaginated(criteria) {
+    return await findPaginated(ProductModel, criteria);
+  }
+
+  /**
+   * OBTIENE LOS TEXTOS DE BÚSQUEDA DE TODOS LOS PRODUCTOS
+   * Solo trae los campos que indexa ProductSearchIndex.
+   * @returns {Promise<Array>} [{ _id, name, description, category }]
+   */
+  async findSearchDocuments() {
+    return await ProductModel.find({}, "name description category").lean();
+  }
+
+  /**
+   * OBTIENE LOS DATOS DE INVENTARIO DE LOS PRODUCTOS
+   * Solo trae los campos que usa el reporte de inventario, ordenados por
+   * categoría y nombre.
+   * @param {Object} [filter]
+   * @param {string} [filter.category] - Limitar a una categoría
+   * @returns {Promise<Array>} [{ _id, name, category, price, cost, stock, reserved, reorderPoint, reorderQuantity }]
+   */
+  async findInventoryDocuments({ category } = {}) {
+    const query = category ? { category } : {};
+    return await ProductModel
+      .find(query, "name category price cost stock reserved reorderPoint reorderQuantity")
+      .sort({ category: 1, name: 1 })
+      .lean();
+  }
+
+  /**
+   * OBTIENE VARIOS PRODUCTOS POR ID
+   * @param {Array<String>} ids - IDs de los productos
+   * @returns {Promise<Array>} Productos encontrados (en cualquier orden)
+   */
+  async findByIds(ids) {
+    return await ProductModel.find({ _id: { $in: ids } });
+  }
+
   /**
    * OBTIENE UN PRODUCTO POR ID
    * @param {String} id - ID del producto
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object|null>} Producto encontrado o null
    */
-  async findById(id) {
-    return await ProductModel.findById(id);
+  async findById(id, session = null) {
+    return await ProductModel.findById(id).session(session);
   }
 
   /**
    * ACTUALIZA UN PRODUCTO POR ID
    * @param {String} id - ID del producto
    * @param {Object} productData - Datos a actualizar
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object|null>} Producto actualizado o null
    */
-  async update(id, productData) {
-    return await ProductModel.findByIdAndUpdate(id, productData, { new: true });
+  async update(id, productData, session = null) {
+    return await ProductModel.findByIdAndUpdate(id, productData, { new: true, session });
   }
 
   /**
@@ -72,13 +130,117 @@ class ProductRepositoryMongo {
    * 
    * @param {String} productId - ID del producto
    * @param {Number} change - Valor positivo o negativo a aplicar
+   * @param {ClientSession} [session] - Sesión de transacción opcional
    * @returns {Promise<Object|null>} Producto actualizado o null
    */
-  async updateStock(productId, change) {
+  async updateStock(productId, change, session = null) {
     return await ProductModel.findByIdAndUpdate(
       productId,
       { $inc: { stock: change } },
-      { new: true, runValidators: true }
+      { new: true, runValidators: true, session }
+    );
+  }
+
+  /**
+   * INGRESA MERCANCÍA Y RECALCULA EL COSTO PROMEDIO PONDERADO
+   * Suma `amount` unidades al stock y combina su costo con el de las
+   * unidades que ya hay en el almacén (disponibles + reservadas):
+   *
+   *   cost = (existencias × cost + amount × unitCost) / (existencias + amount)
+   *
+   * Si no quedaban existencias, o el costo anterior era desconocido (null),
+   * el nuevo costo es directamente `unitCost`.
+   * El resultado se redondea al centavo con mitades hacia arriba (la misma
+   * regla de `roundMoney`; `$round` de Mongo redondearía mitades a par).
+   * Lectura y escritura son una sola actualización atómica (pipeline de
+   * agregación), así dos recepciones simultáneas no se pisan el costo.
+   *
+   * @param {String} productId - ID del producto
+   * @param {Number} amount - Unidades recibidas (positivo)
+   * @param {Number} unitCost - Costo unitario de las unidades recibidas (centavos)
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Producto actualizado o null
+   */
+  async receiveStock(productId, amount, unitCost, session = null) {
+    const onHand = { $max: [{ $add: ["$stock", { $ifNull: ["$reserved", 0] }] }, 0] };
+    const weightedCost = {
+      $floor: {
+        $add: [{
+          $divide: [
+            { $add: [{ $multiply: [onHand, "$cost"] }, amount * unitCost] },
+            { $add: [onHand, amount] }
+          ]
+        }, 0.5]
+      }
+    };
+
+    return await ProductModel.findByIdAndUpdate(
+      productId,
+      [{
+        $set: {
+          cost: { $cond: [{ $eq: [{ $ifNull: ["$cost", null] }, null] }, unitCost, weightedCost] },
+          stock: { $add: ["$stock", amount] }
+        }
+      }],
+      { new: true, session }
+    );
+  }
+
+  /**
+   * RESERVA STOCK PARA UN PEDIDO
+   * Aparta unidades del stock disponible y las suma a `reserved`, solo si
+   * quedan unidades suficientes. Verificación y reserva se hacen en una
+   * única operación atómica (`findOneAndUpdate` con la condición
+   * `stock >= amount`), por lo que dos pedidos simultáneos nunca pueden
+   * dejar el stock en negativo.
+   * 
+   * @param {String} productId - ID del producto
+   * @param {Number} amount - Unidades a reservar (positivo)
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Producto actualizado, o null si no existe
+   *                                 o no tiene stock suficiente
+   */
+  async reserveStock(productId, amount, session = null) {
+    return await ProductModel.findOneAndUpdate(
+      { _id: productId, stock: { $gte: amount } },
+      { $inc: { stock: -amount, reserved: amount } },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * LIBERA STOCK RESERVADO
+   * Devuelve unidades reservadas al stock disponible (cancelaciones o
+   * reducciones de cantidad en pedidos aún no despachados).
+   * 
+   * @param {String} productId - ID del producto
+   * @param {Number} amount - Unidades a liberar (positivo)
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Producto actualizado o null
+   */
+  async releaseStock(productId, amount, session = null) {
+    return await ProductModel.findByIdAndUpdate(
+      productId,
+      { $inc: { stock: amount, reserved: -amount } },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * CONFIRMA LA SALIDA DE STOCK RESERVADO
+   * Las unidades ya estaban descontadas de `stock`; al despachar el pedido
+   * dejan de contar como reservadas.
+   * 
+   * @param {String} productId - ID del producto
+   * @param {Number} amount - Unidades despachadas (positivo)
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Producto actualizado o null
+   */
+  async commitStock(productId, amount, session = null) {
+    return await ProductModel.findByIdAndUpdate(
+      productId,
+      { $inc: { reserved: -amount } },
+      { new: true, session }
     );
   }
 
@@ -0,0 +1,96 @@
+/**
+ * PROMOTIONREPOSITORYMONGO.JS - REPOSITORIO MONGO
+ * ===============================================
+ *
+ * Implementa el repositorio para gestionar promociones en MongoDB
+ * utilizando el modelo de Mongoose `PromotionModel`.
+ *
+ * FUNCIONALIDADES PRINCIPALES:
+ * - Crear una promoción
+ * - Consultar promociones paginadas con filtros y orden
+ * - Consultar promoción por ID
+ * - Consultar las promociones vigentes en una fecha
+ * - Actualizar promoción por ID
+ * - Eliminar promoción por ID
+ *
+ * PATRÓN:
+ * - Repository Pattern: Desacopla la lógica de negocio
+ *   de la persistencia en la base de datos.
+ */
+
+import { PromotionModel } from "../db/PromotionModel.js";
+import { findPaginated } from "../db/mongoPagination.js";
+
+class PromotionRepositoryMongo {
+  /**
+   * CREA UNA PROMOCIÓN
+   * @param {Object} promotionData - Datos de la promoción
+   * @returns {Promise<Object>} Promoción creada en MongoDB
+   */
+  async create(promotionData) {
+    const promotion = new PromotionModel(promotionData);
+    return await promotion.save();
+  }
+
+  /**
+   * OBTIENE UNA PÁGINA DE PROMOCIONES
+   * @param {Object} criteria - { page, limit, cursor, sort, filters } (ver mongoPagination)
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async findPaginated(criteria) {
+    return await findPaginated(PromotionModel, criteria);
+  }
+
+  /**
+   * OBTIENE UNA PROMOCIÓN POR ID
+   * @param {String} id - ID de la promoción
+   * @returns {Promise<Object|null>} Promoción encontrada o null
+   */
+  async findById(id) {
+    return await PromotionModel.findById(id);
+  }
+
+  /**
+   * OBTIENE LAS PROMOCIONES VIGENTES EN UNA FECHA
+   * Activas y con `at` dentro de su vigencia (un extremo en null no limita).
+   * Se devuelven de la más antigua a la más nueva: ante dos promociones
+   * con el mismo descuento gana la que se creó primero.
+   *
+   * @param {Date} at - Fecha de referencia
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Array<Object>>} Promociones vigentes (objetos planos)
+   */
+  async findActive(at, session = null) {
+    return await PromotionModel.find({
+      active: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: at } }] }
+      ]
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session)
+      .lean();
+  }
+
+  /**
+   * ACTUALIZA UNA PROMOCIÓN POR ID
+   * @param {String} id - ID de la promoción
+   * @param {Object} promotionData - Datos a actualizar
+   * @returns {Promise<Object|null>} Promoción actualizada o null
+   */
+  async update(id, promotionData) {
+    return await PromotionModel.findByIdAndUpdate(id, promotionData, { new: true, runValidators: true });
+  }
+
+  /**
+   * ELIMINA UNA PROMOCIÓN POR ID
+   * @param {String} id - ID de la promoción
+   * @returns {Promise<Object|null>} Promoción eliminada o null
+   */
+  async delete(id) {
+    return await PromotionModel.findByIdAndDelete(id);
+  }
+}
+
+export default PromotionRepositoryMongo;
@@ -0,0 +1,90 @@
+/**
+ * PURCHASEORDERREPOSITORYMONGO.JS - REPOSITORIO MONGO
+ * ===================================================
+ *
+ * Implementa el repositorio para gestionar órdenes de compra en MongoDB
+ * utilizando el modelo de Mongoose `PurchaseOrderModel`.
+ *
+ * FUNCIONALIDADES PRINCIPALES:
+ * - Crear una orden de compra
+ * - Consultar órdenes paginadas con filtros y orden
+ * - Consultar orden por ID
+ * - Saber si un proveedor tiene órdenes registradas
+ * - Actualizar orden por ID
+ * - Eliminar orden por ID
+ *
+ * TRANSACCIONES:
+ * - Las operaciones usadas por los casos de uso transaccionales aceptan
+ *   una `session` opcional de Mongoose (ver TransactionManagerMongo).
+ *
+ * PATRÓN:
+ * - Repository Pattern: Desacopla la lógica de negocio
+ *   de la persistencia en la base de datos.
+ */
+
+import { PurchaseOrderModel } from "../db/PurchaseOrderModel.js";
+import { findPaginated } from "../db/mongoPagination.js";
+
+class PurchaseOrderRepositoryMongo {
+  /**
+   * CREA UNA ORDEN DE COMPRA
+   * @param {Object} purchaseOrderData - Datos de la orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object>} Documento creado en MongoDB
+   */
+  async create(purchaseOrderData, session = null) {
+    const purchaseOrder = new PurchaseOrderModel(purchaseOrderData);
+    return await purchaseOrder.save({ session });
+  }
+
+  /**
+   * OBTIENE UNA PÁGINA DE ÓRDENES DE COMPRA
+   * @param {Object} criteria - { page, limit, cursor, sort, filters } (ver mongoPagination)
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async findPaginated(criteria) {
+    return await findPaginated(PurchaseOrderModel, criteria);
+  }
+
+  /**
+   * OBTIENE UNA ORDEN DE COMPRA POR ID
+   * @param {String} id - ID de la orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Documento encontrado o null
+   */
+  async findById(id, session = null) {
+    return await PurchaseOrderModel.findById(id).session(session);
+  }
+
+  /**
+   * INDICA SI UN PROVEEDOR TIENE ÓRDENES DE COMPRA
+   * @param {String} supplierId - ID del proveedor
+   * @returns {Promise<boolean>}
+   */
+  async existsBySupplierId(supplierId) {
+    return Boolean(await PurchaseOrderModel.exists({ supplierId }));
+  }
+
+  /**
+   * ACTUALIZA UNA ORDEN DE COMPRA POR ID
+   * @param {String} id - ID de la orden
+   * @param {Object} purchaseOrderData - Datos a actualizar (admite operadores como `$push`)
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Documento actualizado o null
+   */
+  async update(id, purchaseOrderData, session = null) {
+    return await PurchaseOrderModel.findByIdAndUpdate(id, purchaseOrderData, { new: true, session });
+  }
+
+  /**
+   * ELIMINA UNA ORDEN DE COMPRA POR ID
+   * @param {String} id - ID de la orden
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Documento eliminado o null
+   */
+  async delete(id, session = null) {
+    return await PurchaseOrderModel.findByIdAndDelete(id, { session });
+  }
+}
+
+export default PurchaseOrderRepositoryMongo;
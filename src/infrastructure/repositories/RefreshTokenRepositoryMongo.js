@@ -0,0 +1,95 @@
+/**
+ * REFRESHTOKENREPOSITORYMONGO.JS - REPOSITORIO MONGO
+ * ==================================================
+ * 
+ * Implementa el repositorio para gestionar refresh tokens
+ * en MongoDB utilizando el modelo de Mongoose `RefreshTokenModel`.
+ * 
+ * FUNCIONALIDADES PRINCIPALES:
+ * - Registrar un refresh token (solo su hash)
+ * - Buscar un token por su hash
+ * - Marcar un token como rotado de forma atómica
+ * - Revocar todos los tokens de una familia (sesión)
+ * - Verificar si una sesión sigue activa
+ * 
+ * CASOS DE USO TÍPICOS:
+ * - Emitir el refresh token inicial al iniciar sesión
+ * - Canjear un refresh token por un nuevo par de tokens
+ * - Cerrar sesión (logout)
+ * - Rechazar access tokens de sesiones revocadas
+ * 
+ * PATRÓN:
+ * - Repository Pattern: Desacopla la lógica de negocio
+ *   de la persistencia en la base de datos.
+ */
+
+import { RefreshTokenModel } from "../db/RefreshTokenModel.js";
+
+class RefreshTokenRepositoryMongo {
+  /**
+   * REGISTRA UN REFRESH TOKEN
+   * @param {Object} tokenData - { userId, tokenHash, family, expiresAt }
+   * @returns {Promise<Object>} Documento creado en MongoDB
+   */
+  async create(tokenData) {
+    const refreshToken = new RefreshTokenModel(tokenData);
+    return await refreshToken.save();
+  }
+
+  /**
+   * BUSCA UN TOKEN POR SU HASH
+   * @param {String} tokenHash - Hash SHA-256 del token
+   * @returns {Promise<Object|null>} Documento encontrado o null
+   */
+  async findByTokenHash(tokenHash) {
+    return await RefreshTokenModel.findOne({ tokenHash: tokenHash });
+  }
+
+  /**
+   * MARCA UN TOKEN COMO ROTADO
+   * Solo tiene efecto si el token no fue rotado ni revocado antes, de modo
+   * que dos canjes simultáneos del mismo token no puedan tener éxito ambos.
+   * 
+   * @param {String} id - ID del documento del token
+   * @returns {Promise<Object|null>} Token actualizado o null si ya no estaba vigente
+   */
+  async markRotated(id) {
+    return await RefreshTokenModel.findOneAndUpdate(
+      { _id: id, rotatedAt: null, revokedAt: null },
+      { rotatedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * REVOCA TODOS LOS TOKENS DE UNA FAMILIA
+   * @param {String} family - Identificador de la sesión
+   * @returns {Promise<Object>} Resultado de la actualización
+   */
+  async revokeFamily(family) {
+    return await RefreshTokenModel.updateMany(
+      { family: family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  /**
+   * VERIFICA SI UNA SESIÓN SIGUE ACTIVA
+   * Una familia está activa mientras tenga tokens sin revocar y sin expirar.
+   * No se exige que el token esté sin rotar: entre la rotación de un token
+   * y el registro del siguiente la sesión sigue siendo válida.
+   * 
+   * @param {String} family - Identificador de la sesión
+   * @returns {Promise<boolean>} true si la sesión está activa
+   */
+  async isFamilyActive(family) {
+    const activeToken = await RefreshTokenModel.exists({
+      family: family,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return Boolean(activeToken);
+  }
+}
+
+export default RefreshTokenRepositoryMongo;
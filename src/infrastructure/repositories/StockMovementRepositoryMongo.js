@@ -0,0 +1,73 @@
+/**
+ * STOCKMOVEMENTREPOSITORYMONGO.JS - REPOSITORIO MONGO
+ * ===================================================
+ *
+ * Implementa el repositorio para gestionar el kardex de inventario
+ * en MongoDB utilizando el modelo de Mongoose `StockMovementModel`.
+ *
+ * FUNCIONALIDADES PRINCIPALES:
+ * - Registrar un movimiento de stock
+ * - Consultar los movimientos de un producto en un rango de fechas
+ * - Obtener el último movimiento anterior a una fecha (saldo de apertura)
+ *
+ * CASOS DE USO TÍPICOS:
+ * - Registrar cada cambio de stock junto con la operación que lo causa
+ * - Auditar el historial de inventario de un producto
+ *
+ * TRANSACCIONES:
+ * - El registro acepta una `session` opcional de Mongoose para quedar
+ *   en la misma transacción que el cambio de stock (ver TransactionManagerMongo).
+ *
+ * PATRÓN:
+ * - Repository Pattern: Desacopla la lógica de negocio
+ *   de la persistencia en la base de datos.
+ */
+
+import { StockMovementModel } from "../db/StockMovementModel.js";
+
+class StockMovementRepositoryMongo {
+  /**
+   * REGISTRA UN MOVIMIENTO DE STOCK
+   * @param {Object} movementData - Datos del movimiento
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object>} Documento creado en MongoDB
+   */
+  async create(movementData, session = null) {
+    const movement = new StockMovementModel(movementData);
+    return await movement.save({ session });
+  }
+
+  /**
+   * OBTIENE LOS MOVIMIENTOS DE UN PRODUCTO
+   * Ordenados del más antiguo al más reciente.
+   * 
+   * @param {String} productId - ID del producto
+   * @param {Object} [range] - Rango de fechas opcional
+   * @param {Date} [range.from] - Fecha inicial (incluida)
+   * @param {Date} [range.to] - Fecha final (incluida)
+   * @returns {Promise<Array>} Lista de movimientos
+   */
+  async findByProductId(productId, { from, to } = {}) {
+    const filter = { productId };
+    if(from || to) {
+      filter.createdAt = {};
+      if(from) filter.createdAt.$gte = from;
+      if(to) filter.createdAt.$lte = to;
+    }
+    return await StockMovementModel.find(filter).sort({ createdAt: 1, _id: 1 });
+  }
+
+  /**
+   * OBTIENE EL ÚLTIMO MOVIMIENTO ANTERIOR A UNA FECHA
+   * @param {String} productId - ID del producto
+   * @param {Date} date - Fecha límite (excluida)
+   * @returns {Promise<Object|null>} Movimiento encontrado o null
+   */
+  async findLastBefore(productId, date) {
+    return await StockMovementModel
+      .findOne({ productId, createdAt: { $lt: date } })
+      .sort({ createdAt: -1, _id: -1 });
+  }
+}
+
+export default StockMovementRepositoryMongo;
@@ -0,0 +1,73 @@
+/**
+ * SUPPLIERREPOSITORYMONGO.JS - REPOSITORIO MONGO
+ * ==============================================
+ *
+ * Implementa el repositorio para gestionar proveedores en MongoDB
+ * utilizando el modelo de Mongoose `SupplierModel`.
+ *
+ * FUNCIONALIDADES PRINCIPALES:
+ * - Crear un proveedor
+ * - Consultar proveedores paginados con filtros y orden
+ * - Consultar proveedor por ID
+ * - Actualizar proveedor por ID
+ * - Eliminar proveedor por ID
+ *
+ * PATRÓN:
+ * - Repository Pattern: Desacopla la lógica de negocio
+ *   de la persistencia en la base de datos.
+ */
+
+import { SupplierModel } from "../db/SupplierModel.js";
+import { findPaginated } from "../db/mongoPagination.js";
+
+class SupplierRepositoryMongo {
+  /**
+   * CREA UN PROVEEDOR
+   * @param {Object} supplierData - Datos del proveedor
+   * @returns {Promise<Object>} Proveedor creado en MongoDB
+   */
+  async create(supplierData) {
+    const supplier = new SupplierModel(supplierData);
+    return await supplier.save();
+  }
+
+  /**
+   * OBTIENE UNA PÁGINA DE PROVEEDORES
+   * @param {Object} criteria - { page, limit, cursor, sort, filters } (ver mongoPagination)
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async findPaginated(criteria) {
+    return await findPaginated(SupplierModel, criteria);
+  }
+
+  /**
+   * OBTIENE UN PROVEEDOR POR ID
+   * @param {String} id - ID del proveedor
+   * @param {ClientSession} [session] - Sesión de transacción opcional
+   * @returns {Promise<Object|null>} Proveedor encontrado o null
+   */
+  async findById(id, session = null) {
+    return await SupplierModel.findById(id).session(session);
+  }
+
+  /**
+   * ACTUALIZA UN PROVEEDOR POR ID
+   * @param {String} id - ID del proveedor
+   * @param {Object} supplierData - Datos a actualizar
+   * @returns {Promise<Object|null>} Proveedor actualizado o null
+   */
+  async update(id, supplierData) {
+    return await SupplierModel.findByIdAndUpdate(id, supplierData, { new: true, runValidators: true });
+  }
+
+  /**
+   * ELIMINA UN PROVEEDOR POR ID
+   * @param {String} id - ID del proveedor
+   * @returns {Promise<Object|null>} Proveedor eliminado o null
+   */
+  async delete(id) {
+    return await SupplierModel.findByIdAndDelete(id);
+  }
+}
+
+export default SupplierRepositoryMongo;
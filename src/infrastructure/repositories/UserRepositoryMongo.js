@@ -9,6 +9,7 @@
  * ----------------------------
  * - Crear usuario
  * - Consultar todos los usuarios
+ * - Consultar usuarios paginados con filtros y orden (sin contraseña)
  * - Consultar usuario por ID
  * - Actualizar usuario
  * - Eliminar usuario
@@ -30,6 +31,7 @@
  */
 
 import { UserModel } from "../db/UserModel.js";
+import { findPaginated } from "../db/mongoPagination.js";
 
 class UserRepositoryMongo {
   /**
@@ -50,6 +52,16 @@ class UserRepositoryMongo {
     return await UserModel.find();
   }
 
+  /**
+   * OBTIENE UNA PÁGINA DE USUARIOS
+   * Nunca incluye el hash de la contraseña.
+   * @param {Object} criteria - { page, limit, cursor, sort, filters } (ver mongoPagination)
+   * @returns {Promise<Object>} { data, total, nextCursor }
+   */
+  async findPaginated(criteria) {
+    return await findPaginated(UserModel, criteria, { projection: "-password" });
+  }
+
   /**
    * OBTIENE UN USUARIO POR ID
    * @param {String} id - ID del usuario
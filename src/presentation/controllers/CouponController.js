@@ -0,0 +1,140 @@
+/**
+ * COUPONCONTROLLER.JS - CONTROLADOR DE CUPONES
+ * ============================================
+ *
+ * Expone los endpoints REST de cupones (códigos de descuento con
+ * vigencia, pedido mínimo y límites de uso) y orquesta los casos de uso
+ * correspondientes. Los cupones se canjean al crear pedidos con
+ * `couponCode` (ver `CouponService`).
+ *
+ * ENDPOINTS Y RESPUESTAS:
+ * - POST   /api/coupons     → 201 cupón creado, 400 datos inválidos, 404 producto no encontrado, 409 código repetido
+ * - GET    /api/coupons     → 200 { data, total, page, limit, totalPages, links }
+ * - GET    /api/coupons/:id → 200 cupón, 404 no encontrado
+ * - PUT    /api/coupons/:id → 200 cupón actualizado, 400 datos inválidos, 404 no encontrado, 409 código repetido
+ * - DELETE /api/coupons/:id → 200 eliminado, 404 no encontrado, 409 cupón con canjes
+ *
+ * Los errores se pasan con `next(err)` al `errorMiddleware`.
+ */
+
+import CreateCoupon from "../../application/use-cases/coupon/CreateCoupon.js";
+import GetCoupon from "../../application/use-cases/coupon/GetCoupon.js";
+import GetCouponById from "../../application/use-cases/coupon/GetCouponById.js";
+import UpdateCoupon from "../../application/use-cases/coupon/UpdateCoupon.js";
+import DeleteCoupon from "../../application/use-cases/coupon/DeleteCoupon.js";
+
+import CouponRepositoryMongo from "../../infrastructure/repositories/CouponRepositoryMongo.js";
+import ProductRepositoryMongo from "../../infrastructure/repositories/ProductRepositoryMongo.js";
+import { DISCOUNT_TYPES } from "../../domain/constants/discounts.js";
+import { parseListQuery, buildPageResponse } from "../utils/listQuery.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+
+// Instancias de repositorios (inyección de dependencias)
+const couponRepository = new CouponRepositoryMongo();
+const productRepository = new ProductRepositoryMongo();
+
+/**
+ * Gramática del listado de cupones (ver utils/listQuery.js).
+ */
+const COUPON_LIST_SPEC = {
+  fields: {
+    _id: "id",
+    code: "string",
+    type: DISCOUNT_TYPES,
+    active: "boolean",
+    redemptionCount: "number",
+    startsAt: "date",
+    endsAt: "date",
+    createdAt: "date"
+  },
+  defaultSort: "-createdAt"
+};
+
+/**
+ * Crea un nuevo cupón.
+ *
+ * @route POST /api/coupons
+ * @param {Object} req - Objeto de solicitud con los datos del cupón en el body.
+ * @param {Object} res - Objeto de respuesta con el cupón creado.
+ */
+export const createCoupon = async (req, res, next) => {
+  try {
+    const createCoupon = new CreateCoupon(couponRepository, productRepository);
+    const coupon = await createCoupon.execute(req.body);
+    res.status(201).json(coupon);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene una página de cupones, con filtros y orden.
+ *
+ * @route GET /api/coupons?page=&limit=&cursor=&sort=&code=&type=&active=
+ * @param {Object} req - Objeto de solicitud con los parámetros de listado en la query.
+ * @param {Object} res - Objeto de respuesta con { data, total, page, limit, totalPages, links } o error 400.
+ */
+export const getCoupon = async (req, res, next) => {
+  try {
+    const criteria = parseListQuery(req.query, COUPON_LIST_SPEC);
+    const getCoupon = new GetCoupon(couponRepository);
+    const result = await getCoupon.execute(criteria);
+    res.json(buildPageResponse(req, criteria, result));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene un cupón por su ID.
+ *
+ * @route GET /api/coupons/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con el cupón encontrado o error 404.
+ */
+export const getCouponById = async (req, res, next) => {
+  try {
+    const getCouponById = new GetCouponById(couponRepository);
+    const coupon = await getCouponById.execute(req.params.id);
+    if (!coupon) throw new NotFoundError("Cupón no encontrado");
+    res.json(coupon);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Actualiza un cupón por su ID.
+ *
+ * @route PUT /api/coupons/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros y datos en el body.
+ * @param {Object} res - Objeto de respuesta con el cupón actualizado o error 404.
+ */
+export const updateCoupon = async (req, res, next) => {
+  try {
+    const updateCoupon = new UpdateCoupon(couponRepository, productRepository);
+    const coupon = await updateCoupon.execute(req.params.id, req.body);
+    if (!coupon) throw new NotFoundError("Cupón no encontrado");
+    res.json(coupon);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Elimina un cupón por su ID (solo si no tiene canjes).
+ *
+ * @route DELETE /api/coupons/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con mensaje de confirmación o error 404.
+ */
+export const deleteCoupon = async (req, res, next) => {
+  try {
+    const deleteCoupon = new DeleteCoupon(couponRepository);
+    const result = await deleteCoupon.execute(req.params.id);
+    if (!result) throw new NotFoundError("Cupón no encontrado");
+    res.json({ message: "✅ Cupón eliminado correctamente ✅" });
+  } catch (err) {
+    next(err);
+  }
+};
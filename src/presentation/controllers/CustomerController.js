@@ -0,0 +1,163 @@
+/**
+ * CUSTOMERCONTROLLER.JS - CONTROLADOR DE CLIENTES
+ * ===============================================
+ *
+ * Expone los endpoints REST de clientes y orquesta los casos de uso
+ * correspondientes.
+ *
+ * ENDPOINTS Y RESPUESTAS:
+ * - POST   /api/customers     → 201 cliente creado, 400 datos inválidos, 403 cupo asignado por un Vendedor,
+ *                                409 documento repetido
+ * - GET    /api/customers     → 200 { data, total, page, limit, totalPages, links }
+ * - GET    /api/customers/document/:documentNumber → 200 cliente, 404 no encontrado
+ * - GET    /api/customers/:id → 200 cliente, 404 no encontrado
+ * - PUT    /api/customers/:id → 200 cliente actualizado, 404 no encontrado, 409 documento repetido
+ * - DELETE /api/customers/:id → 200 eliminado, 404 no encontrado, 409 tiene pedidos
+ *
+ * El historial de compras (`GET /api/customers/:id/orders`) está en
+ * OrderController, junto al resto de listados de pedidos.
+ *
+ * Los errores se pasan con `next(err)` al `errorMiddleware`.
+ */
+
+import CreateCustomer from "../../application/use-cases/customer/CreateCustomer.js";
+import GetCustomer from "../../application/use-cases/customer/GetCustomer.js";
+import GetCustomerById from "../../application/use-cases/customer/GetCustomerById.js";
+import GetCustomerByDocument from "../../application/use-cases/customer/GetCustomerByDocument.js";
+import UpdateCustomer from "../../application/use-cases/customer/UpdateCustomer.js";
+import DeleteCustomer from "../../application/use-cases/customer/DeleteCustomer.js";
+
+import CustomerRepositoryMongo from "../../infrastructure/repositories/CustomerRepositoryMongo.js";
+import OrderRepositoryMongo from "../../infrastructure/repositories/OrderRepositoryMongo.js";
+import { DOCUMENT_TYPES } from "../../domain/constants/documentTypes.js";
+import { parseListQuery, buildPageResponse } from "../utils/listQuery.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+
+// Instancias de repositorios (inyección de dependencias)
+const customerRepository = new CustomerRepositoryMongo();
+const orderRepository = new OrderRepositoryMongo();
+
+/**
+ * Gramática del listado de clientes (ver utils/listQuery.js).
+ */
+const CUSTOMER_LIST_SPEC = {
+  fields: {
+    _id: "id",
+    name: "string",
+    documentType: DOCUMENT_TYPES,
+    documentNumber: "string",
+    email: "string",
+    phone: "string",
+    creditLimit: "number",
+    createdAt: "date",
+    updatedAt: "date"
+  },
+  defaultSort: "name"
+};
+
+/**
+ * Crea un nuevo cliente.
+ *
+ * @route POST /api/customers
+ * @param {Object} req - Objeto de solicitud con los datos del cliente en el body.
+ * @param {Object} res - Objeto de respuesta con el cliente creado.
+ */
+export const createCustomer = async (req, res, next) => {
+  try {
+    const createCustomer = new CreateCustomer(customerRepository);
+    const customer = await createCustomer.execute(req.user, req.body);
+    res.status(201).json(customer);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene una página de clientes, con filtros y orden.
+ *
+ * @route GET /api/customers?page=&limit=&cursor=&sort=&name=&documentNumber=
+ * @param {Object} req - Objeto de solicitud con los parámetros de listado en la query.
+ * @param {Object} res - Objeto de respuesta con { data, total, page, limit, totalPages, links } o error 400.
+ */
+export const getCustomer = async (req, res, next) => {
+  try {
+    const criteria = parseListQuery(req.query, CUSTOMER_LIST_SPEC);
+    const getCustomer = new GetCustomer(customerRepository);
+    const result = await getCustomer.execute(criteria);
+    res.json(buildPageResponse(req, criteria, result));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene un cliente por su ID.
+ *
+ * @route GET /api/customers/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con el cliente encontrado o error 404.
+ */
+export const getCustomerById = async (req, res, next) => {
+  try {
+    const getCustomerById = new GetCustomerById(customerRepository);
+    const customer = await getCustomerById.execute(req.params.id);
+    if (!customer) throw new NotFoundError("Cliente no encontrado");
+    res.json(customer);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Busca un cliente por su número de documento (punto de venta).
+ *
+ * @route GET /api/customers/document/:documentNumber
+ * @param {Object} req - Objeto de solicitud con el número de documento en los parámetros.
+ * @param {Object} res - Objeto de respuesta con el cliente encontrado o error 404.
+ */
+export const getCustomerByDocument = async (req, res, next) => {
+  try {
+    const getCustomerByDocument = new GetCustomerByDocument(customerRepository);
+    const customer = await getCustomerByDocument.execute(req.params.documentNumber);
+    if (!customer) throw new NotFoundError("Cliente no encontrado");
+    res.json(customer);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Actualiza un cliente por su ID.
+ *
+ * @route PUT /api/customers/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros y datos en el body.
+ * @param {Object} res - Objeto de respuesta con el cliente actualizado o error 404.
+ */
+export const updateCustomer = async (req, res, next) => {
+  try {
+    const updateCustomer = new UpdateCustomer(customerRepository);
+    const customer = await updateCustomer.execute(req.params.id, req.body);
+    if (!customer) throw new NotFoundError("Cliente no encontrado");
+    res.json(customer);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Elimina un cliente por su ID (solo si no tiene pedidos).
+ *
+ * @route DELETE /api/customers/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con mensaje de confirmación, error 404 o 409.
+ */
+export const deleteCustomer = async (req, res, next) => {
+  try {
+    const deleteCustomer = new DeleteCustomer(customerRepository, orderRepository);
+    const result = await deleteCustomer.execute(req.params.id);
+    if (!result) throw new NotFoundError("Cliente no encontrado");
+    res.json({ message: "✅ Cliente eliminado correctamente ✅" });
+  } catch (err) {
+    next(err);
+  }
+};
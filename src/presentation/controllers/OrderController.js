@@ -9,46 +9,97 @@
  * CASOS DE USO INYECTADOS:
  * ------------------------
  * - CreateOrder: Crea un nuevo pedido, genera detalles y actualiza stock de productos.
- * - GetOrder: Obtiene todos los pedidos registrados.
+ * - GetOrder: Obtiene los pedidos visibles para el usuario (todos si es Administrador).
  * - GetOrderById: Busca un pedido específico por su ID.
- * - UpdateOrder: Modifica un pedido existente y ajusta el stock según status.
- * - DeleteOrder: Elimina un pedido.
+ * - UpdateOrder: Mueve un pedido por su ciclo de vida y ajusta el stock según la fase.
+ * - DeleteOrder: Elimina un pedido con sus detalles y libera el stock que tuviera reservado.
+ * - GetCustomerOrders: Historial de pedidos de un cliente (`/api/customers/:id/orders`).
+ * - GetOrderInvoice: Datos de la factura del pedido (se dibuja con `utils/invoicePdf.js`).
+ * - GetOrderDetailsByOrderId / CreateOrderDetails / UpdateOrderDetails / DeleteOrderDetails:
+ *   Líneas de un pedido (`/api/order/:id/items`).
  *
  * REPOSITORIOS UTILIZADOS:
  * ------------------------
  * - OrderRepositoryMongo: Acceso a pedidos (Orders).
  * - OrderDetailsRepositoryMongo: Acceso a detalles de pedidos (OrderDetails).
  * - ProductRepositoryMongo: Acceso a productos (Products) y stock.
+ * - CustomerRepositoryMongo: Acceso a clientes (Customers).
+ * - UserRepositoryMongo: Acceso a usuarios (vendedor de la factura).
+ * - StockService: Cambios de stock con registro en el kardex (StockMovement).
+ * - OrderNumberService: Número legible de cada pedido nuevo (contador en Counter).
+ * - DiscountService: Promociones vigentes y descuentos manuales (PromotionRepositoryMongo).
+ * - CouponService: Validación, canje y liberación de cupones (CouponRepositoryMongo).
+ * - TransactionManagerMongo: Ejecuta creación/actualización/eliminación en una transacción.
  *
  * ENDPOINTS Y RESPUESTAS:
  * -----------------------
- * - POST   /orders        → Crear un nuevo pedido
+ * - POST   /api/order        → Crear un nuevo pedido (`couponCode` opcional)
  *   - 201 Created → Pedido creado exitosamente
+ *   - 400 Bad Request → Datos inválidos o cupón con límite por cliente en un pedido sin cliente
+ *   - 403 Forbidden → Descuento por encima del umbral sin ser Administrador
+ *   - 404 Not Found → Producto, cliente (`customerId`) o cupón no encontrado
+ *   - 409 Conflict → Stock insuficiente, estado inicial no permitido o cupón
+ *                    no vigente, no aplicable o sin canjes disponibles
  *   - 500 Internal Server Error → Error al procesar
  *
- * - GET    /orders        → Obtener todos los pedidos
- *   - 200 OK → Lista de pedidos
+ * - GET    /api/order        → Obtener una página de pedidos (filtros, orden y paginación;
+ *                               `?number=PED-2026-000123` busca por número)
+ *   - 200 OK → { data, total, page, limit, totalPages, links }
+ *   - 400 Bad Request → Parámetros de listado inválidos
  *   - 500 Internal Server Error → Error al procesar
  *
- * - GET    /orders/:id    → Obtener pedido por ID
+ * - GET    /api/order/:id    → Obtener pedido por ID (`?include=items` añade sus líneas)
  *   - 200 OK → Pedido encontrado
  *   - 404 Not Found → Pedido no encontrado
  *
- * - PUT    /orders/:id    → Actualizar pedido por ID
+ * - POST   /api/order/:id/transition → Cambiar el estado del pedido ({ status, note })
  *   - 200 OK → Pedido actualizado
+ *   - 400 Bad Request → Estado destino inexistente
  *   - 404 Not Found → Pedido no encontrado
+ *   - 409 Conflict → Transición no permitida, o stock insuficiente o cupón agotado al reabrir
  *
- * - DELETE /orders/:id    → Eliminar pedido por ID
+ * - PUT    /api/order/:id/cancel → Atajo para la transición a "cancelled"
+ *   - Mismas respuestas que /transition
+ *
+ * - DELETE /api/order/:id    → Eliminar pedido por ID (con sus detalles)
  *   - 200 OK → Pedido eliminado
  *   - 404 Not Found → Pedido no encontrado
+ *   - 409 Conflict → Pedido enviado o entregado
+ *
+ * - GET    /api/order/:id/items → Líneas del pedido con el nombre de cada producto
+ *   - 200 OK → Lista de líneas
+ *
+ * - POST   /api/order/:id/items → Agregar una línea ({ productId, amount, discount })
+ *   - 201 Created → Línea creada (precio del producto; reserva stock si aplica)
+ *   - 403 Forbidden → Descuento por encima del umbral sin ser Administrador
+ *   - 404 Not Found → Pedido o producto no encontrado
+ *   - 409 Conflict → Pedido no editable o stock insuficiente
+ *
+ * - PUT    /api/order/:id/items/:itemId → Cambiar la cantidad de una línea ({ amount });
+ *                                          sus descuentos se vuelven a calcular (403 si pasan el umbral)
+ * - DELETE /api/order/:id/items/:itemId → Quitar una línea
+ *   - 200 OK → Línea actualizada / eliminada
+ *   - 404 Not Found → La línea no existe en este pedido
+ *   - 409 Conflict → Pedido no editable, stock insuficiente o última línea
+ *
+ * - GET    /api/order/:id/invoice.pdf → Factura en PDF (`?format=receipt` para tiquete de 80 mm)
+ *   - 200 OK → application/pdf
+ *   - 404 Not Found → Pedido no encontrado
+ *
+ * - GET    /api/customers/:id/orders → Pedidos de un cliente (mismos filtros que GET /api/order)
+ *   - 200 OK → { data, total, page, limit, totalPages, links }
+ *   - 404 Not Found → Cliente no encontrado
+ *
+ * Los errores se pasan con `next(err)` al `errorMiddleware`, que arma la
+ * respuesta `{ error, code }` según la clase del error.
  *
  * CASOS DE USO TÍPICOS:
  * ---------------------
  * - Crear un pedido asociado a un usuario.
  * - Recuperar todos los pedidos o uno específico.
- * - Modificar el estado de un pedido (ej. activar/desactivar).
+ * - Mover un pedido por su ciclo de vida (confirmar, despachar, cancelar...).
  * - Eliminar pedidos antiguos o cancelados.
- * - Ajustar stock de productos según status de pedido.
+ * - Reservar, liberar o descontar stock según el estado del pedido.
  */
 
 import CreateOrder from "../../application/use-cases/order/CreateOrder.js";
@@ -56,21 +107,84 @@ import GetOrder from "../../application/use-cases/order/GetOrder.js";
 import GetOrderById from "../../application/use-cases/order/GetOrderById.js";
 import UpdateOrder from "../../application/use-cases/order/UpdateOrder.js";
 import DeleteOrder from "../../application/use-cases/order/DeleteOrder.js";
+import GetOrderDetailsByOrderId from "../../application/use-cases/orderDetails/GetOrderDetailsByOrderId.js";
+import CreateOrderDetails from "../../application/use-cases/orderDetails/CreateOrderDetails.js";
+import UpdateOrderDetails from "../../application/use-cases/orderDetails/UpdateOrderDetails.js";
+import DeleteOrderDetails from "../../application/use-cases/orderDetails/DeleteOrderDetails.js";
+import GetCustomerOrders from "../../application/use-cases/customer/GetCustomerOrders.js";
+import GetOrderInvoice from "../../application/use-cases/order/GetOrderInvoice.js";
+import StockService from "../../application/services/StockService.js";
+import OrderNumberService from "../../application/services/OrderNumberService.js";
+import TaxService from "../../application/services/TaxService.js";
+import DiscountService from "../../application/services/DiscountService.js";
+import CouponService from "../../application/services/CouponService.js";
 
 import OrderRepositoryMongo from "../../infrastructure/repositories/OrderRepositoryMongo.js";
 import OrderDetailsRepositoryMongo from "../../infrastructure/repositories/OrderDetailsRepositoryMongo.js";
 import ProductRepositoryMongo from "../../infrastructure/repositories/ProductRepositoryMongo.js";
+import StockMovementRepositoryMongo from "../../infrastructure/repositories/StockMovementRepositoryMongo.js";
+import CustomerRepositoryMongo from "../../infrastructure/repositories/CustomerRepositoryMongo.js";
+import CounterRepositoryMongo from "../../infrastructure/repositories/CounterRepositoryMongo.js";
+import UserRepositoryMongo from "../../infrastructure/repositories/UserRepositoryMongo.js";
+import CategoryTaxRateRepositoryMongo from "../../infrastructure/repositories/CategoryTaxRateRepositoryMongo.js";
+import PromotionRepositoryMongo from "../../infrastructure/repositories/PromotionRepositoryMongo.js";
+import CouponRepositoryMongo from "../../infrastructure/repositories/CouponRepositoryMongo.js";
+import { ORDER_NUMBER_FORMAT } from "../../config/orderNumber.js";
+import { INVOICE_SETTINGS } from "../../config/invoice.js";
+import { DEFAULT_TAX_RATE } from "../../config/tax.js";
+import { DISCOUNT_APPROVAL_THRESHOLD } from "../../config/discounts.js";
+import { renderInvoicePdf } from "../utils/invoicePdf.js";
+import { ORDER_STATUS, ORDER_STATUSES } from "../../domain/constants/orderStatus.js";
+import { parseListQuery, buildPageResponse, coerceValue } from "../utils/listQuery.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+import TransactionManagerMongo from "../../infrastructure/db/TransactionManagerMongo.js";
 
 // Instancias de repositorios (inyección de dependencias)
 const orderRepository = new OrderRepositoryMongo();
 const orderDetailsRepository = new OrderDetailsRepositoryMongo();
 const productRepository = new ProductRepositoryMongo();
+const stockMovementRepository = new StockMovementRepositoryMongo();
+const customerRepository = new CustomerRepositoryMongo();
+const userRepository = new UserRepositoryMongo();
+const orderNumberService = new OrderNumberService(new CounterRepositoryMongo(), ORDER_NUMBER_FORMAT);
+const taxService = new TaxService(new CategoryTaxRateRepositoryMongo(), DEFAULT_TAX_RATE);
+const discountService = new DiscountService(new PromotionRepositoryMongo(), DISCOUNT_APPROVAL_THRESHOLD);
+const couponService = new CouponService(new CouponRepositoryMongo(), orderRepository);
+const stockService = new StockService(productRepository, stockMovementRepository);
+const transactionManager = new TransactionManagerMongo();
+
+/**
+ * Gramática del listado de pedidos (ver utils/listQuery.js).
+ * Atajos: from / to (rango de createdAt), minTotal, maxTotal.
+ */
+const ORDER_LIST_SPEC = {
+  fields: {
+    _id: "id",
+    number: "string",
+    userId: "id",
+    customerId: "id",
+    subtotal: "number",
+    taxTotal: "number",
+    discountTotal: "number",
+    total: "number",
+    status: ORDER_STATUSES,
+    createdAt: "date",
+    updatedAt: "date"
+  },
+  defaultSort: "-createdAt",
+  aliases: {
+    from: (raw) => [{ field: "createdAt", op: "gte", value: coerceValue("date", raw, "from") }],
+    to: (raw) => [{ field: "createdAt", op: "lte", value: coerceValue("date", raw, "to") }],
+    minTotal: (raw) => [{ field: "total", op: "gte", value: coerceValue("number", raw, "minTotal") }],
+    maxTotal: (raw) => [{ field: "total", op: "lte", value: coerceValue("number", raw, "maxTotal") }]
+  }
+};
 
 /**
  * CREA UN PEDIDO
- * Endpoint: POST /orders
+ * Endpoint: POST /api/order
  */
-export const createOrder = async (req, res) => {
+export const createOrder = async (req, res, next) => {
   try {
     const userId = req.user.id; // Usuario autenticado
     const orderData = {
@@ -81,87 +195,236 @@ export const createOrder = async (req, res) => {
     const createOrder = new CreateOrder(
       orderRepository,
       orderDetailsRepository,
-      productRepository
+      productRepository,
+      transactionManager,
+      stockService,
+      taxService,
+      discountService,
+      customerRepository,
+      orderNumberService,
+      couponService
     );
-    const order = await createOrder.execute(orderData);
+    const order = await createOrder.execute(orderData, req.user);
 
     res.status(201).json(order);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
- * OBTIENE TODOS LOS PEDIDOS
- * Endpoint: GET /orders
+ * OBTIENE UNA PÁGINA DE PEDIDOS
+ * Endpoint: GET /api/order?page=&limit=&cursor=&sort=&status=&from=&to=...
  */
-export const getOrder = async (req, res) => {
+export const getOrder = async (req, res, next) => {
   try {
+    const criteria = parseListQuery(req.query, ORDER_LIST_SPEC);
     const getOrder = new GetOrder(orderRepository);
-    const order = await getOrder.execute();
-    res.json(order);
+    const result = await getOrder.execute(req.user, criteria);
+    res.json(buildPageResponse(req, criteria, result));
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * OBTIENE UN PEDIDO POR ID
- * Endpoint: GET /orders/:id
+ * Endpoint: GET /api/order/:id?include=items
  */
-export const getOrderById = async (req, res) => {
+export const getOrderById = async (req, res, next) => {
   try {
-    const getOrderById = new GetOrderById(orderRepository);
-    const order = await getOrderById.execute(req.params.id);
+    const getOrderById = new GetOrderById(orderRepository, orderDetailsRepository);
+    const order = await getOrderById.execute(req.params.id, { withItems: req.query.include === "items" });
 
-    if (!order) return res.status(404).json({ message: "Pedido no encontrado" });
+    if (!order) throw new NotFoundError("Pedido no encontrado");
 
     res.json(order);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
- * ACTUALIZA UN PEDIDO POR ID
- * Endpoint: PUT /orders/:id
+ * Ejecuta la transición de estado. Compartido por `updateOrder` y `cancelOrder`.
  */
-export const updateOrder = async (req, res) => {
+const transitionOrder = async (req, res, next, status, note) => {
   try {
     const updateOrder = new UpdateOrder(
       orderRepository,
       orderDetailsRepository,
-      productRepository
+      stockService,
+      transactionManager,
+      couponService
     );
 
-    const order = await updateOrder.execute(req.params.id, req.body);
+    const order = await updateOrder.execute(req.params.id, { status, note }, req.user.id);
 
-    if (!order) return res.status(404).json({ message: "Pedido no encontrado" });
+    if (!order) throw new NotFoundError("Pedido no encontrado");
 
     res.json(order);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
+/**
+ * CAMBIA EL ESTADO DE UN PEDIDO
+ * Endpoint: POST /api/order/:id/transition
+ */
+export const updateOrder = async (req, res, next) => {
+  const { status, note } = req.body ?? {};
+  await transitionOrder(req, res, next, status, note);
+};
+
+/**
+ * CANCELA UN PEDIDO
+ * Endpoint: PUT /api/order/:id/cancel
+ */
+export const cancelOrder = async (req, res, next) => {
+  await transitionOrder(req, res, next, ORDER_STATUS.CANCELLED, req.body?.note);
+};
+
 /**
  * ELIMINA UN PEDIDO POR ID
- * Endpoint: DELETE /orders/:id
+ * Endpoint: DELETE /api/order/:id
  */
-export const deleteOrder = async (req, res) => {
+export const deleteOrder = async (req, res, next) => {
   try {
-    const deleteOrder = new DeleteOrder(orderRepository);
-    const result = await deleteOrder.execute(req.params.id);
+    const deleteOrder = new DeleteOrder(
+      orderRepository,
+      orderDetailsRepository,
+      stockService,
+      transactionManager,
+      couponService
+    );
+    const result = await deleteOrder.execute(req.params.id, req.user.id);
 
-    if (!result) return res.status(404).json({ message: "Pedido no encontrado" });
+    if (!result) throw new NotFoundError("Pedido no encontrado");
 
     res.json({ message: "✅ Pedido eliminado correctamente ✅" });
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+};
+
+/**
+ * GENERA LA FACTURA DEL PEDIDO EN PDF
+ * Endpoint: GET /api/order/:id/invoice.pdf?format=a4|receipt
+ */
+export const getOrderInvoice = async (req, res, next) => {
+  try {
+    const getOrderInvoice = new GetOrderInvoice(orderRepository, orderDetailsRepository, userRepository, customerRepository);
+    const invoice = await getOrderInvoice.execute(req.params.id);
+
+    if (!invoice) throw new NotFoundError("Pedido no encontrado");
+
+    const format = req.query.format ?? "a4";
+    const pdf = await renderInvoicePdf(invoice, { format, settings: INVOICE_SETTINGS });
+    const fileName = `${invoice.number ?? invoice.orderId}${format === "receipt" ? "-tiquete" : ""}.pdf`;
+
+    res.type("application/pdf");
+    res.set("Content-Disposition", `inline; filename="${fileName}"`);
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * OBTIENE LAS LÍNEAS DE UN PEDIDO
+ * Endpoint: GET /api/order/:id/items
+ */
+export const getOrderItems = async (req, res, next) => {
+  try {
+    const getOrderDetailsByOrderId = new GetOrderDetailsByOrderId(orderDetailsRepository);
+    const items = await getOrderDetailsByOrderId.execute(req.params.id);
+    res.json(items);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * AGREGA UNA LÍNEA A UN PEDIDO
+ * Endpoint: POST /api/order/:id/items
+ */
+export const addOrderItem = async (req, res, next) => {
+  try {
+    const createOrderDetails = new CreateOrderDetails(
+      orderDetailsRepository,
+      orderRepository,
+      productRepository,
+      stockService,
+      transactionManager,
+      taxService,
+      discountService
+    );
+
+    const item = await createOrderDetails.execute({ ...req.body, orderId: req.params.id }, req.user);
+    res.status(201).json(item);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * CAMBIA LA CANTIDAD DE UNA LÍNEA DEL PEDIDO
+ * Endpoint: PUT /api/order/:id/items/:itemId
+ */
+export const updateOrderItem = async (req, res, next) => {
+  try {
+    const updateOrderDetails = new UpdateOrderDetails(
+      orderDetailsRepository,
+      orderRepository,
+      productRepository,
+      stockService,
+      transactionManager,
+      discountService
+    );
+
+    const item = await updateOrderDetails.execute(req.params.itemId, req.body, req.user, { orderId: req.params.id });
+    if (!item) throw new NotFoundError("Línea del pedido no encontrada");
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * QUITA UNA LÍNEA DEL PEDIDO
+ * Endpoint: DELETE /api/order/:id/items/:itemId
+ */
+export const removeOrderItem = async (req, res, next) => {
+  try {
+    const deleteOrderDetails = new DeleteOrderDetails(
+      orderDetailsRepository,
+      orderRepository,
+      stockService,
+      transactionManager
+    );
+
+    const item = await deleteOrderDetails.execute(req.params.itemId, req.user.id, { orderId: req.params.id });
+    if (!item) throw new NotFoundError("Línea del pedido no encontrada");
+    res.json({ message: "✅ Línea del pedido eliminada correctamente ✅" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * OBTIENE EL HISTORIAL DE PEDIDOS DE UN CLIENTE
+ * Endpoint: GET /api/customers/:id/orders?page=&limit=&sort=&status=&from=&to=...
+ */
+export const getCustomerOrders = async (req, res, next) => {
+  try {
+    const criteria = parseListQuery(req.query, ORDER_LIST_SPEC);
+    const getCustomerOrders = new GetCustomerOrders(customerRepository, orderRepository);
+    const result = await getCustomerOrders.execute(req.user, req.params.id, criteria);
+
+    if (!result) throw new NotFoundError("Cliente no encontrado");
+
+    res.json(buildPageResponse(req, criteria, result));
+  } catch (err) {
+    next(err);
   }
 };
@@ -3,6 +3,11 @@
  * 
  * Se conecta con los casos de uso de la capa de aplicación y utiliza los repositorios
  * de MongoDB para gestionar los detalles de pedidos, productos y órdenes.
+ *
+ * Crear, actualizar o eliminar una línea ajusta en la misma transacción la
+ * reserva de stock del producto y el total del pedido (409 si el pedido ya
+ * no admite cambios o no hay stock suficiente). Un descuento manual por
+ * encima del umbral solo lo registra un Administrador (403).
  */
 
 import CreateOrderDetails from "../../application/use-cases/orderDetails/CreateOrderDetails.js";
@@ -10,109 +15,138 @@ import GetOrderDetails from "../../application/use-cases/orderDetails/GetOrderDe
 import GetOrderDetailsById from "../../application/use-cases/orderDetails/GetOrderDetailsById.js";
 import UpdateOrderDetails from "../../application/use-cases/orderDetails/UpdateOrderDetails.js";
 import DeleteOrderDetails from "../../application/use-cases/orderDetails/DeleteOrderDetails.js";
+import StockService from "../../application/services/StockService.js";
+import TaxService from "../../application/services/TaxService.js";
+import DiscountService from "../../application/services/DiscountService.js";
 
 import OrderDetailsRepositoryMongo from "../../infrastructure/repositories/OrderDetailsRepositoryMongo.js";
 import OrderRepositoryMongo from "../../infrastructure/repositories/OrderRepositoryMongo.js";
 import ProductRepositoryMongo from "../../infrastructure/repositories/ProductRepositoryMongo.js";
+import StockMovementRepositoryMongo from "../../infrastructure/repositories/StockMovementRepositoryMongo.js";
+import CategoryTaxRateRepositoryMongo from "../../infrastructure/repositories/CategoryTaxRateRepositoryMongo.js";
+import PromotionRepositoryMongo from "../../infrastructure/repositories/PromotionRepositoryMongo.js";
+import TransactionManagerMongo from "../../infrastructure/db/TransactionManagerMongo.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+import { DEFAULT_TAX_RATE } from "../../config/tax.js";
+import { DISCOUNT_APPROVAL_THRESHOLD } from "../../config/discounts.js";
 
 // Instancias de repositorios
 const orderDetailsRepository = new OrderDetailsRepositoryMongo();
 const orderRepository = new OrderRepositoryMongo();
 const productRepository = new ProductRepositoryMongo();
+const stockMovementRepository = new StockMovementRepositoryMongo();
+const stockService = new StockService(productRepository, stockMovementRepository);
+const taxService = new TaxService(new CategoryTaxRateRepositoryMongo(), DEFAULT_TAX_RATE);
+const discountService = new DiscountService(new PromotionRepositoryMongo(), DISCOUNT_APPROVAL_THRESHOLD);
+const transactionManager = new TransactionManagerMongo();
 
 /**
  * Crea un nuevo detalle de pedido.
  * 
- * @route POST /order-details
- * @param {Object} req - Objeto de solicitud con los datos del detalle de pedido.
- * @param {Object} res - Objeto de respuesta con el resultado de la operación.
+ * @route POST /api/orderDetails
+ * @param {Object} req - Objeto de solicitud con el pedido, el producto, la cantidad y el descuento opcional (el precio lo pone el servidor).
+ * @param {Object} res - Objeto de respuesta con el detalle creado, o error 403/404/409.
  */
-export const createOrderDetails = async (req, res) => {
+export const createOrderDetails = async (req, res, next) => {
   try {
-    const createOrderDetails = new CreateOrderDetails(orderDetailsRepository);
-    const orderDetails = await createOrderDetails.execute(req.body);
+    const createOrderDetails = new CreateOrderDetails(
+      orderDetailsRepository,
+      orderRepository,
+      productRepository,
+      stockService,
+      transactionManager,
+      taxService,
+      discountService
+    );
+
+    const orderDetails = await createOrderDetails.execute(req.body, req.user);
     res.status(201).json(orderDetails);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * Obtiene todos los detalles de pedidos.
  * 
- * @route GET /order-details
+ * @route GET /api/orderDetails
  * @param {Object} req - Objeto de solicitud.
  * @param {Object} res - Objeto de respuesta con la lista de detalles de pedidos.
  */
-export const getOrderDetails = async (req, res) => {
+export const getOrderDetails = async (req, res, next) => {
   try {
     const getOrderDetails = new GetOrderDetails(orderDetailsRepository);
     const orderDetails = await getOrderDetails.execute();
     res.json(orderDetails);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * Obtiene un detalle de pedido por su ID.
  * 
- * @route GET /order-details/:id
+ * @route GET /api/orderDetails/:id
  * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
  * @param {Object} res - Objeto de respuesta con el detalle encontrado o error 404.
  */
-export const getOrderDetailsById = async (req, res) => {
+export const getOrderDetailsById = async (req, res, next) => {
   try {
     const getOrderDetailsById = new GetOrderDetailsById(orderDetailsRepository);
     const orderDetails = await getOrderDetailsById.execute(req.params.id);
-    if (!orderDetails) return res.status(404).json({ message: "Pedido no encontrado" });
+    if (!orderDetails) throw new NotFoundError("Detalle de pedido no encontrado");
     res.json(orderDetails);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * Actualiza un detalle de pedido por su ID.
  * 
- * @route PUT /order-details/:id
+ * @route PUT /api/orderDetails/:id
  * @param {Object} req - Objeto de solicitud con el ID en los parámetros y datos en el body.
  * @param {Object} res - Objeto de respuesta con el detalle actualizado o error 404.
  */
-export const updateOrderDetails = async (req, res) => {
+export const updateOrderDetails = async (req, res, next) => {
   try {
     const updateOrderDetails = new UpdateOrderDetails(
       orderDetailsRepository,
       orderRepository,
-      productRepository
+      productRepository,
+      stockService,
+      transactionManager,
+      discountService
     );
     
-    const orderDetails = await updateOrderDetails.execute(req.params.id, req.body);
-    if (!orderDetails) return res.status(404).json({ message: "Pedido no encontrado" });
+    const orderDetails = await updateOrderDetails.execute(req.params.id, req.body, req.user);
+    if (!orderDetails) throw new NotFoundError("Detalle de pedido no encontrado");
     res.json(orderDetails);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * Elimina un detalle de pedido por su ID.
  * 
- * @route DELETE /order-details/:id
+ * @route DELETE /api/orderDetails/:id
  * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
  * @param {Object} res - Objeto de respuesta con mensaje de confirmación o error 404.
  */
-export const deleteOrderDetails = async (req, res) => {
+export const deleteOrderDetails = async (req, res, next) => {
   try {
-    const deleteOrderDetails = new DeleteOrderDetails(orderDetailsRepository);
-    const result = await deleteOrderDetails.execute(req.params.id);
-    if (!result) return res.status(404).json({ message: "Pedido no encontrado" });
-    res.json({ message: "✅ Pedido eliminado correctamente ✅" });
+    const deleteOrderDetails = new DeleteOrderDetails(
+      orderDetailsRepository,
+      orderRepository,
+      stockService,
+      transactionManager
+    );
+
+    const result = await deleteOrderDetails.execute(req.params.id, req.user.id);
+    if (!result) throw new NotFoundError("Detalle de pedido no encontrado");
+    res.json({ message: "✅ Detalle de pedido eliminado correctamente ✅" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
@@ -10,101 +10,197 @@ import GetProduct from "../../application/use-cases/product/GetProduct.js";
 import GetProductById from "../../application/use-cases/product/GetProductById.js";
 import UpdateProduct from "../../application/use-cases/product/UpdateProduct.js";
 import DeleteProduct from "../../application/use-cases/product/DeleteProduct.js";
+import GetProductMovements from "../../application/use-cases/product/GetProductMovements.js";
+import SearchProducts from "../../application/use-cases/product/SearchProducts.js";
+import StockService from "../../application/services/StockService.js";
+import ProductSearchIndex from "../../application/services/ProductSearchIndex.js";
 
 import ProductRepositoryMongo from "../../infrastructure/repositories/ProductRepositoryMongo.js";
+import StockMovementRepositoryMongo from "../../infrastructure/repositories/StockMovementRepositoryMongo.js";
+import TransactionManagerMongo from "../../infrastructure/db/TransactionManagerMongo.js";
+import { parseListQuery, buildPageResponse, coerceValue } from "../utils/listQuery.js";
+import { parseDateParam } from "../utils/dateParams.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+import ValidationError from "../../domain/errors/ValidationError.js";
 
 // Instancia del repositorio de productos
 const productRepository = new ProductRepositoryMongo();
+const stockMovementRepository = new StockMovementRepositoryMongo();
+const stockService = new StockService(productRepository, stockMovementRepository);
+const transactionManager = new TransactionManagerMongo();
+
+// Índice de búsqueda compartido por todas las peticiones de este proceso
+const productSearchIndex = new ProductSearchIndex(productRepository);
+
+const SEARCH_DEFAULT_LIMIT = 10;
+
+/**
+ * Gramática del listado de productos (ver utils/listQuery.js).
+ * Atajos: minPrice, maxPrice, inStock=true|false, lowStock=<umbral> (stock < umbral).
+ */
+const PRODUCT_LIST_SPEC = {
+  fields: {
+    _id: "id",
+    name: "string",
+    description: "string",
+    price: "number",
+    stock: "number",
+    reserved: "number",
+    category: "string",
+    cost: "number",
+    reorderPoint: "number",
+    createdAt: "date",
+    updatedAt: "date"
+  },
+  defaultSort: "name",
+  aliases: {
+    minPrice: (raw) => [{ field: "price", op: "gte", value: coerceValue("number", raw, "minPrice") }],
+    maxPrice: (raw) => [{ field: "price", op: "lte", value: coerceValue("number", raw, "maxPrice") }],
+    inStock: (raw) => coerceValue("boolean", raw, "inStock")
+      ? [{ field: "stock", op: "gt", value: 0 }]
+      : [{ field: "stock", op: "eq", value: 0 }],
+    lowStock: (raw) => [{ field: "stock", op: "lt", value: coerceValue("number", raw, "lowStock") }]
+  }
+};
 
 /**
  * Crea un nuevo producto.
  *
- * @route POST /products
+ * @route POST /api/products
  * @param {Object} req - Objeto de solicitud con los datos del producto en el body.
  * @param {Object} res - Objeto de respuesta con el producto creado.
  */
-export const createProduct = async (req, res) => {
+export const createProduct = async (req, res, next) => {
   try {
-    const createProduct = new CreateProduct(productRepository);
-    const product = await createProduct.execute(req.body);
+    const createProduct = new CreateProduct(productRepository, stockService, transactionManager);
+    const product = await createProduct.execute(req.body, req.user.id);
+    productSearchIndex.invalidate();
     res.status(201).json(product);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
- * Obtiene todos los productos registrados.
+ * Obtiene una página de productos, con filtros y orden.
  *
- * @route GET /products
- * @param {Object} req - Objeto de solicitud.
- * @param {Object} res - Objeto de respuesta con la lista de productos.
+ * @route GET /api/products?page=&limit=&cursor=&sort=&category=&minPrice=&maxPrice=&inStock=&lowStock=
+ * @param {Object} req - Objeto de solicitud con los parámetros de listado en la query.
+ * @param {Object} res - Objeto de respuesta con { data, total, page, limit, totalPages, links } o error 400.
  */
-export const getProduct = async (req, res) => {
+export const getProduct = async (req, res, next) => {
   try {
+    const criteria = parseListQuery(req.query, PRODUCT_LIST_SPEC);
     const getProduct = new GetProduct(productRepository);
-    const product = await getProduct.execute();
-    res.json(product);
+    const result = await getProduct.execute(criteria);
+    res.json(buildPageResponse(req, criteria, result));
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+};
+
+/**
+ * Busca productos por texto en nombre, descripción y categoría.
+ * Ignora acentos, admite prefijos y errores de tipeo (typeahead del punto de venta).
+ *
+ * @route GET /api/products/search?q=&limit=
+ * @param {Object} req - Objeto de solicitud con el texto (`q`) y el máximo de resultados (`limit`, 1 a 50) en la query.
+ * @param {Object} res - Objeto de respuesta con { query, total, data: [{ product, score, highlights }] } o error 400.
+ */
+export const searchProducts = async (req, res, next) => {
+  try {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!query) {
+      throw new ValidationError("❌ El parámetro \"q\" es obligatorio ❌");
+    }
+
+    // El rango de `limit` ya lo valida `productSearchQuerySchema` en la ruta
+    const limit = Number(req.query.limit) || SEARCH_DEFAULT_LIMIT;
+
+    const searchProducts = new SearchProducts(productRepository, productSearchIndex);
+    const result = await searchProducts.execute(query, { limit });
+    res.json(result);
+  } catch (err) {
+    next(err);
   }
 };
 
 /**
  * Obtiene un producto por su ID.
  *
- * @route GET /products/:id
+ * @route GET /api/products/:id
  * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
  * @param {Object} res - Objeto de respuesta con el producto encontrado o error 404.
  */
-export const getProductById = async (req, res) => {
+export const getProductById = async (req, res, next) => {
   try {
     const getProductById = new GetProductById(productRepository);
     const product = await getProductById.execute(req.params.id);
-    if (!product) return res.status(404).json({ message: "Producto no encontrado" });
+    if (!product) throw new NotFoundError("Producto no encontrado");
     res.json(product);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * Actualiza un producto por su ID.
  *
- * @route PUT /products/:id
+ * @route PUT /api/products/:id
  * @param {Object} req - Objeto de solicitud con el ID en los parámetros y datos en el body.
  * @param {Object} res - Objeto de respuesta con el producto actualizado o error 404.
  */
-export const updateProduct = async (req, res) => {
+export const updateProduct = async (req, res, next) => {
   try {
-    const updateProduct = new UpdateProduct(productRepository);
-    const product = await updateProduct.execute(req.params.id, req.body);
-    if (!product) return res.status(404).json({ message: "Producto no encontrado" });
+    const updateProduct = new UpdateProduct(productRepository, stockService, transactionManager);
+    const product = await updateProduct.execute(req.params.id, req.body, req.user.id);
+    if (!product) throw new NotFoundError("Producto no encontrado");
+    productSearchIndex.invalidate();
     res.json(product);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * Elimina un producto por su ID.
  *
- * @route DELETE /products/:id
+ * @route DELETE /api/products/:id
  * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
  * @param {Object} res - Objeto de respuesta con mensaje de confirmación o error 404.
  */
-export const deleteProduct = async (req, res) => {
+export const deleteProduct = async (req, res, next) => {
   try {
     const deleteProduct = new DeleteProduct(productRepository);
     const result = await deleteProduct.execute(req.params.id);
-    if (!result) return res.status(404).json({ message: "Producto no encontrado" });
+    if (!result) throw new NotFoundError("Producto no encontrado");
+    productSearchIndex.invalidate();
     res.json({ message: "✅ Producto eliminado correctamente ✅" });
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+};
+
+/**
+ * Obtiene el kardex (movimientos de stock) de un producto.
+ *
+ * @route GET /api/products/:id/movements?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros y el rango opcional en la query.
+ * @param {Object} res - Objeto de respuesta con saldos de apertura/cierre y movimientos, o error 400/404.
+ */
+export const getProductMovements = async (req, res, next) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      throw new ValidationError("❌ Rango de fechas inválido ❌");
+    }
+
+    const getProductMovements = new GetProductMovements(productRepository, stockMovementRepository);
+    const ledger = await getProductMovements.execute(req.params.id, { from, to });
+    if (!ledger) throw new NotFoundError("Producto no encontrado");
+    res.json(ledger);
+  } catch (err) {
+    next(err);
   }
 };
@@ -0,0 +1,141 @@
+/**
+ * PROMOTIONCONTROLLER.JS - CONTROLADOR DE PROMOCIONES
+ * ===================================================
+ *
+ * Expone los endpoints REST de promociones (rebajas por categoría,
+ * "lleve X pague Y" y descuentos por cantidad) y orquesta los casos de
+ * uso correspondientes. Las promociones vigentes se aplican solas al
+ * crear pedidos (ver `DiscountService`).
+ *
+ * ENDPOINTS Y RESPUESTAS:
+ * - POST   /api/promotions     → 201 promoción creada, 400 datos inválidos, 404 producto no encontrado
+ * - GET    /api/promotions     → 200 { data, total, page, limit, totalPages, links }
+ * - GET    /api/promotions/:id → 200 promoción, 404 no encontrada
+ * - PUT    /api/promotions/:id → 200 promoción actualizada, 400 datos inválidos, 404 no encontrada
+ * - DELETE /api/promotions/:id → 200 eliminada, 404 no encontrada
+ *
+ * Los errores se pasan con `next(err)` al `errorMiddleware`.
+ */
+
+import CreatePromotion from "../../application/use-cases/promotion/CreatePromotion.js";
+import GetPromotion from "../../application/use-cases/promotion/GetPromotion.js";
+import GetPromotionById from "../../application/use-cases/promotion/GetPromotionById.js";
+import UpdatePromotion from "../../application/use-cases/promotion/UpdatePromotion.js";
+import DeletePromotion from "../../application/use-cases/promotion/DeletePromotion.js";
+
+import PromotionRepositoryMongo from "../../infrastructure/repositories/PromotionRepositoryMongo.js";
+import ProductRepositoryMongo from "../../infrastructure/repositories/ProductRepositoryMongo.js";
+import { PROMOTION_TYPES } from "../../domain/constants/promotions.js";
+import { parseListQuery, buildPageResponse } from "../utils/listQuery.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+
+// Instancias de repositorios (inyección de dependencias)
+const promotionRepository = new PromotionRepositoryMongo();
+const productRepository = new ProductRepositoryMongo();
+
+/**
+ * Gramática del listado de promociones (ver utils/listQuery.js).
+ */
+const PROMOTION_LIST_SPEC = {
+  fields: {
+    _id: "id",
+    name: "string",
+    type: PROMOTION_TYPES,
+    productId: "id",
+    category: "string",
+    active: "boolean",
+    startsAt: "date",
+    endsAt: "date",
+    createdAt: "date"
+  },
+  defaultSort: "-createdAt"
+};
+
+/**
+ * Crea una nueva promoción.
+ *
+ * @route POST /api/promotions
+ * @param {Object} req - Objeto de solicitud con los datos de la promoción en el body.
+ * @param {Object} res - Objeto de respuesta con la promoción creada.
+ */
+export const createPromotion = async (req, res, next) => {
+  try {
+    const createPromotion = new CreatePromotion(promotionRepository, productRepository);
+    const promotion = await createPromotion.execute(req.body);
+    res.status(201).json(promotion);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene una página de promociones, con filtros y orden.
+ *
+ * @route GET /api/promotions?page=&limit=&cursor=&sort=&type=&active=&category=
+ * @param {Object} req - Objeto de solicitud con los parámetros de listado en la query.
+ * @param {Object} res - Objeto de respuesta con { data, total, page, limit, totalPages, links } o error 400.
+ */
+export const getPromotion = async (req, res, next) => {
+  try {
+    const criteria = parseListQuery(req.query, PROMOTION_LIST_SPEC);
+    const getPromotion = new GetPromotion(promotionRepository);
+    const result = await getPromotion.execute(criteria);
+    res.json(buildPageResponse(req, criteria, result));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene una promoción por su ID.
+ *
+ * @route GET /api/promotions/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con la promoción encontrada o error 404.
+ */
+export const getPromotionById = async (req, res, next) => {
+  try {
+    const getPromotionById = new GetPromotionById(promotionRepository);
+    const promotion = await getPromotionById.execute(req.params.id);
+    if (!promotion) throw new NotFoundError("Promoción no encontrada");
+    res.json(promotion);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Actualiza una promoción por su ID.
+ *
+ * @route PUT /api/promotions/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros y datos en el body.
+ * @param {Object} res - Objeto de respuesta con la promoción actualizada o error 404.
+ */
+export const updatePromotion = async (req, res, next) => {
+  try {
+    const updatePromotion = new UpdatePromotion(promotionRepository, productRepository);
+    const promotion = await updatePromotion.execute(req.params.id, req.body);
+    if (!promotion) throw new NotFoundError("Promoción no encontrada");
+    res.json(promotion);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Elimina una promoción por su ID (los pedidos ya creados conservan su descuento).
+ *
+ * @route DELETE /api/promotions/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con mensaje de confirmación o error 404.
+ */
+export const deletePromotion = async (req, res, next) => {
+  try {
+    const deletePromotion = new DeletePromotion(promotionRepository);
+    const result = await deletePromotion.execute(req.params.id);
+    if (!result) throw new NotFoundError("Promoción no encontrada");
+    res.json({ message: "✅ Promoción eliminada correctamente ✅" });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,177 @@
+/**
+ * PURCHASEORDERCONTROLLER.JS - CONTROLADOR DE ÓRDENES DE COMPRA
+ * =============================================================
+ *
+ * Expone los endpoints REST de órdenes de compra a proveedores y de
+ * recepción de mercancía, y orquesta los casos de uso correspondientes.
+ *
+ * CASOS DE USO INYECTADOS:
+ * - CreatePurchaseOrder: Registra una orden en borrador con sus líneas.
+ * - GetPurchaseOrder / GetPurchaseOrderById: Consultas.
+ * - UpdatePurchaseOrder: Envía ("sent") o cierra ("closed") la orden.
+ * - ReceivePurchaseOrder: Registra mercancía recibida y suma el stock.
+ * - DeletePurchaseOrder: Elimina órdenes en borrador.
+ *
+ * ENDPOINTS Y RESPUESTAS:
+ * - POST   /api/purchaseOrders                → 201 orden creada, 404 proveedor/producto inexistente
+ * - GET    /api/purchaseOrders                → 200 { data, total, page, limit, totalPages, links }
+ * - GET    /api/purchaseOrders/:id            → 200 orden, 404 no encontrada
+ * - POST   /api/purchaseOrders/:id/transition → 200 orden actualizada, 409 transición no permitida
+ * - POST   /api/purchaseOrders/:id/receipts   → 200 orden actualizada, 409 estado o cantidad no permitida
+ * - DELETE /api/purchaseOrders/:id            → 200 eliminada, 409 la orden no está en borrador
+ *
+ * Los errores se pasan con `next(err)` al `errorMiddleware`.
+ */
+
+import CreatePurchaseOrder from "../../application/use-cases/purchaseOrder/CreatePurchaseOrder.js";
+import GetPurchaseOrder from "../../application/use-cases/purchaseOrder/GetPurchaseOrder.js";
+import GetPurchaseOrderById from "../../application/use-cases/purchaseOrder/GetPurchaseOrderById.js";
+import UpdatePurchaseOrder from "../../application/use-cases/purchaseOrder/UpdatePurchaseOrder.js";
+import ReceivePurchaseOrder from "../../application/use-cases/purchaseOrder/ReceivePurchaseOrder.js";
+import DeletePurchaseOrder from "../../application/use-cases/purchaseOrder/DeletePurchaseOrder.js";
+import StockService from "../../application/services/StockService.js";
+
+import PurchaseOrderRepositoryMongo from "../../infrastructure/repositories/PurchaseOrderRepositoryMongo.js";
+import SupplierRepositoryMongo from "../../infrastructure/repositories/SupplierRepositoryMongo.js";
+import ProductRepositoryMongo from "../../infrastructure/repositories/ProductRepositoryMongo.js";
+import StockMovementRepositoryMongo from "../../infrastructure/repositories/StockMovementRepositoryMongo.js";
+import TransactionManagerMongo from "../../infrastructure/db/TransactionManagerMongo.js";
+import { PURCHASE_ORDER_STATUSES } from "../../domain/constants/purchaseOrderStatus.js";
+import { parseListQuery, buildPageResponse, coerceValue } from "../utils/listQuery.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+
+// Instancias de repositorios (inyección de dependencias)
+const purchaseOrderRepository = new PurchaseOrderRepositoryMongo();
+const supplierRepository = new SupplierRepositoryMongo();
+const productRepository = new ProductRepositoryMongo();
+const stockMovementRepository = new StockMovementRepositoryMongo();
+const stockService = new StockService(productRepository, stockMovementRepository);
+const transactionManager = new TransactionManagerMongo();
+
+/**
+ * Gramática del listado de órdenes de compra (ver utils/listQuery.js).
+ * Atajos: from / to (rango de createdAt).
+ */
+const PURCHASE_ORDER_LIST_SPEC = {
+  fields: {
+    _id: "id",
+    supplierId: "id",
+    total: "number",
+    status: PURCHASE_ORDER_STATUSES,
+    createdAt: "date",
+    updatedAt: "date"
+  },
+  defaultSort: "-createdAt",
+  aliases: {
+    from: (raw) => [{ field: "createdAt", op: "gte", value: coerceValue("date", raw, "from") }],
+    to: (raw) => [{ field: "createdAt", op: "lte", value: coerceValue("date", raw, "to") }]
+  }
+};
+
+/**
+ * Crea una orden de compra en borrador.
+ *
+ * @route POST /api/purchaseOrders
+ * @param {Object} req - Objeto de solicitud con { supplierId, lines } en el body.
+ * @param {Object} res - Objeto de respuesta con la orden creada.
+ */
+export const createPurchaseOrder = async (req, res, next) => {
+  try {
+    const createPurchaseOrder = new CreatePurchaseOrder(purchaseOrderRepository, supplierRepository, productRepository);
+    const purchaseOrder = await createPurchaseOrder.execute(req.body, req.user.id);
+    res.status(201).json(purchaseOrder);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene una página de órdenes de compra, con filtros y orden.
+ *
+ * @route GET /api/purchaseOrders?page=&limit=&cursor=&sort=&status=&supplierId=&from=&to=
+ * @param {Object} req - Objeto de solicitud con los parámetros de listado en la query.
+ * @param {Object} res - Objeto de respuesta con { data, total, page, limit, totalPages, links } o error 400.
+ */
+export const getPurchaseOrder = async (req, res, next) => {
+  try {
+    const criteria = parseListQuery(req.query, PURCHASE_ORDER_LIST_SPEC);
+    const getPurchaseOrder = new GetPurchaseOrder(purchaseOrderRepository);
+    const result = await getPurchaseOrder.execute(criteria);
+    res.json(buildPageResponse(req, criteria, result));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene una orden de compra por su ID.
+ *
+ * @route GET /api/purchaseOrders/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con la orden encontrada o error 404.
+ */
+export const getPurchaseOrderById = async (req, res, next) => {
+  try {
+    const getPurchaseOrderById = new GetPurchaseOrderById(purchaseOrderRepository);
+    const purchaseOrder = await getPurchaseOrderById.execute(req.params.id);
+    if (!purchaseOrder) throw new NotFoundError("Orden de compra no encontrada");
+    res.json(purchaseOrder);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Envía o cierra una orden de compra.
+ *
+ * @route POST /api/purchaseOrders/:id/transition
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros y { status, note } en el body.
+ * @param {Object} res - Objeto de respuesta con la orden actualizada, error 404 o 409.
+ */
+export const updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const { status, note } = req.body ?? {};
+    const updatePurchaseOrder = new UpdatePurchaseOrder(purchaseOrderRepository, transactionManager);
+    const purchaseOrder = await updatePurchaseOrder.execute(req.params.id, { status, note }, req.user.id);
+    if (!purchaseOrder) throw new NotFoundError("Orden de compra no encontrada");
+    res.json(purchaseOrder);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Registra la recepción de mercancía de una orden de compra.
+ *
+ * @route POST /api/purchaseOrders/:id/receipts
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros y { lines, note } en el body.
+ * @param {Object} res - Objeto de respuesta con la orden actualizada, error 404 o 409.
+ */
+export const receivePurchaseOrder = async (req, res, next) => {
+  try {
+    const receivePurchaseOrder = new ReceivePurchaseOrder(purchaseOrderRepository, stockService, transactionManager);
+    const purchaseOrder = await receivePurchaseOrder.execute(req.params.id, req.body, req.user.id);
+    if (!purchaseOrder) throw new NotFoundError("Orden de compra no encontrada");
+    res.json(purchaseOrder);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Elimina una orden de compra en borrador.
+ *
+ * @route DELETE /api/purchaseOrders/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con mensaje de confirmación, error 404 o 409.
+ */
+export const deletePurchaseOrder = async (req, res, next) => {
+  try {
+    const deletePurchaseOrder = new DeletePurchaseOrder(purchaseOrderRepository);
+    const result = await deletePurchaseOrder.execute(req.params.id);
+    if (!result) throw new NotFoundError("Orden de compra no encontrada");
+    res.json({ message: "✅ Orden de compra eliminada correctamente ✅" });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,168 @@
+/**
+ * REPORTCONTROLLER.JS - CONTROLADOR DE REPORTES
+ * =============================================
+ *
+ * Expone los reportes de negocio calculados a partir de pedidos,
+ * detalles y productos.
+ *
+ * ENDPOINTS Y RESPUESTAS:
+ * - GET /api/reports/sales  → 200 { groupBy, from, to, timezone, statuses, totals, data, cancelled }
+ *                             o CSV con `?format=csv`; 400 rango de fechas o estados inválidos
+ * - GET /api/reports/margin → 200 { groupBy, from, to, totals, data }, 400 rango de fechas inválido
+ * - GET /api/reports/inventory → 200 { groupBy, category, alertsOnly, totals, data }
+ * - GET /api/reports/integrity → 200 { checkedAt, orphanDetails: { count, orders, units, subtotal, data } }
+ *
+ * Los periodos del reporte de ventas se cortan en la zona horaria de
+ * `REPORT_TIMEZONE` (por defecto UTC).
+ *
+ * Los errores se pasan con `next(err)` al `errorMiddleware`.
+ */
+
+import GetMarginReport from "../../application/use-cases/report/GetMarginReport.js";
+import GetSalesReport from "../../application/use-cases/report/GetSalesReport.js";
+import GetInventoryReport from "../../application/use-cases/report/GetInventoryReport.js";
+import GetIntegrityReport from "../../application/use-cases/report/GetIntegrityReport.js";
+
+import OrderDetailsRepositoryMongo from "../../infrastructure/repositories/OrderDetailsRepositoryMongo.js";
+import ProductRepositoryMongo from "../../infrastructure/repositories/ProductRepositoryMongo.js";
+import { parseDateParam } from "../utils/dateParams.js";
+import { toCsv } from "../utils/csv.js";
+import { REPORT_GROUP } from "../../domain/constants/reportGroups.js";
+import ValidationError from "../../domain/errors/ValidationError.js";
+
+// Instancias de repositorios (inyección de dependencias)
+const orderDetailsRepository = new OrderDetailsRepositoryMongo();
+const productRepository = new ProductRepositoryMongo();
+
+// Zona horaria en la que se cortan días, semanas y meses (ej. "America/Bogota")
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || "UTC";
+
+// Columnas del CSV de ventas: las del grupo seguidas de las cifras
+const SALES_KEY_COLUMNS = {
+  [REPORT_GROUP.DAY]: [{ key: "period", header: "Periodo" }],
+  [REPORT_GROUP.WEEK]: [{ key: "period", header: "Periodo" }],
+  [REPORT_GROUP.MONTH]: [{ key: "period", header: "Periodo" }],
+  [REPORT_GROUP.PRODUCT]: [
+    { key: "productId", header: "Producto" },
+    { key: "name", header: "Nombre" },
+    { key: "category", header: "Categoría" }
+  ],
+  [REPORT_GROUP.CATEGORY]: [{ key: "category", header: "Categoría" }],
+  [REPORT_GROUP.SELLER]: [
+    { key: "userId", header: "Vendedor" },
+    { key: "name", header: "Nombre" },
+    { key: "email", header: "Correo" }
+  ]
+};
+
+const SALES_FIGURE_COLUMNS = [
+  { key: "orders", header: "Pedidos" },
+  { key: "units", header: "Unidades" },
+  { key: "gross", header: "Bruto" },
+  { key: "discount", header: "Descuento" },
+  { key: "net", header: "Neto" },
+  { key: "revenue", header: "Ingresos sin IVA" },
+  { key: "totalWithTax", header: "Total con IVA" }
+];
+
+/**
+ * Lee `from` / `to` de la query (el día de `to` se incluye completo).
+ * @param {Object} query - req.query
+ * @returns {{ from: Date|null, to: Date|null }}
+ * @throws {ValidationError} Si alguna fecha es inválida
+ */
+const parseDateRange = (query) => {
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to, true);
+  if (from === undefined || to === undefined) {
+    throw new ValidationError("❌ Rango de fechas inválido ❌");
+  }
+  return { from, to };
+};
+
+/**
+ * Obtiene ingresos, pedidos y unidades vendidas agrupados por periodo,
+ * producto, categoría o vendedor. Los pedidos cancelados se informan aparte.
+ *
+ * @route GET /api/reports/sales?groupBy=&from=&to=&status=&format=json|csv
+ * @param {Object} req - Objeto de solicitud con agrupación, rango, estados (separados por coma) y formato en la query.
+ * @param {Object} res - Objeto de respuesta con el reporte en JSON o CSV (solo las filas), o error 400.
+ */
+export const getSalesReport = async (req, res, next) => {
+  try {
+    const { from, to } = parseDateRange(req.query);
+    const statuses = req.query.status
+      ? req.query.status.split(",").map((status) => status.trim()).filter(Boolean)
+      : null;
+
+    const getSalesReport = new GetSalesReport(orderDetailsRepository, REPORT_TIMEZONE);
+    const report = await getSalesReport.execute({ groupBy: req.query.groupBy, statuses, from, to });
+
+    if (req.query.format === "csv") {
+      const columns = [...SALES_KEY_COLUMNS[report.groupBy], ...SALES_FIGURE_COLUMNS];
+      res.type("text/csv; charset=utf-8");
+      res.attachment(`ventas-${report.groupBy}.csv`);
+      return res.send(toCsv(report.data, columns));
+    }
+
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene el margen bruto de las ventas agrupado por pedido, producto o categoría.
+ *
+ * @route GET /api/reports/margin?groupBy=order|product|category&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @param {Object} req - Objeto de solicitud con la agrupación y el rango opcional en la query.
+ * @param {Object} res - Objeto de respuesta con totales y una fila por grupo, o error 400.
+ */
+export const getMarginReport = async (req, res, next) => {
+  try {
+    const { from, to } = parseDateRange(req.query);
+
+    const getMarginReport = new GetMarginReport(orderDetailsRepository);
+    const report = await getMarginReport.execute({ groupBy: req.query.groupBy, from, to });
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene la valorización del inventario y los productos por reponer.
+ *
+ * @route GET /api/reports/inventory?groupBy=product|category&category=&alertsOnly=true|false
+ * @param {Object} req - Objeto de solicitud con la agrupación, la categoría y el filtro de alertas en la query.
+ * @param {Object} res - Objeto de respuesta con totales y una fila por producto o categoría.
+ */
+export const getInventoryReport = async (req, res, next) => {
+  try {
+    const getInventoryReport = new GetInventoryReport(productRepository);
+    const report = await getInventoryReport.execute({
+      groupBy: req.query.groupBy,
+      category: req.query.category || null,
+      alertsOnly: req.query.alertsOnly === "true"
+    });
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Busca datos inconsistentes: detalles de pedido cuyo pedido ya no existe.
+ *
+ * @route GET /api/reports/integrity
+ * @param {Object} req - Objeto de solicitud.
+ * @param {Object} res - Objeto de respuesta con los detalles huérfanos encontrados.
+ */
+export const getIntegrityReport = async (req, res, next) => {
+  try {
+    const getIntegrityReport = new GetIntegrityReport(orderDetailsRepository);
+    res.json(await getIntegrityReport.execute());
+  } catch (err) {
+    next(err);
+  }
+};
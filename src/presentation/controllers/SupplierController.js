@@ -0,0 +1,135 @@
+/**
+ * SUPPLIERCONTROLLER.JS - CONTROLADOR DE PROVEEDORES
+ * ==================================================
+ *
+ * Expone los endpoints REST de proveedores y orquesta los casos de uso
+ * correspondientes.
+ *
+ * ENDPOINTS Y RESPUESTAS:
+ * - POST   /api/suppliers     → 201 proveedor creado, 400 datos inválidos, 409 taxId repetido
+ * - GET    /api/suppliers     → 200 { data, total, page, limit, totalPages, links }
+ * - GET    /api/suppliers/:id → 200 proveedor, 404 no encontrado
+ * - PUT    /api/suppliers/:id → 200 proveedor actualizado, 404 no encontrado
+ * - DELETE /api/suppliers/:id → 200 eliminado, 404 no encontrado, 409 tiene órdenes de compra
+ *
+ * Los errores se pasan con `next(err)` al `errorMiddleware`.
+ */
+
+import CreateSupplier from "../../application/use-cases/supplier/CreateSupplier.js";
+import GetSupplier from "../../application/use-cases/supplier/GetSupplier.js";
+import GetSupplierById from "../../application/use-cases/supplier/GetSupplierById.js";
+import UpdateSupplier from "../../application/use-cases/supplier/UpdateSupplier.js";
+import DeleteSupplier from "../../application/use-cases/supplier/DeleteSupplier.js";
+
+import SupplierRepositoryMongo from "../../infrastructure/repositories/SupplierRepositoryMongo.js";
+import PurchaseOrderRepositoryMongo from "../../infrastructure/repositories/PurchaseOrderRepositoryMongo.js";
+import { parseListQuery, buildPageResponse } from "../utils/listQuery.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+
+// Instancias de repositorios (inyección de dependencias)
+const supplierRepository = new SupplierRepositoryMongo();
+const purchaseOrderRepository = new PurchaseOrderRepositoryMongo();
+
+/**
+ * Gramática del listado de proveedores (ver utils/listQuery.js).
+ */
+const SUPPLIER_LIST_SPEC = {
+  fields: {
+    _id: "id",
+    name: "string",
+    taxId: "string",
+    email: "string",
+    createdAt: "date",
+    updatedAt: "date"
+  },
+  defaultSort: "name"
+};
+
+/**
+ * Crea un nuevo proveedor.
+ *
+ * @route POST /api/suppliers
+ * @param {Object} req - Objeto de solicitud con los datos del proveedor en el body.
+ * @param {Object} res - Objeto de respuesta con el proveedor creado.
+ */
+export const createSupplier = async (req, res, next) => {
+  try {
+    const createSupplier = new CreateSupplier(supplierRepository);
+    const supplier = await createSupplier.execute(req.body);
+    res.status(201).json(supplier);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene una página de proveedores, con filtros y orden.
+ *
+ * @route GET /api/suppliers?page=&limit=&cursor=&sort=&name=&taxId=
+ * @param {Object} req - Objeto de solicitud con los parámetros de listado en la query.
+ * @param {Object} res - Objeto de respuesta con { data, total, page, limit, totalPages, links } o error 400.
+ */
+export const getSupplier = async (req, res, next) => {
+  try {
+    const criteria = parseListQuery(req.query, SUPPLIER_LIST_SPEC);
+    const getSupplier = new GetSupplier(supplierRepository);
+    const result = await getSupplier.execute(criteria);
+    res.json(buildPageResponse(req, criteria, result));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtiene un proveedor por su ID.
+ *
+ * @route GET /api/suppliers/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con el proveedor encontrado o error 404.
+ */
+export const getSupplierById = async (req, res, next) => {
+  try {
+    const getSupplierById = new GetSupplierById(supplierRepository);
+    const supplier = await getSupplierById.execute(req.params.id);
+    if (!supplier) throw new NotFoundError("Proveedor no encontrado");
+    res.json(supplier);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Actualiza un proveedor por su ID.
+ *
+ * @route PUT /api/suppliers/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros y datos en el body.
+ * @param {Object} res - Objeto de respuesta con el proveedor actualizado o error 404.
+ */
+export const updateSupplier = async (req, res, next) => {
+  try {
+    const updateSupplier = new UpdateSupplier(supplierRepository);
+    const supplier = await updateSupplier.execute(req.params.id, req.body);
+    if (!supplier) throw new NotFoundError("Proveedor no encontrado");
+    res.json(supplier);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Elimina un proveedor por su ID (solo si no tiene órdenes de compra).
+ *
+ * @route DELETE /api/suppliers/:id
+ * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
+ * @param {Object} res - Objeto de respuesta con mensaje de confirmación, error 404 o 409.
+ */
+export const deleteSupplier = async (req, res, next) => {
+  try {
+    const deleteSupplier = new DeleteSupplier(supplierRepository, purchaseOrderRepository);
+    const result = await deleteSupplier.execute(req.params.id);
+    if (!result) throw new NotFoundError("Proveedor no encontrado");
+    res.json({ message: "✅ Proveedor eliminado correctamente ✅" });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * TAXRATECONTROLLER.JS - CONTROLADOR DE TARIFAS DE IVA
+ * ====================================================
+ *
+ * Expone la configuración de IVA y la tarifa de cada categoría de
+ * productos (ver `domain/constants/taxRates.js`).
+ *
+ * ENDPOINTS Y RESPUESTAS:
+ * - GET    /api/taxRates                      → 200 { defaultRate, rates, categories }
+ * - PUT    /api/taxRates/categories/:category → 200 tarifa guardada, 400 tarifa inválida
+ * - DELETE /api/taxRates/categories/:category → 200 eliminada, 404 la categoría no tenía tarifa
+ *
+ * Los errores se pasan con `next(err)` al `errorMiddleware`.
+ */
+
+import GetTaxRates from "../../application/use-cases/taxRate/GetTaxRates.js";
+import SetCategoryTaxRate from "../../application/use-cases/taxRate/SetCategoryTaxRate.js";
+import DeleteCategoryTaxRate from "../../application/use-cases/taxRate/DeleteCategoryTaxRate.js";
+
+import CategoryTaxRateRepositoryMongo from "../../infrastructure/repositories/CategoryTaxRateRepositoryMongo.js";
+import { DEFAULT_TAX_RATE } from "../../config/tax.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+
+// Instancias de repositorios (inyección de dependencias)
+const categoryTaxRateRepository = new CategoryTaxRateRepositoryMongo();
+
+/**
+ * Obtiene la tarifa por defecto, las tarifas admitidas y las de cada categoría.
+ *
+ * @route GET /api/taxRates
+ * @param {Object} req - Objeto de solicitud.
+ * @param {Object} res - Objeto de respuesta con { defaultRate, rates, categories }.
+ */
+export const getTaxRates = async (req, res, next) => {
+  try {
+    const getTaxRates = new GetTaxRates(categoryTaxRateRepository, DEFAULT_TAX_RATE);
+    res.json(await getTaxRates.execute());
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Crea o cambia la tarifa de IVA de una categoría.
+ *
+ * @route PUT /api/taxRates/categories/:category
+ * @param {Object} req - Objeto de solicitud con la categoría en los parámetros y { rate } en el body.
+ * @param {Object} res - Objeto de respuesta con la tarifa guardada.
+ */
+export const setCategoryTaxRate = async (req, res, next) => {
+  try {
+    const setCategoryTaxRate = new SetCategoryTaxRate(categoryTaxRateRepository);
+    const categoryRate = await setCategoryTaxRate.execute(req.params.category, req.body);
+    res.json(categoryRate);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Quita la tarifa de IVA de una categoría (sus productos vuelven a la tarifa por defecto).
+ *
+ * @route DELETE /api/taxRates/categories/:category
+ * @param {Object} req - Objeto de solicitud con la categoría en los parámetros.
+ * @param {Object} res - Objeto de respuesta con mensaje de confirmación o error 404.
+ */
+export const deleteCategoryTaxRate = async (req, res, next) => {
+  try {
+    const deleteCategoryTaxRate = new DeleteCategoryTaxRate(categoryTaxRateRepository);
+    const result = await deleteCategoryTaxRate.execute(req.params.category);
+    if (!result) throw new NotFoundError("La categoría no tiene tarifa de IVA propia");
+    res.json({ message: "✅ Tarifa de la categoría eliminada correctamente ✅" });
+  } catch (err) {
+    next(err);
+  }
+};
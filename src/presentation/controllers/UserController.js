@@ -13,100 +13,119 @@ import DeleteUser from "../../application/use-cases/user/DeleteUser.js";
 
 import PasswordEncrypter from "../../presentation/security/password_encrypter.js";
 import UserRepositoryMongo from "../../infrastructure/repositories/UserRepositoryMongo.js";
+import { canAccessOwned, ALLOWED_ROLES } from "../../domain/constants/roles.js";
+import { parseListQuery, buildPageResponse } from "../utils/listQuery.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+import ForbiddenError from "../../domain/errors/ForbiddenError.js";
 
 // Instancias de dependencias
 const userRepository = new UserRepositoryMongo();
 const passwordEncrypter = new PasswordEncrypter();
 
+/**
+ * Gramática del listado de usuarios (ver utils/listQuery.js).
+ * La contraseña no se puede filtrar ni ordenar.
+ */
+const USER_LIST_SPEC = {
+  fields: {
+    _id: "id",
+    name: "string",
+    email: "string",
+    rol: ALLOWED_ROLES,
+    createdAt: "date",
+    updatedAt: "date"
+  },
+  defaultSort: "name"
+};
+
 /**
  * Crea un nuevo usuario.
  *
- * @route POST /users
+ * @route POST /api/users/auth/register
  * @param {Object} req - Objeto de solicitud con los datos del usuario en el body.
  * @param {Object} res - Objeto de respuesta con el usuario creado.
  */
-export const createUser = async (req, res) => {
+export const createUser = async (req, res, next) => {
   try {
     const createUser = new CreateUser(userRepository, passwordEncrypter);
     const user = await createUser.execute(req.body);
     res.status(201).json(user);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
- * Obtiene todos los usuarios registrados.
+ * Obtiene una página de usuarios, con filtros y orden.
  *
- * @route GET /users
- * @param {Object} req - Objeto de solicitud.
- * @param {Object} res - Objeto de respuesta con la lista de usuarios.
+ * @route GET /api/users?page=&limit=&cursor=&sort=&rol=
+ * @param {Object} req - Objeto de solicitud con los parámetros de listado en la query.
+ * @param {Object} res - Objeto de respuesta con { data, total, page, limit, totalPages, links } o error 400.
  */
-export const getUser = async (req, res) => {
+export const getUser = async (req, res, next) => {
   try {
+    const criteria = parseListQuery(req.query, USER_LIST_SPEC);
     const getUser = new GetUser(userRepository);
-    const user = await getUser.execute();
-    res.json(user);
+    const result = await getUser.execute(criteria);
+    res.json(buildPageResponse(req, criteria, result));
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * Obtiene un usuario por su ID.
+ * Un vendedor solo puede consultar su propio usuario.
  *
- * @route GET /users/:id
+ * @route GET /api/users/:id
  * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
  * @param {Object} res - Objeto de respuesta con el usuario encontrado o error 404.
  */
-export const getUserById = async (req, res) => {
+export const getUserById = async (req, res, next) => {
   try {
+    if(!canAccessOwned(req.user, req.params.id)) throw new ForbiddenError();
+
     const getUserById = new GetUserById(userRepository);
     const user = await getUserById.execute(req.params.id);
-    if (!user) return res.status(404).json({ message: "Usuario no encontrado" });
+    if (!user) throw new NotFoundError("Usuario no encontrado");
     res.json(user);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * Actualiza un usuario por su ID.
  *
- * @route PUT /users/:id
+ * @route PUT /api/users/:id
  * @param {Object} req - Objeto de solicitud con el ID en los parámetros y los datos en el body.
  * @param {Object} res - Objeto de respuesta con el usuario actualizado o error 404.
  */
-export const updateUser = async (req, res) => {
+export const updateUser = async (req, res, next) => {
   try {
     const updateUser = new UpdateUser(userRepository);
     const user = await updateUser.execute(req.params.id, req.body);
-    if (!user) return res.status(404).json({ message: "Usuario no encontrado" });
+    if (!user) throw new NotFoundError("Usuario no encontrado");
     res.json(user);
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
 
 /**
  * Elimina un usuario por su ID.
  *
- * @route DELETE /users/:id
+ * @route DELETE /api/users/:id
  * @param {Object} req - Objeto de solicitud con el ID en los parámetros.
  * @param {Object} res - Objeto de respuesta con mensaje de confirmación o error 404.
  */
-export const deleteUser = async (req, res) => {
+export const deleteUser = async (req, res, next) => {
   try {
     const deleteUser = new DeleteUser(userRepository);
     const result = await deleteUser.execute(req.params.id);
-    if (!result) return res.status(404).json({ message: "Usuario no encontrado" });
+    if (!result) throw new NotFoundError("Usuario no encontrado");
     res.json({ message: "✅ Usuario eliminado correctamente ✅" });
   } catch (err) {
-    console.error(err); // Esto mostrará el stacktrace
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 };
@@ -5,6 +5,8 @@
  * Controlador encargado del proceso de **inicio de sesión** de usuarios.
  * Recibe la solicitud HTTP desde la capa de presentación, utiliza el caso
  * de uso `LoginUser` y retorna un token JWT junto con los datos del usuario.
+ * También gestiona la renovación (`RefreshUserToken`) y el cierre de
+ * sesión (`LogoutUser`) mediante refresh tokens rotativos.
  *
  * DEPENDENCIAS:
  * -------------
@@ -12,6 +14,8 @@
  * - UserRepositoryMongo: Repositorio para acceder a los datos de usuario en MongoDB.
  * - PasswordEncrypter: Servicio para comparar contraseñas encriptadas.
  * - TokenGenerator: Servicio para generar tokens JWT.
+ * - RefreshTokenGenerator: Servicio para generar y hashear refresh tokens.
+ * - RefreshTokenRepositoryMongo: Repositorio de refresh tokens (solo hashes).
  * - User (Entidad): Representación de usuario en el dominio.
  *
  * FLUJO:
@@ -21,12 +25,21 @@
  *    - Verifica que el usuario exista.
  *    - Comprueba que la contraseña sea correcta.
  *    - Genera un token JWT.
- * 3. El controlador devuelve un objeto con el `token` y los datos del usuario (sin contraseña).
+ *    - Emite un refresh token asociado a una nueva sesión.
+ * 3. El controlador devuelve un objeto con el `token`, el `refreshToken` y los datos del usuario (sin contraseña).
+ * 4. Cuando el access token expira, el cliente envía el `refreshToken` a `/refresh`
+ *    y recibe un nuevo par de tokens (el anterior queda inutilizable).
+ * 5. Al cerrar sesión, el cliente envía el `refreshToken` a `/logout` y la sesión se revoca.
  *
  * RESPUESTAS HTTP:
  * ----------------
- * - 200 (OK): Inicio de sesión exitoso → devuelve `{ token, user }`.
- * - 401 (Unauthorized): Credenciales incorrectas o usuario no encontrado → `{ error: mensaje }`.
+ * - 200 (OK): Inicio de sesión exitoso → devuelve `{ token, refreshToken, user }`.
+ * - 200 (OK): Renovación exitosa → devuelve `{ token, refreshToken }`.
+ * - 200 (OK): Sesión cerrada → `{ message }`.
+ * - 400 (Bad Request): Falta el refresh token → `{ error, code: "VALIDATION_ERROR" }`.
+ * - 401 (Unauthorized): Credenciales inválidas (mismo mensaje si el email no existe o la
+ *   contraseña es incorrecta, para no revelar qué correos están registrados) o refresh token
+ *   inválido/expirado/revocado → `{ error, code }`. Ver `errorMiddleware`.
  *
  * CASOS DE USO TÍPICOS:
  * ---------------------
@@ -35,36 +48,93 @@
  */
 
 import LoginUser from "../../application/use-cases/user/LoginUser.js";
+import RefreshUserToken from "../../application/use-cases/user/RefreshUserToken.js";
+import LogoutUser from "../../application/use-cases/user/LogoutUser.js";
 import UserRepository from "../../infrastructure/repositories/UserRepositoryMongo.js";
+import RefreshTokenRepositoryMongo from "../../infrastructure/repositories/RefreshTokenRepositoryMongo.js";
 import PasswordEncrypter from "../security/password_encrypter.js";
 import TokenGenerator from "../security/token_generator.js";
+import RefreshTokenGenerator from "../security/refresh_token_generator.js";
 import UserModel from "../../domain/entities/User.js";
 
 // Instancias de dependencias
 const passwordEncrypter = new PasswordEncrypter();
 const userRepository = new UserRepository(UserModel);
 const tokenGenerator = new TokenGenerator(process.env.JWT_SECRET || "supersecretcode");
+const refreshTokenRepository = new RefreshTokenRepositoryMongo();
+const refreshTokenGenerator = new RefreshTokenGenerator();
 
-// Caso de uso LoginUser con dependencias inyectadas
-const loginUser = new LoginUser(userRepository, passwordEncrypter, tokenGenerator);
+// Casos de uso con dependencias inyectadas
+const loginUser = new LoginUser(
+  userRepository,
+  passwordEncrypter,
+  tokenGenerator,
+  refreshTokenRepository,
+  refreshTokenGenerator
+);
+const refreshUserToken = new RefreshUserToken(
+  userRepository,
+  tokenGenerator,
+  refreshTokenRepository,
+  refreshTokenGenerator
+);
+const logoutUser = new LogoutUser(refreshTokenRepository, refreshTokenGenerator);
 
 export default class LoginController {
   /**
    * LOGIN DE USUARIO
    * ----------------
-   * Endpoint: POST /login
+   * Endpoint: POST /api/auth/login
    *
    * @param {Object} req - Objeto Request con { email, password }
    * @param {Object} res - Objeto Response para enviar la respuesta al cliente
-   * @returns {JSON} token JWT + datos del usuario (sin contraseña)
+   * @param {Function} next - Pasa los errores al errorMiddleware
+   * @returns {JSON} token JWT + refresh token + datos del usuario (sin contraseña)
    */
-  static async login(req, res) {
+  static async login(req, res, next) {
     try {
-      const { token, user } = await loginUser.execute(req.body);
-      res.json({ token, user });
+      const { token, refreshToken, user } = await loginUser.execute(req.body ?? {});
+      res.json({ token, refreshToken, user });
     } catch (err) {
-      console.error(err); // Esto mostrará el stacktrace
-      res.status(401).json({ error: err.message });
+      next(err);
+    }
+  }
+
+  /**
+   * RENOVACIÓN DE SESIÓN
+   * --------------------
+   * Endpoint: POST /api/auth/refresh
+   *
+   * @param {Object} req - Objeto Request con { refreshToken }
+   * @param {Object} res - Objeto Response para enviar la respuesta al cliente
+   * @param {Function} next - Pasa los errores al errorMiddleware
+   * @returns {JSON} nuevo token JWT + nuevo refresh token
+   */
+  static async refresh(req, res, next) {
+    try {
+      const { token, refreshToken } = await refreshUserToken.execute(req.body ?? {});
+      res.json({ token, refreshToken });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * CIERRE DE SESIÓN
+   * ----------------
+   * Endpoint: POST /api/auth/logout
+   *
+   * @param {Object} req - Objeto Request con { refreshToken }
+   * @param {Object} res - Objeto Response para enviar la respuesta al cliente
+   * @param {Function} next - Pasa los errores al errorMiddleware
+   * @returns {JSON} mensaje de confirmación
+   */
+  static async logout(req, res, next) {
+    try {
+      await logoutUser.execute(req.body ?? {});
+      res.json({ message: "✅ Sesión cerrada correctamente ✅" });
+    } catch (err) {
+      next(err);
     }
   }
 }
@@ -0,0 +1,33 @@
+/**
+ * CHECK-OPENAPI.JS - VERIFICA QUE LA ESPECIFICACIÓN CUBRA TODAS LAS RUTAS
+ * =======================================================================
+ *
+ * Carga la aplicación de `server.js` tal como se sirve y compara las
+ * rutas de todos sus routers con `paths` de `docs/openapi.js` (ver
+ * `routeCoverage.js`):
+ * - Ruta de Express sin documentar → error
+ * - Ruta documentada que ya no existe en Express → error
+ * - Router montado sin ninguna ruta documentada → error
+ *
+ * Termina con código 1 si hay diferencias, por lo que puede usarse en CI.
+ * No necesita base de datos.
+ *
+ * USO:
+ *   npm run docs:check
+ */
+
+import app from "../server.js";
+import openApiSpec from "./openapi.js";
+import { findRouteCoverage } from "./routeCoverage.js";
+
+const { routes, undocumented, stale, unmounted } = findRouteCoverage(app, openApiSpec);
+
+for(const route of undocumented) console.error(`❌ Ruta sin documentar en openapi.js: ${route} ❌`);
+for(const route of stale) console.error(`❌ Ruta documentada que no existe en Express: ${route} ❌`);
+for(const list of unmounted) console.error(`❌ Router montado sin rutas documentadas: ${list.join(", ")} ❌`);
+
+if(undocumented.length > 0 || stale.length > 0 || unmounted.length > 0) {
+  process.exitCode = 1;
+} else {
+  console.log(`✅ Las ${routes.size} rutas de la API están documentadas ✅`);
+}
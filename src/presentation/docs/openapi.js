@@ -0,0 +1,1587 @@
+/**
+ * OPENAPI.JS - ESPECIFICACIÓN OPENAPI 3 DE LA API
+ * ===============================================
+ *
+ * Documento OpenAPI 3.0 con todas las rutas públicas de la API: usuarios,
+ * productos, pedidos, detalles de pedidos, clientes, tarifas de IVA, promociones,
+ * proveedores, órdenes de compra, reportes y autenticación. Es la fuente de
+ * verdad para el front-end sobre rutas, payloads y respuestas.
+ *
+ * Se sirve en:
+ * - GET /api/docs/openapi.json → documento JSON
+ * - GET /api/docs              → Swagger UI interactivo
+ *
+ * MANTENIMIENTO:
+ * Al agregar o cambiar una ruta en `routes/`, actualizar también este
+ * archivo. `npm run docs:check` falla si alguna ruta de Express no está
+ * documentada aquí (o si el documento describe rutas que ya no existen).
+ *
+ * Los enums (roles, estados de pedido, motivos del kardex) se leen de las
+ * constantes del dominio, y los cuerpos de entrada se generan a partir de
+ * los mismos esquemas que valida `validationMiddleware` (`schemas/`), para
+ * que el documento no se desincronice de lo que la API acepta.
+ */
+
+import { ALLOWED_ROLES } from "../../domain/constants/roles.js";
+import { ORDER_STATUSES } from "../../domain/constants/orderStatus.js";
+import { STOCK_MOVEMENT_REASONS } from "../../domain/constants/stockMovementReasons.js";
+import {
+  MARGIN_REPORT_GROUPS,
+  SALES_REPORT_GROUPS,
+  INVENTORY_REPORT_GROUPS
+} from "../../domain/constants/reportGroups.js";
+import { STOCK_LEVELS } from "../../domain/constants/stockLevels.js";
+import { PURCHASE_ORDER_STATUSES } from "../../domain/constants/purchaseOrderStatus.js";
+import { DOCUMENT_TYPES } from "../../domain/constants/documentTypes.js";
+import { TAX_RATES } from "../../domain/constants/taxRates.js";
+import { DISCOUNT_SOURCES, DISCOUNT_TYPES } from "../../domain/constants/discounts.js";
+import { PROMOTION_TYPES } from "../../domain/constants/promotions.js";
+import { userBodySchema } from "../schemas/userSchemas.js";
+import { loginBodySchema, refreshTokenBodySchema } from "../schemas/authSchemas.js";
+import { productBodySchema, SEARCH_MAX_LIMIT } from "../schemas/productSchemas.js";
+import {
+  orderCreateBodySchema,
+  orderTransitionBodySchema,
+  orderCancelBodySchema,
+  orderItemCreateBodySchema,
+  orderItemUpdateBodySchema,
+  ORDER_INCLUDES,
+  INVOICE_FORMATS
+} from "../schemas/orderSchemas.js";
+import { orderDetailsCreateBodySchema, orderDetailsUpdateBodySchema } from "../schemas/orderDetailsSchemas.js";
+import { customerBodySchema } from "../schemas/customerSchemas.js";
+import { categoryTaxRateBodySchema } from "../schemas/taxRateSchemas.js";
+import { supplierBodySchema } from "../schemas/supplierSchemas.js";
+import { promotionBodySchema } from "../schemas/promotionSchemas.js";
+import { couponBodySchema } from "../schemas/couponSchemas.js";
+import {
+  purchaseOrderCreateBodySchema,
+  purchaseOrderTransitionBodySchema,
+  goodsReceiptBodySchema
+} from "../schemas/purchaseOrderSchemas.js";
+
+// ============================================================
+// UTILIDADES PARA ARMAR EL DOCUMENTO
+// ============================================================
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = (schema) => ({ "application/json": { schema } });
+
+const jsonBody = (schema, description) => ({
+  required: true,
+  ...(description && { description }),
+  content: jsonContent(schema)
+});
+
+const ok = (description, schema) => ({ description, content: jsonContent(schema) });
+
+/**
+ * Respuestas de error estándar (ver errorMiddleware) por código HTTP.
+ * @param {...number} statuses - Códigos a incluir
+ */
+const errors = (...statuses) => Object.fromEntries(
+  statuses.map((status) => [String(status), { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }])
+);
+
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "NotFound",
+  409: "Conflict"
+};
+
+const idParam = (description) => ({
+  name: "id",
+  in: "path",
+  required: true,
+  description,
+  schema: ref("ObjectId")
+});
+
+// `$ref` no admite propiedades hermanas (como `nullable`) en OpenAPI 3.0
+const NULLABLE_ID = { type: "string", pattern: "^[a-fA-F0-9]{24}$", nullable: true };
+
+const queryParam = (name, schema, description) => ({ name, in: "query", required: false, description, schema });
+
+/**
+ * Respuesta paginada de los listados (ver utils/listQuery.js).
+ * @param {string} itemSchema - Nombre del esquema de cada elemento
+ */
+const page = (itemSchema) => ({
+  allOf: [
+    ref("PageMeta"),
+    {
+      type: "object",
+      properties: { data: { type: "array", items: ref(itemSchema) } }
+    }
+  ]
+});
+
+/**
+ * Convierte una regla de `domain/constants/fieldRules.js` a un esquema OpenAPI.
+ * @param {Object} rule - Regla del campo
+ */
+const fromRule = (rule) => {
+  if(rule.type === "objectId") return ref("ObjectId");
+  if(rule.type === "object") return fromFields(rule.fields);
+
+  const schema = rule.type === "date" ? { type: "string", format: "date-time" } : { type: rule.type };
+  if(rule.minLength != null) schema.minLength = rule.minLength;
+  if(rule.maxLength != null) schema.maxLength = rule.maxLength;
+  if(rule.min != null) schema.minimum = rule.min;
+  if(rule.max != null) schema.maximum = rule.max;
+  if(rule.enum) schema.enum = [...rule.enum];
+  if(rule.pattern) schema.pattern = rule.pattern.source;
+  if(rule.minItems != null) schema.minItems = rule.minItems;
+  if(rule.maxItems != null) schema.maxItems = rule.maxItems;
+  if(rule.items) schema.items = fromRule(rule.items);
+  return schema;
+};
+
+/**
+ * Esquema OpenAPI de un cuerpo a partir de sus reglas de validación.
+ * @param {Object} fields - Reglas por campo (ver `presentation/schemas/`)
+ * @param {Object} [extras] - Datos solo de documentación por campo (description, example, format...)
+ */
+const fromFields = (fields, extras = {}) => {
+  const required = Object.keys(fields).filter((name) => fields[name].required);
+  const properties = Object.fromEntries(
+    Object.entries(fields).map(([name, rule]) => [name, { ...fromRule(rule), ...extras[name] }])
+  );
+  return {
+    type: "object",
+    ...(required.length > 0 && { required }),
+    properties,
+    additionalProperties: false
+  };
+};
+
+const LIST_PARAMETERS = [
+  { $ref: "#/components/parameters/page" },
+  { $ref: "#/components/parameters/limit" },
+  { $ref: "#/components/parameters/cursor" },
+  { $ref: "#/components/parameters/sort" }
+];
+
+// Filtros del listado de pedidos (GET /api/order y GET /api/customers/{id}/orders)
+const ORDER_FILTER_PARAMETERS = [
+  queryParam("status", { type: "string", enum: ORDER_STATUSES }, "Estado del pedido"),
+  queryParam("from", { type: "string", format: "date-time" }, "Creados desde"),
+  queryParam("to", { type: "string", format: "date-time" }, "Creados hasta"),
+  queryParam("minTotal", { type: "integer" }, "Total mínimo (centavos)"),
+  queryParam("maxTotal", { type: "integer" }, "Total máximo (centavos)")
+];
+
+// ============================================================
+// COMPONENTES
+// ============================================================
+
+const schemas = {
+  ObjectId: {
+    type: "string",
+    pattern: "^[a-fA-F0-9]{24}$",
+    example: "64a1b2c3d4e5f6789abcdef0"
+  },
+
+  Error: {
+    type: "object",
+    description: "Formato común de error. Algunos códigos agregan campos propios (ej. `allowed`, `available`).",
+    required: ["error", "code"],
+    properties: {
+      error: { type: "string", example: "❌ Datos inválidos ❌" },
+      code: { type: "string", example: "VALIDATION_ERROR" }
+    },
+    additionalProperties: true
+  },
+
+  Message: {
+    type: "object",
+    properties: { message: { type: "string", example: "✅ Eliminado correctamente ✅" } }
+  },
+
+  PageMeta: {
+    type: "object",
+    properties: {
+      total: { type: "integer", example: 57 },
+      page: { type: "integer", nullable: true, description: "null en paginación por cursor", example: 2 },
+      limit: { type: "integer", example: 20 },
+      totalPages: { type: "integer", example: 3 },
+      links: {
+        type: "object",
+        properties: {
+          self: { type: "string", example: "/api/products?page=2" },
+          next: { type: "string", nullable: true, example: "/api/products?page=3" },
+          prev: { type: "string", nullable: true, example: "/api/products?page=1" }
+        }
+      }
+    }
+  },
+
+  // ----- Usuarios -----
+  User: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      name: { type: "string", example: "Juan Pérez" },
+      email: { type: "string", format: "email", example: "juan@tienda.com" },
+      rol: { type: "string", enum: ALLOWED_ROLES },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  UserInput: fromFields(userBodySchema, {
+    email: { format: "email" },
+    password: { format: "password" }
+  }),
+
+  // ----- Autenticación -----
+  LoginRequest: fromFields(loginBodySchema, {
+    email: { format: "email", example: "admin@tienda.com" },
+    password: { format: "password", example: "secreto" }
+  }),
+
+  RefreshRequest: fromFields(refreshTokenBodySchema),
+
+  TokenPair: {
+    type: "object",
+    properties: {
+      token: { type: "string", description: "Access token JWT (corta duración)" },
+      refreshToken: { type: "string", description: "Token opaco para renovar la sesión" }
+    }
+  },
+
+  LoginResponse: {
+    allOf: [
+      ref("TokenPair"),
+      { type: "object", properties: { user: ref("User") } }
+    ]
+  },
+
+  // ----- Productos -----
+  Product: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      name: { type: "string", example: "Café molido 500g" },
+      description: { type: "string", example: "Tostado medio" },
+      price: { type: "integer", example: 1850000 },
+      stock: { type: "integer", description: "Unidades disponibles para vender", example: 40 },
+      reserved: { type: "integer", description: "Unidades apartadas por pedidos no despachados", example: 3 },
+      category: { type: "string", example: "Bebidas" },
+      cost: { type: "integer", nullable: true, description: "Costo promedio ponderado (se recalcula en cada recepción de mercancía; null = desconocido)", example: 1240000 },
+      reorderPoint: { type: "integer", description: "Con este stock disponible o menos hay que reponer (0 = sin definir)", example: 10 },
+      reorderQuantity: { type: "integer", description: "Unidades sugeridas al reponer", example: 24 },
+      taxRate: { type: "number", enum: TAX_RATES, nullable: true, description: "Tarifa de IVA propia (null = la de su categoría o la por defecto)", example: 19 },
+      priceIncludesTax: { type: "boolean", description: "Si `price` ya incluye el IVA", example: true },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  ProductInput: fromFields(productBodySchema, {
+    stock: { description: "Stock inicial (se registra en el kardex)" },
+    cost: { description: "Costo unitario del stock inicial. Si se omite queda null (costo desconocido: el reporte de inventario no lo valoriza)" },
+    taxRate: { description: "Si se omite, se usa la tarifa de la categoría o la por defecto" },
+    priceIncludesTax: { default: true }
+  }),
+
+  ProductUpdate: {
+    ...fromFields(productBodySchema, {
+      cost: { description: "Si se omite, se conserva el costo promedio actual" },
+      reorderPoint: { description: "Si se omite, se conserva el actual" },
+      reorderQuantity: { description: "Si se omite, se conserva la actual" },
+      taxRate: { nullable: true, description: "Si se omite, se conserva la actual; null vuelve a la tarifa de la categoría" },
+      priceIncludesTax: { description: "Si se omite, se conserva el actual" }
+    }),
+    description: "Producto completo (reemplaza al actual). Un cambio de `stock` se registra como ajuste manual."
+  },
+
+  ProductSearchResult: {
+    type: "object",
+    properties: {
+      query: { type: "string", example: "cafe" },
+      total: { type: "integer", example: 1 },
+      data: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            product: ref("Product"),
+            score: { type: "number", example: 3 },
+            highlights: {
+              type: "object",
+              description: "Campos con coincidencias; los términos van entre `<mark>` y el resto del texto escapado.",
+              properties: {
+                name: { type: "string", example: "<mark>Café</mark> molido 500g" },
+                description: { type: "string" },
+                category: { type: "string" }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  StockMovement: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      productId: ref("ObjectId"),
+      quantity: { type: "integer", description: "Variación con signo", example: -2 },
+      balance: { type: "integer", description: "Stock después del movimiento", example: 38 },
+      reason: { type: "string", enum: STOCK_MOVEMENT_REASONS },
+      sourceId: NULLABLE_ID,
+      sourceType: { type: "string", nullable: true, example: "Order" },
+      userId: NULLABLE_ID,
+      note: { type: "string" },
+      createdAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  ProductMovements: {
+    type: "object",
+    properties: {
+      productId: ref("ObjectId"),
+      from: { type: "string", format: "date-time", nullable: true },
+      to: { type: "string", format: "date-time", nullable: true },
+      openingBalance: { type: "integer" },
+      closingBalance: { type: "integer" },
+      movements: { type: "array", items: ref("StockMovement") }
+    }
+  },
+
+  // ----- Pedidos -----
+  StatusHistoryEntry: {
+    type: "object",
+    properties: {
+      from: { type: "string", enum: ORDER_STATUSES, nullable: true },
+      to: { type: "string", enum: ORDER_STATUSES },
+      by: NULLABLE_ID,
+      at: { type: "string", format: "date-time" },
+      note: { type: "string" }
+    }
+  },
+
+  Order: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      number: { type: "string", description: "Número legible y consecutivo (ausente en pedidos sin numerar)", example: "PED-2026-000123" },
+      userId: ref("ObjectId"),
+      customerId: { ...NULLABLE_ID, description: "Cliente que compra (null = consumidor final)" },
+      subtotal: { type: "integer", description: "Base gravable (suma de las líneas sin IVA)", example: 3109244 },
+      taxTotal: { type: "integer", description: "IVA del pedido", example: 590756 },
+      total: { type: "integer", description: "subtotal + taxTotal", example: 3700000 },
+      discount: { ...ref("Discount"), nullable: true, description: "Descuento manual pedido para todo el pedido (ya repartido entre las líneas)" },
+      discountTotal: { type: "integer", description: "Total descontado en las líneas (promociones incluidas)", example: 411000 },
+      discountApprovedBy: { ...NULLABLE_ID, description: "Administrador que aprobó un descuento por encima del umbral" },
+      coupon: {
+        type: "object",
+        nullable: true,
+        description: "Cupón usado en el pedido",
+        properties: {
+          couponId: ref("ObjectId"),
+          code: { type: "string", example: "BIENVENIDA10" },
+          redeemed: { type: "boolean", description: "false si el pedido se canceló y el canje se liberó" }
+        }
+      },
+      status: { type: "string", enum: ORDER_STATUSES },
+      statusHistory: { type: "array", items: ref("StatusHistoryEntry") },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  OrderCreate: fromFields(orderCreateBodySchema, {
+    status: { default: "pending", description: "Un borrador no reserva stock" },
+    customerId: { description: "Cliente que compra; si se omite, venta a consumidor final" },
+    discount: { description: "Descuento sobre todo el pedido; se reparte entre las líneas en proporción a su valor" },
+    couponCode: { description: "Código de un cupón (sin distinguir mayúsculas); se reparte entre las líneas elegibles" }
+  }),
+
+  OrderCreated: {
+    type: "object",
+    properties: {
+      order: ref("Order"),
+      details: { type: "array", items: ref("OrderDetail") }
+    }
+  },
+
+  OrderTransition: fromFields(orderTransitionBodySchema),
+
+  OrderCancel: fromFields(orderCancelBodySchema),
+
+  // ----- Detalles de pedidos -----
+  OrderDetail: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      orderId: ref("ObjectId"),
+      productId: ref("ObjectId"),
+      amount: { type: "integer", minimum: 1, example: 2 },
+      unitPrice: { type: "integer", example: 1850000 },
+      taxRate: { type: "number", enum: TAX_RATES, description: "Tarifa de IVA aplicada", example: 19 },
+      priceIncludesTax: { type: "boolean", description: "Si `unitPrice` incluía el IVA", example: true },
+      taxBase: { type: "integer", description: "Base gravable de la línea", example: 3109244 },
+      taxAmount: { type: "integer", description: "IVA de la línea", example: 590756 },
+      subtotal: { type: "integer", description: "Total de la línea (taxBase + taxAmount)", example: 3700000 },
+      unitCost: { type: "integer", description: "Costo promedio del producto al vender", example: 1240000 },
+      grossAmount: { type: "integer", description: "unitPrice × amount, antes de descuentos", example: 3700000 },
+      discountAmount: { type: "integer", description: "Total descontado (la base y el IVA ya lo descuentan)", example: 0 },
+      discounts: { type: "array", items: ref("DiscountEntry") }
+    }
+  },
+
+  OrderDetailInput: fromFields(orderDetailsCreateBodySchema),
+
+  OrderDetailUpdate: fromFields(orderDetailsUpdateBodySchema),
+
+  OrderItem: {
+    allOf: [
+      ref("OrderDetail"),
+      {
+        type: "object",
+        properties: {
+          productName: { type: "string", nullable: true, description: "null si el producto ya no existe", example: "Café 500 g" },
+          category: { type: "string", nullable: true, example: "Bebidas" }
+        }
+      }
+    ]
+  },
+
+  OrderWithItems: {
+    allOf: [
+      ref("Order"),
+      { type: "object", properties: { items: { type: "array", items: ref("OrderItem") } } }
+    ]
+  },
+
+  OrderItemInput: fromFields(orderItemCreateBodySchema),
+
+  OrderItemUpdate: fromFields(orderItemUpdateBodySchema),
+
+  // ----- Clientes -----
+  CustomerAddress: {
+    type: "object",
+    properties: {
+      label: { type: "string", example: "Oficina" },
+      line: { type: "string", example: "Cra 7 # 71-21, piso 4" },
+      city: { type: "string", example: "Bogotá" }
+    }
+  },
+
+  Customer: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      name: { type: "string", example: "Comercial La Esquina S.A.S." },
+      documentType: { type: "string", enum: DOCUMENT_TYPES },
+      documentNumber: { type: "string", description: "Sin puntos ni espacios", example: "900123456-7" },
+      phone: { type: "string" },
+      email: { type: "string", format: "email" },
+      addresses: { type: "array", items: ref("CustomerAddress") },
+      creditLimit: { type: "integer", description: "Cupo de crédito (0 = solo de contado)", example: 200000000 },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  CustomerInput: fromFields(customerBodySchema, {
+    documentNumber: { description: "Se aceptan puntos y espacios; se guarda sin ellos", example: "900.123.456-7" },
+    email: { format: "email" },
+    creditLimit: { default: 0, description: "Solo un Administrador puede asignar un cupo mayor que 0" }
+  }),
+
+  // ----- Tarifas de IVA -----
+  CategoryTaxRate: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      category: { type: "string", example: "Frutas" },
+      rate: { type: "number", enum: TAX_RATES, example: 0 },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  CategoryTaxRateInput: fromFields(categoryTaxRateBodySchema),
+
+  TaxRates: {
+    type: "object",
+    properties: {
+      defaultRate: { type: "number", enum: TAX_RATES, description: "Tarifa de los productos sin tarifa propia ni de categoría", example: 19 },
+      rates: { type: "array", items: { type: "number" }, example: [...TAX_RATES] },
+      categories: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            category: { type: "string", example: "Frutas" },
+            rate: { type: "number", enum: TAX_RATES, example: 0 }
+          }
+        }
+      }
+    }
+  },
+
+  // ----- Descuentos y promociones -----
+  Discount: {
+    type: "object",
+    required: ["type", "value"],
+    properties: {
+      type: { type: "string", enum: DISCOUNT_TYPES },
+      value: { type: "number", minimum: 0, description: "Porcentaje (0-100) o monto fijo en centavos", example: 10 }
+    }
+  },
+
+  DiscountEntry: {
+    type: "object",
+    properties: {
+      source: { type: "string", enum: DISCOUNT_SOURCES, description: "Promoción, descuento de la línea, parte del cupón o parte del descuento del pedido" },
+      promotionId: { ...NULLABLE_ID, description: "Promoción aplicada (source `promotion`)" },
+      label: { type: "string", example: "2x1 en café" },
+      type: { type: "string", enum: DISCOUNT_TYPES, nullable: true },
+      value: { type: "number", nullable: true },
+      amount: { type: "integer", description: "Centavos descontados", example: 1850000 }
+    }
+  },
+
+  PromotionTier: {
+    type: "object",
+    properties: {
+      minQuantity: { type: "integer", example: 10 },
+      percent: { type: "number", example: 5 }
+    }
+  },
+
+  Promotion: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      name: { type: "string", example: "2x1 en café" },
+      type: { type: "string", enum: PROMOTION_TYPES },
+      productId: NULLABLE_ID,
+      category: { type: "string", nullable: true, example: "Bebidas" },
+      percent: { type: "number", nullable: true, description: "Porcentaje de descuento (category_sale)" },
+      buyQuantity: { type: "integer", nullable: true, description: "Unidades que se pagan (buy_x_get_y)", example: 1 },
+      getQuantity: { type: "integer", nullable: true, description: "Unidades gratis (buy_x_get_y)", example: 1 },
+      tiers: { type: "array", items: ref("PromotionTier"), description: "Tramos por cantidad (quantity_tier)" },
+      startsAt: { type: "string", format: "date-time", nullable: true },
+      endsAt: { type: "string", format: "date-time", nullable: true },
+      active: { type: "boolean" },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  PromotionInput: fromFields(promotionBodySchema, {
+    type: { description: "category_sale: `category`, `percent`, `startsAt` y `endsAt`; buy_x_get_y: `buyQuantity` y `getQuantity`; quantity_tier: `tiers`" },
+    productId: { description: "Producto al que aplica (o `category`, no ambos)" },
+    active: { default: true }
+  }),
+
+  Coupon: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      code: { type: "string", example: "BIENVENIDA10" },
+      type: { type: "string", enum: DISCOUNT_TYPES },
+      value: { type: "number", description: "Porcentaje (0-100) o monto fijo en centavos", example: 10 },
+      startsAt: { type: "string", format: "date-time", nullable: true },
+      endsAt: { type: "string", format: "date-time", nullable: true },
+      minOrderAmount: { type: "integer", description: "Valor mínimo del pedido en centavos", example: 5000000 },
+      maxRedemptions: { type: "integer", nullable: true, description: "Canjes totales permitidos (null = sin límite)", example: 100 },
+      maxRedemptionsPerCustomer: { type: "integer", nullable: true, description: "Canjes por cliente (null = sin límite)", example: 1 },
+      categories: { type: "array", items: { type: "string" }, description: "Categorías elegibles (vacío = todas)" },
+      productIds: { type: "array", items: ref("ObjectId"), description: "Productos elegibles (vacío = todos)" },
+      active: { type: "boolean" },
+      redemptionCount: { type: "integer", description: "Canjes vigentes (los pedidos cancelados no cuentan)", example: 12 },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  CouponInput: fromFields(couponBodySchema, {
+    code: { description: "Se guarda en mayúsculas; debe ser único" },
+    categories: { description: "Si se indican categorías o productos, el cupón solo descuenta esas líneas" },
+    active: { default: true }
+  }),
+
+  // ----- Proveedores -----
+  Supplier: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      name: { type: "string", example: "Distribuidora Andina" },
+      taxId: { type: "string", example: "900123456-7" },
+      email: { type: "string", format: "email" },
+      phone: { type: "string" },
+      contactName: { type: "string" },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  SupplierInput: fromFields(supplierBodySchema, {
+    email: { format: "email" }
+  }),
+
+  // ----- Órdenes de compra -----
+  PurchaseOrderLine: {
+    type: "object",
+    properties: {
+      productId: ref("ObjectId"),
+      quantity: { type: "integer", minimum: 1, example: 10 },
+      unitCost: { type: "integer", example: 1200000 },
+      receivedQuantity: { type: "integer", minimum: 0, example: 6 }
+    }
+  },
+
+  PurchaseOrderStatusEntry: {
+    type: "object",
+    properties: {
+      from: { type: "string", enum: PURCHASE_ORDER_STATUSES, nullable: true },
+      to: { type: "string", enum: PURCHASE_ORDER_STATUSES },
+      by: NULLABLE_ID,
+      at: { type: "string", format: "date-time" },
+      note: { type: "string" }
+    }
+  },
+
+  GoodsReceiptEntry: {
+    type: "object",
+    properties: {
+      lines: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { productId: ref("ObjectId"), quantity: { type: "integer", minimum: 1 } }
+        }
+      },
+      by: NULLABLE_ID,
+      at: { type: "string", format: "date-time" },
+      note: { type: "string" }
+    }
+  },
+
+  PurchaseOrder: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      supplierId: ref("ObjectId"),
+      lines: { type: "array", items: ref("PurchaseOrderLine") },
+      total: { type: "integer", example: 12000000 },
+      status: { type: "string", enum: PURCHASE_ORDER_STATUSES },
+      statusHistory: { type: "array", items: ref("PurchaseOrderStatusEntry") },
+      receipts: { type: "array", items: ref("GoodsReceiptEntry") },
+      createdBy: NULLABLE_ID,
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" }
+    }
+  },
+
+  PurchaseOrderCreate: fromFields(purchaseOrderCreateBodySchema),
+
+  PurchaseOrderTransition: fromFields(purchaseOrderTransitionBodySchema),
+
+  GoodsReceipt: fromFields(goodsReceiptBodySchema),
+
+  // ----- Reportes -----
+  SalesFigures: {
+    type: "object",
+    properties: {
+      orders: { type: "integer", example: 42 },
+      units: { type: "integer", example: 310 },
+      gross: { type: "integer", description: "Valor antes de descuentos (precio de lista × cantidad; con IVA si el precio lo incluye)", example: 540000000 },
+      discount: { type: "integer", description: "Descuentos de las líneas (promociones y manuales)", example: 28000000 },
+      net: { type: "integer", description: "gross - discount", example: 512000000 },
+      revenue: { type: "integer", description: "Ventas sin IVA (base de las líneas; la misma del reporte de margen)", example: 430252100 },
+      totalWithTax: { type: "integer", description: "Ventas con IVA (total de las líneas)", example: 512000000 }
+    }
+  },
+
+  SalesReport: {
+    type: "object",
+    properties: {
+      groupBy: { type: "string", enum: SALES_REPORT_GROUPS },
+      from: { type: "string", format: "date-time", nullable: true },
+      to: { type: "string", format: "date-time", nullable: true },
+      timezone: { type: "string", example: "America/Bogota" },
+      statuses: { type: "array", items: { type: "string", enum: ORDER_STATUSES } },
+      totals: ref("SalesFigures"),
+      data: {
+        type: "array",
+        description: "Una fila por grupo. La clave depende de `groupBy`: `period` (inicio del día, semana o mes, " +
+          "en orden cronológico), `productId` (con `name`, `category`), `category` o `userId` (con `name`, `email`).",
+        items: {
+          allOf: [
+            {
+              type: "object",
+              properties: {
+                period: { type: "string", format: "date", example: "2026-03-02" },
+                productId: ref("ObjectId"),
+                category: { type: "string" },
+                userId: ref("ObjectId")
+              }
+            },
+            ref("SalesFigures")
+          ]
+        }
+      },
+      cancelled: { allOf: [ref("SalesFigures")], description: "Pedidos cancelados del mismo rango (no suman en `totals`)" }
+    }
+  },
+
+  InventoryProduct: {
+    type: "object",
+    properties: {
+      productId: ref("ObjectId"),
+      name: { type: "string" },
+      category: { type: "string" },
+      stock: { type: "integer", example: 3 },
+      reserved: { type: "integer", example: 1 },
+      price: { type: "integer", example: 1850000 },
+      cost: { type: "integer", nullable: true, example: 1240000 },
+      reorderPoint: { type: "integer", example: 10 },
+      reorderQuantity: { type: "integer", example: 24 },
+      level: { type: "string", enum: STOCK_LEVELS },
+      suggestedQuantity: { type: "integer", description: "Unidades a pedir (0 si no hay que reponer)", example: 24 },
+      retailValue: { type: "integer", description: "(stock + reserved) × precio", example: 7400000 },
+      costValue: { type: "integer", nullable: true, description: "(stock + reserved) × costo (null sin costo)", example: 4960000 }
+    }
+  },
+
+  InventorySummary: {
+    type: "object",
+    properties: {
+      category: { type: "string", description: "Solo en las filas agrupadas por categoría" },
+      products: { type: "integer", example: 48 },
+      stock: { type: "integer", example: 1520 },
+      reserved: { type: "integer", example: 85 },
+      retailValue: { type: "integer", example: 2180000000 },
+      costValue: { type: "integer", nullable: true, example: 1540000000 },
+      outOfStock: { type: "integer", example: 2 },
+      lowStock: { type: "integer", example: 5 }
+    }
+  },
+
+  InventoryReport: {
+    type: "object",
+    properties: {
+      groupBy: { type: "string", enum: INVENTORY_REPORT_GROUPS },
+      category: { type: "string", nullable: true },
+      alertsOnly: { type: "boolean" },
+      totals: ref("InventorySummary"),
+      data: {
+        type: "array",
+        description: "`InventoryProduct` por producto o `InventorySummary` por categoría",
+        items: { oneOf: [ref("InventoryProduct"), ref("InventorySummary")] }
+      }
+    }
+  },
+
+  OrphanOrderDetail: {
+    type: "object",
+    properties: {
+      detailId: ref("ObjectId"),
+      orderId: { allOf: [ref("ObjectId")], description: "Pedido que ya no existe" },
+      productId: ref("ObjectId"),
+      productName: { type: "string", nullable: true },
+      amount: { type: "integer", example: 2 },
+      unitPrice: { type: "integer", example: 1850000 },
+      subtotal: { type: "integer", example: 3700000 }
+    }
+  },
+
+  IntegrityReport: {
+    type: "object",
+    properties: {
+      checkedAt: { type: "string", format: "date-time" },
+      orphanDetails: {
+        type: "object",
+        properties: {
+          count: { type: "integer", example: 3 },
+          orders: { type: "integer", description: "Pedidos distintos a los que apuntan", example: 2 },
+          units: { type: "integer", example: 5 },
+          subtotal: { type: "integer", example: 9250000 },
+          data: { type: "array", items: ref("OrphanOrderDetail") }
+        }
+      }
+    }
+  },
+
+  MarginFigures: {
+    type: "object",
+    properties: {
+      units: { type: "integer", description: "Unidades de las líneas con costo", example: 120 },
+      revenue: { type: "integer", description: "Ventas sin IVA de las líneas con costo", example: 54000000 },
+      cost: { type: "integer", example: 41000000 },
+      margin: { type: "integer", description: "Ingreso − costo (negativo = venta bajo costo)", example: 13000000 },
+      marginPercent: { type: "number", nullable: true, description: "Margen / ingreso × 100", example: 24.07 },
+      uncostedLines: { type: "integer", description: "Líneas vendidas sin costo conocido (fuera del margen)", example: 2 },
+      uncostedRevenue: { type: "integer", description: "Ventas sin IVA de esas líneas", example: 1800000 }
+    }
+  },
+
+  MarginReport: {
+    type: "object",
+    properties: {
+      groupBy: { type: "string", enum: MARGIN_REPORT_GROUPS },
+      from: { type: "string", format: "date-time", nullable: true },
+      to: { type: "string", format: "date-time", nullable: true },
+      totals: ref("MarginFigures"),
+      data: {
+        type: "array",
+        description: "Una fila por grupo, de mayor a menor ingreso. La clave depende de `groupBy`: " +
+          "`orderId` (con `status`, `userId`, `createdAt`), `productId` (con `name`, `category`) o `category`.",
+        items: {
+          allOf: [
+            {
+              type: "object",
+              properties: {
+                orderId: ref("ObjectId"),
+                productId: ref("ObjectId"),
+                category: { type: "string" }
+              }
+            },
+            ref("MarginFigures")
+          ]
+        }
+      }
+    }
+  }
+};
+
+const errorResponse = (description, example) => ({
+  description,
+  content: { "application/json": { schema: ref("Error"), example } }
+});
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: "http",
+      scheme: "bearer",
+      bearerFormat: "JWT",
+      description: "Access token obtenido en `POST /api/auth/login` o `POST /api/auth/refresh`."
+    }
+  },
+
+  parameters: {
+    page: queryParam("page", { type: "integer", minimum: 1, default: 1 }, "Página (no combinable con `cursor`)"),
+    limit: queryParam("limit", { type: "integer", minimum: 1, maximum: 100, default: 20 }, "Elementos por página"),
+    cursor: queryParam("cursor", { type: "string" }, "Paginación por cursor: vacío para la primera página, luego el valor de `links.next`"),
+    sort: queryParam("sort", { type: "string" }, "Campos separados por coma; `-` = descendente (ej. `-price,name`)")
+  },
+
+  responses: {
+    BadRequest: errorResponse("Datos o parámetros inválidos (`errors` lista cada campo rechazado)", {
+      error: "❌ Datos de entrada inválidos ❌",
+      code: "VALIDATION_ERROR",
+      errors: [{ location: "body", field: "price", message: "\"price\" debe ser mayor o igual a 0" }]
+    }),
+    Unauthorized: errorResponse("Sin token, token inválido/expirado o sesión revocada", { error: "Token expirado", code: "TOKEN_EXPIRED" }),
+    Forbidden: errorResponse("El rol o la propiedad del recurso no lo permiten", { error: "No tienes permisos para realizar esta acción", code: "FORBIDDEN" }),
+    NotFound: errorResponse("El recurso no existe", { error: "Producto no encontrado", code: "NOT_FOUND" }),
+    Conflict: errorResponse("Conflicto con el estado actual (stock, estado del pedido, duplicados)", {
+      error: "⚠️ Stock insuficiente. Stock actual: 1, Stock solicitado: 3 ⚠️",
+      code: "INSUFFICIENT_STOCK",
+      productId: "64a1b2c3d4e5f6789abcdef0",
+      requested: 3,
+      available: 1
+    })
+  },
+
+  schemas
+};
+
+// ============================================================
+// RUTAS
+// ============================================================
+
+const paths = {
+  // ----- Autenticación -----
+  "/api/auth/login": {
+    post: {
+      tags: ["Auth"],
+      summary: "Iniciar sesión",
+      security: [],
+      requestBody: jsonBody(ref("LoginRequest")),
+      responses: {
+        200: ok("Sesión iniciada", ref("LoginResponse")),
+        ...errors(400),
+        401: errorResponse("Credenciales inválidas", { error: "❌ Credenciales inválidas ❌", code: "INVALID_CREDENTIALS" })
+      }
+    }
+  },
+  "/api/auth/refresh": {
+    post: {
+      tags: ["Auth"],
+      summary: "Renovar la sesión (rota el refresh token)",
+      security: [],
+      requestBody: jsonBody(ref("RefreshRequest")),
+      responses: { 200: ok("Nuevo par de tokens", ref("TokenPair")), ...errors(400, 401) }
+    }
+  },
+  "/api/auth/logout": {
+    post: {
+      tags: ["Auth"],
+      summary: "Cerrar sesión (revoca la sesión del refresh token)",
+      security: [],
+      requestBody: jsonBody(ref("RefreshRequest")),
+      responses: { 200: ok("Sesión cerrada", ref("Message")), ...errors(400) }
+    }
+  },
+
+  // ----- Usuarios -----
+  "/api/users/auth/register": {
+    post: {
+      tags: ["Users"],
+      summary: "Registrar un usuario (Administrador)",
+      description: "El primer Administrador de una instalación nueva se crea con `npm run migrate:bootstrap-admin` (variables `ADMIN_EMAIL` y `ADMIN_PASSWORD`).",
+      requestBody: jsonBody(ref("UserInput")),
+      responses: { 201: ok("Usuario creado", ref("User")), ...errors(400, 401, 403, 409) }
+    }
+  },
+  "/api/users": {
+    get: {
+      tags: ["Users"],
+      summary: "Listar usuarios (Administrador)",
+      parameters: [
+        ...LIST_PARAMETERS,
+        queryParam("rol", { type: "string", enum: ALLOWED_ROLES }, "Filtrar por rol")
+      ],
+      responses: { 200: ok("Página de usuarios", page("User")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/users/{id}": {
+    parameters: [idParam("ID del usuario")],
+    get: {
+      tags: ["Users"],
+      summary: "Obtener un usuario (Administrador o el propio usuario)",
+      responses: { 200: ok("Usuario", ref("User")), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ["Users"],
+      summary: "Actualizar un usuario (Administrador)",
+      requestBody: jsonBody(ref("UserInput"), "Usuario completo (reemplaza al actual)"),
+      responses: { 200: ok("Usuario actualizado", ref("User")), ...errors(400, 401, 403, 404, 409) }
+    },
+    delete: {
+      tags: ["Users"],
+      summary: "Eliminar un usuario (Administrador)",
+      responses: { 200: ok("Usuario eliminado", ref("Message")), ...errors(400, 401, 403, 404) }
+    }
+  },
+
+  // ----- Productos -----
+  "/api/products": {
+    post: {
+      tags: ["Products"],
+      summary: "Crear un producto (Administrador)",
+      requestBody: jsonBody(ref("ProductInput")),
+      responses: { 201: ok("Producto creado", ref("Product")), ...errors(400, 401, 403) }
+    },
+    get: {
+      tags: ["Products"],
+      summary: "Listar productos con filtros y orden",
+      description: "Además de los atajos, acepta `campo=valor` y `campo[op]=valor` (op: eq, ne, gt, gte, lt, lte, in) "
+        + "sobre name, description, price, stock, reserved, category, createdAt y updatedAt.",
+      parameters: [
+        ...LIST_PARAMETERS,
+        queryParam("category", { type: "string" }, "Categoría exacta"),
+        queryParam("minPrice", { type: "integer" }, "Precio mínimo (centavos)"),
+        queryParam("maxPrice", { type: "integer" }, "Precio máximo (centavos)"),
+        queryParam("inStock", { type: "boolean" }, "Solo con stock (`true`) o agotados (`false`)"),
+        queryParam("lowStock", { type: "integer" }, "Stock menor que el umbral")
+      ],
+      responses: { 200: ok("Página de productos", page("Product")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/products/search": {
+    get: {
+      tags: ["Products"],
+      summary: "Buscar productos por texto",
+      description: "Busca en nombre, descripción y categoría sin distinguir acentos; admite prefijos y errores de tipeo.",
+      parameters: [
+        { ...queryParam("q", { type: "string", minLength: 1, maxLength: 100 }, "Texto buscado"), required: true },
+        queryParam("limit", { type: "integer", minimum: 1, maximum: SEARCH_MAX_LIMIT, default: 10 }, "Máximo de resultados")
+      ],
+      responses: { 200: ok("Resultados ordenados por relevancia", ref("ProductSearchResult")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/products/{id}": {
+    parameters: [idParam("ID del producto")],
+    get: {
+      tags: ["Products"],
+      summary: "Obtener un producto",
+      responses: { 200: ok("Producto", ref("Product")), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ["Products"],
+      summary: "Actualizar un producto (Administrador)",
+      requestBody: jsonBody(ref("ProductUpdate")),
+      responses: { 200: ok("Producto actualizado", ref("Product")), ...errors(400, 401, 403, 404, 409) }
+    },
+    delete: {
+      tags: ["Products"],
+      summary: "Eliminar un producto (Administrador)",
+      responses: { 200: ok("Producto eliminado", ref("Message")), ...errors(400, 401, 403, 404) }
+    }
+  },
+  "/api/products/{id}/movements": {
+    parameters: [idParam("ID del producto")],
+    get: {
+      tags: ["Products"],
+      summary: "Kardex del producto (Administrador)",
+      parameters: [
+        queryParam("from", { type: "string", format: "date" }, "Fecha inicial (YYYY-MM-DD o ISO 8601)"),
+        queryParam("to", { type: "string", format: "date" }, "Fecha final, incluida")
+      ],
+      responses: { 200: ok("Movimientos y saldos", ref("ProductMovements")), ...errors(400, 401, 403, 404) }
+    }
+  },
+
+  // ----- Pedidos -----
+  "/api/order": {
+    post: {
+      tags: ["Orders"],
+      summary: "Crear un pedido (reserva stock salvo en borrador)",
+      description: "Se aplican las promociones vigentes y los descuentos manuales antes del IVA. " +
+        "Un 403 `DISCOUNT_APPROVAL_REQUIRED` indica que los descuentos manuales superan el umbral " +
+        "`DISCOUNT_APPROVAL_THRESHOLD` y solo un Administrador puede darlos. " +
+        "Con `couponCode` el cupón se valida y se canjea en la misma transacción; un 409 " +
+        "`COUPON_NOT_ACTIVE`, `COUPON_MIN_ORDER_AMOUNT`, `COUPON_NOT_APPLICABLE`, `COUPON_CUSTOMER_LIMIT` " +
+        "o `COUPON_EXHAUSTED` indica por qué no se pudo usar.",
+      requestBody: jsonBody(ref("OrderCreate")),
+      responses: { 201: ok("Pedido y detalles creados", ref("OrderCreated")), ...errors(400, 401, 403, 404, 409) }
+    },
+    get: {
+      tags: ["Orders"],
+      summary: "Listar pedidos (Vendedor: solo los propios)",
+      parameters: [
+        ...LIST_PARAMETERS,
+        ...ORDER_FILTER_PARAMETERS,
+        queryParam("number", { type: "string", example: "PED-2026-000123" }, "Número del pedido"),
+        queryParam("customerId", ref("ObjectId"), "Pedidos de un cliente")
+      ],
+      responses: { 200: ok("Página de pedidos", page("Order")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/order/{id}": {
+    parameters: [idParam("ID del pedido")],
+    get: {
+      tags: ["Orders"],
+      summary: "Obtener un pedido (dueño o Administrador)",
+      parameters: [
+        queryParam("include", { type: "string", enum: ORDER_INCLUDES }, "`items` añade las líneas con el nombre de cada producto")
+      ],
+      responses: {
+        200: ok("Pedido (con `items` si se pidió `include=items`)", { oneOf: [ref("Order"), ref("OrderWithItems")] }),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    delete: {
+      tags: ["Orders"],
+      summary: "Eliminar un pedido (Administrador)",
+      description: "Elimina también sus detalles y, si el pedido aún reservaba stock, lo libera (queda en el kardex). " +
+        "Los pedidos enviados o entregados no se eliminan: 409 `INVALID_ORDER_STATE`.",
+      responses: { 200: ok("Pedido eliminado", ref("Message")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  "/api/order/{id}/transition": {
+    parameters: [idParam("ID del pedido")],
+    post: {
+      tags: ["Orders"],
+      summary: "Cambiar el estado del pedido",
+      description: "Solo se permiten las transiciones del ciclo de vida; un 409 `INVALID_ORDER_STATE` incluye `allowed`. " +
+        "Cancelar libera el canje del cupón; reabrir un pedido cancelado lo canjea de nuevo (409 `COUPON_NOT_ACTIVE` si ya no está vigente, o si ya no hay canjes).",
+      requestBody: jsonBody(ref("OrderTransition")),
+      responses: { 200: ok("Pedido actualizado", ref("Order")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  "/api/order/{id}/cancel": {
+    parameters: [idParam("ID del pedido")],
+    put: {
+      tags: ["Orders"],
+      summary: "Cancelar el pedido (atajo de la transición a `cancelled`)",
+      requestBody: { required: false, content: jsonContent(ref("OrderCancel")) },
+      responses: { 200: ok("Pedido cancelado", ref("Order")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  "/api/order/{id}/invoice.pdf": {
+    parameters: [idParam("ID del pedido")],
+    get: {
+      tags: ["Orders"],
+      summary: "Factura del pedido en PDF (dueño o Administrador)",
+      description: "Usa el precio unitario y el subtotal guardados en cada línea. `format=receipt` genera un tiquete de 80 mm para impresora térmica. Los borradores y pedidos cancelados se marcan como documento sin validez.",
+      parameters: [queryParam("format", { type: "string", enum: INVOICE_FORMATS, default: "a4" }, "Hoja A4 o tiquete de 80 mm")],
+      responses: {
+        200: {
+          description: "Factura en PDF",
+          content: { "application/pdf": { schema: { type: "string", format: "binary" } } }
+        },
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  "/api/order/{id}/items": {
+    parameters: [idParam("ID del pedido")],
+    get: {
+      tags: ["Orders"],
+      summary: "Listar las líneas del pedido (dueño o Administrador)",
+      responses: {
+        200: ok("Líneas del pedido", { type: "array", items: ref("OrderItem") }),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    post: {
+      tags: ["Orders"],
+      summary: "Agregar una línea al pedido (dueño o Administrador)",
+      description: "El precio y el costo se copian del producto. Si el pedido reserva stock, se reservan las unidades " +
+        "y el subtotal se suma al total. Solo en pedidos `draft`, `pending` o `confirmed`. " +
+        "Se aplican las promociones vigentes y el `discount` de la línea (403 `DISCOUNT_APPROVAL_REQUIRED` por encima del umbral).",
+      requestBody: jsonBody(ref("OrderItemInput")),
+      responses: { 201: ok("Línea creada", ref("OrderDetail")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  "/api/order/{id}/items/{itemId}": {
+    parameters: [
+      idParam("ID del pedido"),
+      { name: "itemId", in: "path", required: true, description: "ID de la línea", schema: ref("ObjectId") }
+    ],
+    put: {
+      tags: ["Orders"],
+      summary: "Cambiar la cantidad de una línea (ajusta la reserva de stock y el total)",
+      description: "Los descuentos de la línea se vuelven a calcular con la nueva cantidad (promoción vigente, " +
+        "mismo descuento manual y su parte del cupón y del descuento del pedido). Un 403 `DISCOUNT_APPROVAL_REQUIRED` " +
+        "indica que los descuentos manuales pasan a superar el umbral.",
+      requestBody: jsonBody(ref("OrderItemUpdate")),
+      responses: { 200: ok("Línea actualizada", ref("OrderDetail")), ...errors(400, 401, 403, 404, 409) }
+    },
+    delete: {
+      tags: ["Orders"],
+      summary: "Quitar una línea del pedido",
+      description: "Libera la reserva de la línea y resta su subtotal del total. No se puede quitar la última línea: 409 `LAST_ORDER_LINE`.",
+      responses: { 200: ok("Línea eliminada", ref("Message")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+
+  // ----- Detalles de pedidos -----
+  "/api/orderDetails": {
+    post: {
+      tags: ["OrderDetails"],
+      summary: "Agregar un detalle a un pedido (dueño o Administrador)",
+      description: "El precio y el costo se copian del producto. Si el pedido reserva stock, se reservan las unidades " +
+        "y el subtotal se suma al total del pedido. Solo en pedidos `draft`, `pending` o `confirmed`. " +
+        "Se aplican las promociones vigentes y el `discount` de la línea (403 `DISCOUNT_APPROVAL_REQUIRED` por encima del umbral).",
+      requestBody: jsonBody(ref("OrderDetailInput")),
+      responses: { 201: ok("Detalle creado", ref("OrderDetail")), ...errors(400, 401, 403, 404, 409) }
+    },
+    get: {
+      tags: ["OrderDetails"],
+      summary: "Listar todos los detalles (Administrador)",
+      responses: {
+        200: ok("Detalles de pedidos", { type: "array", items: ref("OrderDetail") }),
+        ...errors(401, 403)
+      }
+    }
+  },
+  "/api/orderDetails/{id}": {
+    parameters: [idParam("ID del detalle")],
+    get: {
+      tags: ["OrderDetails"],
+      summary: "Obtener un detalle (dueño o Administrador)",
+      responses: { 200: ok("Detalle", ref("OrderDetail")), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ["OrderDetails"],
+      summary: "Actualizar un detalle (ajusta la reserva de stock y el total del pedido)",
+      description: "Los descuentos de la línea se vuelven a calcular con la nueva cantidad (promoción vigente, " +
+        "mismo descuento manual y su parte del cupón y del descuento del pedido). Un 403 `DISCOUNT_APPROVAL_REQUIRED` " +
+        "indica que los descuentos manuales pasan a superar el umbral.",
+      requestBody: jsonBody(ref("OrderDetailUpdate")),
+      responses: { 200: ok("Detalle actualizado", ref("OrderDetail")), ...errors(400, 401, 403, 404, 409) }
+    },
+    delete: {
+      tags: ["OrderDetails"],
+      summary: "Eliminar un detalle (dueño o Administrador)",
+      description: "Libera la reserva de la línea y resta su subtotal del total del pedido. " +
+        "No se puede quitar la última línea: 409 `LAST_ORDER_LINE`.",
+      responses: { 200: ok("Detalle eliminado", ref("Message")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+
+  // ----- Clientes -----
+  "/api/customers": {
+    post: {
+      tags: ["Customers"],
+      summary: "Registrar un cliente",
+      description: "Un 403 `CREDIT_LIMIT_FORBIDDEN` indica que un Vendedor intentó asignar cupo de crédito. Un documento repetido responde 409.",
+      requestBody: jsonBody(ref("CustomerInput")),
+      responses: { 201: ok("Cliente creado", ref("Customer")), ...errors(400, 401, 403, 409) }
+    },
+    get: {
+      tags: ["Customers"],
+      summary: "Listar clientes",
+      parameters: [
+        ...LIST_PARAMETERS,
+        queryParam("name", { type: "string" }, "Nombre exacto"),
+        queryParam("documentType", { type: "string", enum: DOCUMENT_TYPES }, "Tipo de documento"),
+        queryParam("documentNumber", { type: "string" }, "Número de documento (sin puntos)")
+      ],
+      responses: { 200: ok("Página de clientes", page("Customer")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/customers/document/{documentNumber}": {
+    parameters: [{
+      name: "documentNumber",
+      in: "path",
+      required: true,
+      description: "Número de documento, con o sin puntos",
+      schema: { type: "string", example: "900.123.456-7" }
+    }],
+    get: {
+      tags: ["Customers"],
+      summary: "Buscar un cliente por documento (punto de venta)",
+      responses: { 200: ok("Cliente", ref("Customer")), ...errors(400, 401, 403, 404) }
+    }
+  },
+  "/api/customers/{id}": {
+    parameters: [idParam("ID del cliente")],
+    get: {
+      tags: ["Customers"],
+      summary: "Obtener un cliente",
+      responses: { 200: ok("Cliente", ref("Customer")), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ["Customers"],
+      summary: "Reemplazar un cliente (Administrador)",
+      requestBody: jsonBody(ref("CustomerInput")),
+      responses: { 200: ok("Cliente actualizado", ref("Customer")), ...errors(400, 401, 403, 404, 409) }
+    },
+    delete: {
+      tags: ["Customers"],
+      summary: "Eliminar un cliente sin pedidos (Administrador)",
+      description: "Un 409 `CUSTOMER_IN_USE` indica que el cliente tiene pedidos.",
+      responses: { 200: ok("Cliente eliminado", ref("Message")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  "/api/customers/{id}/orders": {
+    parameters: [idParam("ID del cliente")],
+    get: {
+      tags: ["Customers"],
+      summary: "Historial de pedidos del cliente (Vendedor: solo los propios)",
+      parameters: [...LIST_PARAMETERS, ...ORDER_FILTER_PARAMETERS],
+      responses: { 200: ok("Página de pedidos del cliente", page("Order")), ...errors(400, 401, 403, 404) }
+    }
+  },
+
+  // ----- Tarifas de IVA -----
+  "/api/taxRates": {
+    get: {
+      tags: ["TaxRates"],
+      summary: "Tarifa por defecto, tarifas admitidas y tarifa de cada categoría",
+      responses: { 200: ok("Configuración de IVA", ref("TaxRates")), ...errors(401, 403) }
+    }
+  },
+  "/api/taxRates/categories/{category}": {
+    parameters: [{
+      name: "category",
+      in: "path",
+      required: true,
+      description: "Categoría de productos (igual a `Product.category`)",
+      schema: { type: "string", example: "Frutas" }
+    }],
+    put: {
+      tags: ["TaxRates"],
+      summary: "Asignar la tarifa de IVA de una categoría (Administrador)",
+      description: "Solo afecta a las líneas nuevas; los pedidos existentes conservan su tarifa.",
+      requestBody: jsonBody(ref("CategoryTaxRateInput")),
+      responses: { 200: ok("Tarifa guardada", ref("CategoryTaxRate")), ...errors(400, 401, 403) }
+    },
+    delete: {
+      tags: ["TaxRates"],
+      summary: "Quitar la tarifa de IVA de una categoría (Administrador)",
+      responses: { 200: ok("Tarifa eliminada", ref("Message")), ...errors(400, 401, 403, 404) }
+    }
+  },
+
+  // ----- Promociones -----
+  "/api/promotions": {
+    post: {
+      tags: ["Promotions"],
+      summary: "Crear una promoción (Administrador)",
+      requestBody: jsonBody(ref("PromotionInput")),
+      responses: { 201: ok("Promoción creada", ref("Promotion")), ...errors(400, 401, 403, 404) }
+    },
+    get: {
+      tags: ["Promotions"],
+      summary: "Listar promociones",
+      parameters: [
+        ...LIST_PARAMETERS,
+        queryParam("type", { type: "string", enum: PROMOTION_TYPES }, "Tipo de promoción"),
+        queryParam("category", { type: "string" }, "Categoría"),
+        queryParam("productId", ref("ObjectId"), "Producto"),
+        queryParam("active", { type: "boolean" }, "Activas o en pausa")
+      ],
+      responses: { 200: ok("Página de promociones", page("Promotion")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/promotions/{id}": {
+    parameters: [idParam("ID de la promoción")],
+    get: {
+      tags: ["Promotions"],
+      summary: "Obtener una promoción",
+      responses: { 200: ok("Promoción", ref("Promotion")), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ["Promotions"],
+      summary: "Reemplazar una promoción (Administrador)",
+      description: "Solo afecta a las líneas nuevas; los pedidos existentes conservan su descuento.",
+      requestBody: jsonBody(ref("PromotionInput")),
+      responses: { 200: ok("Promoción actualizada", ref("Promotion")), ...errors(400, 401, 403, 404) }
+    },
+    delete: {
+      tags: ["Promotions"],
+      summary: "Eliminar una promoción (Administrador)",
+      responses: { 200: ok("Promoción eliminada", ref("Message")), ...errors(400, 401, 403, 404) }
+    }
+  },
+
+  // ----- Cupones -----
+  "/api/coupons": {
+    post: {
+      tags: ["Coupons"],
+      summary: "Crear un cupón (Administrador)",
+      requestBody: jsonBody(ref("CouponInput")),
+      responses: { 201: ok("Cupón creado", ref("Coupon")), ...errors(400, 401, 403, 404, 409) }
+    },
+    get: {
+      tags: ["Coupons"],
+      summary: "Listar cupones (Administrador)",
+      parameters: [
+        ...LIST_PARAMETERS,
+        queryParam("code", { type: "string" }, "Código exacto, en mayúsculas"),
+        queryParam("type", { type: "string", enum: DISCOUNT_TYPES }, "Tipo de descuento"),
+        queryParam("active", { type: "boolean" }, "Activos o en pausa")
+      ],
+      responses: { 200: ok("Página de cupones", page("Coupon")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/coupons/{id}": {
+    parameters: [idParam("ID del cupón")],
+    get: {
+      tags: ["Coupons"],
+      summary: "Obtener un cupón con sus canjes (Administrador)",
+      responses: { 200: ok("Cupón", ref("Coupon")), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ["Coupons"],
+      summary: "Reemplazar un cupón (Administrador)",
+      description: "Los canjes ya contados se conservan; los pedidos existentes conservan su descuento.",
+      requestBody: jsonBody(ref("CouponInput")),
+      responses: { 200: ok("Cupón actualizado", ref("Coupon")), ...errors(400, 401, 403, 404, 409) }
+    },
+    delete: {
+      tags: ["Coupons"],
+      summary: "Eliminar un cupón sin canjes (Administrador)",
+      description: "Un cupón con canjes responde 409 `COUPON_IN_USE`; se puede desactivar con `active: false`.",
+      responses: { 200: ok("Cupón eliminado", ref("Message")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+
+  // ----- Proveedores -----
+  "/api/suppliers": {
+    post: {
+      tags: ["Suppliers"],
+      summary: "Crear un proveedor (Administrador)",
+      requestBody: jsonBody(ref("SupplierInput")),
+      responses: { 201: ok("Proveedor creado", ref("Supplier")), ...errors(400, 401, 403, 409) }
+    },
+    get: {
+      tags: ["Suppliers"],
+      summary: "Listar proveedores (Administrador)",
+      parameters: [
+        ...LIST_PARAMETERS,
+        queryParam("name", { type: "string" }, "Nombre exacto"),
+        queryParam("taxId", { type: "string" }, "Identificación tributaria")
+      ],
+      responses: { 200: ok("Página de proveedores", page("Supplier")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/suppliers/{id}": {
+    parameters: [idParam("ID del proveedor")],
+    get: {
+      tags: ["Suppliers"],
+      summary: "Obtener un proveedor (Administrador)",
+      responses: { 200: ok("Proveedor", ref("Supplier")), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ["Suppliers"],
+      summary: "Reemplazar un proveedor (Administrador)",
+      requestBody: jsonBody(ref("SupplierInput")),
+      responses: { 200: ok("Proveedor actualizado", ref("Supplier")), ...errors(400, 401, 403, 404, 409) }
+    },
+    delete: {
+      tags: ["Suppliers"],
+      summary: "Eliminar un proveedor sin órdenes de compra (Administrador)",
+      description: "Un 409 `SUPPLIER_IN_USE` indica que el proveedor tiene órdenes de compra.",
+      responses: { 200: ok("Proveedor eliminado", ref("Message")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+
+  // ----- Órdenes de compra -----
+  "/api/purchaseOrders": {
+    post: {
+      tags: ["PurchaseOrders"],
+      summary: "Crear una orden de compra en borrador (Administrador)",
+      requestBody: jsonBody(ref("PurchaseOrderCreate")),
+      responses: { 201: ok("Orden de compra creada", ref("PurchaseOrder")), ...errors(400, 401, 403, 404) }
+    },
+    get: {
+      tags: ["PurchaseOrders"],
+      summary: "Listar órdenes de compra (Administrador)",
+      parameters: [
+        ...LIST_PARAMETERS,
+        queryParam("status", { type: "string", enum: PURCHASE_ORDER_STATUSES }, "Estado de la orden"),
+        queryParam("supplierId", ref("ObjectId"), "Proveedor"),
+        queryParam("from", { type: "string", format: "date-time" }, "Creadas desde"),
+        queryParam("to", { type: "string", format: "date-time" }, "Creadas hasta")
+      ],
+      responses: { 200: ok("Página de órdenes de compra", page("PurchaseOrder")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/purchaseOrders/{id}": {
+    parameters: [idParam("ID de la orden de compra")],
+    get: {
+      tags: ["PurchaseOrders"],
+      summary: "Obtener una orden de compra (Administrador)",
+      responses: { 200: ok("Orden de compra", ref("PurchaseOrder")), ...errors(400, 401, 403, 404) }
+    },
+    delete: {
+      tags: ["PurchaseOrders"],
+      summary: "Eliminar una orden de compra en borrador (Administrador)",
+      responses: { 200: ok("Orden de compra eliminada", ref("Message")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  "/api/purchaseOrders/{id}/transition": {
+    parameters: [idParam("ID de la orden de compra")],
+    post: {
+      tags: ["PurchaseOrders"],
+      summary: "Enviar o cerrar la orden de compra (Administrador)",
+      description: "Un 409 `INVALID_PURCHASE_ORDER_STATE` incluye `allowed`.",
+      requestBody: jsonBody(ref("PurchaseOrderTransition")),
+      responses: { 200: ok("Orden de compra actualizada", ref("PurchaseOrder")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  "/api/purchaseOrders/{id}/receipts": {
+    parameters: [idParam("ID de la orden de compra")],
+    post: {
+      tags: ["PurchaseOrders"],
+      summary: "Registrar mercancía recibida (suma stock) (Administrador)",
+      description: "Solo en órdenes `sent` o `partially_received`. Un 409 `RECEIPT_EXCEEDS_PENDING` indica que se recibe más de lo pendiente.",
+      requestBody: jsonBody(ref("GoodsReceipt")),
+      responses: { 200: ok("Orden de compra actualizada", ref("PurchaseOrder")), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+
+  // ----- Reportes -----
+  "/api/reports/sales": {
+    get: {
+      tags: ["Reports"],
+      summary: "Ventas agrupadas por periodo, producto, categoría o vendedor (Administrador)",
+      description: "Por defecto cuentan los pedidos confirmados, en preparación, enviados o entregados. " +
+        "Los cancelados no se pueden filtrar: se informan aparte en `cancelled`. " +
+        "Los periodos se cortan en la zona horaria `REPORT_TIMEZONE` del servidor.",
+      parameters: [
+        queryParam("groupBy", { type: "string", enum: SALES_REPORT_GROUPS, default: "day" }, "Agrupación"),
+        queryParam("from", { type: "string", format: "date" }, "Pedidos creados desde (YYYY-MM-DD o ISO 8601)"),
+        queryParam("to", { type: "string", format: "date" }, "Pedidos creados hasta, incluida"),
+        queryParam("status", { type: "string", example: "shipped,delivered" }, "Estados a incluir, separados por coma"),
+        queryParam("format", { type: "string", enum: ["json", "csv"], default: "json" }, "`csv` descarga solo las filas")
+      ],
+      responses: {
+        200: {
+          description: "Reporte de ventas",
+          content: {
+            ...jsonContent(ref("SalesReport")),
+            "text/csv": { schema: { type: "string", example: "Periodo,Pedidos,Unidades,Bruto,Descuento,Neto,Ingresos sin IVA,Total con IVA\r\n2026-03-02,12,85,1500000,70000,1430000,1201681,1430000\r\n" } }
+          }
+        },
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  "/api/reports/margin": {
+    get: {
+      tags: ["Reports"],
+      summary: "Margen bruto de las ventas (Administrador)",
+      description: "Solo cuentan pedidos confirmados, en preparación, enviados o entregados. " +
+        "El costo de cada línea es el costo promedio del producto copiado al vender.",
+      parameters: [
+        queryParam("groupBy", { type: "string", enum: MARGIN_REPORT_GROUPS, default: "product" }, "Agrupación"),
+        queryParam("from", { type: "string", format: "date" }, "Pedidos creados desde (YYYY-MM-DD o ISO 8601)"),
+        queryParam("to", { type: "string", format: "date" }, "Pedidos creados hasta, incluida")
+      ],
+      responses: { 200: ok("Reporte de margen", ref("MarginReport")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/reports/inventory": {
+    get: {
+      tags: ["Reports"],
+      summary: "Valor del inventario y productos por reponer (Administrador)",
+      description: "Valoriza el stock disponible a precio de venta y a costo promedio. " +
+        "`level` marca los agotados (`out_of_stock`) y los que están en o por debajo de `reorderPoint` (`low_stock`). " +
+        "Los totales cubren todo el inventario aunque se pida `alertsOnly`.",
+      parameters: [
+        queryParam("groupBy", { type: "string", enum: INVENTORY_REPORT_GROUPS, default: "product" }, "Agrupación"),
+        queryParam("category", { type: "string" }, "Limitar a una categoría"),
+        queryParam("alertsOnly", { type: "boolean", default: false }, "Solo productos agotados o bajo el punto de reorden")
+      ],
+      responses: { 200: ok("Reporte de inventario", ref("InventoryReport")), ...errors(400, 401, 403) }
+    }
+  },
+  "/api/reports/integrity": {
+    get: {
+      tags: ["Reports"],
+      summary: "Chequeo de integridad de los datos (Administrador)",
+      description: "Informa los detalles de pedido huérfanos (su pedido ya no existe). Solo lee; cada uno se elimina con `DELETE /api/orderDetails/{id}`.",
+      responses: { 200: ok("Reporte de integridad", ref("IntegrityReport")), ...errors(401, 403) }
+    }
+  }
+};
+
+export const openApiSpec = {
+  openapi: "3.0.3",
+  info: {
+    title: "API Stock y Pedidos",
+    version: "1.0.0",
+    description: "API REST para inventario, pedidos y usuarios. Los errores siguen el formato `{ error, code }`. "
+      + "Todos los montos (precios, costos, subtotales, totales, cupos) son enteros en centavos: $18.500 es `1850000`."
+  },
+  servers: [{ url: "/" }],
+  tags: [
+    { name: "Auth", description: "Inicio de sesión y refresh tokens" },
+    { name: "Users", description: "Gestión de usuarios" },
+    { name: "Products", description: "Catálogo, búsqueda y kardex" },
+    { name: "Orders", description: "Pedidos y su ciclo de vida" },
+    { name: "OrderDetails", description: "Líneas de los pedidos" },
+    { name: "Customers", description: "Clientes e historial de compras" },
+    { name: "TaxRates", description: "Tarifas de IVA por categoría" },
+    { name: "Promotions", description: "Promociones de precio que se aplican a los pedidos" },
+    { name: "Coupons", description: "Cupones de descuento que se canjean al crear pedidos" },
+    { name: "Suppliers", description: "Proveedores" },
+    { name: "PurchaseOrders", description: "Órdenes de compra y recepción de mercancía" },
+    { name: "Reports", description: "Reportes de negocio" }
+  ],
+  security: [{ bearerAuth: [] }],
+  paths,
+  components
+};
+
+export default openApiSpec;
@@ -0,0 +1,112 @@
+/**
+ * ROUTECOVERAGE.JS - COMPARA LAS RUTAS DE EXPRESS CON LA ESPECIFICACIÓN
+ * =====================================================================
+ *
+ * Recorre la pila de la aplicación Express ya configurada (`server.js`)
+ * y compara cada método + ruta con `paths` del documento OpenAPI. Así
+ * cualquier router que se monte o se quite en `server.js` entra en la
+ * comparación sin tocar este archivo.
+ *
+ * PREFIJOS:
+ * Express 5 no guarda en la capa la ruta con la que se montó un router
+ * (`app.use("/api/users", userRoutes)`). El prefijo se recupera probando
+ * la capa con las rutas documentadas: la parte que coincide es el
+ * prefijo. Un router que no coincide con ninguna ruta documentada se
+ * informa aparte, con sus rutas sin prefijo.
+ *
+ * Lo usan `check-openapi.js` (npm run docs:check) y las pruebas.
+ */
+
+import docsRoutes from "../routes/docsRoutes.js";
+
+// Las rutas de /api/docs no se documentan a sí mismas
+const UNDOCUMENTED_ROUTERS = [docsRoutes];
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+/**
+ * Convierte una ruta de Express a la sintaxis de OpenAPI ("/:id" → "/{id}").
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}").replace(/\/$/, "") || "/";
+
+/**
+ * Lista "MÉTODO ruta" de las rutas declaradas en una pila de Express.
+ * Se omiten las rutas definidas con expresiones regulares (ej. el
+ * preflight CORS) y los métodos que no son de la API.
+ * @param {Array} stack - `router.stack`
+ * @param {string} prefix - Ruta con la que se montó el router
+ * @returns {Array<string>}
+ */
+const routesOf = (stack, prefix) => stack
+  .filter((layer) => typeof layer.route?.path === "string")
+  .flatMap((layer) => Object.keys(layer.route.methods)
+    .filter((method) => HTTP_METHODS.includes(method))
+    .map((method) => `${method.toUpperCase()} ${toOpenApiPath(prefix + layer.route.path)}`));
+
+/**
+ * Ruta con la que se montó un router, probada contra las rutas documentadas.
+ * @param {Object} layer - Capa de la aplicación que contiene el router
+ * @param {Array<string>} paths - Rutas del documento OpenAPI
+ * @returns {string|null} Prefijo, o null si ninguna ruta documentada pasa por el router
+ */
+const mountPathOf = (layer, paths) => {
+  for(const path of paths) {
+    if(layer.match(path)) return layer.path;
+  }
+  return null;
+};
+
+/**
+ * Lista "MÉTODO ruta" de todas las operaciones del documento OpenAPI.
+ * @param {Object} spec - Documento OpenAPI
+ * @returns {Set<string>}
+ */
+const documentedRoutes = (spec) => {
+  const routes = new Set();
+  for(const [path, item] of Object.entries(spec.paths)) {
+    for(const method of Object.keys(item)) {
+      if(HTTP_METHODS.includes(method)) routes.add(`${method.toUpperCase()} ${path}`);
+    }
+  }
+  return routes;
+};
+
+/**
+ * COBERTURA DE LA ESPECIFICACIÓN
+ * @param {Object} app - Aplicación Express configurada
+ * @param {Object} spec - Documento OpenAPI
+ * @returns {Object} {
+ *   routes: Set<string>,          // Rutas de Express
+ *   undocumented: Array<string>,  // En Express pero no en la especificación
+ *   stale: Array<string>,         // En la especificación pero no en Express
+ *   unmounted: Array<Array<string>> // Rutas de cada router sin prefijo reconocible
+ * }
+ *
+ * @example
+ * const { undocumented, stale } = findRouteCoverage(app, openApiSpec);
+ */
+export const findRouteCoverage = (app, spec) => {
+  const paths = Object.keys(spec.paths);
+  const routes = new Set(routesOf(app.router.stack, ""));
+  const unmounted = [];
+
+  for(const layer of app.router.stack) {
+    const router = layer.handle;
+    if(!Array.isArray(router.stack) || UNDOCUMENTED_ROUTERS.includes(router)) continue;
+
+    const prefix = mountPathOf(layer, paths);
+    if(prefix === null) {
+      unmounted.push(routesOf(router.stack, ""));
+      continue;
+    }
+    routesOf(router.stack, prefix).forEach((route) => routes.add(route));
+  }
+
+  const documented = documentedRoutes(spec);
+  return {
+    routes,
+    undocumented: [...routes].filter((route) => !documented.has(route)),
+    stale: [...documented].filter((route) => !routes.has(route)),
+    unmounted
+  };
+};
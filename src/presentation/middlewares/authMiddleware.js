@@ -1,17 +1,27 @@
 import TokenGenerator from "../../presentation/security/token_generator.js";
+import RefreshTokenRepositoryMongo from "../../infrastructure/repositories/RefreshTokenRepositoryMongo.js";
+import UnauthorizedError from "../../domain/errors/UnauthorizedError.js";
 
 const tokenGenerator = new TokenGenerator(
   process.env.JWT_SECRET,
   process.env.JWT_EXPIRES_IN || "15m"
 );
 
+const refreshTokenRepository = new RefreshTokenRepositoryMongo();
+
 /**
  * Middleware de autenticación para proteger rutas privadas.
  *
  * Verifica la validez del token JWT enviado en el encabezado `Authorization`.
- * - Si no hay token, responde con `401 Unauthorized`.
- * - Si el token está expirado o es inválido, responde con `403 Forbidden`.
- * - Si el token es válido, añade la información del usuario a `req.user` y permite continuar.
+ * Todos los rechazos son `401 Unauthorized` (vía `errorMiddleware`) con un
+ * `code` que indica el motivo:
+ * - Sin token → `TOKEN_REQUIRED`.
+ * - Token expirado → `TOKEN_EXPIRED` (el cliente debe usar su refresh token).
+ * - Token inválido o sin sesión → `TOKEN_INVALID`.
+ * - Sesión (`sid`) revocada por logout o por reutilización de un refresh
+ *   token → `SESSION_REVOKED`.
+ * - Si el token es válido, añade la información del usuario a `req.user` (`id`, `email`, `rol`)
+ *   y permite continuar. Los permisos por rol se aplican después con `roleMiddleware`.
  *
  * @function authMiddleware
  * @param {Object} req - Objeto de solicitud de Express.
@@ -26,21 +36,36 @@ const tokenGenerator = new TokenGenerator(
  *   res.json({ user: req.user });
  * });
  */
-export function authMiddleware(req, res, next) {
+export async function authMiddleware(req, res, next) {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
   if (!token) {
-    return res.status(401).json({ error: "Token requerido" });
+    return next(new UnauthorizedError("Token requerido", { code: "TOKEN_REQUIRED" }));
   }
 
   const result = tokenGenerator.verify(token);
 
   if (!result.valid) {
     if (result.expired) {
-      return res.status(403).json({ error: "Token expirado" });
+      return next(new UnauthorizedError("Token expirado", { code: "TOKEN_EXPIRED" }));
+    }
+    return next(new UnauthorizedError("Token inválido", { code: "TOKEN_INVALID" }));
+  }
+
+  // Todo access token debe pertenecer a una sesión que siga activa
+  const { sid } = result.payload;
+  if (!sid) {
+    return next(new UnauthorizedError("Token inválido", { code: "TOKEN_INVALID" }));
+  }
+
+  try {
+    const sessionActive = await refreshTokenRepository.isFamilyActive(sid);
+    if (!sessionActive) {
+      return next(new UnauthorizedError("Sesión revocada", { code: "SESSION_REVOKED" }));
     }
-    return res.status(403).json({ error: "Token inválido" });
+  } catch (err) {
+    return next(err);
   }
 
   req.user = result.payload;
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+
+import DomainError from "../../domain/errors/DomainError.js";
+import ValidationError from "../../domain/errors/ValidationError.js";
+import UnauthorizedError from "../../domain/errors/UnauthorizedError.js";
+import ForbiddenError from "../../domain/errors/ForbiddenError.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+import ConflictError from "../../domain/errors/ConflictError.js";
+
+/**
+ * Código HTTP de cada familia de errores de dominio.
+ * Las subclases heredan el código de su clase base
+ * (ej. InsufficientStockError → ConflictError → 409).
+ */
+const STATUS_BY_ERROR = [
+  [ValidationError, 400],
+  [UnauthorizedError, 401],
+  [ForbiddenError, 403],
+  [NotFoundError, 404],
+  [ConflictError, 409]
+];
+
+/**
+ * Traduce errores que no son de dominio (Mongoose, MongoDB, Express)
+ * a su equivalente de dominio. Devuelve null si no se reconoce.
+ *
+ * @param {Error} err - Error original
+ * @returns {DomainError|null}
+ */
+const fromInfrastructureError = (err) => {
+  // ID con formato inválido (ej. GET /api/products/abc)
+  if(err instanceof mongoose.Error.CastError) {
+    return new ValidationError(`❌ Valor inválido para "${err.path}" ❌`, {
+      code: "INVALID_ID",
+      details: { field: err.path }
+    });
+  }
+
+  // Validaciones del esquema de Mongoose
+  if(err instanceof mongoose.Error.ValidationError) {
+    const fields = Object.keys(err.errors);
+    return new ValidationError(`❌ Datos inválidos: ${fields.join(", ")} ❌`, {
+      details: { fields }
+    });
+  }
+
+  // Índice único violado (ej. email de usuario repetido)
+  if(err && err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(`⚠️ Ya existe un registro con el mismo valor en: ${fields.join(", ")} ⚠️`, {
+      code: "DUPLICATE_KEY",
+      details: { fields }
+    });
+  }
+
+  // Body con JSON mal formado (express.json)
+  if(err && err.type === "entity.parse.failed") {
+    return new ValidationError("❌ El cuerpo de la petición no es un JSON válido ❌", { code: "INVALID_JSON" });
+  }
+
+  return null;
+};
+
+/**
+ * Middleware central de errores.
+ *
+ * Debe registrarse después de todas las rutas. Los controladores y
+ * middlewares solo pasan el error con `next(err)`; aquí se decide la
+ * respuesta:
+ * - Errores de dominio → su código HTTP y `{ ...details, error, code }`
+ *   (un campo de `details` nunca reemplaza el mensaje ni el código)
+ * - CastError, ValidationError de Mongoose, clave duplicada (11000) y
+ *   JSON mal formado → 400 / 409 con el mismo formato
+ * - Cualquier otro error → `500 { error, code: "INTERNAL_ERROR" }` con un
+ *   mensaje genérico. El stack trace solo se escribe en el log, nunca se
+ *   envía al cliente.
+ *
+ * @function errorMiddleware
+ * @param {Error} err - Error recibido con `next(err)` o lanzado en un handler async.
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {Function} next - Función para delegar al manejador por defecto de Express.
+ *
+ * @example
+ * // server.js
+ * import { errorMiddleware } from "./middlewares/errorMiddleware.js";
+ *
+ * app.use("/api/products", productRoutes);
+ * app.use(errorMiddleware);
+ */
+export function errorMiddleware(err, req, res, next) {
+  // La respuesta ya empezó a enviarse: solo Express puede cerrar la conexión
+  if(res.headersSent) return next(err);
+
+  const error = err instanceof DomainError ? err : fromInfrastructureError(err);
+
+  if(!error) {
+    console.error(err); // Esto mostrará el stacktrace
+    return res.status(500).json({
+      error: "❌ Error interno del servidor ❌",
+      code: "INTERNAL_ERROR"
+    });
+  }
+
+  const match = STATUS_BY_ERROR.find(([ErrorClass]) => error instanceof ErrorClass);
+  const status = match ? match[1] : 400;
+
+  res.status(status).json({ ...error.details, error: error.message, code: error.code });
+}
+
+/**
+ * Middleware para rutas inexistentes.
+ *
+ * Debe registrarse después de todas las rutas y antes de
+ * `errorMiddleware`: convierte cualquier petición que ninguna ruta
+ * atendió en un `NotFoundError`, para que también los 404 de Express
+ * respondan con `{ error, code }` y no con la página HTML por defecto.
+ *
+ * @function notFoundMiddleware
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {Function} next - Función que recibe el error.
+ *
+ * @example
+ * // server.js
+ * app.use(notFoundMiddleware);
+ * app.use(errorMiddleware);
+ */
+export function notFoundMiddleware(req, res, next) {
+  next(new NotFoundError(`❌ La ruta ${req.method} ${req.originalUrl} no existe ❌`, {
+    code: "ROUTE_NOT_FOUND",
+    details: { method: req.method, path: req.path }
+  }));
+}
@@ -0,0 +1,76 @@
+import OrderRepositoryMongo from "../../infrastructure/repositories/OrderRepositoryMongo.js";
+import OrderDetailsRepositoryMongo from "../../infrastructure/repositories/OrderDetailsRepositoryMongo.js";
+import { canAccessOwned } from "../../domain/constants/roles.js";
+import NotFoundError from "../../domain/errors/NotFoundError.js";
+import ForbiddenError from "../../domain/errors/ForbiddenError.js";
+
+const orderRepository = new OrderRepositoryMongo();
+const orderDetailsRepository = new OrderDetailsRepositoryMongo();
+
+/**
+ * Middleware de propiedad de pedidos.
+ *
+ * Carga el pedido indicado y verifica que el usuario autenticado pueda
+ * acceder a él: los administradores acceden a cualquier pedido, los
+ * vendedores solo a los que ellos mismos registraron (`order.userId`).
+ * - Si el pedido no existe, responde con `404 Not Found`.
+ * - Si el pedido pertenece a otro usuario, responde con `403 Forbidden`.
+ * - Si tiene acceso, deja el pedido en `req.order` y continúa.
+ *
+ * @function requireOrderOwnership
+ * @param {Function} [getOrderId] - Obtiene el ID del pedido desde la petición
+ *                                  (por defecto `req.params.id`).
+ * @returns {Function} Middleware de Express.
+ *
+ * @example
+ * router.get("/:id", authMiddleware, anyRole, requireOrderOwnership(), getOrderById);
+ * router.post("/", authMiddleware, anyRole, requireOrderOwnership(req => req.body.orderId), createOrderDetails);
+ */
+export function requireOrderOwnership(getOrderId = (req) => req.params.id) {
+  return async (req, res, next) => {
+    try {
+      const order = await orderRepository.findById(getOrderId(req));
+      if(!order) throw new NotFoundError("Pedido no encontrado");
+
+      if(!canAccessOwned(req.user, order.userId)) {
+        throw new ForbiddenError("No puedes acceder a pedidos de otro usuario");
+      }
+
+      req.order = order;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Middleware de propiedad de detalles de pedido.
+ *
+ * Carga el detalle indicado en `req.params.id`, luego su pedido padre, y
+ * aplica la misma regla que `requireOrderOwnership`.
+ * - Si el detalle no existe, responde con `404 Not Found`.
+ * - Si el pedido padre pertenece a otro usuario (o ya no existe y quien
+ *   consulta no es administrador), responde con `403 Forbidden`.
+ *
+ * @function requireOrderDetailsOwnership
+ * @returns {Function} Middleware de Express.
+ */
+export function requireOrderDetailsOwnership() {
+  return async (req, res, next) => {
+    try {
+      const detail = await orderDetailsRepository.findById(req.params.id);
+      if(!detail) throw new NotFoundError("Detalle de pedido no encontrado");
+
+      const order = await orderRepository.findById(detail.orderId);
+      if(!canAccessOwned(req.user, order ? order.userId : null)) {
+        throw new ForbiddenError("No puedes acceder a pedidos de otro usuario");
+      }
+
+      req.order = order;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
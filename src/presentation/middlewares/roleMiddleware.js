@@ -0,0 +1,37 @@
+import { ROLES } from "../../domain/constants/roles.js";
+import ForbiddenError from "../../domain/errors/ForbiddenError.js";
+
+/**
+ * Middleware de autorización por rol.
+ *
+ * Debe declararse después de `authMiddleware`, ya que utiliza `req.user.rol`
+ * (incluido en el token JWT al iniciar sesión).
+ * - Si el rol del usuario está en la lista permitida, continúa.
+ * - En caso contrario, pasa un `ForbiddenError` (`403 Forbidden`, código
+ *   `FORBIDDEN`) al `errorMiddleware`.
+ *
+ * @function authorize
+ * @param {...string} allowedRoles - Roles que pueden acceder a la ruta.
+ * @returns {Function} Middleware de Express.
+ *
+ * @example
+ * // Solo administradores pueden eliminar productos
+ * import { authorize } from "./middlewares/roleMiddleware.js";
+ * import { ROLES } from "../domain/constants/roles.js";
+ *
+ * router.delete("/:id", authMiddleware, authorize(ROLES.ADMIN), deleteProduct);
+ */
+export function authorize(...allowedRoles) {
+  return (req, res, next) => {
+    if(!req.user || !allowedRoles.includes(req.user.rol)) {
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+}
+
+/**
+ * Atajos para los permisos más usados en las rutas.
+ */
+export const adminOnly = authorize(ROLES.ADMIN);
+export const anyRole = authorize(ROLES.ADMIN, ROLES.SELLER);
@@ -0,0 +1,63 @@
+import { validateFields } from "../../domain/validation/validator.js";
+import ValidationError from "../../domain/errors/ValidationError.js";
+
+/**
+ * Opciones de validación por ubicación:
+ * - body: campos desconocidos rechazados, tipos estrictos (JSON ya trae números y booleanos)
+ * - params y query: llegan como texto, se convierten al tipo de la regla antes de validar
+ */
+const LOCATIONS = {
+  body: { allowUnknown: false },
+  params: { allowUnknown: true, coerce: true },
+  query: { allowUnknown: false, coerce: true }
+};
+
+/**
+ * Middleware de validación declarativa de la petición.
+ *
+ * Recibe las reglas de `body`, `params` y `query` (ver `presentation/schemas/`)
+ * y valida cada parte con `validateFields`. No modifica `req`: solo decide
+ * si la petición sigue o no.
+ * - Si todo es válido, continúa.
+ * - Si hay errores, pasa un `ValidationError` (`400 Bad Request`, código
+ *   `VALIDATION_ERROR`) al `errorMiddleware` con la lista completa de
+ *   errores en `errors: [{ location, field, message }]`.
+ *
+ * @function validate
+ * @param {Object} schema - Reglas por ubicación
+ * @param {Object} [schema.body] - Reglas del cuerpo JSON
+ * @param {Object} [schema.params] - Reglas de los parámetros de ruta
+ * @param {Object} [schema.query] - Reglas de la query string
+ * @returns {Function} Middleware de Express.
+ *
+ * @example
+ * import { validate } from "../middlewares/validationMiddleware.js";
+ * import { productBodySchema } from "../schemas/productSchemas.js";
+ *
+ * router.post("/", authMiddleware, adminOnly, validate({ body: productBodySchema }), createProduct);
+ */
+export function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for(const [location, options] of Object.entries(LOCATIONS)) {
+      const fields = schema[location];
+      if(!fields) continue;
+
+      const data = req[location] ?? {};
+      if(typeof data !== "object" || Array.isArray(data)) {
+        errors.push({ location, field: "", message: "El cuerpo de la petición debe ser un objeto JSON" });
+        continue;
+      }
+
+      for(const error of validateFields(fields, data, options)) {
+        errors.push({ location, ...error });
+      }
+    }
+
+    if(errors.length > 0) {
+      return next(new ValidationError("❌ Datos de entrada inválidos ❌", { details: { errors } }));
+    }
+    next();
+  };
+}
@@ -0,0 +1,50 @@
+import { Router } from "express";
+
+import {
+  createCoupon,
+  getCoupon,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+} from "../controllers/CouponController.js";
+
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { idParamsSchema } from "../schemas/commonSchemas.js";
+import { couponBodySchema } from "../schemas/couponSchemas.js";
+
+const router = Router();
+
+/**
+ * Rutas para la gestión de cupones.
+ *
+ * Todas las rutas requieren autenticación con JWT mediante `authMiddleware`
+ * y son solo para el Administrador: los códigos no se listan a los
+ * vendedores; en la caja basta con enviar `couponCode` al crear el pedido.
+ *
+ * Endpoints disponibles:
+ * - `POST /` → Crea un nuevo cupón.
+ * - `GET /` → Obtiene una página de cupones con filtros y orden.
+ * - `GET /:id` → Obtiene un cupón por su ID (con sus canjes).
+ * - `PUT /:id` → Actualiza un cupón existente por su ID.
+ * - `DELETE /:id` → Elimina un cupón sin canjes.
+ *
+ * La entrada (cuerpo e `:id`) se valida con `validate` y los esquemas
+ * de `schemas/couponSchemas.js` antes de llegar al controlador.
+ * Los listados validan su query con `parseListQuery` (`utils/listQuery.js`).
+ *
+ * @module couponRoutes
+ *
+ * @example
+ * // Registro en app.js o server.js
+ * import couponRoutes from "./presentation/routes/couponRoutes.js";
+ * app.use("/api/coupons", couponRoutes);
+ */
+router.post("/", authMiddleware, adminOnly, validate({ body: couponBodySchema }), createCoupon);
+router.get("/", authMiddleware, adminOnly, getCoupon);
+router.get("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), getCouponById);
+router.put("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema, body: couponBodySchema }), updateCoupon);
+router.delete("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), deleteCoupon);
+
+export default router;
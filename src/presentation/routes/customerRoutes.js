@@ -0,0 +1,56 @@
+import { Router } from "express";
+
+import {
+  createCustomer,
+  getCustomer,
+  getCustomerById,
+  getCustomerByDocument,
+  updateCustomer,
+  deleteCustomer
+} from "../controllers/CustomerController.js";
+import { getCustomerOrders } from "../controllers/OrderController.js";
+
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly, anyRole } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { idParamsSchema } from "../schemas/commonSchemas.js";
+import { customerBodySchema, customerDocumentParamsSchema } from "../schemas/customerSchemas.js";
+
+const router = Router();
+
+/**
+ * Rutas para la gestión de clientes.
+ *
+ * Todas las rutas requieren autenticación con JWT mediante `authMiddleware`.
+ * Los vendedores registran y consultan clientes en el punto de venta;
+ * modificarlos o eliminarlos es solo del Administrador.
+ *
+ * Endpoints disponibles:
+ * - `POST /` → Crea un nuevo cliente (cualquier rol; el cupo de crédito solo lo asigna un Administrador).
+ * - `GET /` → Obtiene una página de clientes con filtros y orden (cualquier rol).
+ * - `GET /document/:documentNumber` → Busca un cliente por documento (cualquier rol).
+ * - `GET /:id` → Obtiene un cliente por su ID (cualquier rol).
+ * - `GET /:id/orders` → Historial de pedidos del cliente (un Vendedor solo ve los suyos).
+ * - `PUT /:id` → Actualiza un cliente existente por su ID (solo Administrador).
+ * - `DELETE /:id` → Elimina un cliente sin pedidos (solo Administrador).
+ *
+ * La entrada (cuerpo y parámetros) se valida con `validate` y los esquemas
+ * de `schemas/customerSchemas.js` antes de llegar al controlador.
+ * Los listados validan su query con `parseListQuery` (`utils/listQuery.js`).
+ *
+ * @module customerRoutes
+ *
+ * @example
+ * // Registro en app.js o server.js
+ * import customerRoutes from "./presentation/routes/customerRoutes.js";
+ * app.use("/api/customers", customerRoutes);
+ */
+router.post("/", authMiddleware, anyRole, validate({ body: customerBodySchema }), createCustomer);
+router.get("/", authMiddleware, anyRole, getCustomer);
+router.get("/document/:documentNumber", authMiddleware, anyRole, validate({ params: customerDocumentParamsSchema }), getCustomerByDocument);
+router.get("/:id", authMiddleware, anyRole, validate({ params: idParamsSchema }), getCustomerById);
+router.get("/:id/orders", authMiddleware, anyRole, validate({ params: idParamsSchema }), getCustomerOrders);
+router.put("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema, body: customerBodySchema }), updateCustomer);
+router.delete("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), deleteCustomer);
+
+export default router;
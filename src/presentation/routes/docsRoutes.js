@@ -0,0 +1,32 @@
+import { Router } from "express";
+import swaggerUi from "swagger-ui-express";
+
+import openApiSpec from "../docs/openapi.js";
+
+const router = Router();
+
+/**
+ * Rutas de documentación de la API.
+ *
+ * Son públicas (no requieren token): el documento no expone datos, solo
+ * la forma de la API. Para probar endpoints protegidos desde Swagger UI,
+ * usar el botón "Authorize" con el access token de `/api/auth/login`.
+ *
+ * Endpoints disponibles:
+ * - `GET /openapi.json` → Especificación OpenAPI 3 (ver `docs/openapi.js`).
+ * - `GET /` → Swagger UI interactivo.
+ *
+ * @module docsRoutes
+ *
+ * @example
+ * // Registro en server.js
+ * import docsRoutes from "./routes/docsRoutes.js";
+ * app.use("/api/docs", docsRoutes);
+ */
+router.get("/openapi.json", (req, res) => res.json(openApiSpec));
+router.use("/", swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: "API Stock y Pedidos",
+  swaggerOptions: { url: "/api/docs/openapi.json" }
+}));
+
+export default router;
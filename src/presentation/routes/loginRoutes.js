@@ -1,21 +1,30 @@
 import { Router } from "express";
 import LoginController from "../controllers/loginController.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { loginBodySchema, refreshTokenBodySchema } from "../schemas/authSchemas.js";
 
 const router = Router();
 
 /**
- * Rutas de autenticación para login.
+ * Rutas de autenticación.
  *
- * Define el endpoint principal de inicio de sesión:
- * - `POST /` → Realiza la autenticación del usuario con email y contraseña.
+ * Define los endpoints de sesión:
+ * - `POST /login` → Realiza la autenticación del usuario con email y contraseña.
+ * - `POST /refresh` → Canjea un refresh token por un nuevo par de tokens.
+ * - `POST /logout` → Revoca la sesión asociada a un refresh token.
+ *
+ * El cuerpo se valida con `validate` y los esquemas de `schemas/authSchemas.js`:
+ * si falta un campo o no es texto responde `400` con la lista de errores.
  * 
  * @module loginRoutes
  *
  * @example
  * // Registro de rutas en app.js o server.js
  * import loginRoutes from "./presentation/routes/loginRoutes.js";
- * app.use("/login", loginRoutes);
+ * app.use("/api/auth", loginRoutes);
  */
-router.post("/", (req, res) => LoginController.login(req, res));
+router.post("/login", validate({ body: loginBodySchema }), (req, res, next) => LoginController.login(req, res, next));
+router.post("/refresh", validate({ body: refreshTokenBodySchema }), (req, res, next) => LoginController.refresh(req, res, next));
+router.post("/logout", validate({ body: refreshTokenBodySchema }), (req, res, next) => LoginController.logout(req, res, next));
 
 export default router;
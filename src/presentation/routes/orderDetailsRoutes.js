@@ -9,6 +9,17 @@ import {
 } from "../controllers/OrderDetailsController.js";
 
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly, anyRole } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import {
+  requireOrderOwnership,
+  requireOrderDetailsOwnership
+} from "../middlewares/ownershipMiddleware.js";
+import { idParamsSchema } from "../schemas/commonSchemas.js";
+import {
+  orderDetailsCreateBodySchema,
+  orderDetailsUpdateBodySchema
+} from "../schemas/orderDetailsSchemas.js";
 
 const router = Router();
 
@@ -16,25 +27,31 @@ const router = Router();
  * Rutas para la gestión de los detalles de las órdenes.
  *
  * Todas las rutas están protegidas con autenticación JWT mediante `authMiddleware`.
+ * La propiedad se valida sobre el pedido padre: los vendedores solo operan
+ * sobre detalles de sus propios pedidos.
  * 
  * Endpoints disponibles:
- * - `POST /` → Crea un nuevo detalle de orden.
- * - `GET /` → Obtiene todos los detalles de órdenes.
- * - `GET /:id` → Obtiene un detalle de orden por su ID.
- * - `PUT /:id` → Actualiza un detalle de orden existente por su ID.
- * - `DELETE /:id` → Elimina un detalle de orden por su ID.
+ * - `POST /` → Crea un nuevo detalle de orden (dueño del pedido o Administrador).
+ * - `GET /` → Obtiene todos los detalles de órdenes (Administrador).
+ * - `GET /:id` → Obtiene un detalle de orden por su ID (dueño o Administrador).
+ * - `PUT /:id` → Actualiza un detalle de orden existente por su ID (dueño o Administrador).
+ * - `DELETE /:id` → Elimina un detalle de orden por su ID (dueño o Administrador).
+ *
+ * La entrada (cuerpo, `:id` y query) se valida con `validate` y los esquemas
+ * de `schemas/orderDetailsSchemas.js` antes de llegar al controlador: los datos inválidos
+ * responden `400` con la lista de errores por campo.
  *
  * @module orderDetailsRoutes
  *
  * @example
  * // Registro en app.js o server.js
  * import orderDetailsRoutes from "./presentation/routes/orderDetailsRoutes.js";
- * app.use("/order-details", orderDetailsRoutes);
+ * app.use("/api/orderDetails", orderDetailsRoutes);
  */
-router.post("/", authMiddleware, createOrderDetails);
-router.get("/", authMiddleware, getOrderDetails);
-router.get("/:id", authMiddleware, getOrderDetailsById);
-router.put("/:id", authMiddleware, updateOrderDetails);
-router.delete("/:id", authMiddleware, deleteOrderDetails);
+router.post("/", authMiddleware, anyRole, validate({ body: orderDetailsCreateBodySchema }), requireOrderOwnership((req) => req.body.orderId), createOrderDetails);
+router.get("/", authMiddleware, adminOnly, getOrderDetails);
+router.get("/:id", authMiddleware, anyRole, validate({ params: idParamsSchema }), requireOrderDetailsOwnership(), getOrderDetailsById);
+router.put("/:id", authMiddleware, anyRole, validate({ params: idParamsSchema, body: orderDetailsUpdateBodySchema }), requireOrderDetailsOwnership(), updateOrderDetails);
+router.delete("/:id", authMiddleware, anyRole, validate({ params: idParamsSchema }), requireOrderDetailsOwnership(), deleteOrderDetails);
 
 export default router;
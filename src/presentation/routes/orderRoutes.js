@@ -5,10 +5,30 @@ import {
   getOrder,
   getOrderById,
   updateOrder,
-  deleteOrder
+  cancelOrder,
+  deleteOrder,
+  getOrderInvoice,
+  getOrderItems,
+  addOrderItem,
+  updateOrderItem,
+  removeOrderItem
 } from "../controllers/OrderController.js";
 
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly, anyRole } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { requireOrderOwnership } from "../middlewares/ownershipMiddleware.js";
+import { idParamsSchema } from "../schemas/commonSchemas.js";
+import {
+  orderCreateBodySchema,
+  orderTransitionBodySchema,
+  orderCancelBodySchema,
+  orderByIdQuerySchema,
+  orderInvoiceQuerySchema,
+  orderItemParamsSchema,
+  orderItemCreateBodySchema,
+  orderItemUpdateBodySchema
+} from "../schemas/orderSchemas.js";
 
 const router = Router();
 
@@ -16,25 +36,49 @@ const router = Router();
  * Rutas para la gestión de órdenes.
  *
  * Todas las rutas están protegidas con autenticación JWT mediante `authMiddleware`.
+ * Los vendedores solo ven y modifican sus propios pedidos (`requireOrderOwnership`);
+ * los administradores acceden a todos.
  * 
  * Endpoints disponibles:
- * - `POST /` → Crea una nueva orden.
- * - `GET /` → Obtiene todas las órdenes.
- * - `GET /:id` → Obtiene una orden por su ID.
- * - `PUT /:id/cancel` → Cancela una orden existente por su ID.
- * - `DELETE /:id` → Elimina una orden por su ID.
+ * - `POST /` → Crea una nueva orden con su número consecutivo (Administrador, Vendedor).
+ * - `GET /` → Obtiene una página de órdenes (Administrador: todas; Vendedor: las propias); `?number=` busca por número.
+ * - `GET /:id` → Obtiene una orden por su ID; con `?include=items` incluye sus líneas (dueño o Administrador).
+ * - `POST /:id/transition` → Cambia el estado de una orden (`{ status, note }`) (dueño o Administrador).
+ * - `PUT /:id/cancel` → Cancela una orden existente por su ID (dueño o Administrador).
+ * - `DELETE /:id` → Elimina una orden y sus detalles, liberando el stock reservado (Administrador).
+ * - `GET /:id/invoice.pdf` → Factura en PDF; con `?format=receipt`, tiquete de 80 mm (dueño o Administrador).
+ * - `GET /:id/items` → Líneas de la orden con el nombre de cada producto (dueño o Administrador).
+ * - `POST /:id/items` → Agrega una línea (`{ productId, amount }`) (dueño o Administrador).
+ * - `PUT /:id/items/:itemId` → Cambia la cantidad de una línea (`{ amount }`) (dueño o Administrador).
+ * - `DELETE /:id/items/:itemId` → Quita una línea (dueño o Administrador).
+ *
+ * En las rutas de líneas la propiedad se valida sobre el pedido de `:id`, y
+ * una línea de otro pedido responde `404`. El estado del pedido (editable o
+ * no) lo revisan los casos de uso.
+ *
+ * La entrada (cuerpo, `:id` y query) se valida con `validate` y los esquemas
+ * de `schemas/orderSchemas.js` antes de llegar al controlador: los datos inválidos
+ * responden `400` con la lista de errores por campo.
+ * Los listados validan su query con `parseListQuery` (`utils/listQuery.js`).
  *
  * @module orderRoutes
  *
  * @example
  * // Registro en app.js o server.js
  * import orderRoutes from "./presentation/routes/orderRoutes.js";
- * app.use("/orders", orderRoutes);
+ * app.use("/api/order", orderRoutes);
  */
-router.post("/", authMiddleware, createOrder);
-router.get("/", authMiddleware, getOrder);
-router.get("/:id", authMiddleware, getOrderById);
-router.put("/:id/cancel", authMiddleware, updateOrder);
-router.delete("/:id", authMiddleware, deleteOrder);
+router.post("/", authMiddleware, anyRole, validate({ body: orderCreateBodySchema }), createOrder);
+router.get("/", authMiddleware, anyRole, getOrder);
+router.get("/:id", authMiddleware, anyRole, validate({ params: idParamsSchema, query: orderByIdQuerySchema }), requireOrderOwnership(), getOrderById);
+router.post("/:id/transition", authMiddleware, anyRole, validate({ params: idParamsSchema, body: orderTransitionBodySchema }), requireOrderOwnership(), updateOrder);
+router.put("/:id/cancel", authMiddleware, anyRole, validate({ params: idParamsSchema, body: orderCancelBodySchema }), requireOrderOwnership(), cancelOrder);
+router.delete("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), deleteOrder);
+router.get("/:id/invoice.pdf", authMiddleware, anyRole, validate({ params: idParamsSchema, query: orderInvoiceQuerySchema }), requireOrderOwnership(), getOrderInvoice);
+
+router.get("/:id/items", authMiddleware, anyRole, validate({ params: idParamsSchema }), requireOrderOwnership(), getOrderItems);
+router.post("/:id/items", authMiddleware, anyRole, validate({ params: idParamsSchema, body: orderItemCreateBodySchema }), requireOrderOwnership(), addOrderItem);
+router.put("/:id/items/:itemId", authMiddleware, anyRole, validate({ params: orderItemParamsSchema, body: orderItemUpdateBodySchema }), requireOrderOwnership(), updateOrderItem);
+router.delete("/:id/items/:itemId", authMiddleware, anyRole, validate({ params: orderItemParamsSchema }), requireOrderOwnership(), removeOrderItem);
 
 export default router;
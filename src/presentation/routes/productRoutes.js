@@ -5,10 +5,20 @@ import {
   getProduct,
   getProductById,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  getProductMovements,
+  searchProducts
 } from "../controllers/ProductController.js";
 
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly, anyRole } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { idParamsSchema } from "../schemas/commonSchemas.js";
+import {
+  productBodySchema,
+  productSearchQuerySchema,
+  productMovementsQuerySchema
+} from "../schemas/productSchemas.js";
 
 const router = Router();
 
@@ -16,25 +26,38 @@ const router = Router();
  * Rutas para la gestión de productos.
  *
  * Todas las rutas requieren autenticación con JWT mediante `authMiddleware`.
+ * Los permisos por rol se declaran con los middlewares de `roleMiddleware`.
  *
  * Endpoints disponibles:
- * - `POST /` → Crea un nuevo producto.
- * - `GET /` → Obtiene todos los productos.
- * - `GET /:id` → Obtiene un producto por su ID.
- * - `PUT /:id` → Actualiza un producto existente por su ID.
- * - `DELETE /:id` → Elimina un producto por su ID.
+ * - `POST /` → Crea un nuevo producto (Administrador).
+ * - `GET /` → Obtiene una página de productos con filtros y orden (Administrador, Vendedor).
+ * - `GET /search?q=` → Búsqueda por texto sin acentos, con prefijos y tolerancia
+ *   a errores de tipeo; resalta los términos con `<mark>` (Administrador, Vendedor).
+ * - `GET /:id` → Obtiene un producto por su ID (Administrador, Vendedor).
+ * - `GET /:id/movements` → Kardex del producto, filtrable con `?from=&to=` (Administrador).
+ * - `PUT /:id` → Actualiza un producto existente por su ID; los cambios de stock
+ *   se registran como ajuste manual (Administrador).
+ * - `DELETE /:id` → Elimina un producto por su ID (Administrador).
+ *
+ * La entrada (cuerpo, `:id` y query) se valida con `validate` y los esquemas
+ * de `schemas/productSchemas.js` antes de llegar al controlador: los datos inválidos
+ * responden `400` con la lista de errores por campo.
+ * Los listados validan su query con `parseListQuery` (`utils/listQuery.js`).
  *
  * @module productRoutes
  *
  * @example
  * // Registro en app.js o server.js
  * import productRoutes from "./presentation/routes/productRoutes.js";
- * app.use("/products", productRoutes);
+ * app.use("/api/products", productRoutes);
  */
-router.post("/", authMiddleware, createProduct);
-router.get("/", authMiddleware, getProduct);
-router.get("/:id", authMiddleware, getProductById);
-router.put("/:id", authMiddleware, updateProduct);
-router.delete("/:id", authMiddleware, deleteProduct);
+router.post("/", authMiddleware, adminOnly, validate({ body: productBodySchema }), createProduct);
+router.get("/", authMiddleware, anyRole, getProduct);
+// Debe declararse antes de "/:id" para que "search" no se tome como ID
+router.get("/search", authMiddleware, anyRole, validate({ query: productSearchQuerySchema }), searchProducts);
+router.get("/:id", authMiddleware, anyRole, validate({ params: idParamsSchema }), getProductById);
+router.get("/:id/movements", authMiddleware, adminOnly, validate({ params: idParamsSchema, query: productMovementsQuerySchema }), getProductMovements);
+router.put("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema, body: productBodySchema }), updateProduct);
+router.delete("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), deleteProduct);
 
 export default router;
@@ -0,0 +1,50 @@
+import { Router } from "express";
+
+import {
+  createPromotion,
+  getPromotion,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion
+} from "../controllers/PromotionController.js";
+
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly, anyRole } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { idParamsSchema } from "../schemas/commonSchemas.js";
+import { promotionBodySchema } from "../schemas/promotionSchemas.js";
+
+const router = Router();
+
+/**
+ * Rutas para la gestión de promociones.
+ *
+ * Todas las rutas requieren autenticación con JWT mediante `authMiddleware`.
+ * Cualquier rol puede consultar las promociones (para informar al
+ * cliente); solo el Administrador las crea, modifica o elimina.
+ *
+ * Endpoints disponibles:
+ * - `POST /` → Crea una nueva promoción.
+ * - `GET /` → Obtiene una página de promociones con filtros y orden.
+ * - `GET /:id` → Obtiene una promoción por su ID.
+ * - `PUT /:id` → Actualiza una promoción existente por su ID.
+ * - `DELETE /:id` → Elimina una promoción.
+ *
+ * La entrada (cuerpo e `:id`) se valida con `validate` y los esquemas
+ * de `schemas/promotionSchemas.js` antes de llegar al controlador.
+ * Los listados validan su query con `parseListQuery` (`utils/listQuery.js`).
+ *
+ * @module promotionRoutes
+ *
+ * @example
+ * // Registro en app.js o server.js
+ * import promotionRoutes from "./presentation/routes/promotionRoutes.js";
+ * app.use("/api/promotions", promotionRoutes);
+ */
+router.post("/", authMiddleware, adminOnly, validate({ body: promotionBodySchema }), createPromotion);
+router.get("/", authMiddleware, anyRole, getPromotion);
+router.get("/:id", authMiddleware, anyRole, validate({ params: idParamsSchema }), getPromotionById);
+router.put("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema, body: promotionBodySchema }), updatePromotion);
+router.delete("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), deletePromotion);
+
+export default router;
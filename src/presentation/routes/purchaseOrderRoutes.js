@@ -0,0 +1,57 @@
+import { Router } from "express";
+
+import {
+  createPurchaseOrder,
+  getPurchaseOrder,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  receivePurchaseOrder,
+  deletePurchaseOrder
+} from "../controllers/PurchaseOrderController.js";
+
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { idParamsSchema } from "../schemas/commonSchemas.js";
+import {
+  purchaseOrderCreateBodySchema,
+  purchaseOrderTransitionBodySchema,
+  goodsReceiptBodySchema
+} from "../schemas/purchaseOrderSchemas.js";
+
+const router = Router();
+
+/**
+ * Rutas para las órdenes de compra a proveedores.
+ *
+ * Todas las rutas requieren autenticación con JWT mediante `authMiddleware`
+ * y rol Administrador.
+ *
+ * Endpoints disponibles:
+ * - `POST /` → Crea una orden de compra en borrador.
+ * - `GET /` → Obtiene una página de órdenes de compra con filtros y orden.
+ * - `GET /:id` → Obtiene una orden de compra por su ID.
+ * - `POST /:id/transition` → Envía (`sent`) o cierra (`closed`) la orden.
+ * - `POST /:id/receipts` → Registra mercancía recibida; suma el stock y
+ *   deja la orden en `partially_received` o `received`.
+ * - `DELETE /:id` → Elimina una orden en borrador.
+ *
+ * La entrada (cuerpo e `:id`) se valida con `validate` y los esquemas
+ * de `schemas/purchaseOrderSchemas.js` antes de llegar al controlador.
+ * Los listados validan su query con `parseListQuery` (`utils/listQuery.js`).
+ *
+ * @module purchaseOrderRoutes
+ *
+ * @example
+ * // Registro en app.js o server.js
+ * import purchaseOrderRoutes from "./presentation/routes/purchaseOrderRoutes.js";
+ * app.use("/api/purchaseOrders", purchaseOrderRoutes);
+ */
+router.post("/", authMiddleware, adminOnly, validate({ body: purchaseOrderCreateBodySchema }), createPurchaseOrder);
+router.get("/", authMiddleware, adminOnly, getPurchaseOrder);
+router.get("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), getPurchaseOrderById);
+router.post("/:id/transition", authMiddleware, adminOnly, validate({ params: idParamsSchema, body: purchaseOrderTransitionBodySchema }), updatePurchaseOrder);
+router.post("/:id/receipts", authMiddleware, adminOnly, validate({ params: idParamsSchema, body: goodsReceiptBodySchema }), receivePurchaseOrder);
+router.delete("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), deletePurchaseOrder);
+
+export default router;
@@ -0,0 +1,51 @@
+import { Router } from "express";
+
+import {
+  getSalesReport,
+  getMarginReport,
+  getInventoryReport,
+  getIntegrityReport
+} from "../controllers/ReportController.js";
+
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import {
+  salesReportQuerySchema,
+  marginReportQuerySchema,
+  inventoryReportQuerySchema
+} from "../schemas/reportSchemas.js";
+
+const router = Router();
+
+/**
+ * Rutas de reportes de negocio.
+ *
+ * Todas las rutas requieren autenticación con JWT mediante `authMiddleware`
+ * y rol Administrador.
+ *
+ * Endpoints disponibles:
+ * - `GET /sales` → Ingresos, pedidos y unidades por `?groupBy=day|week|month|product|category|seller`,
+ *   filtrable con `?from=&to=&status=confirmed,shipped`. Los cancelados salen aparte
+ *   en `cancelled`. Con `?format=csv` descarga las filas en CSV.
+ * - `GET /margin` → Margen bruto (ingreso − costo) de las ventas, agrupado
+ *   con `?groupBy=order|product|category` y filtrable con `?from=&to=`.
+ * - `GET /inventory` → Valor del stock (precio y costo) por producto o categoría, con
+ *   alertas de agotados y de productos bajo el punto de reorden (`?alertsOnly=true`).
+ * - `GET /integrity` → Detalles de pedido huérfanos (su pedido ya no existe). Solo informa.
+ *
+ * La query se valida con `validate` y los esquemas de `schemas/reportSchemas.js`.
+ *
+ * @module reportRoutes
+ *
+ * @example
+ * // Registro en app.js o server.js
+ * import reportRoutes from "./presentation/routes/reportRoutes.js";
+ * app.use("/api/reports", reportRoutes);
+ */
+router.get("/sales", authMiddleware, adminOnly, validate({ query: salesReportQuerySchema }), getSalesReport);
+router.get("/margin", authMiddleware, adminOnly, validate({ query: marginReportQuerySchema }), getMarginReport);
+router.get("/inventory", authMiddleware, adminOnly, validate({ query: inventoryReportQuerySchema }), getInventoryReport);
+router.get("/integrity", authMiddleware, adminOnly, getIntegrityReport);
+
+export default router;
@@ -0,0 +1,49 @@
+import { Router } from "express";
+
+import {
+  createSupplier,
+  getSupplier,
+  getSupplierById,
+  updateSupplier,
+  deleteSupplier
+} from "../controllers/SupplierController.js";
+
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { idParamsSchema } from "../schemas/commonSchemas.js";
+import { supplierBodySchema } from "../schemas/supplierSchemas.js";
+
+const router = Router();
+
+/**
+ * Rutas para la gestión de proveedores.
+ *
+ * Todas las rutas requieren autenticación con JWT mediante `authMiddleware`
+ * y rol Administrador.
+ *
+ * Endpoints disponibles:
+ * - `POST /` → Crea un nuevo proveedor.
+ * - `GET /` → Obtiene una página de proveedores con filtros y orden.
+ * - `GET /:id` → Obtiene un proveedor por su ID.
+ * - `PUT /:id` → Actualiza un proveedor existente por su ID.
+ * - `DELETE /:id` → Elimina un proveedor sin órdenes de compra.
+ *
+ * La entrada (cuerpo e `:id`) se valida con `validate` y los esquemas
+ * de `schemas/supplierSchemas.js` antes de llegar al controlador.
+ * Los listados validan su query con `parseListQuery` (`utils/listQuery.js`).
+ *
+ * @module supplierRoutes
+ *
+ * @example
+ * // Registro en app.js o server.js
+ * import supplierRoutes from "./presentation/routes/supplierRoutes.js";
+ * app.use("/api/suppliers", supplierRoutes);
+ */
+router.post("/", authMiddleware, adminOnly, validate({ body: supplierBodySchema }), createSupplier);
+router.get("/", authMiddleware, adminOnly, getSupplier);
+router.get("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), getSupplierById);
+router.put("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema, body: supplierBodySchema }), updateSupplier);
+router.delete("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), deleteSupplier);
+
+export default router;
@@ -0,0 +1,42 @@
+import { Router } from "express";
+
+import {
+  getTaxRates,
+  setCategoryTaxRate,
+  deleteCategoryTaxRate
+} from "../controllers/TaxRateController.js";
+
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly, anyRole } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { categoryTaxRateBodySchema, categoryTaxRateParamsSchema } from "../schemas/taxRateSchemas.js";
+
+const router = Router();
+
+/**
+ * Rutas para la configuración del IVA.
+ *
+ * Todas las rutas requieren autenticación con JWT mediante `authMiddleware`.
+ * Cualquier rol consulta las tarifas; asignarlas es solo del Administrador.
+ *
+ * Endpoints disponibles:
+ * - `GET /` → Tarifa por defecto, tarifas admitidas y tarifa de cada categoría (cualquier rol).
+ * - `PUT /categories/:category` → Crea o cambia la tarifa de una categoría (solo Administrador).
+ * - `DELETE /categories/:category` → Quita la tarifa de una categoría (solo Administrador).
+ *
+ * La tarifa propia de un producto se asigna en el producto (`taxRate` en
+ * `/api/products`). La entrada se valida con `validate` y los esquemas
+ * de `schemas/taxRateSchemas.js` antes de llegar al controlador.
+ *
+ * @module taxRateRoutes
+ *
+ * @example
+ * // Registro en app.js o server.js
+ * import taxRateRoutes from "./presentation/routes/taxRateRoutes.js";
+ * app.use("/api/taxRates", taxRateRoutes);
+ */
+router.get("/", authMiddleware, anyRole, getTaxRates);
+router.put("/categories/:category", authMiddleware, adminOnly, validate({ params: categoryTaxRateParamsSchema, body: categoryTaxRateBodySchema }), setCategoryTaxRate);
+router.delete("/categories/:category", authMiddleware, adminOnly, validate({ params: categoryTaxRateParamsSchema }), deleteCategoryTaxRate);
+
+export default router;
@@ -9,30 +9,47 @@ import {
 } from "../controllers/UserController.js";
 
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { adminOnly, anyRole } from "../middlewares/roleMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import { idParamsSchema } from "../schemas/commonSchemas.js";
+import { userBodySchema } from "../schemas/userSchemas.js";
 
 const router = Router();
 
 /**
  * Rutas para la gestión de usuarios.
  *
+ * Todas las rutas requieren autenticación con JWT mediante `authMiddleware`.
+ * Los permisos por rol se declaran con los middlewares de `roleMiddleware`.
+ *
  * Endpoints disponibles:
- * - `POST /auth/register` → Registro de un nuevo usuario (no requiere autenticación).
- * - `GET /` → Obtiene todos los usuarios (requiere autenticación).
- * - `GET /:id` → Obtiene un usuario por su ID (requiere autenticación).
- * - `PUT /:id` → Actualiza un usuario existente por su ID (requiere autenticación).
- * - `DELETE /:id` → Elimina un usuario por su ID (requiere autenticación).
+ * - `POST /auth/register` → Registro de un nuevo usuario (Administrador).
+ * - `GET /` → Obtiene una página de usuarios (Administrador).
+ * - `GET /:id` → Obtiene un usuario por su ID (Administrador, o el propio usuario).
+ * - `PUT /:id` → Actualiza un usuario existente por su ID (Administrador).
+ * - `DELETE /:id` → Elimina un usuario por su ID (Administrador).
+ *
+ * Como el registro exige un Administrador, el primero de una instalación
+ * nueva se crea fuera de la API con `npm run migrate:bootstrap-admin`, a
+ * partir de `ADMIN_EMAIL` y `ADMIN_PASSWORD` (ver
+ * `infrastructure/db/migrations/007-bootstrap-admin.js`).
+ *
+ * La entrada (cuerpo, `:id` y query) se valida con `validate` y los esquemas
+ * de `schemas/userSchemas.js` antes de llegar al controlador: los datos inválidos
+ * responden `400` con la lista de errores por campo.
+ * Los listados validan su query con `parseListQuery` (`utils/listQuery.js`).
  *
  * @module userRoutes
  *
  * @example
  * // Registro en app.js o server.js
  * import userRoutes from "./presentation/routes/userRoutes.js";
- * app.use("/users", userRoutes);
+ * app.use("/api/users", userRoutes);
  */
-router.post("/auth/register", createUser);
-router.get("/", authMiddleware, getUser);
-router.get("/:id", authMiddleware, getUserById);
-router.put("/:id", authMiddleware, updateUser);
-router.delete("/:id", authMiddleware, deleteUser);
+router.post("/auth/register", authMiddleware, adminOnly, validate({ body: userBodySchema }), createUser);
+router.get("/", authMiddleware, adminOnly, getUser);
+router.get("/:id", authMiddleware, anyRole, validate({ params: idParamsSchema }), getUserById);
+router.put("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema, body: userBodySchema }), updateUser);
+router.delete("/:id", authMiddleware, adminOnly, validate({ params: idParamsSchema }), deleteUser);
 
 export default router;
@@ -0,0 +1,19 @@
+/**
+ * AUTHSCHEMAS.JS - VALIDACIÓN HTTP DE /api/auth
+ * =============================================
+ *
+ * Solo se exige la forma del cuerpo. El login no aplica los límites de
+ * USER_FIELDS a propósito: cualquier credencial incorrecta debe recibir
+ * el mismo "Credenciales inválidas" (401), sin pistas sobre el formato.
+ */
+
+// POST /login
+export const loginBodySchema = Object.freeze({
+  email: { type: "string", required: true },
+  password: { type: "string", required: true }
+});
+
+// POST /refresh y POST /logout
+export const refreshTokenBodySchema = Object.freeze({
+  refreshToken: { type: "string", required: true }
+});
@@ -0,0 +1,12 @@
+/**
+ * COMMONSCHEMAS.JS - ESQUEMAS COMPARTIDOS ENTRE RUTAS
+ * ===================================================
+ *
+ * Reglas de validación HTTP que usan varios routers (ver
+ * `middlewares/validationMiddleware.js`).
+ */
+
+// Parámetro `:id` de las rutas de detalle: debe ser un ObjectId
+export const idParamsSchema = Object.freeze({
+  id: { type: "objectId", required: true }
+});
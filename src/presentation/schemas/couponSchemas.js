@@ -0,0 +1,13 @@
+/**
+ * COUPONSCHEMAS.JS - VALIDACIÓN HTTP DE /api/coupons
+ * ==================================================
+ *
+ * Mismas reglas que la entidad Coupon y CouponModel
+ * (`domain/constants/fieldRules.js`). El tope del porcentaje y el orden
+ * de las fechas los comprueba la entidad.
+ */
+
+import { COUPON_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// POST / y PUT /:id (el PUT reemplaza el cupón completo)
+export const couponBodySchema = COUPON_FIELDS;
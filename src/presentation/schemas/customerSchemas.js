@@ -0,0 +1,17 @@
+/**
+ * CUSTOMERSCHEMAS.JS - VALIDACIÓN HTTP DE /api/customers
+ * ======================================================
+ *
+ * Mismas reglas que la entidad Customer y CustomerModel
+ * (`domain/constants/fieldRules.js`).
+ */
+
+import { CUSTOMER_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// POST / y PUT /:id (el PUT reemplaza el cliente completo)
+export const customerBodySchema = CUSTOMER_FIELDS;
+
+// GET /document/:documentNumber (búsqueda del punto de venta)
+export const customerDocumentParamsSchema = Object.freeze({
+  documentNumber: CUSTOMER_FIELDS.documentNumber
+});
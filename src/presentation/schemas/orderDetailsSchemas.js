@@ -0,0 +1,20 @@
+/**
+ * ORDERDETAILSSCHEMAS.JS - VALIDACIÓN HTTP DE /api/orderDetails
+ * =============================================================
+ *
+ * Mismas reglas que la entidad OrderDetails y OrderDetailsModel
+ * (`domain/constants/fieldRules.js`).
+ */
+
+import { ORDER_DETAIL_FIELDS, ORDER_LINE_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// POST / → precio y costo los copia el servidor del producto, no se reciben del cliente
+export const orderDetailsCreateBodySchema = Object.freeze({
+  orderId: ORDER_DETAIL_FIELDS.orderId,
+  ...ORDER_LINE_FIELDS
+});
+
+// PUT /:id → solo se puede cambiar la cantidad (el stock se ajusta por la diferencia)
+export const orderDetailsUpdateBodySchema = Object.freeze({
+  amount: ORDER_DETAIL_FIELDS.amount
+});
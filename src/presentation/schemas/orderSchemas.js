@@ -0,0 +1,65 @@
+/**
+ * ORDERSCHEMAS.JS - VALIDACIÓN HTTP DE /api/order
+ * ===============================================
+ *
+ * Reglas tomadas de `domain/constants/fieldRules.js`. El `userId` del
+ * pedido no se recibe en el cuerpo: lo pone el controlador desde el token.
+ */
+
+import {
+  ORDER_FIELDS,
+  ORDER_LINES_RULE,
+  ORDER_LINE_FIELDS,
+  ORDER_DETAIL_FIELDS
+} from "../../domain/constants/fieldRules.js";
+import { ORDER_STATUS } from "../../domain/constants/orderStatus.js";
+
+// Datos que se pueden incluir en GET /:id
+export const ORDER_INCLUDES = Object.freeze(["items"]);
+
+// POST / → solo se puede crear como borrador o pendiente; el cliente, el descuento y el cupón son opcionales
+export const orderCreateBodySchema = Object.freeze({
+  status: { ...ORDER_FIELDS.status, enum: [ORDER_STATUS.PENDING, ORDER_STATUS.DRAFT] },
+  customerId: ORDER_FIELDS.customerId,
+  discount: ORDER_FIELDS.discount,
+  couponCode: ORDER_FIELDS.couponCode,
+  details: ORDER_LINES_RULE
+});
+
+// POST /:id/transition
+export const orderTransitionBodySchema = Object.freeze({
+  status: { ...ORDER_FIELDS.status, required: true },
+  note: ORDER_FIELDS.note
+});
+
+// PUT /:id/cancel (cuerpo opcional)
+export const orderCancelBodySchema = Object.freeze({
+  note: ORDER_FIELDS.note
+});
+
+// Formatos de GET /:id/invoice.pdf: hoja A4 o tiquete térmico de 80 mm
+export const INVOICE_FORMATS = Object.freeze(["a4", "receipt"]);
+
+// GET /:id/invoice.pdf?format=
+export const orderInvoiceQuerySchema = Object.freeze({
+  format: { type: "string", enum: INVOICE_FORMATS }
+});
+
+// GET /:id?include=items
+export const orderByIdQuerySchema = Object.freeze({
+  include: { type: "string", enum: ORDER_INCLUDES }
+});
+
+// Parámetros de /:id/items/:itemId
+export const orderItemParamsSchema = Object.freeze({
+  id: { type: "objectId", required: true },
+  itemId: { type: "objectId", required: true }
+});
+
+// POST /:id/items → el pedido sale de la ruta; precio y costo los pone el servidor
+export const orderItemCreateBodySchema = ORDER_LINE_FIELDS;
+
+// PUT /:id/items/:itemId → solo se puede cambiar la cantidad
+export const orderItemUpdateBodySchema = Object.freeze({
+  amount: ORDER_DETAIL_FIELDS.amount
+});
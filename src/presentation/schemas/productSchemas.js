@@ -0,0 +1,27 @@
+/**
+ * PRODUCTSCHEMAS.JS - VALIDACIÓN HTTP DE /api/products
+ * ====================================================
+ *
+ * El cuerpo usa las mismas reglas que la entidad Product y ProductModel
+ * (`domain/constants/fieldRules.js`).
+ */
+
+import { PRODUCT_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// Máximo de resultados de la búsqueda (typeahead)
+export const SEARCH_MAX_LIMIT = 50;
+
+// POST / y PUT /:id (el PUT reemplaza el producto completo)
+export const productBodySchema = PRODUCT_FIELDS;
+
+// GET /search?q=&limit=
+export const productSearchQuerySchema = Object.freeze({
+  q: { type: "string", required: true, maxLength: 100 },
+  limit: { type: "integer", min: 1, max: SEARCH_MAX_LIMIT }
+});
+
+// GET /:id/movements?from=&to=
+export const productMovementsQuerySchema = Object.freeze({
+  from: { type: "date" },
+  to: { type: "date" }
+});
@@ -0,0 +1,13 @@
+/**
+ * PROMOTIONSCHEMAS.JS - VALIDACIÓN HTTP DE /api/promotions
+ * ========================================================
+ *
+ * Mismas reglas que la entidad Promotion y PromotionModel
+ * (`domain/constants/fieldRules.js`). Los campos obligatorios según el
+ * tipo de promoción los comprueba la entidad.
+ */
+
+import { PROMOTION_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// POST / y PUT /:id (el PUT reemplaza la promoción completa)
+export const promotionBodySchema = PROMOTION_FIELDS;
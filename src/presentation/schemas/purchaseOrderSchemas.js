@@ -0,0 +1,32 @@
+/**
+ * PURCHASEORDERSCHEMAS.JS - VALIDACIÓN HTTP DE /api/purchaseOrders
+ * ================================================================
+ *
+ * Reglas tomadas de `domain/constants/fieldRules.js`. El estado inicial
+ * no se recibe: toda orden nace como borrador.
+ */
+
+import {
+  PURCHASE_ORDER_FIELDS,
+  PURCHASE_ORDER_LINES_RULE,
+  RECEIPT_LINES_RULE
+} from "../../domain/constants/fieldRules.js";
+import { MANUAL_PURCHASE_ORDER_STATUSES } from "../../domain/constants/purchaseOrderStatus.js";
+
+// POST /
+export const purchaseOrderCreateBodySchema = Object.freeze({
+  supplierId: PURCHASE_ORDER_FIELDS.supplierId,
+  lines: PURCHASE_ORDER_LINES_RULE
+});
+
+// POST /:id/transition → solo los estados que se piden a mano
+export const purchaseOrderTransitionBodySchema = Object.freeze({
+  status: { ...PURCHASE_ORDER_FIELDS.status, enum: MANUAL_PURCHASE_ORDER_STATUSES, required: true },
+  note: PURCHASE_ORDER_FIELDS.note
+});
+
+// POST /:id/receipts
+export const goodsReceiptBodySchema = Object.freeze({
+  lines: RECEIPT_LINES_RULE,
+  note: PURCHASE_ORDER_FIELDS.note
+});
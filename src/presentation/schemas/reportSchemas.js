@@ -0,0 +1,40 @@
+/**
+ * REPORTSCHEMAS.JS - VALIDACIÓN HTTP DE /api/reports
+ * ==================================================
+ *
+ * Las agrupaciones permitidas se leen de `domain/constants/reportGroups.js`.
+ */
+
+import {
+  MARGIN_REPORT_GROUPS,
+  SALES_REPORT_GROUPS,
+  INVENTORY_REPORT_GROUPS
+} from "../../domain/constants/reportGroups.js";
+import { PRODUCT_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// Formatos de salida del reporte de ventas
+export const REPORT_FORMATS = Object.freeze(["json", "csv"]);
+
+// GET /sales?groupBy=&from=&to=&status=&format=
+// `status` es una lista separada por comas; la revisa el caso de uso
+export const salesReportQuerySchema = Object.freeze({
+  groupBy: { type: "string", enum: SALES_REPORT_GROUPS },
+  from: { type: "date" },
+  to: { type: "date" },
+  status: { type: "string", maxLength: 200 },
+  format: { type: "string", enum: REPORT_FORMATS }
+});
+
+// GET /margin?groupBy=&from=&to=
+export const marginReportQuerySchema = Object.freeze({
+  groupBy: { type: "string", enum: MARGIN_REPORT_GROUPS },
+  from: { type: "date" },
+  to: { type: "date" }
+});
+
+// GET /inventory?groupBy=&category=&alertsOnly=
+export const inventoryReportQuerySchema = Object.freeze({
+  groupBy: { type: "string", enum: INVENTORY_REPORT_GROUPS },
+  category: { ...PRODUCT_FIELDS.category, required: false },
+  alertsOnly: { type: "boolean" }
+});
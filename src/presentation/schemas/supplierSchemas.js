@@ -0,0 +1,12 @@
+/**
+ * SUPPLIERSCHEMAS.JS - VALIDACIÓN HTTP DE /api/suppliers
+ * ======================================================
+ *
+ * Mismas reglas que la entidad Supplier y SupplierModel
+ * (`domain/constants/fieldRules.js`).
+ */
+
+import { SUPPLIER_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// POST / y PUT /:id (el PUT reemplaza el proveedor completo)
+export const supplierBodySchema = SUPPLIER_FIELDS;
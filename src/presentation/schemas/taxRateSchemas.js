@@ -0,0 +1,18 @@
+/**
+ * TAXRATESCHEMAS.JS - VALIDACIÓN HTTP DE /api/taxRates
+ * ====================================================
+ *
+ * Mismas reglas que CategoryTaxRateModel (`domain/constants/fieldRules.js`).
+ */
+
+import { CATEGORY_TAX_RATE_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// /categories/:category
+export const categoryTaxRateParamsSchema = Object.freeze({
+  category: CATEGORY_TAX_RATE_FIELDS.category
+});
+
+// PUT /categories/:category
+export const categoryTaxRateBodySchema = Object.freeze({
+  rate: CATEGORY_TAX_RATE_FIELDS.rate
+});
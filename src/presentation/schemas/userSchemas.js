@@ -0,0 +1,12 @@
+/**
+ * USERSCHEMAS.JS - VALIDACIÓN HTTP DE /api/users
+ * ==============================================
+ *
+ * Mismas reglas que la entidad User y UserModel
+ * (`domain/constants/fieldRules.js`).
+ */
+
+import { USER_FIELDS } from "../../domain/constants/fieldRules.js";
+
+// POST /auth/register y PUT /:id (el PUT reemplaza el usuario completo)
+export const userBodySchema = USER_FIELDS;
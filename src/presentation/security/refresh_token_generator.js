@@ -0,0 +1,64 @@
+import crypto from "crypto";
+
+/**
+ * Clase encargada de la generación de refresh tokens opacos.
+ *
+ * A diferencia del access token (JWT), el refresh token es un valor
+ * aleatorio sin información del usuario. En base de datos solo se
+ * guarda su hash SHA-256, por lo que una filtración de la colección
+ * no permite reutilizar los tokens.
+ *
+ * @class RefreshTokenGenerator
+ *
+ * @example
+ * // Crear instancia (tokens válidos por 7 días)
+ * const refreshTokenGenerator = new RefreshTokenGenerator(7);
+ *
+ * // Generar token para una nueva sesión
+ * const family = refreshTokenGenerator.newFamily();
+ * const { token, tokenHash, expiresAt } = refreshTokenGenerator.generate();
+ *
+ * // Calcular el hash de un token recibido del cliente
+ * const hash = refreshTokenGenerator.hash(token);
+ */
+export default class RefreshTokenGenerator {
+  /**
+   * @param {number} [expiresInDays=7] - Días de validez de cada refresh token.
+   */
+  constructor(expiresInDays = Number(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 7) {
+    this.expiresInDays = expiresInDays;
+  }
+
+  /**
+   * Genera un nuevo refresh token.
+   *
+   * @returns {{ token: string, tokenHash: string, expiresAt: Date }}
+   * - `token`: valor que se entrega al cliente (solo se conoce en este momento).
+   * - `tokenHash`: hash que se persiste en base de datos.
+   * - `expiresAt`: fecha de expiración del token.
+   */
+  generate() {
+    const token = crypto.randomBytes(48).toString("base64url");
+    const expiresAt = new Date(Date.now() + this.expiresInDays * 24 * 60 * 60 * 1000);
+    return { token, tokenHash: this.hash(token), expiresAt };
+  }
+
+  /**
+   * Calcula el hash SHA-256 de un refresh token.
+   *
+   * @param {string} token - Refresh token en texto plano.
+   * @returns {string} - Hash hexadecimal del token.
+   */
+  hash(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  /**
+   * Genera el identificador de una nueva familia de tokens (sesión).
+   *
+   * @returns {string} - Identificador único de la sesión.
+   */
+  newFamily() {
+    return crypto.randomUUID();
+  }
+}
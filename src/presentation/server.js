@@ -19,7 +19,15 @@
  * │ /api/products      -> Gestión de productos (CRUD + Stock)   │
  * │ /api/order         -> Gestión de pedidos (CRUD + Estado)    │
  * │ /api/orderDetails  -> Gestión de detalles (CRUD)            │
- * │ /api/auth/login    -> Autenticación y JWT                   │
+ * │ /api/customers     -> Clientes e historial de compras       │
+ * │ /api/taxRates      -> Tarifas de IVA por categoría          │
+ * │ /api/promotions    -> Promociones de precio (CRUD)          │
+ * │ /api/coupons       -> Cupones de descuento (CRUD)           │
+ * │ /api/suppliers     -> Gestión de proveedores (CRUD)         │
+ * │ /api/purchaseOrders -> Órdenes de compra y recepciones      │
+ * │ /api/reports       -> Reportes (ventas, margen, inventario) │
+ * │ /api/auth          -> Autenticación, JWT y refresh tokens   │
+ * │ /api/docs          -> Especificación OpenAPI y Swagger UI   │
  * └─────────────────────────────────────────────────────────────┘
  * 
  * Arquitectura:
@@ -38,6 +46,7 @@ import express from "express";
 
 // Importación de middleware CORS configurado para desarrollo/producción
 import corsMiddleware from "./middlewares/corsMiddleware.js";
+import { errorMiddleware, notFoundMiddleware } from "./middlewares/errorMiddleware.js";
 
 // ============================================================
 // IMPORTACIÓN DE RUTAS MODULARES
@@ -50,8 +59,8 @@ import corsMiddleware from "./middlewares/corsMiddleware.js";
  * RUTAS DE USUARIOS (userRoutes)
  * ==============================
  * Gestión completa del ciclo de vida de usuarios:
- * - POST /api/users: Registro de nuevos usuarios con contraseña encriptada
- * - GET /api/users: Obtener lista de todos los usuarios (admin)
+ * - POST /api/users/auth/register: Registro de nuevos usuarios con contraseña encriptada
+ * - GET /api/users: Obtener una página de usuarios (admin)
  * - GET /api/users/:id: Obtener usuario específico por ID
  * - PUT /api/users/:id: Actualizar datos de usuario
  * - DELETE /api/users/:id: Eliminar usuario (consideraciones de integridad)
@@ -62,13 +71,16 @@ import userRoutes from "./routes/userRoutes.js";
  * RUTAS DE PRODUCTOS (productRoutes)
  * ==================================
  * Gestión de catálogo de productos con control automático de stock:
- * - POST /api/products: Crear nuevo producto con stock inicial
- * - GET /api/products: Obtener todos los productos del catálogo
+ * - POST /api/products: Crear nuevo producto con stock inicial (y tarifa de IVA opcional)
+ * - GET /api/products: Obtener una página del catálogo (filtros y orden)
+ * - GET /api/products/search?q=: Búsqueda por texto (sin acentos, prefijos, tipeo)
  * - GET /api/products/:id: Obtener producto específico por ID
+ * - GET /api/products/:id/movements: Kardex del producto (?from=&to=)
  * - PUT /api/products/:id: Actualizar producto (precio, stock, etc.)
  * - DELETE /api/products/:id: Eliminar producto (validar referencias)
  * 
- * Nota: El stock se gestiona automáticamente según estado de pedidos
+ * Nota: El stock se gestiona automáticamente según estado de pedidos y
+ * cada cambio queda registrado como movimiento en el kardex
  */
 import productRoutes from "./routes/productRoutes.js";
 
@@ -76,15 +88,23 @@ import productRoutes from "./routes/productRoutes.js";
  * RUTAS DE PEDIDOS (orderRoutes)
  * ==============================
  * Gestión de pedidos con lógica de negocio de inventario:
- * - POST /api/order: Crear pedido (descuenta stock automáticamente)
- * - GET /api/order: Obtener todos los pedidos del sistema
- * - GET /api/order/:id: Obtener pedido específico con detalles
- * - PUT /api/order/:id: Actualizar pedido (maneja cambios de estado)
- * - DELETE /api/order/:id: Eliminar pedido
- * 
- * Lógica de Stock:
- * - status: true → Stock descontado (pedido confirmado)
- * - status: false → Stock restaurado (pedido cancelado)
+ * - POST /api/order: Crear pedido (reserva stock y le asigna un número, ej. PED-2026-000123)
+ * - GET /api/order: Obtener una página de pedidos (filtros y orden; `?number=` busca por número)
+ * - GET /api/order/:id: Obtener pedido específico (`?include=items` añade sus líneas)
+ * - POST /api/order/:id/transition: Cambiar el estado del pedido
+ * - PUT /api/order/:id/cancel: Cancelar pedido (libera la reserva)
+ * - DELETE /api/order/:id: Eliminar pedido con sus detalles (libera el stock reservado)
+ * - GET /api/order/:id/invoice.pdf: Factura en PDF (A4 o tiquete de 80 mm)
+ * - GET/POST /api/order/:id/items: Líneas del pedido / agregar una línea
+ * - PUT/DELETE /api/order/:id/items/:itemId: Cambiar la cantidad / quitar una línea
+ * 
+ * Un pedido puede indicar el cliente que compra (`customerId`). Cada
+ * línea guarda su base, tarifa e IVA; el pedido, `subtotal`, `taxTotal` y `total`.
+ * 
+ * Lógica de Stock (según el estado del pedido):
+ * - pending / confirmed / preparing → Stock reservado
+ * - shipped / delivered → Stock despachado
+ * - draft / cancelled / returned → Sin stock ocupado
  */
 import orderRoutes from "./routes/orderRoutes.js";
 
@@ -101,14 +121,108 @@ import orderRoutes from "./routes/orderRoutes.js";
  * Cada detalle almacena:
  * - Relación con pedido y producto
  * - Cantidad, precio unitario histórico y subtotal
+ * - Tarifa de IVA, base gravable e IVA de la línea
  */
 import orderDetailsRoutes from "./routes/orderDetailsRoutes.js";
 
+/**
+ * RUTAS DE CLIENTES (customerRoutes)
+ * ==================================
+ * Compradores del punto de venta:
+ * - POST /api/customers: Registrar cliente (cupo de crédito solo Administrador)
+ * - GET /api/customers: Obtener una página de clientes (filtros y orden)
+ * - GET /api/customers/document/:documentNumber: Buscar cliente por documento
+ * - GET /api/customers/:id: Obtener cliente por ID
+ * - GET /api/customers/:id/orders: Historial de pedidos del cliente
+ * - PUT /api/customers/:id: Actualizar cliente (solo Administrador)
+ * - DELETE /api/customers/:id: Eliminar cliente sin pedidos (solo Administrador)
+ */
+import customerRoutes from "./routes/customerRoutes.js";
+
+/**
+ * RUTAS DE TARIFAS DE IVA (taxRateRoutes)
+ * =======================================
+ * Configuración del IVA de los pedidos:
+ * - GET /api/taxRates: Tarifa por defecto, tarifas admitidas y las de cada categoría
+ * - PUT /api/taxRates/categories/:category: Asignar la tarifa de una categoría (solo Administrador)
+ * - DELETE /api/taxRates/categories/:category: Quitar la tarifa de una categoría (solo Administrador)
+ */
+import taxRateRoutes from "./routes/taxRateRoutes.js";
+
+/**
+ * RUTAS DE PROMOCIONES (promotionRoutes)
+ * ======================================
+ * Precios promocionales que se aplican al crear pedidos:
+ * - POST /api/promotions: Crear promoción (solo Administrador)
+ * - GET /api/promotions: Obtener una página de promociones (filtros y orden)
+ * - GET /api/promotions/:id: Obtener promoción por ID
+ * - PUT /api/promotions/:id: Actualizar promoción (solo Administrador)
+ * - DELETE /api/promotions/:id: Eliminar promoción (solo Administrador)
+ */
+import promotionRoutes from "./routes/promotionRoutes.js";
+
+/**
+ * RUTAS DE CUPONES (couponRoutes)
+ * ===============================
+ * Códigos de descuento que se canjean al crear pedidos (`couponCode`),
+ * todas solo para el Administrador:
+ * - POST /api/coupons: Crear cupón
+ * - GET /api/coupons: Obtener una página de cupones (filtros y orden)
+ * - GET /api/coupons/:id: Obtener cupón por ID, con sus canjes
+ * - PUT /api/coupons/:id: Actualizar cupón
+ * - DELETE /api/coupons/:id: Eliminar cupón sin canjes
+ */
+import couponRoutes from "./routes/couponRoutes.js";
+
+/**
+ * RUTAS DE PROVEEDORES (supplierRoutes)
+ * =====================================
+ * Catálogo de proveedores (solo Administrador):
+ * - POST /api/suppliers: Crear proveedor
+ * - GET /api/suppliers: Obtener una página de proveedores (filtros y orden)
+ * - GET /api/suppliers/:id: Obtener proveedor por ID
+ * - PUT /api/suppliers/:id: Actualizar proveedor
+ * - DELETE /api/suppliers/:id: Eliminar proveedor sin órdenes de compra
+ */
+import supplierRoutes from "./routes/supplierRoutes.js";
+
+/**
+ * RUTAS DE ÓRDENES DE COMPRA (purchaseOrderRoutes)
+ * ================================================
+ * Reposición de inventario con proveedores (solo Administrador):
+ * - POST /api/purchaseOrders: Crear orden en borrador
+ * - GET /api/purchaseOrders: Obtener una página de órdenes (filtros y orden)
+ * - GET /api/purchaseOrders/:id: Obtener orden por ID
+ * - POST /api/purchaseOrders/:id/transition: Enviar o cerrar la orden
+ * - POST /api/purchaseOrders/:id/receipts: Registrar mercancía recibida
+ * - DELETE /api/purchaseOrders/:id: Eliminar orden en borrador
+ * 
+ * Cada recepción suma stock y queda en el kardex con motivo "receipt".
+ */
+import purchaseOrderRoutes from "./routes/purchaseOrderRoutes.js";
+
+/**
+ * RUTAS DE REPORTES (reportRoutes)
+ * ================================
+ * Reportes de negocio (solo Administrador):
+ * - GET /api/reports/sales: Ventas por día, semana, mes, producto, categoría
+ *   o vendedor, en JSON o CSV (los pedidos cancelados se informan aparte)
+ * - GET /api/reports/margin: Margen bruto por pedido, producto o categoría
+ * - GET /api/reports/inventory: Valor del stock y productos por reponer
+ * - GET /api/reports/integrity: Detalles de pedido huérfanos (sin pedido)
+ * 
+ * El costo de cada venta es el costo promedio ponderado del producto
+ * copiado en el detalle del pedido al momento de vender.
+ */
+import reportRoutes from "./routes/reportRoutes.js";
+
 /**
  * RUTAS DE AUTENTICACIÓN (loginRoutes)
  * ====================================
  * Gestión de autenticación y generación de tokens:
- * - POST /api/auth/login: Autenticar usuario y generar JWT
+ * - POST /api/auth/login: Autenticar usuario y generar JWT + refresh token
+ * - POST /api/auth/refresh: Rotar el refresh token y emitir un nuevo JWT
+ * - POST /api/auth/logout: Revocar la sesión (familia de refresh tokens)
  * 
  * Proceso de login:
  * 1. Recibe email y contraseña
@@ -116,10 +230,23 @@ import orderDetailsRoutes from "./routes/orderDetailsRoutes.js";
  * 3. Genera token JWT con información del usuario
  * 4. Retorna token para uso en peticiones autenticadas
  * 
- * El token JWT debe incluirse en el header Authorization de peticiones protegidas
+ * El token JWT debe incluirse en el header Authorization de peticiones protegidas.
+ * Cada JWT lleva el identificador de su sesión (`sid`): al revocarla, el
+ * middleware de autenticación deja de aceptarlo aunque no haya expirado.
  */
 import loginRoutes from "./routes/loginRoutes.js";
 
+/**
+ * RUTAS DE DOCUMENTACIÓN (docsRoutes)
+ * ===================================
+ * Especificación OpenAPI 3 de todos los endpoints anteriores:
+ * - GET /api/docs/openapi.json: Documento OpenAPI (ver docs/openapi.js)
+ * - GET /api/docs: Swagger UI interactivo
+ * 
+ * `npm run docs:check` verifica que cada ruta de Express esté documentada.
+ */
+import docsRoutes from "./routes/docsRoutes.js";
+
 /**
  * INICIALIZACIÓN DE LA APLICACIÓN EXPRESS
  * =======================================
@@ -141,6 +268,7 @@ const app = express();
  * 2. OPTIONS handler (manejo explícito de preflight)
  * 3. JSON parser (antes de rutas que reciben datos)
  * 4. Rutas de la aplicación
+ * 5. Manejador central de errores (siempre al final)
  */
 
 /**
@@ -247,8 +375,11 @@ app.use("/api/products", productRoutes);
  * en el módulo orderRoutes.
  * 
  * Lógica de negocio crítica:
- * - Creación de pedidos descuenta stock automáticamente
- * - Cambio de estado (true/false) ajusta inventario
+ * - Un pedido pendiente reserva su stock al crearse (los borradores no)
+ * - Cada cambio de estado sigue el ciclo de vida (draft → pending →
+ *   confirmed → preparing → shipped → delivered, más cancelled y
+ *   returned) y mueve el inventario según la fase de stock: none (sin
+ *   reserva), reserved (apartado) o committed (despachado)
  * - Relación con usuarios y detalles de pedidos
  * - Validaciones de stock antes de confirmar
  */
@@ -268,10 +399,63 @@ app.use("/api/order", orderRoutes);
  */
 app.use("/api/orderDetails", orderDetailsRoutes);
 
+/**
+ * MONTAJE DE RUTAS DE CLIENTES
+ * ============================
+ * Todas las rutas que comienzan con /api/customers se manejarán
+ * en el módulo customerRoutes. Los pedidos guardan el cliente en
+ * `customerId`; su historial se consulta en /api/customers/:id/orders.
+ */
+app.use("/api/customers", customerRoutes);
+
+/**
+ * MONTAJE DE RUTAS DE TARIFAS DE IVA
+ * ==================================
+ * Todas las rutas que comienzan con /api/taxRates se manejarán
+ * en el módulo taxRateRoutes. La tarifa de un producto es la suya,
+ * la de su categoría o la por defecto (DEFAULT_TAX_RATE).
+ */
+app.use("/api/taxRates", taxRateRoutes);
+
+/**
+ * MONTAJE DE RUTAS DE PROMOCIONES
+ * ===============================
+ * Todas las rutas que comienzan con /api/promotions se manejarán
+ * en el módulo promotionRoutes. Las vigentes se aplican solas a las
+ * líneas de los pedidos nuevos (ver DiscountService).
+ */
+app.use("/api/promotions", promotionRoutes);
+
+/**
+ * MONTAJE DE RUTAS DE CUPONES
+ * ===========================
+ * Todas las rutas que comienzan con /api/coupons se manejarán
+ * en el módulo couponRoutes. El canje ocurre al crear el pedido
+ * (ver CouponService).
+ */
+app.use("/api/coupons", couponRoutes);
+
+/**
+ * MONTAJE DE RUTAS DE COMPRAS
+ * ===========================
+ * Proveedores y órdenes de compra. La recepción de mercancía es la
+ * única vía de entrada de stock desde proveedores: suma unidades al
+ * producto y actualiza lo recibido de cada línea de la orden.
+ */
+app.use("/api/suppliers", supplierRoutes);
+app.use("/api/purchaseOrders", purchaseOrderRoutes);
+
+/**
+ * MONTAJE DE RUTAS DE REPORTES
+ * ============================
+ * Consultas de solo lectura sobre pedidos, detalles y productos.
+ */
+app.use("/api/reports", reportRoutes);
+
 /**
  * MONTAJE DE RUTAS DE AUTENTICACIÓN
  * =================================
- * Todas las rutas que comienzan con /api/auth/login se manejarán
+ * Todas las rutas que comienzan con /api/auth se manejarán
  * en el módulo loginRoutes.
  * 
  * Seguridad implementada:
@@ -279,12 +463,53 @@ app.use("/api/orderDetails", orderDetailsRoutes);
  * - Generación de tokens JWT seguros
  * - Tokens incluyen información de usuario y permisos
  * - Expiración configurable de tokens
+ * - Refresh tokens rotativos con detección de reutilización
  * 
  * Uso del token:
  * - Incluir en header: Authorization: Bearer <token>
  * - Validar en rutas protegidas con middleware de autenticación
  */
-app.use("/api/auth/login", loginRoutes);
+app.use("/api/auth", loginRoutes);
+
+/**
+ * MONTAJE DE LA DOCUMENTACIÓN
+ * ===========================
+ * Rutas públicas: /api/docs/openapi.json y Swagger UI en /api/docs.
+ */
+app.use("/api/docs", docsRoutes);
+
+/**
+ * RUTAS INEXISTENTES
+ * ==================
+ * Cualquier petición que ninguna ruta atendió llega aquí y se pasa al
+ * manejador de errores como NotFoundError (código ROUTE_NOT_FOUND).
+ */
+app.use(notFoundMiddleware);
+
+/**
+ * MANEJADOR CENTRAL DE ERRORES
+ * ============================
+ * 
+ * Debe registrarse después de todas las rutas. Los controladores pasan
+ * los errores con `next(err)` y aquí se traducen a una respuesta HTTP
+ * con un `code` estable legible por máquina:
+ * 
+ * - ValidationError, ID inválido, JSON mal formado → 400
+ * - UnauthorizedError (credenciales, tokens)      → 401
+ * - ForbiddenError (rol o propiedad del recurso)  → 403
+ * - NotFoundError, ruta inexistente                → 404
+ * - ConflictError, stock insuficiente, estado del
+ *   pedido, clave duplicada                       → 409
+ * - Cualquier otro error                          → 500 (mensaje genérico)
+ * 
+ * Formato: { error: "mensaje", code: "CODIGO", ...detalles }
+ * Los stack traces solo se escriben en el log del servidor.
+ * 
+ * La entrada de cada ruta se valida antes con `validationMiddleware`
+ * (esquemas en `schemas/`); sus 400 incluyen
+ * `errors: [{ location, field, message }]` con todos los campos rechazados.
+ */
+app.use(errorMiddleware);
 
 /**
  * EXPORTACIÓN DEL SERVIDOR CONFIGURADO
@@ -0,0 +1,41 @@
+/**
+ * CSV.JS - EXPORTACIÓN A CSV
+ * ==========================
+ *
+ * Convierte filas de un reporte en texto CSV (RFC 4180): separador coma,
+ * saltos de línea CRLF y comillas dobles en los valores que las necesitan.
+ * Las fechas se escriben en ISO 8601 y los valores vacíos como celda vacía.
+ */
+
+/**
+ * Escapa un valor para una celda CSV
+ * @param {*} value
+ * @returns {string}
+ */
+const toCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Arma un CSV con una fila de encabezados y una fila por elemento
+ *
+ * @param {Array<Object>} rows - Filas del reporte
+ * @param {Array<{ key: string, header: string }>} columns - Columnas en orden
+ * @returns {string} Texto CSV
+ *
+ * @example
+ * toCsv([{ period: "2026-01-01", revenue: 1200 }], [
+ *   { key: "period", header: "Periodo" },
+ *   { key: "revenue", header: "Ingresos" }
+ * ]);
+ * // "Periodo,Ingresos\r\n2026-01-01,1200\r\n"
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map((column) => toCell(column.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => toCell(row[column.key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+};
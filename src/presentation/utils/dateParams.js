@@ -0,0 +1,23 @@
+/**
+ * DATEPARAMS.JS - FECHAS EN LA QUERY STRING
+ * =========================================
+ *
+ * Conversión de los rangos `from` / `to` que reciben el kardex de
+ * productos y los reportes.
+ */
+
+/**
+ * Convierte un parámetro de fecha de la query (`YYYY-MM-DD` o ISO 8601).
+ * Si solo trae la fecha y se pide `endOfDay`, incluye el día completo.
+ *
+ * @param {string} [value] - Valor recibido en la query
+ * @param {boolean} [endOfDay] - Ajustar al último milisegundo del día
+ * @returns {Date|null|undefined} Fecha, null si no se envió, undefined si es inválida
+ */
+export const parseDateParam = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
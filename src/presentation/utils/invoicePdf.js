@@ -0,0 +1,370 @@
+/**
+ * INVOICEPDF.JS - FACTURA Y TIQUETE EN PDF
+ * ========================================
+ *
+ * Dibuja con PDFKit los datos de `GetOrderInvoice` en uno de dos formatos,
+ * sin servicios externos:
+ *
+ * - a4:      Factura imprimible en hoja A4, con tabla de líneas y saltos
+ *            de página (el encabezado de la tabla se repite)
+ * - receipt: Tiquete para impresora térmica de 80 mm. Texto monoespaciado
+ *            a 42 columnas y una sola página del alto justo del contenido
+ *
+ * Los pedidos en borrador o cancelados se marcan como documento sin
+ * validez. Las fuentes son las estándar del PDF (Helvetica y Courier),
+ * que cubren tildes y eñes sin incrustar archivos de fuentes.
+ */
+
+import PDFDocument from "pdfkit";
+
+import { ORDER_STATUS } from "../../domain/constants/orderStatus.js";
+import { formatMoney } from "../../domain/constants/money.js";
+
+// Nombre de cada estado tal como se imprime
+const STATUS_LABELS = {
+  [ORDER_STATUS.DRAFT]: "Borrador",
+  [ORDER_STATUS.PENDING]: "Pendiente",
+  [ORDER_STATUS.CONFIRMED]: "Confirmado",
+  [ORDER_STATUS.PREPARING]: "En preparación",
+  [ORDER_STATUS.SHIPPED]: "Despachado",
+  [ORDER_STATUS.DELIVERED]: "Entregado",
+  [ORDER_STATUS.CANCELLED]: "Cancelado",
+  [ORDER_STATUS.RETURNED]: "Devuelto"
+};
+
+// Estados en los que el documento no sirve como factura
+const VOID_NOTES = {
+  [ORDER_STATUS.DRAFT]: "BORRADOR - DOCUMENTO SIN VALIDEZ",
+  [ORDER_STATUS.CANCELLED]: "PEDIDO CANCELADO - DOCUMENTO SIN VALIDEZ"
+};
+
+// 80 mm en puntos PDF (1 mm = 72 / 25.4 pt)
+const RECEIPT_WIDTH = 80 * 72 / 25.4;
+const RECEIPT_MARGIN = 10;
+const RECEIPT_COLUMNS = 42;
+const RECEIPT_FONT_SIZE = 8;
+const RECEIPT_LINE_HEIGHT = 10;
+
+// Columnas de la tabla A4: x, ancho y alineación
+const A4_MARGIN = 50;
+const A4_COLUMNS = [
+  { key: "productName", header: "Producto", x: 50, width: 195, align: "left" },
+  { key: "taxRate", header: "IVA", x: 245, width: 40, align: "right" },
+  { key: "amount", header: "Cant.", x: 285, width: 50, align: "right" },
+  { key: "unitPrice", header: "Precio unitario", x: 335, width: 105, align: "right" },
+  { key: "subtotal", header: "Subtotal", x: 440, width: 105, align: "right" }
+];
+
+/**
+ * Formateadores de moneda (montos en centavos) y fecha según la configuración regional.
+ * Los espacios especiales de Intl se cambian por espacios normales, que
+ * sí existen en la codificación de las fuentes estándar.
+ * @param {Object} settings - { locale, currency, timeZone }
+ */
+const formatters = ({ locale, currency, timeZone }) => {
+  const dateFormat = new Intl.DateTimeFormat(locale, { timeZone, dateStyle: "short", timeStyle: "short" });
+  const plain = (text) => text.replace(/\s/g, " ");
+
+  return {
+    money: (value) => plain(formatMoney(value, { locale, currency })),
+    date: (value) => (value ? plain(dateFormat.format(new Date(value))) : "")
+  };
+};
+
+/**
+ * Filas de totales: descuentos (si los hay), subtotal, cada impuesto y total.
+ * El subtotal ya viene descontado: la fila de descuentos es informativa.
+ * @param {Object} invoice
+ * @param {Function} money - Formateador de moneda
+ * @returns {Array<{ label: string, value: string, bold?: boolean }>}
+ */
+const totalRows = (invoice, money) => [
+  ...(invoice.discountTotal > 0 ? [{ label: "Descuentos", value: `-${money(invoice.discountTotal)}` }] : []),
+  { label: "Subtotal", value: money(invoice.subtotal) },
+  ...invoice.taxes.map((tax) => ({ label: tax.label, value: money(tax.amount) })),
+  { label: "TOTAL", value: money(invoice.total), bold: true }
+];
+
+/**
+ * Junta el PDF generado en un Buffer
+ * @param {PDFDocument} doc - Documento recién creado (antes de escribir en él)
+ * @returns {Promise<Buffer>} Se resuelve al llamar `doc.end()`
+ */
+const collect = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  doc.on("end", () => resolve(Buffer.concat(chunks)));
+  doc.on("error", reject);
+});
+
+// ============================================================
+// FACTURA A4
+// ============================================================
+
+/**
+ * Encabezado de la tabla de líneas
+ * @param {PDFDocument} doc
+ * @param {number} y - Posición vertical
+ * @returns {number} Posición debajo del encabezado
+ */
+const drawTableHeader = (doc, y) => {
+  doc.font("Helvetica-Bold").fontSize(9);
+  for(const column of A4_COLUMNS) {
+    doc.text(column.header, column.x, y, { width: column.width, align: column.align });
+  }
+  const bottom = y + 14;
+  doc.moveTo(A4_MARGIN, bottom).lineTo(doc.page.width - A4_MARGIN, bottom).lineWidth(0.5).stroke();
+  return bottom + 6;
+};
+
+/**
+ * Dibuja la factura en hojas A4
+ * @param {PDFDocument} doc
+ * @param {Object} invoice - Datos de `GetOrderInvoice`
+ * @param {Object} settings - { company, locale, currency, timeZone }
+ */
+const drawA4 = (doc, invoice, settings) => {
+  const { money, date } = formatters(settings);
+  const { company } = settings;
+  const right = doc.page.width - A4_MARGIN;
+  const contentWidth = right - A4_MARGIN;
+
+  // Datos del negocio (izquierda) y de la factura (derecha)
+  doc.font("Helvetica-Bold").fontSize(16).text(company.name, A4_MARGIN, A4_MARGIN, { width: 280 });
+  doc.font("Helvetica").fontSize(9);
+  if(company.taxId) doc.text(`NIT ${company.taxId}`, { width: 280 });
+  if(company.address) doc.text(company.address, { width: 280 });
+  if(company.phone) doc.text(`Tel. ${company.phone}`, { width: 280 });
+  const companyBottom = doc.y;
+
+  doc.font("Helvetica-Bold").fontSize(14).text("FACTURA DE VENTA", 330, A4_MARGIN, { width: right - 330, align: "right" });
+  doc.font("Helvetica").fontSize(10)
+    .text(`N.º ${invoice.number ?? invoice.orderId}`, { width: right - 330, align: "right" })
+    .text(`Fecha: ${date(invoice.createdAt)}`, { width: right - 330, align: "right" })
+    .text(`Estado: ${STATUS_LABELS[invoice.status] ?? invoice.status}`, { width: right - 330, align: "right" });
+
+  let y = Math.max(companyBottom, doc.y) + 12;
+
+  const voidNote = VOID_NOTES[invoice.status];
+  if(voidNote) {
+    doc.font("Helvetica-Bold").fontSize(11).fillColor("#b00020")
+      .text(voidNote, A4_MARGIN, y, { width: contentWidth, align: "center" })
+      .fillColor("black");
+    y = doc.y + 10;
+  }
+
+  // Vendedor y cliente
+  const { seller, customer } = invoice;
+  doc.font("Helvetica-Bold").fontSize(10).text("Vendedor", A4_MARGIN, y).text("Cliente", 300, y);
+  doc.font("Helvetica").fontSize(9);
+  doc.text(seller?.name ?? "—", A4_MARGIN, y + 14, { width: 230 });
+  if(seller?.email) doc.text(seller.email, { width: 230 });
+  const sellerBottom = doc.y;
+
+  if(customer) {
+    doc.text(customer.name, 300, y + 14, { width: right - 300 });
+    doc.text(`${customer.documentType} ${customer.documentNumber}`, { width: right - 300 });
+    if(customer.address) {
+      doc.text([customer.address.line, customer.address.city].filter(Boolean).join(", "), { width: right - 300 });
+    }
+    if(customer.phone) doc.text(`Tel. ${customer.phone}`, { width: right - 300 });
+    if(customer.email) doc.text(customer.email, { width: right - 300 });
+  } else {
+    doc.text("Consumidor final", 300, y + 14, { width: right - 300 });
+  }
+
+  y = drawTableHeader(doc, Math.max(sellerBottom, doc.y) + 16);
+
+  // Líneas (el encabezado se repite en cada hoja nueva)
+  const pageBottom = doc.page.height - A4_MARGIN;
+  for(const item of invoice.items) {
+    // Cada descuento de la línea va debajo del producto
+    const discountLines = item.discounts.map((discount) => `${discount.label}: -${money(discount.amount)}`);
+    const cells = {
+      productName: [item.productName, ...discountLines].join("\n"),
+      taxRate: `${item.taxRate} %`,
+      amount: String(item.amount),
+      unitPrice: money(item.unitPrice),
+      subtotal: money(item.subtotal)
+    };
+
+    doc.font("Helvetica").fontSize(9);
+    const rowHeight = doc.heightOfString(cells.productName, { width: A4_COLUMNS[0].width }) + 4;
+    if(y + rowHeight > pageBottom) {
+      doc.addPage();
+      y = drawTableHeader(doc, A4_MARGIN);
+      doc.font("Helvetica").fontSize(9);
+    }
+
+    for(const column of A4_COLUMNS) {
+      doc.text(cells[column.key], column.x, y, { width: column.width, align: column.align });
+    }
+    y += rowHeight;
+  }
+
+  // Totales alineados a la derecha
+  const rows = totalRows(invoice, money);
+  if(y + rows.length * 16 + 10 > pageBottom) {
+    doc.addPage();
+    y = A4_MARGIN;
+  }
+  doc.moveTo(335, y + 2).lineTo(right, y + 2).lineWidth(0.5).stroke();
+  y += 8;
+  for(const row of rows) {
+    doc.font(row.bold ? "Helvetica-Bold" : "Helvetica").fontSize(row.bold ? 11 : 9);
+    doc.text(row.label, 335, y, { width: 105, align: "right" });
+    doc.text(row.value, 440, y, { width: right - 440, align: "right" });
+    y += 16;
+  }
+};
+
+// ============================================================
+// TIQUETE 80 MM
+// ============================================================
+
+/**
+ * Centra un texto en el ancho del tiquete
+ * @param {string} text
+ * @returns {string}
+ */
+const center = (text) => {
+  const clipped = text.slice(0, RECEIPT_COLUMNS);
+  return " ".repeat(Math.floor((RECEIPT_COLUMNS - clipped.length) / 2)) + clipped;
+};
+
+/**
+ * Etiqueta a la izquierda y valor a la derecha en una sola línea
+ * @param {string} label
+ * @param {string} value
+ * @returns {string}
+ */
+const pair = (label, value) => {
+  const room = Math.max(RECEIPT_COLUMNS - value.length - 1, 0);
+  return label.slice(0, room).padEnd(room) + " " + value;
+};
+
+/**
+ * Parte un texto en líneas del ancho del tiquete (por palabras)
+ * @param {string} text
+ * @param {number} [width]
+ * @returns {Array<string>}
+ */
+const wrap = (text, width = RECEIPT_COLUMNS) => {
+  const lines = [];
+  let current = "";
+  for(const word of text.split(/\s+/).filter(Boolean)) {
+    if(current && (current + " " + word).length > width) {
+      lines.push(current);
+      current = "";
+    }
+    current = current ? `${current} ${word}` : word;
+    while(current.length > width) {
+      lines.push(current.slice(0, width));
+      current = current.slice(width);
+    }
+  }
+  if(current) lines.push(current);
+  return lines;
+};
+
+/**
+ * Arma las líneas de texto del tiquete
+ * @param {Object} invoice - Datos de `GetOrderInvoice`
+ * @param {Object} settings - { company, locale, currency, timeZone }
+ * @returns {Array<{ text: string, bold?: boolean }>}
+ */
+const receiptLines = (invoice, settings) => {
+  const { money, date } = formatters(settings);
+  const { company } = settings;
+  const separator = { text: "-".repeat(RECEIPT_COLUMNS) };
+  const lines = [];
+  const add = (text, bold = false) => lines.push({ text, bold });
+
+  wrap(company.name).forEach((line) => add(center(line), true));
+  if(company.taxId) add(center(`NIT ${company.taxId}`));
+  if(company.address) wrap(company.address).forEach((line) => add(center(line)));
+  if(company.phone) add(center(`Tel. ${company.phone}`));
+  lines.push(separator);
+
+  const voidNote = VOID_NOTES[invoice.status];
+  if(voidNote) {
+    wrap(voidNote).forEach((line) => add(center(line), true));
+    lines.push(separator);
+  }
+
+  add(pair("Pedido", invoice.number ?? String(invoice.orderId)), true);
+  add(pair("Fecha", date(invoice.createdAt)));
+  add(pair("Vendedor", invoice.seller?.name ?? "—"));
+  if(invoice.customer) {
+    add(pair("Cliente", invoice.customer.name));
+    add(pair(invoice.customer.documentType, invoice.customer.documentNumber));
+  } else {
+    add(pair("Cliente", "Consumidor final"));
+  }
+  lines.push(separator);
+
+  for(const item of invoice.items) {
+    wrap(item.productName).forEach((line) => add(line));
+    add(pair(`  ${item.amount} x ${money(item.unitPrice)} (${item.taxRate} %)`, money(item.subtotal)));
+    for(const discount of item.discounts) add(pair(`  ${discount.label}`, `-${money(discount.amount)}`));
+  }
+  lines.push(separator);
+
+  for(const row of totalRows(invoice, money)) add(pair(row.label, row.value), row.bold);
+  lines.push(separator);
+  add(center("Gracias por su compra"));
+
+  return lines;
+};
+
+/**
+ * Dibuja el tiquete: una sola página de 80 mm con el alto del contenido
+ * @param {Array<{ text: string, bold?: boolean }>} lines - Líneas de `receiptLines`
+ * @returns {PDFDocument}
+ */
+const createReceipt = (lines) => {
+  const height = RECEIPT_MARGIN * 2 + lines.length * RECEIPT_LINE_HEIGHT;
+  return new PDFDocument({ size: [RECEIPT_WIDTH, height], margin: RECEIPT_MARGIN, autoFirstPage: true });
+};
+
+// ============================================================
+// API DEL MÓDULO
+// ============================================================
+
+/**
+ * Genera el PDF de la factura de un pedido
+ *
+ * @param {Object} invoice - Datos de `GetOrderInvoice`
+ * @param {Object} options
+ * @param {string} [options.format] - "a4" (por defecto) o "receipt"
+ * @param {Object} options.settings - { company, locale, currency, timeZone } (ver `config/invoice.js`)
+ * @returns {Promise<Buffer>} Contenido del PDF
+ *
+ * @example
+ * const pdf = await renderInvoicePdf(invoice, { format: "receipt", settings: INVOICE_SETTINGS });
+ * res.type("application/pdf").send(pdf);
+ */
+export const renderInvoicePdf = async (invoice, { format = "a4", settings }) => {
+  const info = { Title: `Factura ${invoice.number ?? invoice.orderId}`, Author: settings.company.name };
+
+  if(format === "receipt") {
+    const lines = receiptLines(invoice, settings);
+    const doc = createReceipt(lines);
+    doc.info = { ...doc.info, ...info };
+    const done = collect(doc);
+
+    lines.forEach((line, index) => {
+      doc.font(line.bold ? "Courier-Bold" : "Courier").fontSize(RECEIPT_FONT_SIZE)
+        .text(line.text, RECEIPT_MARGIN, RECEIPT_MARGIN + index * RECEIPT_LINE_HEIGHT, { lineBreak: false });
+    });
+
+    doc.end();
+    return await done;
+  }
+
+  const doc = new PDFDocument({ size: "A4", margin: A4_MARGIN, info });
+  const done = collect(doc);
+  drawA4(doc, invoice, settings);
+  doc.end();
+  return await done;
+};
@@ -0,0 +1,254 @@
+/**
+ * LISTQUERY.JS - GRAMÁTICA COMÚN PARA LISTADOS
+ * ============================================
+ *
+ * Interpreta los parámetros de consulta de los endpoints de listado
+ * (productos, pedidos, usuarios) y arma la respuesta paginada con
+ * enlaces. Todos los listados comparten la misma gramática; cada
+ * recurso solo declara qué campos admite y sus atajos.
+ *
+ * PARÁMETROS:
+ * - page:   Página (≥ 1, por defecto 1)
+ * - limit:  Elementos por página (1 a 100, por defecto 20)
+ * - cursor: Paginación por cursor. Vacío (`cursor=`) pide la primera
+ *           página; después se usa el valor de `links.next`. No se
+ *           puede combinar con `page`. Solo ordena por el primer campo
+ *           de `sort` (más `_id` como desempate)
+ * - sort:   Campos separados por coma; `-` delante = descendente
+ *           (ej. `sort=-price,name`)
+ * - <campo>=valor            → igualdad
+ * - <campo>[op]=valor        → op: eq, ne, gt, gte, lt, lte, in
+ *                              (`in` recibe valores separados por coma)
+ * - <atajo>=valor            → filtros propios del recurso (ej. minPrice)
+ *
+ * Los parámetros desconocidos o mal formados producen un ListQueryError
+ * (400) en lugar de ignorarse, para que un error de tipeo no devuelva
+ * datos sin filtrar.
+ *
+ * RESPUESTA:
+ * { data, total, page, limit, totalPages, links: { self, next, prev } }
+ */
+
+import ValidationError from "../../domain/errors/ValidationError.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in"];
+const FILTER_KEY = /^(\w+)(?:\[(\w+)\])?$/;
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+/**
+ * Error de consulta mal formada. Es un ValidationError (`400 Bad Request`)
+ * con código `INVALID_QUERY`.
+ */
+export class ListQueryError extends ValidationError {
+  constructor(message) {
+    super(`❌ ${message} ❌`, { code: "INVALID_QUERY" });
+  }
+}
+
+/**
+ * Convierte un valor de la query al tipo declarado del campo.
+ * @param {string|Array<string>} type - "string", "number", "boolean", "date", "id" o lista de valores permitidos
+ * @param {string} raw - Valor recibido
+ * @param {string} name - Nombre del parámetro (para el mensaje de error)
+ * @returns {*} Valor convertido
+ * @throws {ListQueryError} Si el valor no corresponde al tipo
+ */
+export const coerceValue = (type, raw, name) => {
+  const invalid = () => new ListQueryError(`Valor inválido para "${name}": ${raw}`);
+
+  if(Array.isArray(type)) {
+    if(!type.includes(raw)) throw invalid();
+    return raw;
+  }
+
+  switch(type) {
+    case "number": {
+      const value = Number(raw);
+      if(raw === "" || Number.isNaN(value)) throw invalid();
+      return value;
+    }
+    case "boolean":
+      if(raw === "true" || raw === "1") return true;
+      if(raw === "false" || raw === "0") return false;
+      throw invalid();
+    case "date": {
+      const value = new Date(raw);
+      if(Number.isNaN(value.getTime())) throw invalid();
+      return value;
+    }
+    case "id":
+      if(!OBJECT_ID.test(raw)) throw invalid();
+      return raw;
+    default:
+      return String(raw);
+  }
+};
+
+const parsePositiveInt = (raw, name, fallback, max = Infinity) => {
+  if(raw === undefined) return fallback;
+  const value = Number(raw);
+  if(!Number.isInteger(value) || value < 1 || value > max) {
+    const range = max === Infinity ? "mayor o igual a 1" : `entre 1 y ${max}`;
+    throw new ListQueryError(`"${name}" debe ser un entero ${range}`);
+  }
+  return value;
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const decodeCursor = (raw) => {
+  if(raw === "") return {};
+  try {
+    const cursor = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if(!cursor || !OBJECT_ID.test(cursor.id)) throw new Error();
+    return cursor;
+  } catch {
+    throw new ListQueryError("Cursor inválido");
+  }
+};
+
+const parseSort = (raw, spec) => {
+  const expression = raw || spec.defaultSort || "_id";
+  return String(expression).split(",").map((part) => {
+    const token = part.trim();
+    const direction = token.startsWith("-") ? -1 : 1;
+    const field = token.replace(/^[-+]/, "");
+    if(!spec.fields[field]) throw new ListQueryError(`No se puede ordenar por "${field}"`);
+    return { field, direction };
+  });
+};
+
+/**
+ * Añade a `filters` las condiciones de un parámetro `campo` o `campo[op]`.
+ */
+const pushFieldFilter = (filters, key, raw, spec) => {
+  const match = FILTER_KEY.exec(key);
+  const field = match && match[1];
+  const type = field && spec.fields[field];
+  if(!type) throw new ListQueryError(`Parámetro no permitido: "${key}"`);
+
+  // Con el parser "extended" de Express, `price[gte]=1` llega como objeto
+  const entries = match[2]
+    ? [[match[2], raw]]
+    : (raw !== null && typeof raw === "object" && !Array.isArray(raw) ? Object.entries(raw) : [["eq", raw]]);
+
+  for(let [op, value] of entries) {
+    if(!OPERATORS.includes(op)) throw new ListQueryError(`Operador no permitido: "${op}"`);
+
+    // Un parámetro repetido (?status=a&status=b) equivale a `in`
+    if(Array.isArray(value)) {
+      if(op !== "eq" && op !== "in") throw new ListQueryError(`"${key}" no admite varios valores`);
+      op = "in";
+      value = value.join(",");
+    }
+
+    const converted = op === "in"
+      ? String(value).split(",").map((item) => coerceValue(type, item.trim(), key))
+      : coerceValue(type, value, key);
+
+    filters.push({ field, op, value: converted });
+  }
+};
+
+/**
+ * INTERPRETA LA QUERY DE UN LISTADO
+ *
+ * @param {Object} query - `req.query`
+ * @param {Object} spec - Gramática del recurso
+ * @param {Object} spec.fields - Campos filtrables/ordenables y su tipo ({ price: "number" })
+ * @param {string} [spec.defaultSort] - Orden por defecto (ej. "-createdAt")
+ * @param {Object} [spec.aliases] - Atajos: { nombre: (raw) => [{ field, op, value }] }
+ * @returns {Object} Criterios normalizados { page, limit, cursor, sort, filters }
+ * @throws {ListQueryError} Si algún parámetro es inválido
+ *
+ * @example
+ * // GET /api/products?category=Bebidas&price[lte]=5000&sort=-price&page=2
+ * const criteria = parseListQuery(req.query, PRODUCT_LIST_SPEC);
+ * // {
+ * //   page: 2, limit: 20, cursor: null,
+ * //   sort: [{ field: "price", direction: -1 }],
+ * //   filters: [{ field: "category", op: "eq", value: "Bebidas" },
+ * //             { field: "price", op: "lte", value: 5000 }]
+ * // }
+ */
+export const parseListQuery = (query = {}, spec) => {
+  const { page, limit, cursor, sort, ...rest } = query;
+
+  if(cursor !== undefined && page !== undefined) {
+    throw new ListQueryError("No se puede combinar \"page\" con \"cursor\"");
+  }
+
+  const filters = [];
+  for(const [key, raw] of Object.entries(rest)) {
+    const alias = spec.aliases && spec.aliases[key];
+    if(alias) {
+      filters.push(...alias(raw));
+    } else {
+      pushFieldFilter(filters, key, raw, spec);
+    }
+  }
+
+  return {
+    page: cursor !== undefined ? null : parsePositiveInt(page, "page", 1),
+    limit: parsePositiveInt(limit, "limit", DEFAULT_LIMIT, MAX_LIMIT),
+    cursor: cursor !== undefined ? decodeCursor(cursor) : null,
+    sort: parseSort(sort, spec),
+    filters
+  };
+};
+
+/**
+ * Construye un enlace relativo a la misma ruta cambiando parámetros.
+ */
+const linkTo = (req, changes) => {
+  const url = new URL(req.originalUrl, "http://localhost");
+  for(const [key, value] of Object.entries(changes)) {
+    if(value === null) url.searchParams.delete(key);
+    else url.searchParams.set(key, value);
+  }
+  return `${url.pathname}${url.search}`;
+};
+
+/**
+ * ARMA LA RESPUESTA PAGINADA
+ *
+ * @param {Object} req - Petición de Express (para construir los enlaces)
+ * @param {Object} criteria - Criterios devueltos por `parseListQuery`
+ * @param {Object} result - { data, total, nextCursor } devuelto por el repositorio
+ * @returns {Object} { data, total, page, limit, totalPages, links }
+ */
+export const buildPageResponse = (req, criteria, { data, total, nextCursor = null }) => {
+  const { page, limit } = criteria;
+  const totalPages = Math.ceil(total / limit);
+
+  // Paginación por cursor: solo hacia adelante
+  if(criteria.cursor) {
+    return {
+      data,
+      total,
+      page: null,
+      limit,
+      totalPages,
+      links: {
+        self: linkTo(req, {}),
+        next: nextCursor ? linkTo(req, { cursor: encodeCursor(nextCursor) }) : null,
+        prev: null
+      }
+    };
+  }
+
+  return {
+    data,
+    total,
+    page,
+    limit,
+    totalPages,
+    links: {
+      self: linkTo(req, { page }),
+      next: page < totalPages ? linkTo(req, { page: page + 1 }) : null,
+      prev: page > 1 ? linkTo(req, { page: Math.min(page - 1, Math.max(totalPages, 1)) }) : null
+    }
+  };
+};
@@ -0,0 +1,93 @@
+/**
+ * Pedidos simultáneos sobre un mismo producto: la reserva atómica de
+ * stock debe dejar pasar exactamente las unidades disponibles y
+ * rechazar el resto con 409, sin que el stock quede nunca en negativo.
+ *
+ * Corre contra `InMemoryProductRepository`, cuya reserva es atómica por
+ * construcción: aquí se prueba cómo CreateOrder y StockService tratan
+ * una reserva rechazada (null → 409 y rollback del pedido). Qué envía a
+ * MongoDB `ProductRepositoryMongo.reserveStock` lo prueba
+ * `ProductRepositoryMongo.reserveStock.test.js`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import CreateOrder from "../src/application/use-cases/order/CreateOrder.js";
+import InsufficientStockError from "../src/domain/errors/InsufficientStockError.js";
+import { errorMiddleware } from "../src/presentation/middlewares/errorMiddleware.js";
+import { createContext, newId } from "./support/inMemory.js";
+
+const STOCK = 10;
+const BUYERS = 25;
+
+// Código HTTP con el que la API respondería el error
+const statusOf = (err) => {
+  let status = null;
+  const res = { headersSent: false, status(code) { status = code; return this; }, json() { return this; } };
+  errorMiddleware(err, {}, res, () => {});
+  return status;
+};
+
+const setup = async () => {
+  const context = createContext();
+  const product = await context.productRepository.create({ name: "Café", price: 1000, stock: STOCK });
+  const createOrder = new CreateOrder(
+    context.orderRepository,
+    context.orderDetailsRepository,
+    context.productRepository,
+    context.transactionManager,
+    context.stockService,
+    context.taxService,
+    context.discountService
+  );
+  return { ...context, product, createOrder };
+};
+
+test("pedidos en paralelo por la misma unidad: solo se venden las disponibles", async () => {
+  const { createOrder, product, productRepository, orderRepository, stockMovementRepository } = await setup();
+
+  const results = await Promise.allSettled(
+    Array.from({ length: BUYERS }, () => createOrder.execute({
+      userId: newId(),
+      details: [{ productId: product._id, amount: 1 }]
+    }))
+  );
+
+  const fulfilled = results.filter((result) => result.status === "fulfilled");
+  const rejected = results.filter((result) => result.status === "rejected");
+
+  assert.equal(fulfilled.length, STOCK);
+  assert.equal(rejected.length, BUYERS - STOCK);
+  for(const { reason } of rejected) {
+    assert.ok(reason instanceof InsufficientStockError, reason.message);
+    assert.equal(statusOf(reason), 409);
+  }
+
+  const current = await productRepository.findById(product._id);
+  assert.equal(current.stock, 0);
+  assert.equal(current.reserved, STOCK);
+
+  // Los pedidos rechazados se revierten: no quedan guardados ni en el kardex
+  assert.equal(orderRepository.collection.all().length, STOCK);
+  const movements = stockMovementRepository.collection.all();
+  assert.equal(movements.length, STOCK);
+  assert.ok(movements.every((movement) => movement.balance >= 0));
+});
+
+test("reservas en paralelo con StockService: ninguna deja el stock en negativo", async () => {
+  const { stockService, product, productRepository } = await setup();
+
+  // 3 unidades por reserva: caben 3 de 25 (quedan 1 sin vender)
+  const results = await Promise.allSettled(
+    Array.from({ length: BUYERS }, () => stockService.reserve({ productId: product._id, amount: 3 }))
+  );
+
+  const rejected = results.filter((result) => result.status === "rejected");
+  assert.equal(results.length - rejected.length, 3);
+  assert.ok(rejected.every(({ reason }) => statusOf(reason) === 409));
+
+  const current = await productRepository.findById(product._id);
+  assert.equal(current.stock, 1);
+  assert.equal(current.reserved, 9);
+});
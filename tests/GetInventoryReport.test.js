@@ -0,0 +1,45 @@
+/**
+ * Reporte de inventario: se valoriza lo que hay en el almacén
+ * (disponible + reservado) y se alerta según lo disponible.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import GetInventoryReport from "../src/application/use-cases/report/GetInventoryReport.js";
+import { STOCK_LEVEL } from "../src/domain/constants/stockLevels.js";
+
+const PRODUCTS = [
+  { _id: "p1", name: "Café", category: "Bebidas", price: 10000, cost: 6000, stock: 2, reserved: 8, reorderPoint: 5, reorderQuantity: 12 },
+  { _id: "p2", name: "Té", category: "Bebidas", price: 4000, cost: null, stock: 20, reserved: 0, reorderPoint: 5, reorderQuantity: 12 }
+];
+
+const report = () => new GetInventoryReport({ findInventoryDocuments: async () => PRODUCTS }).execute();
+
+test("las unidades reservadas cuentan en el valor del inventario", async () => {
+  const { data: [coffee], totals } = await report();
+
+  assert.equal(coffee.stock, 2);
+  assert.equal(coffee.reserved, 8);
+  assert.equal(coffee.retailValue, 100000);
+  assert.equal(coffee.costValue, 60000);
+  assert.deepEqual(
+    { stock: totals.stock, reserved: totals.reserved, retailValue: totals.retailValue, costValue: totals.costValue },
+    { stock: 22, reserved: 8, retailValue: 180000, costValue: 60000 }
+  );
+});
+
+test("la alerta de reposición mira solo el stock disponible", async () => {
+  const { data: [coffee] } = await report();
+
+  assert.equal(coffee.level, STOCK_LEVEL.LOW_STOCK);
+  assert.equal(coffee.suggestedQuantity, 12);
+});
+
+test("un producto sin costo no se valoriza a costo", async () => {
+  const { data: [, tea] } = await report();
+
+  assert.equal(tea.cost, null);
+  assert.equal(tea.costValue, null);
+  assert.equal(tea.retailValue, 80000);
+});
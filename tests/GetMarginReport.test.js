@@ -0,0 +1,59 @@
+/**
+ * Margen bruto con productos sin costo: la venta guarda el costo como
+ * desconocido (null, no 0) y el reporte la deja fuera del margen,
+ * informándola aparte.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import CreateOrder from "../src/application/use-cases/order/CreateOrder.js";
+import CreateOrderDetails from "../src/application/use-cases/orderDetails/CreateOrderDetails.js";
+import GetMarginReport from "../src/application/use-cases/report/GetMarginReport.js";
+import { createContext, newId } from "./support/inMemory.js";
+
+test("vender un producto sin costo guarda el costo de la línea como desconocido", async () => {
+  const ctx = createContext();
+  const costed = await ctx.productRepository.create({ name: "Café", price: 10000, cost: 6000, stock: 5 });
+  const uncosted = await ctx.productRepository.create({ name: "Té", price: 4000, cost: null, stock: 5 });
+
+  const createOrder = new CreateOrder(
+    ctx.orderRepository, ctx.orderDetailsRepository, ctx.productRepository,
+    ctx.transactionManager, ctx.stockService, ctx.taxService, ctx.discountService
+  );
+  const { order, details } = await createOrder.execute({
+    userId: newId(),
+    details: [{ productId: costed._id, amount: 1 }, { productId: uncosted._id, amount: 1 }]
+  });
+
+  assert.equal(details.find((line) => line.productId === costed._id).unitCost, 6000);
+  assert.equal(details.find((line) => line.productId === uncosted._id).unitCost, null);
+
+  const createOrderDetails = new CreateOrderDetails(
+    ctx.orderDetailsRepository, ctx.orderRepository, ctx.productRepository,
+    ctx.stockService, ctx.transactionManager, ctx.taxService, ctx.discountService
+  );
+  const added = await createOrderDetails.execute({ orderId: order._id, productId: uncosted._id, amount: 2 });
+  assert.equal(added.unitCost, null);
+});
+
+test("las líneas sin costo quedan fuera del margen y se informan aparte", async () => {
+  const groups = [
+    { _id: "p1", name: "Café", units: 10, revenue: 100000, cost: 60000, uncostedLines: 0, uncostedRevenue: 0 },
+    { _id: "p2", name: "Té", units: 0, revenue: 0, cost: 0, uncostedLines: 3, uncostedRevenue: 12000 }
+  ];
+  const report = await new GetMarginReport({ aggregateMargin: async () => groups }).execute();
+
+  const [coffee, tea] = report.data;
+  assert.equal(coffee.marginPercent, 40);
+  assert.deepEqual(
+    { margin: tea.margin, marginPercent: tea.marginPercent, uncostedLines: tea.uncostedLines, uncostedRevenue: tea.uncostedRevenue },
+    { margin: 0, marginPercent: null, uncostedLines: 3, uncostedRevenue: 12000 }
+  );
+  assert.deepEqual(
+    { revenue: report.totals.revenue, margin: report.totals.margin, marginPercent: report.totals.marginPercent },
+    { revenue: 100000, margin: 40000, marginPercent: 40 }
+  );
+  assert.equal(report.totals.uncostedLines, 3);
+  assert.equal(report.totals.uncostedRevenue, 12000);
+});
@@ -0,0 +1,48 @@
+/**
+ * `ProductRepositoryMongo.reserveStock` debe verificar y reservar en una
+ * sola operación de MongoDB: un `findOneAndUpdate` cuyo filtro exige
+ * `stock >= amount`. Se reemplaza `ProductModel.findOneAndUpdate` para
+ * ver exactamente qué se envía, sin base de datos.
+ */
+
+import { afterEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ProductModel } from "../src/infrastructure/db/ProductModel.js";
+import ProductRepositoryMongo from "../src/infrastructure/repositories/ProductRepositoryMongo.js";
+
+const PRODUCT_ID = "0000000000000000000000aa";
+
+afterEach(() => mock.restoreAll());
+
+test("reserva con un único findOneAndUpdate condicionado a stock suficiente", async () => {
+  const session = { id: "sesión" };
+  const findOneAndUpdate = mock.method(ProductModel, "findOneAndUpdate", async () => ({ _id: PRODUCT_ID }));
+
+  await new ProductRepositoryMongo().reserveStock(PRODUCT_ID, 3, session);
+
+  assert.equal(findOneAndUpdate.mock.callCount(), 1);
+  const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: PRODUCT_ID, stock: { $gte: 3 } });
+  assert.deepEqual(update, { $inc: { stock: -3, reserved: 3 } });
+  assert.equal(options.session, session);
+  assert.equal(options.new, true);
+});
+
+test("reservas simultáneas: la condición del filtro deja pasar solo las que caben", async () => {
+  // Documento único: MongoDB evalúa filtro y $inc de forma atómica por documento
+  const doc = { _id: PRODUCT_ID, stock: 10, reserved: 0 };
+  mock.method(ProductModel, "findOneAndUpdate", async (filter, update) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    if(filter._id !== doc._id || !(doc.stock >= filter.stock.$gte)) return null;
+    for(const [field, change] of Object.entries(update.$inc)) doc[field] += change;
+    return { ...doc };
+  });
+
+  const repository = new ProductRepositoryMongo();
+  const results = await Promise.all(Array.from({ length: 25 }, () => repository.reserveStock(PRODUCT_ID, 1)));
+
+  assert.equal(results.filter(Boolean).length, 10);
+  assert.equal(results.filter((result) => result === null).length, 15);
+  assert.deepEqual({ stock: doc.stock, reserved: doc.reserved }, { stock: 0, reserved: 10 });
+});
@@ -0,0 +1,59 @@
+/**
+ * Un `invalidate()` mientras el índice se construye deja obsoleta esa
+ * construcción: la búsqueda no puede devolver el catálogo anterior al
+ * cambio ni dejarlo instalado para las siguientes.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import ProductSearchIndex from "../src/application/services/ProductSearchIndex.js";
+
+// Repositorio cuya lectura se puede dejar en espera para intercalar cambios
+const createRepository = (products) => ({
+  products,
+  reads: 0,
+  pause: null,
+  async findSearchDocuments() {
+    this.reads++;
+    const snapshot = this.products.map((product) => ({ ...product }));
+    if(this.pause) await this.pause;
+    return snapshot;
+  }
+});
+
+const foundIds = async (index, query) =>
+  (await index.search(query)).hits.map(({ id }) => id);
+
+test("un invalidate() durante la construcción descarta el índice leído antes del cambio", async () => {
+  const repository = createRepository([{ _id: "p1", name: "Café molido" }]);
+  const index = new ProductSearchIndex(repository);
+
+  let resume;
+  repository.pause = new Promise((resolve) => { resume = resolve; });
+  const searching = foundIds(index, "te");
+  await new Promise((resolve) => setImmediate(resolve));
+
+  // Se crea un producto mientras la primera construcción espera la lectura
+  repository.products.push({ _id: "p2", name: "Té verde" });
+  index.invalidate();
+  repository.pause = null;
+  resume();
+
+  assert.deepEqual(await searching, ["p2"]);
+  assert.equal(repository.reads, 2);
+
+  // El índice instalado es el nuevo: no se vuelve a construir
+  assert.deepEqual(await foundIds(index, "cafe"), ["p1"]);
+  assert.equal(repository.reads, 2);
+});
+
+test("las búsquedas simultáneas comparten una sola construcción", async () => {
+  const repository = createRepository([{ _id: "p1", name: "Chocolate" }]);
+  const index = new ProductSearchIndex(repository);
+
+  const results = await Promise.all([foundIds(index, "cho"), foundIds(index, "chocolte")]);
+
+  assert.deepEqual(results, [["p1"], ["p1"]]);
+  assert.equal(repository.reads, 1);
+});
@@ -0,0 +1,89 @@
+/**
+ * Reabrir un pedido cancelado vuelve a canjear su cupón: solo si el
+ * cupón sigue vigente. Si se desactivó o venció, la transición se
+ * rechaza y el pedido queda cancelado, sin stock ni canje de más.
+ */
+
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+
+import CouponService from "../src/application/services/CouponService.js";
+import CreateOrder from "../src/application/use-cases/order/CreateOrder.js";
+import UpdateOrder from "../src/application/use-cases/order/UpdateOrder.js";
+import ConflictError from "../src/domain/errors/ConflictError.js";
+import { ORDER_STATUS } from "../src/domain/constants/orderStatus.js";
+import { DISCOUNT_TYPE } from "../src/domain/constants/discounts.js";
+import { createContext, newId, InMemoryCouponRepository } from "./support/inMemory.js";
+
+let ctx;
+
+// Pedido de 2 cafés con un cupón del 10 %, ya cancelado
+beforeEach(async () => {
+  const context = createContext();
+  const couponRepository = new InMemoryCouponRepository();
+  const couponService = new CouponService(couponRepository, context.orderRepository);
+
+  const product = await context.productRepository.create({ name: "Café", price: 10000, stock: 5 });
+  const coupon = await couponRepository.create({
+    code: "BIENVENIDA10",
+    type: DISCOUNT_TYPE.PERCENTAGE,
+    value: 10,
+    minOrderAmount: 0,
+    categories: [],
+    productIds: []
+  });
+
+  const createOrder = new CreateOrder(
+    context.orderRepository, context.orderDetailsRepository, context.productRepository,
+    context.transactionManager, context.stockService, context.taxService, context.discountService,
+    null, null, couponService
+  );
+  const { order } = await createOrder.execute({
+    userId: newId(),
+    couponCode: "BIENVENIDA10",
+    details: [{ productId: product._id, amount: 2 }]
+  });
+
+  const updateOrder = new UpdateOrder(
+    context.orderRepository, context.orderDetailsRepository, context.stockService, context.transactionManager, couponService
+  );
+  await updateOrder.execute(order._id, { status: ORDER_STATUS.CANCELLED });
+
+  ctx = { ...context, couponRepository, product, coupon, order, updateOrder };
+});
+
+const current = async () => ({
+  order: await ctx.orderRepository.findById(ctx.order._id),
+  coupon: await ctx.couponRepository.findById(ctx.coupon._id),
+  product: await ctx.productRepository.findById(ctx.product._id)
+});
+
+test("reabrir con el cupón vigente lo canjea otra vez", async () => {
+  await ctx.updateOrder.execute(ctx.order._id, { status: ORDER_STATUS.PENDING });
+
+  const { order, coupon, product } = await current();
+  assert.equal(order.status, ORDER_STATUS.PENDING);
+  assert.equal(order.coupon.redeemed, true);
+  assert.equal(coupon.redemptionCount, 1);
+  assert.equal(product.stock, 3);
+});
+
+for(const [reason, change] of [
+  ["desactivado", { active: false }],
+  ["vencido", { endsAt: new Date(Date.now() - 60_000) }]
+]) {
+  test(`reabrir con el cupón ${reason} se rechaza y el pedido sigue cancelado`, async () => {
+    await ctx.couponRepository.update(ctx.coupon._id, change);
+
+    await assert.rejects(
+      ctx.updateOrder.execute(ctx.order._id, { status: ORDER_STATUS.PENDING }),
+      (err) => err instanceof ConflictError && err.code === "COUPON_NOT_ACTIVE"
+    );
+
+    const { order, coupon, product } = await current();
+    assert.equal(order.status, ORDER_STATUS.CANCELLED);
+    assert.equal(order.coupon.redeemed, false);
+    assert.equal(coupon.redemptionCount, 0);
+    assert.deepEqual({ stock: product.stock, reserved: product.reserved }, { stock: 5, reserved: 0 });
+  });
+}
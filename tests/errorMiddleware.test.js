@@ -0,0 +1,45 @@
+/**
+ * Respuesta de los errores de dominio: `details` agrega campos al cuerpo,
+ * pero `error` y `code` siempre son el mensaje y el código del error.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import ConflictError from "../src/domain/errors/ConflictError.js";
+import { errorMiddleware } from "../src/presentation/middlewares/errorMiddleware.js";
+
+// Código HTTP y cuerpo con los que la API respondería el error
+const respond = (err) => {
+  const response = { status: null, body: null };
+  const res = {
+    headersSent: false,
+    status(code) { response.status = code; return this; },
+    json(body) { response.body = body; return this; }
+  };
+  errorMiddleware(err, {}, res, () => {});
+  return response;
+};
+
+test("los detalles van en el cuerpo junto al mensaje y el código", () => {
+  const { status, body } = respond(new ConflictError("⚠️ Stock insuficiente ⚠️", {
+    code: "INSUFFICIENT_STOCK",
+    details: { available: 2 }
+  }));
+
+  assert.equal(status, 409);
+  assert.deepEqual(body, { error: "⚠️ Stock insuficiente ⚠️", code: "INSUFFICIENT_STOCK", available: 2 });
+});
+
+test("un detalle llamado error o code no reemplaza el mensaje ni el código", () => {
+  const { body } = respond(new ConflictError("⚠️ Ya existe un registro con el mismo valor en: code ⚠️", {
+    code: "DUPLICATE_KEY",
+    details: { error: "otro mensaje", code: "OTRO_CODIGO", fields: ["code"] }
+  }));
+
+  assert.deepEqual(body, {
+    error: "⚠️ Ya existe un registro con el mismo valor en: code ⚠️",
+    code: "DUPLICATE_KEY",
+    fields: ["code"]
+  });
+});
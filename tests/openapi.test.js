@@ -0,0 +1,41 @@
+/**
+ * La especificación OpenAPI debe cubrir exactamente las rutas que
+ * `server.js` monta (las mismas que revisa `npm run docs:check`).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express, { Router } from "express";
+
+import app from "../src/presentation/server.js";
+import openApiSpec from "../src/presentation/docs/openapi.js";
+import { findRouteCoverage } from "../src/presentation/docs/routeCoverage.js";
+
+test("cada ruta montada en server.js está documentada y viceversa", () => {
+  const { routes, undocumented, stale, unmounted } = findRouteCoverage(app, openApiSpec);
+
+  assert.ok(routes.has("GET /api/products/{id}"));
+  assert.deepEqual(undocumented, []);
+  assert.deepEqual(stale, []);
+  assert.deepEqual(unmounted, []);
+});
+
+test("detecta rutas sin documentar, documentadas de más y routers desconocidos", () => {
+  const handler = (req, res) => res.end();
+  const testApp = express();
+  testApp.use("/api/items", Router().get("/", handler).post("/:id", handler));
+  testApp.use("/api/extra", Router().get("/", handler));
+
+  const spec = {
+    paths: {
+      "/api/items": { get: {} },
+      "/api/items/{id}/history": { get: {} }
+    }
+  };
+
+  const { undocumented, stale, unmounted } = findRouteCoverage(testApp, spec);
+
+  assert.deepEqual(undocumented, ["POST /api/items/{id}"]);
+  assert.deepEqual(stale, ["GET /api/items/{id}/history"]);
+  assert.deepEqual(unmounted, [["GET /"]]);
+});
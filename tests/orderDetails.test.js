@@ -0,0 +1,202 @@
+/**
+ * Líneas de un pedido pendiente: al agregar, cambiar o quitar una línea
+ * deben moverse juntos el stock del producto, el subtotal de la línea y
+ * los totales del pedido (y nada de eso si la operación se rechaza).
+ */
+
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import CreateOrder from "../src/application/use-cases/order/CreateOrder.js";
+import CreateOrderDetails from "../src/application/use-cases/orderDetails/CreateOrderDetails.js";
+import UpdateOrderDetails from "../src/application/use-cases/orderDetails/UpdateOrderDetails.js";
+import DeleteOrderDetails from "../src/application/use-cases/orderDetails/DeleteOrderDetails.js";
+import ConflictError from "../src/domain/errors/ConflictError.js";
+import ForbiddenError from "../src/domain/errors/ForbiddenError.js";
+import InsufficientStockError from "../src/domain/errors/InsufficientStockError.js";
+import InvalidOrderStateError from "../src/domain/errors/InvalidOrderStateError.js";
+import { ORDER_STATUS } from "../src/domain/constants/orderStatus.js";
+import { DISCOUNT_TYPE } from "../src/domain/constants/discounts.js";
+import { ROLES } from "../src/domain/constants/roles.js";
+import { createContext, newId } from "./support/inMemory.js";
+
+// Precios en centavos con IVA incluido (19 %)
+const COFFEE = { name: "Café", price: 11900, taxRate: 19, stock: 10 };
+const SUGAR = { name: "Azúcar", price: 5000, taxRate: 19, stock: 5 };
+const MILK = { name: "Leche", price: 2000, taxRate: 19, stock: 3 };
+
+// Umbral de aprobación de `createContext`: 10 % del bruto del pedido
+const ADMIN = { id: newId(), rol: ROLES.ADMIN };
+const SELLER = { id: newId(), rol: ROLES.SELLER };
+const percentOff = (value) => ({ type: DISCOUNT_TYPE.PERCENTAGE, value });
+
+let ctx;
+
+// Pedido pendiente: 2 cafés (23.800) + 1 azúcar (5.000) = 28.800
+beforeEach(async () => {
+  ctx = createContext();
+  const coffee = await ctx.productRepository.create(COFFEE);
+  const sugar = await ctx.productRepository.create(SUGAR);
+  const milk = await ctx.productRepository.create(MILK);
+
+  const createOrder = new CreateOrder(
+    ctx.orderRepository, ctx.orderDetailsRepository, ctx.productRepository,
+    ctx.transactionManager, ctx.stockService, ctx.taxService, ctx.discountService
+  );
+  const { order, details } = await createOrder.execute({
+    userId: newId(),
+    details: [{ productId: coffee._id, amount: 2 }, { productId: sugar._id, amount: 1 }]
+  });
+
+  ctx = {
+    ...ctx,
+    createOrder,
+    order,
+    coffee,
+    sugar,
+    milk,
+    coffeeLine: details.find((detail) => detail.productId === coffee._id),
+    sugarLine: details.find((detail) => detail.productId === sugar._id),
+    createOrderDetails: new CreateOrderDetails(
+      ctx.orderDetailsRepository, ctx.orderRepository, ctx.productRepository,
+      ctx.stockService, ctx.transactionManager, ctx.taxService, ctx.discountService
+    ),
+    updateOrderDetails: new UpdateOrderDetails(
+      ctx.orderDetailsRepository, ctx.orderRepository, ctx.productRepository,
+      ctx.stockService, ctx.transactionManager, ctx.discountService
+    ),
+    deleteOrderDetails: new DeleteOrderDetails(
+      ctx.orderDetailsRepository, ctx.orderRepository, ctx.stockService, ctx.transactionManager
+    )
+  };
+});
+
+const assertStock = async (product, stock, reserved) => {
+  const current = await ctx.productRepository.findById(product._id);
+  assert.deepEqual({ stock: current.stock, reserved: current.reserved }, { stock, reserved });
+};
+
+// El total del pedido es el esperado y coincide con la suma de sus líneas
+const assertOrderTotal = async (total) => {
+  const order = await ctx.orderRepository.findById(ctx.order._id);
+  const lines = await ctx.orderDetailsRepository.findAllByOrderId(ctx.order._id);
+  const sum = (field) => lines.reduce((acc, line) => acc + line[field], 0);
+
+  assert.equal(order.total, total);
+  assert.equal(order.total, sum("subtotal"));
+  assert.equal(order.subtotal, sum("taxBase"));
+  assert.equal(order.taxTotal, sum("taxAmount"));
+};
+
+const lineSubtotal = async (line) => (await ctx.orderDetailsRepository.findById(line._id))?.subtotal;
+
+describe("CreateOrderDetails", () => {
+  test("agregar una línea reserva su stock y suma su subtotal al pedido", async () => {
+    const line = await ctx.createOrderDetails.execute({ orderId: ctx.order._id, productId: ctx.milk._id, amount: 3 });
+
+    assert.equal(line.subtotal, 6000);
+    await assertStock(ctx.milk, 0, 3);
+    await assertOrderTotal(34800);
+  });
+
+  test("sin stock suficiente no agrega la línea ni cambia el pedido", async () => {
+    await assert.rejects(
+      ctx.createOrderDetails.execute({ orderId: ctx.order._id, productId: ctx.milk._id, amount: 4 }),
+      InsufficientStockError
+    );
+
+    await assertStock(ctx.milk, 3, 0);
+    assert.equal((await ctx.orderDetailsRepository.findAllByOrderId(ctx.order._id)).length, 2);
+    await assertOrderTotal(28800);
+  });
+
+  test("el umbral de descuento se mide sobre todo el pedido, no solo la línea nueva", async () => {
+    // Pedido con un 20 % aprobado por un Administrador
+    const { order } = await ctx.createOrder.execute({
+      userId: SELLER.id,
+      details: [{ productId: ctx.coffee._id, amount: 1, discount: percentOff(20) }]
+    }, ADMIN);
+
+    // Un 5 % en la línea nueva no basta para quedar bajo el umbral
+    await assert.rejects(
+      ctx.createOrderDetails.execute({ orderId: order._id, productId: ctx.milk._id, amount: 1, discount: percentOff(5) }, SELLER),
+      (err) => err instanceof ForbiddenError && err.code === "DISCOUNT_APPROVAL_REQUIRED"
+    );
+    await assertStock(ctx.milk, 3, 0);
+    assert.equal((await ctx.orderDetailsRepository.findAllByOrderId(order._id)).length, 1);
+  });
+
+  test("un Administrador que agrega un descuento sobre el umbral queda como quien lo aprobó", async () => {
+    await ctx.createOrderDetails.execute(
+      { orderId: ctx.order._id, productId: ctx.milk._id, amount: 3, discount: percentOff(100) },
+      ADMIN
+    );
+
+    const order = await ctx.orderRepository.findById(ctx.order._id);
+    assert.equal(order.discountApprovedBy, ADMIN.id);
+    assert.equal(order.discountTotal, 6000);
+    await assertOrderTotal(28800);
+  });
+});
+
+describe("UpdateOrderDetails", () => {
+  test("subir la cantidad reserva la diferencia y recalcula los totales", async () => {
+    await ctx.updateOrderDetails.execute(ctx.coffeeLine._id, { amount: 5 });
+
+    await assertStock(ctx.coffee, 5, 5);
+    assert.equal(await lineSubtotal(ctx.coffeeLine), 59500);
+    await assertOrderTotal(64500);
+  });
+
+  test("bajar la cantidad libera la diferencia y recalcula los totales", async () => {
+    await ctx.updateOrderDetails.execute(ctx.coffeeLine._id, { amount: 1 });
+
+    await assertStock(ctx.coffee, 9, 1);
+    assert.equal(await lineSubtotal(ctx.coffeeLine), 11900);
+    await assertOrderTotal(16900);
+  });
+
+  test("sin stock suficiente para la diferencia no cambia nada", async () => {
+    await assert.rejects(
+      ctx.updateOrderDetails.execute(ctx.coffeeLine._id, { amount: 11 }),
+      InsufficientStockError
+    );
+
+    await assertStock(ctx.coffee, 8, 2);
+    assert.equal(await lineSubtotal(ctx.coffeeLine), 23800);
+    await assertOrderTotal(28800);
+  });
+});
+
+describe("DeleteOrderDetails", () => {
+  test("quitar una línea libera su stock y resta su subtotal del pedido", async () => {
+    await ctx.deleteOrderDetails.execute(ctx.sugarLine._id);
+
+    await assertStock(ctx.sugar, 5, 0);
+    assert.equal(await lineSubtotal(ctx.sugarLine), undefined);
+    await assertOrderTotal(23800);
+  });
+
+  test("no se puede quitar la última línea del pedido", async () => {
+    await ctx.deleteOrderDetails.execute(ctx.sugarLine._id);
+
+    await assert.rejects(
+      ctx.deleteOrderDetails.execute(ctx.coffeeLine._id),
+      (err) => err instanceof ConflictError && err.code === "LAST_ORDER_LINE"
+    );
+
+    await assertStock(ctx.coffee, 8, 2);
+    assert.equal(await lineSubtotal(ctx.coffeeLine), 23800);
+    await assertOrderTotal(23800);
+  });
+
+  test("no se pueden quitar líneas de un pedido cancelado", async () => {
+    await ctx.orderRepository.update(ctx.order._id, { status: ORDER_STATUS.CANCELLED });
+
+    await assert.rejects(ctx.deleteOrderDetails.execute(ctx.sugarLine._id), InvalidOrderStateError);
+
+    await assertStock(ctx.sugar, 4, 1);
+    assert.equal(await lineSubtotal(ctx.sugarLine), 5000);
+    await assertOrderTotal(28800);
+  });
+});
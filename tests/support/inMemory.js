@@ -0,0 +1,307 @@
+/**
+ * INMEMORY.JS - REPOSITORIOS Y TRANSACCIONES EN MEMORIA PARA LAS PRUEBAS
+ * =====================================================================
+ *
+ * Implementan la misma interfaz que los repositorios Mongo que usan los
+ * casos de uso de pedidos, sin base de datos:
+ *
+ * - Cada operación cede el turno (`setImmediate`) antes de leer o
+ *   escribir, así las llamadas en paralelo se intercalan como lo harían
+ *   contra MongoDB.
+ * - Las actualizaciones condicionales (`reserveStock`) comprueban y
+ *   escriben en un solo paso, igual que `findOneAndUpdate`.
+ * - `InMemoryTransactionManager` deshace las escrituras de la sesión
+ *   cuando el trabajo falla (operación inversa de cada escritura, sin
+ *   pisar lo que escribieron otras transacciones).
+ * - Las lecturas devuelven copias: modificar un resultado no cambia el
+ *   "documento guardado".
+ */
+
+import DiscountService from "../../src/application/services/DiscountService.js";
+import StockService from "../../src/application/services/StockService.js";
+import TaxService from "../../src/application/services/TaxService.js";
+
+// Cede el turno al resto de operaciones pendientes
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const clone = (value) => (value == null ? null : structuredClone(value));
+
+// IDs con formato de ObjectId (24 caracteres hexadecimales)
+let sequence = 0;
+export const newId = () => (++sequence).toString(16).padStart(24, "0");
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+/**
+ * Colección de documentos con escrituras reversibles por sesión
+ */
+class Collection {
+  constructor() {
+    this.docs = new Map();
+  }
+
+  all() {
+    return [...this.docs.values()].map(clone);
+  }
+
+  get(id) {
+    return clone(this.docs.get(String(id)));
+  }
+
+  insert(data, session) {
+    const doc = { ...clone(data), _id: data._id ? String(data._id) : newId() };
+    this.docs.set(doc._id, doc);
+    session?.undo.push(() => this.docs.delete(doc._id));
+    return clone(doc);
+  }
+
+  /**
+   * Aplica `$inc`, `$push`, `$set` o campos sueltos (como Mongoose)
+   * y registra la operación inversa en la sesión
+   */
+  update(id, update, session) {
+    const doc = this.docs.get(String(id));
+    if(!doc) return null;
+
+    const inverse = [];
+    for(const [key, value] of Object.entries(update)) {
+      if(key === "$inc") {
+        for(const [path, change] of Object.entries(value)) {
+          setPath(doc, path, (getPath(doc, path) ?? 0) + change);
+          inverse.push(() => setPath(doc, path, getPath(doc, path) - change));
+        }
+      } else if(key === "$push") {
+        for(const [path, item] of Object.entries(value)) {
+          const list = getPath(doc, path) ?? [];
+          list.push(clone(item));
+          setPath(doc, path, list);
+          inverse.push(() => getPath(doc, path).pop());
+        }
+      } else {
+        const fields = key === "$set" ? value : { [key]: value };
+        for(const [path, fieldValue] of Object.entries(fields)) {
+          const previous = clone(getPath(doc, path));
+          setPath(doc, path, clone(fieldValue));
+          inverse.push(() => setPath(doc, path, previous));
+        }
+      }
+    }
+
+    session?.undo.push(() => inverse.reverse().forEach((undo) => undo()));
+    return clone(doc);
+  }
+
+  remove(id, session) {
+    const doc = this.docs.get(String(id));
+    if(!doc) return null;
+    this.docs.delete(doc._id);
+    session?.undo.push(() => this.docs.set(doc._id, doc));
+    return clone(doc);
+  }
+}
+
+export class InMemoryTransactionManager {
+  async run(work) {
+    const session = { undo: [] };
+    try {
+      return await work(session);
+    } catch (err) {
+      session.undo.reverse().forEach((undo) => undo());
+      throw err;
+    }
+  }
+}
+
+export class InMemoryProductRepository {
+  constructor(collection = new Collection()) {
+    this.collection = collection;
+  }
+
+  async create(data, session = null) {
+    await tick();
+    return this.collection.insert({ stock: 0, reserved: 0, ...data }, session);
+  }
+
+  async findById(id) {
+    await tick();
+    return this.collection.get(id);
+  }
+
+  // Comprobación y reserva en un solo paso, como `findOneAndUpdate({ stock: { $gte } })`
+  async reserveStock(id, amount, session = null) {
+    await tick();
+    const product = this.collection.get(id);
+    if(!product || product.stock < amount) return null;
+    return this.collection.update(id, { $inc: { stock: -amount, reserved: amount } }, session);
+  }
+
+  async releaseStock(id, amount, session = null) {
+    await tick();
+    return this.collection.update(id, { $inc: { stock: amount, reserved: -amount } }, session);
+  }
+
+  async commitStock(id, amount, session = null) {
+    await tick();
+    return this.collection.update(id, { $inc: { reserved: -amount } }, session);
+  }
+
+  async updateStock(id, change, session = null) {
+    await tick();
+    return this.collection.update(id, { $inc: { stock: change } }, session);
+  }
+}
+
+export class InMemoryStockMovementRepository {
+  constructor(collection = new Collection()) {
+    this.collection = collection;
+  }
+
+  async create(data, session = null) {
+    await tick();
+    return this.collection.insert(data, session);
+  }
+}
+
+export class InMemoryOrderRepository {
+  constructor(collection = new Collection()) {
+    this.collection = collection;
+  }
+
+  async create(data, session = null) {
+    await tick();
+    return this.collection.insert(data, session);
+  }
+
+  async findById(id) {
+    await tick();
+    return this.collection.get(id);
+  }
+
+  async update(id, data, session = null) {
+    await tick();
+    return this.collection.update(id, data, session);
+  }
+
+  async delete(id, session = null) {
+    await tick();
+    return this.collection.remove(id, session);
+  }
+}
+
+export class InMemoryOrderDetailsRepository {
+  constructor(collection = new Collection()) {
+    this.collection = collection;
+  }
+
+  async create(data, session = null) {
+    await tick();
+    return this.collection.insert(data, session);
+  }
+
+  async createMany(list, session = null) {
+    await tick();
+    return list.map((data) => this.collection.insert(data, session));
+  }
+
+  async findById(id) {
+    await tick();
+    return this.collection.get(id);
+  }
+
+  async findAllByOrderId(orderId) {
+    await tick();
+    return this.collection.all().filter((detail) => String(detail.orderId) === String(orderId));
+  }
+
+  async update(id, data, session = null) {
+    await tick();
+    return this.collection.update(id, data, session);
+  }
+
+  async delete(id, session = null) {
+    await tick();
+    return this.collection.remove(id, session);
+  }
+
+  async deleteAllByOrderId(orderId, session = null) {
+    await tick();
+    const lines = this.collection.all().filter((detail) => String(detail.orderId) === String(orderId));
+    lines.forEach((detail) => this.collection.remove(detail._id, session));
+    return { deletedCount: lines.length };
+  }
+}
+
+export class InMemoryCouponRepository {
+  constructor(collection = new Collection()) {
+    this.collection = collection;
+  }
+
+  async create(data, session = null) {
+    await tick();
+    return this.collection.insert({ active: true, redemptionCount: 0, maxRedemptions: null, ...data }, session);
+  }
+
+  async findById(id) {
+    await tick();
+    return this.collection.get(id);
+  }
+
+  async findByCode(code) {
+    await tick();
+    return this.collection.all().find((coupon) => coupon.code === code) ?? null;
+  }
+
+  // Solo si quedan canjes, como el `findOneAndUpdate` condicionado de Mongo
+  async incrementRedemptions(id, session = null) {
+    await tick();
+    const coupon = this.collection.get(id);
+    if(!coupon || (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions)) return null;
+    return this.collection.update(id, { $inc: { redemptionCount: 1 } }, session);
+  }
+
+  async decrementRedemptions(id, session = null) {
+    await tick();
+    const coupon = this.collection.get(id);
+    if(!coupon || coupon.redemptionCount <= 0) return null;
+    return this.collection.update(id, { $inc: { redemptionCount: -1 } }, session);
+  }
+
+  async update(id, data) {
+    await tick();
+    return this.collection.update(id, data);
+  }
+}
+
+/**
+ * Arma repositorios, servicios y gestor de transacciones en memoria.
+ * Sin promociones vigentes ni tarifas por categoría: el IVA sale del
+ * producto o de `defaultTaxRate`.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.defaultTaxRate] - Tarifa de IVA por defecto (0 = sin IVA)
+ * @param {Array<Object>} [options.promotions] - Promociones vigentes
+ * @returns {Object} { productRepository, stockMovementRepository, orderRepository,
+ *                     orderDetailsRepository, transactionManager, stockService, taxService, discountService }
+ */
+export const createContext = ({ defaultTaxRate = 0, promotions = [] } = {}) => {
+  const productRepository = new InMemoryProductRepository();
+  const stockMovementRepository = new InMemoryStockMovementRepository();
+
+  return {
+    productRepository,
+    stockMovementRepository,
+    orderRepository: new InMemoryOrderRepository(),
+    orderDetailsRepository: new InMemoryOrderDetailsRepository(),
+    transactionManager: new InMemoryTransactionManager(),
+    stockService: new StockService(productRepository, stockMovementRepository),
+    taxService: new TaxService({ findByCategory: async () => null }, defaultTaxRate),
+    discountService: new DiscountService({ findActive: async () => promotions }, 10)
+  };
+};